@@ -22,6 +22,33 @@ async function loadData() {
     const products = JSON.parse(readFileSync(join(__dirname, 'src/data/products.json'), 'utf-8'))
     const customers = JSON.parse(readFileSync(join(__dirname, 'src/data/customers.json'), 'utf-8'))
     const transactions = JSON.parse(readFileSync(join(__dirname, 'src/data/transactions.json'), 'utf-8'))
+    const salesPerformance = JSON.parse(readFileSync(join(__dirname, 'src/data/sales_performance.json'), 'utf-8'))
+    const suppliers = JSON.parse(readFileSync(join(__dirname, 'src/data/suppliers.json'), 'utf-8'))
+    const warehouses = JSON.parse(readFileSync(join(__dirname, 'src/data/warehouses.json'), 'utf-8'))
+
+    // Load Suppliers (before products, which reference them)
+    console.log(`\n🚚 Loading ${suppliers.length} suppliers...`)
+    const { error: suppliersError } = await supabase
+      .from('suppliers')
+      .upsert(suppliers, { onConflict: 'supplier_code' })
+
+    if (suppliersError) {
+      console.error('❌ Error loading suppliers:', suppliersError.message)
+    } else {
+      console.log(`✅ Loaded ${suppliers.length} suppliers successfully`)
+    }
+
+    // Load Depots
+    console.log(`\n🏭 Loading ${warehouses.length} depots...`)
+    const { error: warehousesError } = await supabase
+      .from('warehouses')
+      .upsert(warehouses, { onConflict: 'warehouse_code' })
+
+    if (warehousesError) {
+      console.error('❌ Error loading depots:', warehousesError.message)
+    } else {
+      console.log(`✅ Loaded ${warehouses.length} depots successfully`)
+    }
 
     // Load Products
     console.log(`\n📦 Loading ${products.length} products...`)
@@ -68,6 +95,26 @@ async function loadData() {
 
     console.log(`\n✅ Loaded ${loadedCount} transactions successfully`)
 
+    // Load Sales Targets
+    const salesTargets = salesPerformance.map(p => ({
+      salesperson: p.salesperson_name,
+      region: p.region,
+      month: p.month,
+      target: p.target,
+      reported_sales: p.total_sales,
+      reported_achievement_pct: p.achievement_percentage
+    }))
+    console.log(`\n🎯 Loading ${salesTargets.length} sales targets...`)
+    const { error: targetsError } = await supabase
+      .from('sales_targets')
+      .upsert(salesTargets, { onConflict: 'salesperson,region,month' })
+
+    if (targetsError) {
+      console.error('❌ Error loading sales targets:', targetsError.message)
+    } else {
+      console.log(`✅ Loaded ${salesTargets.length} sales targets successfully`)
+    }
+
     console.log('\n🎉 Data load completed!\n')
     console.log('You can now refresh your browser to see the dashboard with data.')
 
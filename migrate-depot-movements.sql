@@ -0,0 +1,109 @@
+-- Depot backfill for ledgers started before depots existed (run once in the Supabase SQL editor, after
+-- setup-database.sql and after loading the depots with npm run load-data).
+-- Safe to re-run: only movements still without a depot are touched, and each statement is atomic.
+
+-- Sales issues: issue them from the depot serving the transaction's region (its main depot if it has several)
+UPDATE inventory_movements m
+SET warehouse_code = w.warehouse_code
+FROM transactions t
+JOIN (
+  SELECT DISTINCT ON (region) region, warehouse_code
+  FROM warehouses
+  WHERE region IS NOT NULL AND is_active IS NOT FALSE
+  ORDER BY region, COALESCE(is_main, FALSE) DESC, warehouse_code
+) w ON w.region = t.region
+WHERE m.reference_type = 'transaction'
+  AND m.reference_id = t.transaction_code
+  AND m.warehouse_code IS NULL;
+
+-- Openings: each held the whole snapshot at the main depot, while the sales above moved to the regional
+-- depots. Replace each with one opening per depot, split as ml/models/inventory-ledger.js opens a new
+-- product: the snapshot at the time (opening + the movements posted with or before it) is shared out by
+-- each depot's sales, less that depot's own movements
+WITH main_depot AS (
+  SELECT warehouse_code
+  FROM warehouses
+  WHERE is_active IS NOT FALSE
+  ORDER BY COALESCE(is_main, FALSE) DESC, warehouse_code
+  LIMIT 1
+),
+legacy AS (
+  SELECT o.id, o.product_id, o.movement_date, o.quantity_liters, o.created_at
+  FROM inventory_movements o
+  WHERE o.movement_type = 'opening'
+    AND o.warehouse_code IS NULL
+    AND EXISTS (SELECT 1 FROM main_depot)
+),
+prior AS (
+  SELECT
+    l.id AS opening_id,
+    COALESCE(m.warehouse_code, (SELECT warehouse_code FROM main_depot)) AS depot,
+    SUM(m.quantity_liters) AS net,
+    SUM(CASE WHEN m.movement_type = 'sale' THEN -m.quantity_liters ELSE 0 END) AS sales
+  FROM legacy l
+  JOIN inventory_movements m ON m.product_id = l.product_id AND m.id <> l.id AND m.created_at <= l.created_at
+  GROUP BY 1, 2
+),
+totals AS (
+  SELECT l.id AS opening_id, l.quantity_liters + COALESCE(SUM(p.net), 0) AS snapshot, COALESCE(SUM(p.sales), 0) AS sales
+  FROM legacy l
+  LEFT JOIN prior p ON p.opening_id = l.id
+  GROUP BY l.id, l.quantity_liters
+),
+depots AS (
+  SELECT opening_id, depot FROM prior
+  UNION
+  SELECT id, (SELECT warehouse_code FROM main_depot) FROM legacy
+),
+split AS (
+  SELECT
+    l.id AS opening_id,
+    l.product_id,
+    l.movement_date,
+    l.created_at,
+    d.depot,
+    ROUND(CASE
+      WHEN t.sales > 0 THEN t.snapshot * COALESCE(p.sales, 0) / t.sales
+      WHEN d.depot = (SELECT warehouse_code FROM main_depot) THEN t.snapshot
+      ELSE 0
+    END - COALESCE(p.net, 0), 2) AS quantity,
+    COUNT(*) OVER (PARTITION BY l.id) AS depot_count
+  FROM legacy l
+  JOIN totals t ON t.opening_id = l.id
+  JOIN depots d ON d.opening_id = l.id
+  LEFT JOIN prior p ON p.opening_id = l.id AND p.depot = d.depot
+),
+-- The main depot's opening is kept even at zero, so the product keeps an opening once the legacy one is gone
+kept AS (
+  SELECT opening_id, product_id, depot, movement_date, created_at, quantity, product_id || ':' || depot AS reference_id
+  FROM split
+  WHERE quantity <> 0 OR depot_count = 1 OR depot = (SELECT warehouse_code FROM main_depot)
+),
+split_openings AS (
+  INSERT INTO inventory_movements (product_id, warehouse_code, movement_type, movement_date, quantity_liters,
+    reference_type, reference_id, notes, created_at)
+  SELECT product_id, depot, 'opening', movement_date, quantity, 'opening', reference_id,
+    'Opening balance back-calculated from the stock snapshot, split across depots by sales share', created_at
+  FROM kept
+  ON CONFLICT DO NOTHING
+  RETURNING reference_id
+),
+-- A legacy opening is removed only once every one of its depot openings is in the ledger: inserted
+-- above, or already there (a conflicting row skipped by ON CONFLICT)
+present AS (
+  SELECT
+    k.opening_id,
+    k.reference_id IN (SELECT reference_id FROM split_openings) OR EXISTS (
+      SELECT 1 FROM inventory_movements e
+      WHERE e.reference_type = 'opening' AND e.movement_type = 'opening' AND e.reference_id = k.reference_id
+    ) AS in_ledger
+  FROM kept k
+),
+replaced AS (
+  SELECT opening_id
+  FROM present
+  GROUP BY opening_id
+  HAVING bool_and(in_ledger)
+)
+DELETE FROM inventory_movements
+WHERE id IN (SELECT opening_id FROM replaced);
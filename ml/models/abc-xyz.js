@@ -0,0 +1,94 @@
+/**
+ * ABC / XYZ Classification — revenue contribution × demand variability, with a
+ * target service level per class
+ *
+ * Algorithm:
+ * 1. ABC: products ranked by revenue over the last CLASSIFICATION_MONTHS months; a product
+ *    is A while the cumulative share before it is under ABC_THRESHOLDS.A (80%), B under
+ *    ABC_THRESHOLDS.B (95%), C otherwise
+ * 2. XYZ: coefficient of variation of monthly demand (the inventory optimizer's CV);
+ *    X ≤ XYZ_THRESHOLDS.X, Y ≤ XYZ_THRESHOLDS.Y, Z above — the same cut-offs as the
+ *    Low / Medium / High volatility levels
+ * 3. Each of the nine classes has a target cycle service level (service_level_targets,
+ *    DEFAULT_SERVICE_LEVELS when not set); z = Φ⁻¹(service level)
+ */
+import * as ss from 'simple-statistics'
+
+const CLASSIFICATION_MONTHS = 12
+
+export const ABC_THRESHOLDS = { A: 0.8, B: 0.95 }
+export const XYZ_THRESHOLDS = { X: 0.25, Y: 0.5 }
+
+// High-value, steady items get the tightest service; cheap, erratic ones the loosest
+export const DEFAULT_SERVICE_LEVELS = {
+  AX: 0.99, AY: 0.98, AZ: 0.97,
+  BX: 0.97, BY: 0.95, BZ: 0.93,
+  CX: 0.93, CY: 0.9, CZ: 0.85
+}
+
+function shiftMonth(month, offset) {
+  const [year, mon] = month.split('-').map(Number)
+  return new Date(Date.UTC(year, mon - 1 + offset, 1)).toISOString().substring(0, 7)
+}
+
+/**
+ * ABC class per product id from revenue contribution
+ * @returns {Object<string, { abc_class: string, revenue_share: number, cumulative_revenue_share: number }>}
+ */
+export function abcClasses(transactions, products) {
+  const months = transactions.map(t => t.transaction_date.substring(0, 7)).sort()
+  const fromMonth = months.length > 0 ? shiftMonth(months[months.length - 1], 1 - CLASSIFICATION_MONTHS) : ''
+
+  const revenue = Object.fromEntries(products.map(p => [p.id, 0]))
+  transactions.forEach(t => {
+    if (t.transaction_date.substring(0, 7) < fromMonth || !(t.product_id in revenue)) return
+    revenue[t.product_id] += parseFloat(t.total_amount) || 0
+  })
+  const total = Object.values(revenue).reduce((a, b) => a + b, 0)
+
+  const classes = {}
+  let cumulative = 0
+  Object.entries(revenue)
+    .sort(([, a], [, b]) => b - a)
+    .forEach(([id, value]) => {
+      const share = total > 0 ? value / total : 0
+      const abc = cumulative < ABC_THRESHOLDS.A ? 'A' : cumulative < ABC_THRESHOLDS.B ? 'B' : 'C'
+      cumulative += share
+      classes[id] = {
+        abc_class: value > 0 ? abc : 'C',
+        revenue_share: Math.round(share * 10000) / 10000,
+        cumulative_revenue_share: Math.round(cumulative * 10000) / 10000
+      }
+    })
+  return classes
+}
+
+/**
+ * XYZ class from the coefficient of variation of monthly demand
+ */
+export function xyzClass(cv) {
+  if (cv <= XYZ_THRESHOLDS.X) return 'X'
+  if (cv <= XYZ_THRESHOLDS.Y) return 'Y'
+  return 'Z'
+}
+
+/**
+ * Service level targets keyed by class ('AX' … 'CZ'): defaults overridden by
+ * service_level_targets rows ({ abc_class, xyz_class, service_level })
+ */
+export function serviceLevelTargets(rows = []) {
+  const targets = { ...DEFAULT_SERVICE_LEVELS }
+  rows.forEach(r => {
+    const level = parseFloat(r.service_level)
+    const key = `${r.abc_class}${r.xyz_class}`
+    if (key in targets && level > 0.5 && level < 1) targets[key] = level
+  })
+  return targets
+}
+
+/**
+ * z-score for a target cycle service level
+ */
+export function zForServiceLevel(serviceLevel) {
+  return ss.probit(serviceLevel)
+}
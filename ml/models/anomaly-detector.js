@@ -0,0 +1,260 @@
+/**
+ * Anomaly Detector — unusual transactions and monthly swings, by robust z-score
+ *
+ * Algorithm:
+ * 1. Robust z-score of a value against its history: (x − median) / (1.4826 × MAD),
+ *    with the spread floored so a perfectly flat history does not flag tiny changes;
+ *    |z| ≥ Z_THRESHOLD is an anomaly (Iglewicz–Hoaglin modified z cut-off)
+ * 2. Transactions in the last SCORING_MONTHS months, each against earlier history only:
+ *    - volume: ln(liters) vs the customer's earlier orders of the product (the product's
+ *      orders from all customers when the customer has fewer than MIN_HISTORY)
+ *    - price: unit price / list price vs the product's earlier sales
+ * 3. Monthly revenue per region, product and customer for the last SCORING_MONTHS complete
+ *    months, ln(1 + revenue) vs the previous HISTORY_MONTHS months (months without sales
+ *    count as zero once the series has started)
+ * 4. A minimum effect size per check (e.g. volume at least 3× or ⅓ of normal) keeps
+ *    statistically unusual but commercially trivial moves out of the list
+ * 5. Severity: high when |z| ≥ HIGH_Z, otherwise medium; anomalies are ranked by revenue
+ *    impact (|observed − expected| in currency), since z-scores of very stable series or of
+ *    months with no sales at all run far larger than their business weight
+ */
+const SCORING_MONTHS = 3
+const HISTORY_MONTHS = 12
+const MIN_HISTORY = 5
+const Z_THRESHOLD = 3.5
+const HIGH_Z = 6
+const MAD_SCALE = 1.4826
+
+// Minimum spread (in the metric's units) and minimum effect size per check
+const CHECKS = {
+  transaction_volume: { minSpread: 0.1, minRatio: 3 },
+  transaction_price: { minSpread: 0.02, minRatio: 1.1 },
+  region: { minSpread: 0.1, minRatio: 1.5 },
+  product: { minSpread: 0.1, minRatio: 1.5 },
+  customer: { minSpread: 0.1, minRatio: 3 }
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+/**
+ * Robust z-score of value against history
+ * @returns {{ z: number, center: number }}
+ */
+function robustZ(value, history, minSpread) {
+  const center = median(history)
+  const mad = median(history.map(v => Math.abs(v - center)))
+  const spread = Math.max(MAD_SCALE * mad, minSpread)
+  return { z: (value - center) / spread, center }
+}
+
+/**
+ * Whether a ratio to normal is large enough to matter, in either direction
+ */
+function isMaterial(ratio, minRatio) {
+  return ratio >= minRatio || ratio <= 1 / minRatio
+}
+
+function shiftMonth(month, offset) {
+  const [year, mon] = month.split('-').map(Number)
+  return new Date(Date.UTC(year, mon - 1 + offset, 1)).toISOString().substring(0, 7)
+}
+
+/**
+ * @param {object[]} transactions - sorted by transaction_date
+ * @param {object[]} customers
+ * @param {object[]} products
+ * @returns {{ anomalies: object[], summary: object|null }}
+ */
+export function detectAnomalies(transactions, customers, products) {
+  if (transactions.length === 0) return { anomalies: [], summary: null }
+
+  const productById = Object.fromEntries(products.map(p => [p.id, p]))
+  const customerById = Object.fromEntries(customers.map(c => [c.id, c]))
+  const productName = id => productById[id]?.product_name || id
+  const customerName = id => customerById[id]?.customer_name || id
+
+  const sorted = [...transactions].sort((a, b) => a.transaction_date.localeCompare(b.transaction_date))
+  const asOf = sorted[sorted.length - 1].transaction_date.substring(0, 10)
+  const latestMonth = asOf.substring(0, 7)
+  const scoringStart = shiftMonth(latestMonth, 1 - SCORING_MONTHS)
+  const anomalies = []
+
+  const flag = (row, z) => {
+    anomalies.push({
+      ...row,
+      robust_z: round2(z),
+      direction: z > 0 ? 'high' : 'low',
+      severity: Math.abs(z) >= HIGH_Z ? 'high' : 'medium'
+    })
+  }
+
+  // Transactions: each scored against the orders that came before it
+  const byCustomerProduct = {}
+  const byProduct = {}
+  let transactionsScored = 0
+  sorted.forEach(t => {
+    const qty = parseFloat(t.quantity_liters) || 0
+    const price = parseFloat(t.unit_price) || 0
+    const listPrice = parseFloat(productById[t.product_id]?.selling_price) || 0
+    const cpKey = `${t.customer_id}|${t.product_id}`
+    const ownHistory = byCustomerProduct[cpKey] || []
+    const productHistory = byProduct[t.product_id] || []
+
+    if (t.transaction_date.substring(0, 7) >= scoringStart && qty > 0) {
+      transactionsScored++
+      const base = {
+        dimension: 'transaction',
+        dimension_key: t.transaction_code,
+        transaction_code: t.transaction_code,
+        customer_id: t.customer_id,
+        product_id: t.product_id,
+        region: t.region || null,
+        salesperson: t.salesperson || null,
+        period_month: `${t.transaction_date.substring(0, 7)}-01`,
+        anomaly_date: t.transaction_date.substring(0, 10)
+      }
+
+      const volumeHistory = ownHistory.length >= MIN_HISTORY ? ownHistory : productHistory
+      if (volumeHistory.length >= MIN_HISTORY) {
+        const { z, center } = robustZ(Math.log(qty), volumeHistory.map(h => Math.log(h.qty)), CHECKS.transaction_volume.minSpread)
+        const expected = Math.exp(center)
+        const ratio = qty / expected
+        if (Math.abs(z) >= Z_THRESHOLD && isMaterial(ratio, CHECKS.transaction_volume.minRatio)) {
+          flag({
+            ...base,
+            anomaly_type: 'transaction_volume',
+            metric: 'quantity_liters',
+            observed_value: round2(qty),
+            expected_value: round2(expected),
+            deviation_ratio: round2(ratio),
+            impact_amount: round2(Math.abs(qty - expected) * price),
+            history_points: volumeHistory.length,
+            description: `${customerName(t.customer_id)} ordered ${Math.round(qty).toLocaleString()} L of ${productName(t.product_id)}, ${ratio >= 1 ? `${ratio.toFixed(1)}× their` : `${Math.round(ratio * 100)}% of their`} usual ${Math.round(expected).toLocaleString()} L` +
+              (volumeHistory === productHistory ? ' (usual = all customers\' orders of this product)' : '')
+          }, z)
+        }
+      }
+
+      const priceHistory = productHistory.filter(h => h.priceRatio !== null)
+      if (listPrice > 0 && price > 0 && priceHistory.length >= MIN_HISTORY) {
+        const priceRatio = price / listPrice
+        const { z, center } = robustZ(priceRatio, priceHistory.map(h => h.priceRatio), CHECKS.transaction_price.minSpread)
+        const ratio = priceRatio / center
+        if (Math.abs(z) >= Z_THRESHOLD && isMaterial(ratio, CHECKS.transaction_price.minRatio)) {
+          flag({
+            ...base,
+            anomaly_type: 'transaction_price',
+            metric: 'unit_price',
+            observed_value: round2(price),
+            expected_value: round2(center * listPrice),
+            deviation_ratio: round2(ratio),
+            impact_amount: round2(Math.abs(price - center * listPrice) * qty),
+            history_points: priceHistory.length,
+            description: `${productName(t.product_id)} sold to ${customerName(t.customer_id)} at ${price.toLocaleString()}/L, ${Math.abs(Math.round((1 - priceRatio) * 100))}% ${priceRatio < 1 ? 'below' : 'above'} list` +
+              (Math.abs(1 - center) < 0.005 ? ' (usually sold at list)' : ` (usually ${Math.round(Math.abs(1 - center) * 100)}% ${center < 1 ? 'below' : 'above'})`)
+          }, z)
+        }
+      }
+    }
+
+    if (qty > 0) {
+      const entry = { qty, priceRatio: listPrice > 0 && price > 0 ? price / listPrice : null }
+      byCustomerProduct[cpKey] = ownHistory.concat(entry)
+      byProduct[t.product_id] = productHistory.concat(entry)
+    }
+  })
+
+  // Monthly aggregates: complete months only
+  const lastDay = new Date(Date.UTC(Number(latestMonth.substring(0, 4)), Number(latestMonth.substring(5, 7)), 0)).getUTCDate()
+  const lastCompleteMonth = Number(asOf.substring(8, 10)) === lastDay ? latestMonth : shiftMonth(latestMonth, -1)
+  const scoredMonths = Array.from({ length: SCORING_MONTHS }, (_, i) => shiftMonth(lastCompleteMonth, i + 1 - SCORING_MONTHS))
+
+  const dimensions = {
+    region: t => t.region || 'Unknown',
+    product: t => t.product_id,
+    customer: t => t.customer_id
+  }
+  let aggregatesScored = 0
+  Object.entries(dimensions).forEach(([dimension, keyOf]) => {
+    const series = {}
+    sorted.forEach(t => {
+      const key = keyOf(t)
+      const month = t.transaction_date.substring(0, 7)
+      if (!series[key]) series[key] = {}
+      series[key][month] = (series[key][month] || 0) + (parseFloat(t.total_amount) || 0)
+    })
+
+    Object.entries(series).forEach(([key, monthly]) => {
+      const firstMonth = Object.keys(monthly).sort()[0]
+      scoredMonths.forEach(month => {
+        const history = Array.from({ length: HISTORY_MONTHS }, (_, i) => shiftMonth(month, -1 - i))
+          .filter(m => m >= firstMonth)
+          .map(m => monthly[m] || 0)
+        if (history.length < MIN_HISTORY) return
+        aggregatesScored++
+
+        const revenue = monthly[month] || 0
+        const { z, center } = robustZ(Math.log1p(revenue), history.map(v => Math.log1p(v)), CHECKS[dimension].minSpread)
+        const expected = Math.expm1(center)
+        const ratio = expected > 0 ? revenue / expected : (revenue > 0 ? Infinity : 1)
+        if (Math.abs(z) < Z_THRESHOLD || !isMaterial(ratio, CHECKS[dimension].minRatio)) return
+
+        const label = dimension === 'region' ? `${key} region`
+          : dimension === 'product' ? productName(key)
+            : customerName(key)
+        const change = isFinite(ratio) ? `${ratio >= 1 ? '+' : ''}${Math.round((ratio - 1) * 100)}%` : 'from nothing'
+        flag({
+          anomaly_type: 'monthly_revenue',
+          dimension,
+          dimension_key: key,
+          transaction_code: null,
+          customer_id: dimension === 'customer' ? key : null,
+          product_id: dimension === 'product' ? key : null,
+          region: dimension === 'region' ? key : null,
+          salesperson: null,
+          period_month: `${month}-01`,
+          anomaly_date: null,
+          metric: 'revenue',
+          observed_value: round2(revenue),
+          expected_value: round2(expected),
+          deviation_ratio: isFinite(ratio) ? round2(ratio) : null,
+          impact_amount: round2(Math.abs(revenue - expected)),
+          history_points: history.length,
+          description: `${label} revenue in ${month}: ${Math.round(revenue).toLocaleString()} vs a typical ${Math.round(expected).toLocaleString()} (${change})`
+        }, z)
+      })
+    })
+  })
+
+  anomalies.sort((a, b) => b.impact_amount - a.impact_amount)
+
+  const byType = {}
+  anomalies.forEach(a => {
+    const type = a.anomaly_type === 'monthly_revenue' ? `monthly_${a.dimension}` : a.anomaly_type
+    byType[type] = (byType[type] || 0) + 1
+  })
+  const summary = {
+    as_of_date: asOf,
+    scoring_months: SCORING_MONTHS,
+    history_months: HISTORY_MONTHS,
+    z_threshold: Z_THRESHOLD,
+    transactions_scored: transactionsScored,
+    aggregates_scored: aggregatesScored,
+    flagged: anomalies.length,
+    high_severity: anomalies.filter(a => a.severity === 'high').length,
+    by_type: byType
+  }
+
+  console.log(`  Anomalies: ${anomalies.length} flagged (|robust z| ≥ ${Z_THRESHOLD}) — ${transactionsScored} transactions and ${aggregatesScored} monthly aggregates scored since ${scoringStart}`)
+  Object.entries(byType).forEach(([type, count]) => console.log(`    ${type}: ${count}`))
+
+  return { anomalies, summary }
+}
@@ -0,0 +1,50 @@
+/**
+ * Holdout Backtest — picks the best candidate model for a time series
+ *
+ * Algorithm:
+ * 1. Split series into train (all but last N points) and holdout (last N points)
+ * 2. Fit every eligible candidate on train, forecast N steps ahead
+ * 3. Score each candidate on the holdout: MAPE (non-zero actuals only) and RMSE
+ * 4. Rank by MAPE, falling back to RMSE when MAPE is undefined or tied
+ */
+
+/**
+ * @param {number[]} series - time series values, oldest first
+ * @param {{ name: string, minLength?: number, fit: (train: number[]) => (h: number) => number }[]} candidates
+ * @param {number} holdout - number of trailing points held out for scoring
+ * @returns {{ chosen: object|null, candidates: { model: string, mape: number|null, rmse: number }[] }}
+ */
+export function backtestModels(series, candidates, holdout) {
+  if (holdout < 1 || series.length <= holdout) return { chosen: null, candidates: [] }
+
+  const train = series.slice(0, series.length - holdout)
+  const actual = series.slice(series.length - holdout)
+
+  const results = candidates
+    .filter(c => train.length >= (c.minLength || 2))
+    .map(c => {
+      const forecast = c.fit(train)
+      const predicted = actual.map((_, i) => Math.max(0, forecast(i + 1)))
+
+      const pctErrors = actual
+        .map((y, i) => (y > 0 ? Math.abs((y - predicted[i]) / y) : null))
+        .filter(e => e !== null)
+      const mape = pctErrors.length > 0
+        ? pctErrors.reduce((a, b) => a + b, 0) / pctErrors.length
+        : null
+      const rmse = Math.sqrt(actual.reduce((s, y, i) => s + Math.pow(y - predicted[i], 2), 0) / actual.length)
+
+      return {
+        model: c.name,
+        mape: mape === null ? null : Math.round(mape * 10000) / 10000,
+        rmse: Math.round(rmse * 100) / 100
+      }
+    })
+    .sort((a, b) => {
+      const am = a.mape === null ? Infinity : a.mape
+      const bm = b.mape === null ? Infinity : b.mape
+      return am !== bm ? am - bm : a.rmse - b.rmse
+    })
+
+  return { chosen: results[0] || null, candidates: results }
+}
@@ -4,12 +4,32 @@
  * Algorithm:
  * 1. Compute monthly revenue and paid amounts from transaction history
  * 2. Calculate historical collection rate per month (paid / revenue)
- * 3. Apply Simple Exponential Smoothing (SES) on revenue series
+ * 3. Forecast revenue series with Holt's double exponential smoothing, or the
+ *    SES / Holt parameter set chosen by holdout backtest (selectCashFlowModel)
  * 4. Apply SES on collection rate series
- * 5. Forecast next 3 months with best/worst/likely scenarios using std dev
+ * 5. Forecast the horizon (1–12 months, default 3) with best/worst/likely scenarios
+ *    using std dev; the revenue line can be replaced by the reconciled total
+ *    (forecast-reconciler.js)
  * 6. Confidence from Mean Absolute Percentage Error (MAPE)
+ *
+ * Weekly granularity runs the same steps on Monday-start weeks (partial first/last
+ * weeks excluded from the series) over round(horizon × 52/12) weeks. Reconciled
+ * monthly revenue is spread over the weeks by calendar days, and the weeks stop at
+ * the last one inside the reconciled months (weeks past them would fall back to
+ * the weekly model's own level).
  */
 import * as ss from 'simple-statistics'
+import { backtestModels } from './backtest.js'
+
+const DEFAULT_REVENUE_MODEL = { model: 'holt_exponential_smoothing', alpha: 0.3, beta: 0.1 }
+const WEEKS_PER_MONTH = 52 / 12
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Candidate revenue models for backtesting: SES and a small Holt parameter grid
+const REVENUE_CANDIDATES = [
+  ...[0.3, 0.5, 0.8].map(alpha => ({ model: 'simple_exponential_smoothing', alpha })),
+  ...[0.2, 0.3, 0.5, 0.8].flatMap(alpha => [0.1, 0.3].map(beta => ({ model: 'holt_exponential_smoothing', alpha, beta })))
+]
 
 /**
  * Simple Exponential Smoothing
@@ -35,9 +55,10 @@ function exponentialSmoothing(series, alpha = 0.3) {
  * @param {number[]} series
  * @param {number} alpha - level smoothing
  * @param {number} beta - trend smoothing
+ * @param {number} horizon - number of periods to forecast
  * @returns {{ forecasts: number[], level: number, trend: number }}
  */
-function holtSmoothing(series, alpha = 0.3, beta = 0.1) {
+function holtSmoothing(series, alpha = 0.3, beta = 0.1, horizon = 3) {
   if (series.length < 2) {
     return { forecasts: [series[0] || 0], level: series[0] || 0, trend: 0 }
   }
@@ -55,49 +76,184 @@ function holtSmoothing(series, alpha = 0.3, beta = 0.1) {
 
   // Forecast h steps ahead
   const forecasts = []
-  for (let h = 1; h <= 3; h++) {
+  for (let h = 1; h <= horizon; h++) {
     forecasts.push(level + h * trend)
   }
 
   return { forecasts, level, trend, smoothed }
 }
 
-export function forecastCashFlow(transactions) {
-  // Group transactions by month
-  const monthlyData = {}
+function revenueModelName({ model, alpha, beta }) {
+  return beta === undefined ? `${model}(alpha=${alpha})` : `${model}(alpha=${alpha},beta=${beta})`
+}
+
+/**
+ * Fit a revenue model and return its h-step forecast function and in-sample smoothed series
+ */
+function fitRevenueModel(series, { model, alpha, beta }) {
+  if (model === 'simple_exponential_smoothing') {
+    const ses = exponentialSmoothing(series, alpha)
+    return { forecast: () => ses.forecast, smoothed: ses.smoothed }
+  }
+  const fit = holtSmoothing(series, alpha, beta)
+  return { forecast: h => fit.level + h * fit.trend, smoothed: fit.smoothed }
+}
+
+function monthlyRevenue(transactions) {
+  const monthly = {}
   transactions.forEach(t => {
     const month = t.transaction_date.substring(0, 7)
-    if (!monthlyData[month]) {
-      monthlyData[month] = { revenue: 0, paid: 0, outstanding: 0, count: 0 }
+    monthly[month] = (monthly[month] || 0) + (parseFloat(t.total_amount) || 0)
+  })
+  return monthly
+}
+
+function monthlyRevenueSeries(transactions) {
+  const monthly = monthlyRevenue(transactions)
+  return Object.keys(monthly).sort().map(m => monthly[m])
+}
+
+/**
+ * First day of the month `offset` months after a 'YYYY-MM' month
+ */
+function futureMonth(lastMonth, offset) {
+  const [year, mon] = lastMonth.split('-').map(Number)
+  return new Date(Date.UTC(year, mon - 1 + offset, 1)).toISOString().substring(0, 10)
+}
+
+/**
+ * Monday of the week containing a 'YYYY-MM-DD' date, as 'YYYY-MM-DD'
+ */
+function weekStart(date) {
+  const d = new Date(`${date.substring(0, 10)}T00:00:00Z`)
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7))
+  return d.toISOString().substring(0, 10)
+}
+
+function addDays(date, days) {
+  return new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().substring(0, 10)
+}
+
+/**
+ * Spread monthly revenue over a week by calendar days
+ * @returns {number|null} null when a day of the week falls outside the monthly forecast
+ */
+function weeklyShareOfMonthly(weekStartDate, monthlyRevenueByMonth) {
+  let total = 0
+  for (let day = 0; day < 7; day++) {
+    const date = new Date(`${addDays(weekStartDate, day)}T00:00:00Z`)
+    const month = date.toISOString().substring(0, 7)
+    if (monthlyRevenueByMonth[month] === undefined) return null
+    const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate()
+    total += monthlyRevenueByMonth[month] / daysInMonth
+  }
+  return total
+}
+
+/**
+ * Top-down company revenue forecast for the next `horizon` months, used as the
+ * total level in forecast reconciliation
+ * @returns {{ forecast_month: string, predicted_revenue: number }[]}
+ */
+export function forecastRevenue(transactions, { revenueModel = DEFAULT_REVENUE_MODEL, horizon = 3 } = {}) {
+  const monthly = monthlyRevenue(transactions)
+  const sortedMonths = Object.keys(monthly).sort()
+  if (sortedMonths.length < 3) return []
+
+  const revenueFit = fitRevenueModel(sortedMonths.map(m => monthly[m]), revenueModel)
+  const lastMonth = sortedMonths[sortedMonths.length - 1]
+  return Array.from({ length: horizon }, (_, i) => i + 1).map(h => ({
+    forecast_month: futureMonth(lastMonth, h),
+    predicted_revenue: Math.max(0, revenueFit.forecast(h))
+  }))
+}
+
+/**
+ * Backtest SES and Holt parameter sets on the last `holdoutMonths` months of revenue
+ * @returns {{ series: string, chosen: string, params: object, mape: number|null, rmse: number, candidates: object[] }|null}
+ */
+export function selectCashFlowModel(transactions, holdoutMonths = 3) {
+  const revenueSeries = monthlyRevenueSeries(transactions)
+  const byName = {}
+  const candidates = REVENUE_CANDIDATES.map(params => {
+    const name = revenueModelName(params)
+    byName[name] = params
+    return { name, minLength: 3, fit: train => fitRevenueModel(train, params).forecast }
+  })
+
+  const result = backtestModels(revenueSeries, candidates, holdoutMonths)
+  if (!result.chosen) {
+    console.log('  Cash flow model selection: not enough monthly data to backtest')
+    return null
+  }
+
+  console.log(`  Cash flow model selection: ${result.chosen.model} (MAPE ${result.chosen.mape}, RMSE ${result.chosen.rmse})`)
+
+  return {
+    series: 'monthly_revenue',
+    chosen: result.chosen.model,
+    params: byName[result.chosen.model],
+    mape: result.chosen.mape,
+    rmse: result.chosen.rmse,
+    candidates: result.candidates
+  }
+}
+
+/**
+ * @param {object[]} transactions
+ * @param {{ revenueModel?: { model: string, alpha: number, beta?: number }, revenueForecast?: { forecast_month: string, predicted_revenue: number }[], horizon?: number, granularity?: 'monthly'|'weekly' }} options
+ *   revenueModel from selectCashFlowModel; revenueForecast (reconciled monthly totals) overrides the
+ *   model's revenue line; horizon in months; granularity of the returned periods
+ */
+export function forecastCashFlow(transactions, { revenueModel = DEFAULT_REVENUE_MODEL, revenueForecast = null, horizon = 3, granularity = 'monthly' } = {}) {
+  const weekly = granularity === 'weekly'
+  const periodOf = t => (weekly ? weekStart(t.transaction_date) : t.transaction_date.substring(0, 7))
+
+  // Group transactions by period (month, or Monday-start week)
+  const periodData = {}
+  transactions.forEach(t => {
+    const period = periodOf(t)
+    if (!periodData[period]) {
+      periodData[period] = { revenue: 0, paid: 0, outstanding: 0, count: 0 }
     }
-    monthlyData[month].revenue += parseFloat(t.total_amount) || 0
-    monthlyData[month].outstanding += parseFloat(t.outstanding_amount) || 0
+    periodData[period].revenue += parseFloat(t.total_amount) || 0
+    periodData[period].outstanding += parseFloat(t.outstanding_amount) || 0
     if (t.payment_status === 'Paid') {
-      monthlyData[month].paid += parseFloat(t.total_amount) || 0
+      periodData[period].paid += parseFloat(t.total_amount) || 0
     } else {
       // For partial payments, paid = total - outstanding
       const paid = (parseFloat(t.total_amount) || 0) - (parseFloat(t.outstanding_amount) || 0)
-      monthlyData[month].paid += Math.max(0, paid)
+      periodData[period].paid += Math.max(0, paid)
     }
-    monthlyData[month].count += 1
+    periodData[period].count += 1
   })
 
-  // Sort months chronologically
-  const sortedMonths = Object.keys(monthlyData).sort()
-  if (sortedMonths.length < 3) {
-    console.log('  Cash Flow: Not enough monthly data for forecasting')
+  // Sort periods chronologically; weekly series skip partial first / last weeks
+  const allPeriods = Object.keys(periodData).sort()
+  const lastPeriod = allPeriods[allPeriods.length - 1]
+  let sortedPeriods = allPeriods
+  let stepOffset = 0
+  if (weekly && allPeriods.length > 0) {
+    const dates = transactions.map(t => t.transaction_date.substring(0, 10)).sort()
+    if (dates[0] > allPeriods[0]) sortedPeriods = sortedPeriods.slice(1)
+    if (dates[dates.length - 1] < addDays(lastPeriod, 6)) {
+      sortedPeriods = sortedPeriods.slice(0, -1)
+      stepOffset = 1 // forecasts start one step after the last complete week
+    }
+  }
+  if (sortedPeriods.length < 3) {
+    console.log('  Cash Flow: Not enough data for forecasting')
     return []
   }
 
   // Extract time series
-  const revenueSeries = sortedMonths.map(m => monthlyData[m].revenue)
-  const paidSeries = sortedMonths.map(m => monthlyData[m].paid)
-  const collectionRates = sortedMonths.map(m =>
-    monthlyData[m].revenue > 0 ? monthlyData[m].paid / monthlyData[m].revenue : 0
+  const revenueSeries = sortedPeriods.map(m => periodData[m].revenue)
+  const collectionRates = sortedPeriods.map(m =>
+    periodData[m].revenue > 0 ? periodData[m].paid / periodData[m].revenue : 0
   )
 
-  // Apply Holt's double exponential smoothing on revenue (captures trend)
-  const revenueHolt = holtSmoothing(revenueSeries, 0.3, 0.1)
+  // Apply the revenue model (Holt's double exponential smoothing by default, captures trend)
+  const revenueFit = fitRevenueModel(revenueSeries, revenueModel)
 
   // Apply simple exponential smoothing on collection rates
   const collectionSES = exponentialSmoothing(collectionRates, 0.3)
@@ -107,7 +263,7 @@ export function forecastCashFlow(transactions) {
   const avgCollectionRate = collectionSES.forecast
 
   // Calculate MAPE for confidence
-  const revenueSmoothed = holtSmoothing(revenueSeries, 0.3, 0.1).smoothed
+  const revenueSmoothed = revenueFit.smoothed
   const errors = revenueSeries.map((actual, i) => {
     const pred = i < revenueSmoothed.length ? revenueSmoothed[i] : actual
     return actual > 0 ? Math.abs((actual - pred) / actual) : 0
@@ -115,16 +271,31 @@ export function forecastCashFlow(transactions) {
   const mape = ss.mean(errors)
   const confidence = Math.round(Math.max(0, Math.min(99, (1 - mape) * 100)) * 100) / 100
 
-  // Generate forecasts for next 3 months
-  const lastMonth = sortedMonths[sortedMonths.length - 1]
-  const [year, mon] = lastMonth.split('-').map(Number)
+  // Generate forecasts over the horizon
+  const reconciledRevenue = Object.fromEntries(
+    (revenueForecast || []).map(r => [r.forecast_month.substring(0, 7), r.predicted_revenue]))
+  const periods = weekly ? Math.round(horizon * WEEKS_PER_MONTH) : horizon
+  const lastReconciledMonth = Object.keys(reconciledRevenue).sort().pop()
+  const lastReconciledDay = lastReconciledMonth
+    ? addDays(futureMonth(lastReconciledMonth, 1), -1)
+    : null
   const forecasts = []
 
-  for (let i = 0; i < 3; i++) {
-    const futureDate = new Date(year, mon - 1 + i + 1, 1)
-    const forecastMonth = futureDate.toISOString().substring(0, 10)
+  for (let i = 0; i < periods; i++) {
+    let forecastMonth
+    let reconciled
+    if (weekly) {
+      forecastMonth = addDays(lastPeriod, 7 * (i + 1))
+      if (lastReconciledDay && addDays(forecastMonth, 6) > lastReconciledDay) break
+      reconciled = revenueForecast ? weeklyShareOfMonthly(forecastMonth, reconciledRevenue) : null
+    } else {
+      forecastMonth = futureMonth(lastPeriod, i + 1)
+      reconciled = reconciledRevenue[forecastMonth.substring(0, 7)]
+    }
 
-    const predictedRevenue = Math.max(0, revenueHolt.forecasts[i])
+    const predictedRevenue = reconciled !== undefined && reconciled !== null
+      ? reconciled
+      : Math.max(0, revenueFit.forecast(i + 1 + stepOffset))
 
     // Scenarios based on collection rate ± std dev
     const bestRate = Math.min(1, avgCollectionRate + collectionStdDev)
@@ -138,6 +309,8 @@ export function forecastCashFlow(transactions) {
 
     forecasts.push({
       forecast_month: forecastMonth,
+      granularity,
+      predicted_revenue: Math.round(predictedRevenue * 100) / 100,
       expected_inflow: Math.round(mostLikely * 100) / 100,
       best_case_inflow: Math.round(bestCase * 100) / 100,
       worst_case_inflow: Math.round(worstCase * 100) / 100,
@@ -145,11 +318,11 @@ export function forecastCashFlow(transactions) {
       expected_delay: Math.round(expectedDelay * 100) / 100,
       collection_rate: Math.round(likelyRate * 10000) / 10000,
       confidence_score: confidence,
-      model_used: 'holt_exponential_smoothing'
+      model_used: revenueModel.model
     })
   }
 
-  console.log(`  Cash Flow Predictor: ${forecasts.length} monthly forecasts`)
+  console.log(`  Cash Flow Predictor: ${forecasts.length} ${weekly ? 'weekly' : 'monthly'} forecasts (${revenueForecast ? 'reconciled revenue' : revenueModelName(revenueModel)})`)
   console.log(`    Avg collection rate: ${(avgCollectionRate * 100).toFixed(1)}%`)
   console.log(`    Model confidence (MAPE): ${confidence}%`)
 
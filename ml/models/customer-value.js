@@ -0,0 +1,205 @@
+/**
+ * Customer Value — RFM segments, churn probability and 12-month customer lifetime value
+ *
+ * Algorithm:
+ * 1. RFM as of the latest transaction: recency (days since last purchase), frequency
+ *    (invoices in the last 12 months), monetary (revenue in the last 12 months);
+ *    each scored 1-5 by quintile across customers (5 = best) and mapped to a segment
+ * 2. Churn = no purchase in the next CHURN_DAYS days. Each customer's gap between
+ *    purchases follows a survival curve blending their own completed gaps with the
+ *    pooled gaps of all customers (GAP_PRIOR_WEIGHT pseudo-gaps) and an exponential
+ *    tail at their mean gap, so the curve never reaches zero
+ * 3. P(churn) = S(recency + CHURN_DAYS) / S(recency): the chance the current gap
+ *    stretches at least CHURN_DAYS further
+ * 4. Monthly retention = (1 − P(churn))^(30 / CHURN_DAYS); 12-month CLV = Σ over the
+ *    next 12 months of average monthly revenue × retention^m; margin CLV applies the
+ *    customer's historical gross margin ratio
+ * 5. Backtest: the same model run as of CHURN_DAYS before the latest transaction is
+ *    compared with who actually bought since (mean predicted vs observed churn, AUC)
+ */
+import { aucScore } from './logistic-regression.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const CHURN_DAYS = 90
+const GAP_PRIOR_WEIGHT = 10 // pooled pseudo-gaps blended into each customer's own gaps
+const CLV_MONTHS = 12
+const DAYS_PER_MONTH = 30
+
+function toTime(date) {
+  return new Date(`${date.substring(0, 10)}T00:00:00Z`).getTime()
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100
+}
+
+/**
+ * Quintile score 1-5 for each value (higher value = higher score)
+ */
+function quintileScores(values) {
+  const sorted = [...values].sort((a, b) => a - b)
+  return values.map(v => {
+    const rank = sorted.filter(x => x < v).length + (sorted.filter(x => x === v).length + 1) / 2
+    return Math.min(5, Math.max(1, Math.ceil(rank / values.length * 5)))
+  })
+}
+
+/**
+ * RFM segment from recency and frequency scores (monetary separates "Can't Lose Them")
+ */
+function rfmSegment(r, f, m) {
+  if (r >= 4 && f >= 4) return 'Champions'
+  if (r >= 3 && f >= 4) return 'Loyal Customers'
+  if (r >= 4 && f === 1) return 'New Customers'
+  if (r >= 4) return 'Potential Loyalists'
+  if (r === 3) return 'Needs Attention'
+  if (r === 1 && f >= 4 && m >= 4) return "Can't Lose Them"
+  if (f >= 3) return 'At Risk'
+  return 'Hibernating'
+}
+
+/**
+ * Purchase history per customer as of atTime: sorted purchase days and completed gaps
+ */
+function purchaseHistories(transactions, atTime) {
+  const histories = {}
+  transactions.forEach(t => {
+    const time = toTime(t.transaction_date)
+    if (time > atTime) return
+    if (!histories[t.customer_id]) histories[t.customer_id] = { days: new Set(), txns: [] }
+    histories[t.customer_id].days.add(time)
+    histories[t.customer_id].txns.push(t)
+  })
+  Object.values(histories).forEach(h => {
+    h.times = [...h.days].sort((a, b) => a - b)
+    h.gaps = h.times.slice(1).map((time, i) => (time - h.times[i]) / DAY_MS)
+  })
+  return histories
+}
+
+/**
+ * P(no purchase in the next churnDays days) for every customer as of atTime
+ * @returns {Object<string, number>}
+ */
+function churnProbabilities(histories, atTime, churnDays) {
+  const pooled = Object.values(histories).flatMap(h => h.gaps)
+  const pooledSurvival = x => pooled.length > 0 ? pooled.filter(g => g > x).length / pooled.length : Math.exp(-x / churnDays)
+  const pooledMean = pooled.length > 0 ? pooled.reduce((a, b) => a + b, 0) / pooled.length : churnDays
+
+  const result = {}
+  Object.entries(histories).forEach(([customerId, h]) => {
+    const meanGap = h.gaps.length > 0 ? h.gaps.reduce((a, b) => a + b, 0) / h.gaps.length : pooledMean
+    const survival = x => (
+      h.gaps.filter(g => g > x).length + GAP_PRIOR_WEIGHT * pooledSurvival(x) + Math.exp(-x / meanGap)
+    ) / (h.gaps.length + GAP_PRIOR_WEIGHT + 1)
+
+    const recency = (atTime - h.times[h.times.length - 1]) / DAY_MS
+    const now = survival(recency)
+    result[customerId] = now > 0 ? Math.min(1, survival(recency + churnDays) / now) : 1
+  })
+  return result
+}
+
+/**
+ * @param {object[]} transactions
+ * @param {object[]} customers
+ * @param {object[]} products
+ * @param {{ churnDays?: number }} options
+ * @returns {{ scores: object[], summary: object|null }}
+ */
+export function scoreCustomerValue(transactions, customers, products, { churnDays = CHURN_DAYS } = {}) {
+  if (transactions.length === 0) return { scores: [], summary: null }
+
+  const customerIds = new Set(customers.map(c => c.id))
+  const costOf = Object.fromEntries(products.map(p => [p.id, parseFloat(p.cost_price) || 0]))
+  const asOf = transactions.map(t => t.transaction_date.substring(0, 10)).sort().pop()
+  const asOfTime = toTime(asOf)
+  const yearAgo = asOfTime - 365 * DAY_MS
+
+  const histories = purchaseHistories(transactions, asOfTime)
+  const churn = churnProbabilities(histories, asOfTime, churnDays)
+
+  const rows = Object.entries(histories)
+    .filter(([customerId]) => customerIds.has(customerId))
+    .map(([customerId, h]) => {
+      const recent = h.txns.filter(t => toTime(t.transaction_date) > yearAgo)
+      const revenue = h.txns.reduce((s, t) => s + (parseFloat(t.total_amount) || 0), 0)
+      const margin = h.txns.reduce((s, t) => {
+        const qty = parseFloat(t.quantity_liters) || 0
+        return s + (parseFloat(t.total_amount) || 0) - qty * (costOf[t.product_id] || 0)
+      }, 0)
+      const salesCount = {}
+      h.txns.forEach(t => { if (t.salesperson) salesCount[t.salesperson] = (salesCount[t.salesperson] || 0) + 1 })
+      const salesperson = Object.keys(salesCount).sort((a, b) => salesCount[b] - salesCount[a])[0] || null
+      const monetary = recent.reduce((s, t) => s + (parseFloat(t.total_amount) || 0), 0)
+      // Average monthly revenue over the months the customer has been active in the last year
+      const activeMonths = Math.min(12, Math.max(1, Math.ceil((asOfTime - Math.max(h.times[0], yearAgo)) / DAY_MS / DAYS_PER_MONTH)))
+      const monthlyRevenue = monetary / activeMonths
+
+      const churnProbability = churn[customerId]
+      const monthlyRetention = Math.pow(1 - churnProbability, DAYS_PER_MONTH / churnDays)
+      let clv = 0
+      for (let m = 1; m <= CLV_MONTHS; m++) clv += monthlyRevenue * Math.pow(monthlyRetention, m)
+
+      return {
+        customer_id: customerId,
+        salesperson,
+        last_purchase_date: new Date(h.times[h.times.length - 1]).toISOString().substring(0, 10),
+        recency_days: Math.round((asOfTime - h.times[h.times.length - 1]) / DAY_MS),
+        frequency: recent.length,
+        monetary: round2(monetary),
+        churn_probability: Math.round(churnProbability * 10000) / 10000,
+        expected_monthly_revenue: round2(monthlyRevenue),
+        predicted_clv_12m: round2(clv),
+        predicted_margin_12m: round2(revenue > 0 ? clv * margin / revenue : 0),
+        as_of_date: asOf
+      }
+    })
+
+  const rScores = quintileScores(rows.map(r => -r.recency_days))
+  const fScores = quintileScores(rows.map(r => r.frequency))
+  const mScores = quintileScores(rows.map(r => r.monetary))
+  const scores = rows.map((r, i) => ({
+    ...r,
+    r_score: rScores[i],
+    f_score: fScores[i],
+    m_score: mScores[i],
+    rfm_segment: rfmSegment(rScores[i], fScores[i], mScores[i]),
+    churn_risk_level: r.churn_probability >= 0.5 ? 'High' : r.churn_probability >= 0.2 ? 'Medium' : 'Low'
+  }))
+
+  // Backtest as of churnDays ago against who actually bought since
+  const backtestTime = asOfTime - churnDays * DAY_MS
+  const pastHistories = purchaseHistories(transactions, backtestTime)
+  const pastChurn = churnProbabilities(pastHistories, backtestTime, churnDays)
+  const boughtSince = new Set(transactions.filter(t => toTime(t.transaction_date) > backtestTime).map(t => t.customer_id))
+  const backtestIds = Object.keys(pastChurn)
+  const predicted = backtestIds.map(id => pastChurn[id])
+  const observed = backtestIds.map(id => (boughtSince.has(id) ? 0 : 1))
+  const auc = aucScore(predicted, observed)
+
+  const segments = {}
+  scores.forEach(s => { segments[s.rfm_segment] = (segments[s.rfm_segment] || 0) + 1 })
+  const summary = {
+    as_of_date: asOf,
+    churn_days: churnDays,
+    customers: scores.length,
+    high_churn_risk: scores.filter(s => s.churn_risk_level === 'High').length,
+    total_clv_12m: round2(scores.reduce((s, r) => s + r.predicted_clv_12m, 0)),
+    segments,
+    backtest: {
+      as_of_date: new Date(backtestTime).toISOString().substring(0, 10),
+      customers: backtestIds.length,
+      predicted_churn_rate: backtestIds.length > 0 ? Math.round(predicted.reduce((a, b) => a + b, 0) / backtestIds.length * 10000) / 10000 : null,
+      observed_churn_rate: backtestIds.length > 0 ? Math.round(observed.reduce((a, b) => a + b, 0) / backtestIds.length * 10000) / 10000 : null,
+      auc: auc !== null ? Math.round(auc * 10000) / 10000 : null
+    }
+  }
+
+  console.log(`  Customer Value: ${scores.length} customers (churn = no purchase in ${churnDays} days)`)
+  console.log(`    Segments: ${Object.entries(segments).map(([k, v]) => `${k} ${v}`).join(', ')}`)
+  console.log(`    High churn risk: ${summary.high_churn_risk}, 12-month CLV: ${Math.round(summary.total_clv_12m)}`)
+  console.log(`    Backtest from ${summary.backtest.as_of_date}: predicted churn ${(summary.backtest.predicted_churn_rate * 100).toFixed(1)}%, observed ${(summary.backtest.observed_churn_rate * 100).toFixed(1)}%`)
+
+  return { scores, summary }
+}
@@ -0,0 +1,226 @@
+/**
+ * Depot Inventory — per-depot reorder points from regional demand, and stock transfers
+ * between depots
+ *
+ * Algorithm:
+ * 1. Each depot serves the sales region it is in: a transaction is issued from the depot of
+ *    its region. Regions without a depot are served by the main depot (is_main), which is
+ *    also where supplier deliveries are received
+ * 2. Monthly demand per product × depot from that depot's transactions, over the same months
+ *    as the product-level optimizer; mean and σ of monthly demand
+ * 3. Lead time: the main depot is replenished by the supplier (the product's lead time from the
+ *    inventory optimizer), every other depot by transfer (its transfer_lead_time_days,
+ *    σ = TRANSFER_LEAD_TIME_CV × mean)
+ * 4. Safety stock = z × √(L × σ_daily² + avg_daily² × σ_L²) with the z of the product's
+ *    ABC/XYZ class; reorder point = avg_daily × L + safety stock
+ * 5. Target stock = reorder point + TARGET_COVER_DAYS of demand. A depot is 'at_risk' below its
+ *    reorder point and 'overstocked' above target + OVERSTOCK_COVER_DAYS of demand (or holding
+ *    stock with no demand at all)
+ * 6. Transfers, per product: the depot at risk with the largest shortfall (target − stock) is
+ *    filled first from the overstocked depot with the largest surplus (stock − target), in whole
+ *    packs; transfers under MIN_TRANSFER_LITERS are not suggested
+ */
+import * as ss from 'simple-statistics'
+
+const TRANSFER_LEAD_TIME_CV = 0.25
+const DEFAULT_TRANSFER_LEAD_TIME_DAYS = 3
+const TARGET_COVER_DAYS = 30
+const OVERSTOCK_COVER_DAYS = 60
+const MIN_TRANSFER_LITERS = 100
+
+function round2(value) {
+  return Math.round(value * 100) / 100
+}
+
+/**
+ * The main depot: flagged is_main, else the first depot by code
+ */
+export function mainWarehouse(warehouses) {
+  const active = warehouses.filter(w => w.is_active !== false)
+  return active.find(w => w.is_main) || [...active].sort((a, b) => a.warehouse_code.localeCompare(b.warehouse_code))[0] || null
+}
+
+/**
+ * Depot code serving each region; regions without a depot fall back to the main depot
+ * @returns {(region: string) => string|null}
+ */
+export function depotForRegion(warehouses) {
+  const main = mainWarehouse(warehouses)
+  const byRegion = {}
+  warehouses.filter(w => w.is_active !== false && w.region).forEach(w => {
+    if (!byRegion[w.region] || w.is_main) byRegion[w.region] = w.warehouse_code
+  })
+  return region => byRegion[region] || main?.warehouse_code || null
+}
+
+/**
+ * Reorder points per product × depot and suggested transfers between depots
+ * @param {object[]} transactions - with product_id, region, transaction_date, quantity_liters
+ * @param {object[]} products
+ * @param {object[]} depotStock - { product_id, warehouse_code, current_stock_liters }
+ * @param {object[]} warehouses
+ * @param {object[]} inventoryForecasts - inventory optimizer rows (lead time and service level z per product)
+ * @returns {{ depots: object[], transfers: object[] }}
+ */
+export function optimizeDepots(transactions, products, depotStock, warehouses, inventoryForecasts) {
+  const active = warehouses.filter(w => w.is_active !== false)
+  const main = mainWarehouse(warehouses)
+  if (!main) return { depots: [], transfers: [] }
+
+  const depotOf = depotForRegion(warehouses)
+  const forecastByProduct = Object.fromEntries(inventoryForecasts.map(f => [f.product_id, f]))
+  const allMonths = [...new Set(transactions.map(t => t.transaction_date.substring(0, 7)))].sort()
+
+  // Monthly demand per product → depot → month
+  const monthly = {}
+  transactions.forEach(t => {
+    const depot = depotOf(t.region)
+    const month = t.transaction_date.substring(0, 7)
+    if (!monthly[t.product_id]) monthly[t.product_id] = {}
+    if (!monthly[t.product_id][depot]) monthly[t.product_id][depot] = {}
+    monthly[t.product_id][depot][month] = (monthly[t.product_id][depot][month] || 0) + (parseFloat(t.quantity_liters) || 0)
+  })
+
+  const stockOf = {}
+  depotStock.forEach(s => {
+    const key = `${s.product_id}|${s.warehouse_code || main.warehouse_code}`
+    stockOf[key] = (stockOf[key] || 0) + (parseFloat(s.current_stock_liters) || 0)
+  })
+
+  const depots = []
+  const transfers = []
+
+  for (const product of products) {
+    const forecast = forecastByProduct[product.id]
+    if (!forecast || allMonths.length < 2) continue
+    const z = parseFloat(forecast.service_level_z) || 0
+    const productDemand = allMonths.reduce((sum, m) => sum + active.reduce((s, w) => s + (monthly[product.id]?.[w.warehouse_code]?.[m] || 0), 0), 0)
+
+    const rows = active.map(w => {
+      const series = allMonths.map(m => monthly[product.id]?.[w.warehouse_code]?.[m] || 0)
+      const avgMonthly = ss.mean(series)
+      const stdMonthly = ss.standardDeviation(series)
+      const avgDaily = avgMonthly / 30
+      const dailyStd = stdMonthly / Math.sqrt(30)
+
+      const isMain = w.warehouse_code === main.warehouse_code
+      const transferLeadTime = parseFloat(w.transfer_lead_time_days) || DEFAULT_TRANSFER_LEAD_TIME_DAYS
+      const leadTime = isMain ? forecast.lead_time_days : transferLeadTime
+      const leadTimeStd = isMain ? forecast.lead_time_std_days : transferLeadTime * TRANSFER_LEAD_TIME_CV
+
+      const safetyStock = z * Math.sqrt(leadTime * dailyStd ** 2 + avgDaily ** 2 * leadTimeStd ** 2)
+      const reorderPoint = avgDaily * leadTime + safetyStock
+      const targetStock = reorderPoint + avgDaily * TARGET_COVER_DAYS
+      const stock = stockOf[`${product.id}|${w.warehouse_code}`] || 0
+
+      let status = 'healthy'
+      if (avgDaily > 0 && stock < reorderPoint) status = 'at_risk'
+      else if (avgDaily > 0 ? stock > targetStock + avgDaily * OVERSTOCK_COVER_DAYS : stock > 0) status = 'overstocked'
+
+      return {
+        product_id: product.id,
+        warehouse_code: w.warehouse_code,
+        is_main: isMain,
+        monthly_demand: round2(avgMonthly),
+        demand_share: productDemand > 0 ? Math.round(series.reduce((a, b) => a + b, 0) / productDemand * 10000) / 10000 : 0,
+        demand_volatility: avgMonthly > 0 ? Math.round(stdMonthly / avgMonthly * 10000) / 10000 : 0,
+        lead_time_days: round2(leadTime),
+        lead_time_std_days: round2(leadTimeStd),
+        safety_stock: round2(safetyStock),
+        reorder_point: round2(reorderPoint),
+        target_stock: round2(targetStock),
+        current_stock: round2(stock),
+        days_of_cover: avgDaily > 0 ? Math.round(stock / avgDaily * 10) / 10 : 999,
+        status,
+        transfer_in: 0,
+        transfer_out: 0
+      }
+    }).filter(r => r.monthly_demand > 0 || r.current_stock !== 0)
+
+    transfers.push(...suggestTransfers(product, rows, warehouses))
+    rows.forEach(r => {
+      r.recommendation = depotRecommendation(r, transfers.filter(t => t.product_id === product.id))
+      delete r.is_main
+      depots.push(r)
+    })
+  }
+
+  console.log(`  Depot Inventory: ${depots.length} product × depot rows across ${active.length} depots`)
+  active.forEach(w => {
+    const own = depots.filter(d => d.warehouse_code === w.warehouse_code)
+    console.log(`    ${w.warehouse_code}${w.warehouse_code === main.warehouse_code ? ' (main)' : ''}: ${own.filter(d => d.status === 'at_risk').length} at risk, ${own.filter(d => d.status === 'overstocked').length} overstocked`)
+  })
+  console.log(`    Transfers suggested: ${transfers.length} (${Math.round(transfers.reduce((s, t) => s + t.quantity_liters, 0)).toLocaleString()} L)`)
+
+  return { depots, transfers }
+}
+
+/**
+ * Greedy matching of depots at risk with overstocked depots for one product
+ */
+function suggestTransfers(product, rows, warehouses) {
+  const packSize = parseFloat(product.pack_size_liters) || 0
+  const unitCost = parseFloat(product.cost_price) || 0
+  const warehouseByCode = Object.fromEntries(warehouses.map(w => [w.warehouse_code, w]))
+  const receivers = rows.filter(r => r.status === 'at_risk')
+    .map(r => ({ row: r, need: r.target_stock - r.current_stock }))
+    .sort((a, b) => b.need - a.need)
+  const donors = rows.filter(r => r.status === 'overstocked')
+    .map(r => ({ row: r, surplus: r.current_stock - (r.monthly_demand > 0 ? r.target_stock : 0) }))
+    .sort((a, b) => b.surplus - a.surplus)
+
+  const transfers = []
+  receivers.forEach(receiver => {
+    donors.forEach(donor => {
+      if (receiver.need <= 0 || donor.surplus <= 0) return
+      let quantity = Math.min(receiver.need, donor.surplus)
+      if (packSize > 0 && quantity >= packSize) quantity = Math.floor(quantity / packSize) * packSize
+      if (quantity < MIN_TRANSFER_LITERS) return
+
+      receiver.need -= quantity
+      donor.surplus -= quantity
+      receiver.row.transfer_in += quantity
+      donor.row.transfer_out += quantity
+      transfers.push({
+        product_id: product.id,
+        from_warehouse_code: donor.row.warehouse_code,
+        to_warehouse_code: receiver.row.warehouse_code,
+        quantity_liters: round2(quantity),
+        transfer_value: round2(quantity * unitCost),
+        from_stock: donor.row.current_stock,
+        to_stock: receiver.row.current_stock,
+        to_reorder_point: receiver.row.reorder_point,
+        to_days_of_cover: receiver.row.days_of_cover,
+        expected_days: parseFloat(warehouseByCode[receiver.row.warehouse_code]?.transfer_lead_time_days) || DEFAULT_TRANSFER_LEAD_TIME_DAYS,
+        reason: `${receiver.row.warehouse_code} is below its ${Math.round(receiver.row.reorder_point).toLocaleString()} L reorder point ` +
+          `(${Math.round(receiver.row.days_of_cover)} days of cover); ${donor.row.warehouse_code} holds ` +
+          `${donor.row.monthly_demand > 0 ? `${Math.round(donor.row.days_of_cover)} days of cover` : 'stock with no local demand'}`
+      })
+    })
+  })
+  return transfers
+}
+
+function depotRecommendation(row, transfers) {
+  const litres = value => `${Math.round(value).toLocaleString()} L`
+  const incoming = transfers.filter(t => t.to_warehouse_code === row.warehouse_code)
+  const outgoing = transfers.filter(t => t.from_warehouse_code === row.warehouse_code)
+
+  if (row.status === 'at_risk') {
+    const shortfall = row.target_stock - row.current_stock - row.transfer_in
+    const fromTransfers = incoming.map(t => `${litres(t.quantity_liters)} from ${t.from_warehouse_code}`).join(', ')
+    // Transfers that lift the depot back above its reorder point cover it; pack rounding leaves small gaps to target
+    if (fromTransfers && row.current_stock + row.transfer_in >= row.reorder_point) return `Below reorder point: transfer in ${fromTransfers}`
+    const replenish = row.is_main ? 'reorder from the supplier' : 'replenish from the main depot'
+    return fromTransfers
+      ? `Below reorder point: transfer in ${fromTransfers}, then ${replenish} (${litres(shortfall)})`
+      : `Below reorder point (${litres(row.reorder_point)}): ${replenish} (${litres(shortfall)})`
+  }
+  if (row.status === 'overstocked') {
+    if (outgoing.length > 0) return `Overstocked: transfer out ${outgoing.map(t => `${litres(t.quantity_liters)} to ${t.to_warehouse_code}`).join(', ')}`
+    return row.monthly_demand > 0
+      ? `Overstocked: ${Math.round(row.days_of_cover)} days of cover; hold back replenishment`
+      : `No local demand: ${litres(row.current_stock)} available to other depots`
+  }
+  return `Healthy: ${Math.round(row.days_of_cover)} days of cover above a ${litres(row.reorder_point)} reorder point`
+}
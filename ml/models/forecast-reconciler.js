@@ -0,0 +1,221 @@
+/**
+ * Forecast Reconciler — Hierarchical revenue reconciliation (product → category / region → total)
+ *
+ * Algorithm:
+ * 1. Bottom-up total = sum of product revenue forecasts (sales forecaster)
+ * 2. Top-down total = company revenue forecast (cash flow revenue model)
+ * 3. Reconciled total = inverse-variance weighted mean of the two; bottom-up variance
+ *    comes from the product 95% intervals, top-down variance from the backtest RMSE
+ * 4. Every product forecast (quantity, revenue, bounds) is scaled by reconciled / bottom-up
+ * 5. Product revenue is split across regions in proportion to the product × region
+ *    forecasts, which are scaled to match; regions a product sold in without a regional
+ *    forecast (and products without any) are filled from its regional revenue share over
+ *    the last REGION_SHARE_MONTHS months before scaling
+ * 6. Category and region forecasts are sums of the reconciled product forecasts, so
+ *    product, category, region and total levels all add up to the same number
+ * 7. Customer × product forecasts are scaled by the same factor as the total
+ */
+
+const REGION_SHARE_MONTHS = 6
+const Z_95 = 1.96
+
+/**
+ * Revenue share of each region per product, from the most recent months of history
+ * @returns {Object<string, Object<string, number>>} product_id → region → share
+ */
+function regionShares(transactions) {
+  const months = [...new Set(transactions.map(t => t.transaction_date.substring(0, 7)))].sort()
+  const recent = new Set(months.slice(-REGION_SHARE_MONTHS))
+
+  const revenue = {}
+  const recentRevenue = {}
+  transactions.forEach(t => {
+    const amount = parseFloat(t.total_amount) || 0
+    const region = t.region || 'Unknown'
+    const target = recent.has(t.transaction_date.substring(0, 7)) ? [revenue, recentRevenue] : [revenue]
+    target.forEach(bucket => {
+      if (!bucket[t.product_id]) bucket[t.product_id] = {}
+      bucket[t.product_id][region] = (bucket[t.product_id][region] || 0) + amount
+    })
+  })
+
+  const shares = {}
+  Object.keys(revenue).forEach(productId => {
+    // Fall back to full history for products with no recent sales
+    const byRegion = recentRevenue[productId] || revenue[productId]
+    const total = Object.values(byRegion).reduce((a, b) => a + b, 0)
+    shares[productId] = {}
+    Object.entries(byRegion).forEach(([region, value]) => {
+      shares[productId][region] = total > 0 ? value / total : 0
+    })
+  })
+  return shares
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100
+}
+
+/**
+ * Scale a transaction_predictions row (quantity, revenue and interval bounds)
+ */
+function scaleRow(p, factor) {
+  return {
+    ...p,
+    predicted_quantity: round2(p.predicted_quantity * factor),
+    predicted_revenue: round2(p.predicted_revenue * factor),
+    lower_bound_80: round2(p.lower_bound_80 * factor),
+    upper_bound_80: round2(p.upper_bound_80 * factor),
+    lower_bound_95: round2(p.lower_bound_95 * factor),
+    upper_bound_95: round2(p.upper_bound_95 * factor)
+  }
+}
+
+/**
+ * @param {object[]} salesPredictions - product-level rows from forecastSales
+ * @param {{ forecast_month: string, predicted_revenue: number }[]} topDownRevenue - from forecastRevenue
+ * @param {object[]} transactions
+ * @param {object[]} products
+ * @param {{ topDownRmse?: number|null, regionalPredictions?: object[], customerPredictions?: object[] }} options
+ *   topDownRmse: backtest RMSE of the top-down revenue model;
+ *   regionalPredictions / customerPredictions: product_region and customer_product rows from forecastSales
+ * @returns {{ salesPredictions: object[], regionalPredictions: object[], customerPredictions: object[], hierarchy: object[], totals: { forecast_month: string, predicted_revenue: number }[] }}
+ */
+export function reconcileForecasts(salesPredictions, topDownRevenue, transactions, products,
+  { topDownRmse = null, regionalPredictions = [], customerPredictions = [] } = {}) {
+  const categoryOf = Object.fromEntries(products.map(p => [p.id, p.category || 'Uncategorized']))
+  const shares = regionShares(transactions)
+  const topDownByMonth = Object.fromEntries(topDownRevenue.map(r => [r.forecast_month, r.predicted_revenue]))
+
+  const regionalByProductMonth = {}
+  regionalPredictions.forEach(r => {
+    const key = `${r.product_id}|${r.prediction_month}`
+    if (!regionalByProductMonth[key]) regionalByProductMonth[key] = []
+    regionalByProductMonth[key].push(r)
+  })
+
+  const months = [...new Set(salesPredictions.map(p => p.prediction_month))].sort()
+  const reconciled = []
+  const reconciledRegional = []
+  const scaleByMonth = {}
+  const hierarchy = []
+  const totals = []
+  const monthLogs = []
+
+  months.forEach(month => {
+    const rows = salesPredictions.filter(p => p.prediction_month === month)
+    const bottomUp = rows.reduce((sum, p) => sum + p.predicted_revenue, 0)
+
+    // Bottom-up variance: product errors treated as independent, σ taken from the 95% interval in revenue terms
+    const bottomUpVariance = rows.reduce((sum, p) => {
+      const price = p.predicted_quantity > 0 ? p.predicted_revenue / p.predicted_quantity : 0
+      const sigma = (p.upper_bound_95 - p.lower_bound_95) / (2 * Z_95) * price
+      return sum + sigma * sigma
+    }, 0)
+
+    const topDown = topDownByMonth[month]
+    let total = bottomUp
+    let topDownWeight = 0
+    if (topDown !== undefined) {
+      const topDownVariance = topDownRmse ? topDownRmse * topDownRmse : 0
+      topDownWeight = topDownVariance > 0 && bottomUpVariance > 0
+        ? (1 / topDownVariance) / (1 / topDownVariance + 1 / bottomUpVariance)
+        : 0.5
+      total = topDownWeight * topDown + (1 - topDownWeight) * bottomUp
+    }
+    const scale = bottomUp > 0 ? total / bottomUp : 1
+    scaleByMonth[month] = scale
+
+    const categories = {}
+    const regions = {}
+    let reconciledTotal = 0
+    rows.forEach(p => {
+      const adjusted = scaleRow(p, scale)
+      reconciled.push(adjusted)
+      reconciledTotal += adjusted.predicted_revenue
+
+      const revenue = p.predicted_revenue * scale
+      const quantity = p.predicted_quantity * scale
+      hierarchy.push({
+        level: 'product',
+        level_key: p.product_id,
+        forecast_month: month,
+        base_revenue: p.predicted_revenue,
+        reconciled_revenue: round2(revenue),
+        reconciled_quantity: round2(quantity)
+      })
+
+      const category = categoryOf[p.product_id] || 'Uncategorized'
+      if (!categories[category]) categories[category] = { base: 0, revenue: 0, quantity: 0 }
+      categories[category].base += p.predicted_revenue
+      categories[category].revenue += revenue
+      categories[category].quantity += quantity
+
+      const addRegion = (region, base, regionRevenue, regionQuantity) => {
+        if (!regions[region]) regions[region] = { base: 0, revenue: 0, quantity: 0 }
+        regions[region].base += base
+        regions[region].revenue += regionRevenue
+        regions[region].quantity += regionQuantity
+      }
+
+      const regional = regionalByProductMonth[`${p.product_id}|${month}`] || []
+      const forecastRegions = new Set(regional.map(r => r.dimension_key))
+      const filled = Object.entries(shares[p.product_id] || {}).filter(([region]) => !forecastRegions.has(region))
+      const regionalBase = regional.reduce((sum, r) => sum + r.predicted_revenue, 0) +
+        filled.reduce((sum, [, share]) => sum + p.predicted_revenue * share, 0)
+      if (regional.length > 0 && regionalBase > 0) {
+        // Regional forecasts, plus share-based fills for regions without one, scaled so they
+        // sum to the reconciled product revenue
+        const factor = revenue / regionalBase
+        regional.forEach(r => {
+          reconciledRegional.push(scaleRow(r, factor))
+          addRegion(r.dimension_key, r.predicted_revenue, r.predicted_revenue * factor, r.predicted_quantity * factor)
+        })
+        filled.forEach(([region, share]) => {
+          addRegion(region, p.predicted_revenue * share, p.predicted_revenue * share * factor, p.predicted_quantity * share * factor)
+        })
+      } else {
+        Object.entries(shares[p.product_id] || { Unknown: 1 }).forEach(([region, share]) => {
+          addRegion(region, p.predicted_revenue * share, revenue * share, quantity * share)
+        })
+      }
+    })
+
+    Object.entries(categories).forEach(([key, c]) => {
+      hierarchy.push({ level: 'category', level_key: key, forecast_month: month, base_revenue: round2(c.base), reconciled_revenue: round2(c.revenue), reconciled_quantity: round2(c.quantity) })
+    })
+    Object.entries(regions).forEach(([key, r]) => {
+      hierarchy.push({ level: 'region', level_key: key, forecast_month: month, base_revenue: round2(r.base), reconciled_revenue: round2(r.revenue), reconciled_quantity: round2(r.quantity) })
+    })
+    // Total is the sum of the rounded product rows, so it matches what the dashboards add up
+    reconciledTotal = round2(reconciledTotal)
+    hierarchy.push({
+      level: 'total',
+      level_key: 'ALL',
+      forecast_month: month,
+      base_revenue: round2(topDown !== undefined ? topDown : bottomUp),
+      reconciled_revenue: reconciledTotal,
+      reconciled_quantity: round2(rows.reduce((sum, p) => sum + p.predicted_quantity * scale, 0))
+    })
+
+    totals.push({ forecast_month: month, predicted_revenue: reconciledTotal })
+
+    monthLogs.push(`    ${month}: top-down ${topDown !== undefined ? Math.round(topDown) : '—'}, bottom-up ${Math.round(bottomUp)}, reconciled ${Math.round(total)} (top-down weight ${topDownWeight.toFixed(2)})`)
+  })
+
+  const reconciledCustomer = customerPredictions
+    .filter(c => scaleByMonth[c.prediction_month] !== undefined)
+    .map(c => scaleRow(c, scaleByMonth[c.prediction_month]))
+
+  console.log(`  Forecast Reconciler: ${months.length} months reconciled across ${new Set(hierarchy.map(h => h.level)).size} levels`)
+  monthLogs.forEach(line => console.log(line))
+  console.log(`    Product × region rows: ${reconciledRegional.length}, customer × product rows: ${reconciledCustomer.length}`)
+
+  return {
+    salesPredictions: reconciled,
+    regionalPredictions: reconciledRegional,
+    customerPredictions: reconciledCustomer,
+    hierarchy,
+    totals
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Intermittent Demand — Croston's method with the Syntetos-Boylan (SBA) correction
+ *
+ * Algorithm:
+ * 1. A monthly series is intermittent when at least ZERO_SHARE_THRESHOLD of its months
+ *    (from the first sale) have no demand — roughly the ADI > 1.32 cut-off of
+ *    Syntetos-Boylan classification
+ * 2. Croston splits the series into non-zero demand sizes and the intervals between
+ *    them, and smooths each with SES (alpha)
+ * 3. Per-month forecast = (1 − alpha/2) × size / interval (SBA bias correction)
+ * 4. Per-month σ from the compound Bernoulli demand: with q = 1 / interval,
+ *    Var = q × Var(size) + q(1 − q) × size²
+ */
+
+const ZERO_SHARE_THRESHOLD = 0.25
+const DEFAULT_ALPHA = 0.1
+
+/**
+ * Share of zero-demand months and the intermittent flag for a monthly series
+ * @param {number[]} series - monthly quantities from the first sale, zero-filled
+ * @returns {{ zeroShare: number, nonZeroMonths: number, intermittent: boolean }}
+ */
+export function demandProfile(series) {
+  const nonZeroMonths = series.filter(y => y > 0).length
+  const zeroShare = series.length > 0 ? (series.length - nonZeroMonths) / series.length : 0
+  return {
+    zeroShare,
+    nonZeroMonths,
+    intermittent: nonZeroMonths >= 2 && zeroShare >= ZERO_SHARE_THRESHOLD
+  }
+}
+
+/**
+ * Croston / SBA forecast for an intermittent monthly series
+ * @param {number[]} series - monthly quantities, oldest first (zero-filled)
+ * @param {number} alpha - smoothing for both demand size and interval
+ * @returns {{ forecast: (h: number) => number, stdError: (h: number) => number, fitted: number[], level: number, trend: number, demandSize: number, demandInterval: number, stdDev: number }}
+ */
+export function crostonSBA(series, alpha = DEFAULT_ALPHA) {
+  const firstDemand = series.findIndex(y => y > 0)
+  if (firstDemand === -1) {
+    return { forecast: () => 0, stdError: () => 0, fitted: series.map(() => 0), level: 0, trend: 0, demandSize: 0, demandInterval: 0, stdDev: 0 }
+  }
+
+  let size = series[firstDemand]
+  let interval = firstDemand + 1
+  let sinceLast = 1
+  const sba = () => (1 - alpha / 2) * size / interval
+
+  // One-step-ahead fits; nothing is known before the first demand
+  const fitted = series.slice(0, firstDemand + 1).map(() => 0)
+  for (let t = firstDemand + 1; t < series.length; t++) {
+    fitted.push(sba())
+    if (series[t] > 0) {
+      size = size + alpha * (series[t] - size)
+      interval = interval + alpha * (sinceLast - interval)
+      sinceLast = 1
+    } else {
+      sinceLast++
+    }
+  }
+
+  const sizes = series.filter(y => y > 0)
+  const sizeMean = sizes.reduce((a, b) => a + b, 0) / sizes.length
+  const sizeVariance = sizes.length > 1
+    ? sizes.reduce((s, y) => s + Math.pow(y - sizeMean, 2), 0) / (sizes.length - 1)
+    : 0
+  const q = Math.min(1, 1 / interval)
+  const stdDev = Math.sqrt(q * sizeVariance + q * (1 - q) * size * size)
+
+  const level = sba()
+  return {
+    forecast: () => level,
+    stdError: () => stdDev,
+    fitted,
+    level,
+    trend: 0,
+    demandSize: size,
+    demandInterval: interval,
+    stdDev
+  }
+}
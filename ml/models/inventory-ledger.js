@@ -0,0 +1,200 @@
+/**
+ * Inventory Ledger — stock movements posted from source records, and stock derived from them
+ *
+ * Algorithm:
+ * 1. Every movement carries a signed quantity (+ in, − out) and a source reference, so
+ *    posting is idempotent: a source record already in the ledger is never posted twice
+ *    - sale: one issue per transaction (reference = transaction code)
+ *    - receipt: one per received restock_history row (reference = restock id); receipts of
+ *      purchase orders are posted by the Inventory page when an order is marked received
+ *    - adjustment / transfer_in / transfer_out: entered manually, never generated here
+ * 2. Every movement belongs to a depot (warehouse_code): a sale to the depot serving the
+ *    transaction's region, a receipt to the restock's depot or the main depot (see
+ *    depot-inventory.js). Sales and openings posted before depots existed are moved to their
+ *    depots by migrate-depot-movements.sql; anything still without a depot counts as the main depot's
+ * 3. A product with a stock snapshot but no ledger yet gets an opening balance per depot, dated
+ *    the day before its first movement: depot snapshot − Σ(depot movements), so the ledger
+ *    starts out agreeing with the snapshot and every later difference is a real discrepancy.
+ *    Snapshot rows without a depot are split across depots by their share of the product's sales
+ * 4. Current stock per product (and per product × depot) = Σ(quantity) over its movements
+ */
+import { depotForRegion, mainWarehouse } from './depot-inventory.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const SNAPSHOT_QUANTITIES = ['current_stock_liters', 'reserved_stock', 'reorder_point', 'max_stock_level']
+
+function round2(value) {
+  return Math.round(value * 100) / 100
+}
+
+function dayBefore(date) {
+  return new Date(new Date(`${date.substring(0, 10)}T00:00:00Z`).getTime() - DAY_MS).toISOString().substring(0, 10)
+}
+
+/**
+ * Movements not yet in the ledger
+ * @param {object} sources
+ * @param {object[]} sources.transactions - with product_id, transaction_code, transaction_date, quantity_liters
+ * @param {object[]} sources.restocks - restock_history rows (id, product_code, received_date, quantity_liters)
+ * @param {object[]} sources.products
+ * @param {object[]} sources.inventory - stock snapshot (product_id, warehouse_code, current_stock_liters)
+ * @param {object[]} sources.movements - movements already in the ledger
+ * @param {object[]} [sources.warehouses] - depots; without any, movements carry no warehouse_code
+ * @param {string} asOfDate - YYYY-MM-DD, date of an opening balance for products with no movements at all
+ * @returns {object[]} inventory_movements rows to insert
+ */
+export function pendingMovements({ transactions, restocks = [], products, inventory, movements, warehouses = [] }, asOfDate) {
+  const posted = new Set(movements
+    .filter(m => m.reference_id)
+    .map(m => `${m.reference_type}|${m.reference_id}|${m.movement_type}`))
+  const productIdByCode = Object.fromEntries(products.map(p => [p.product_code, p.id]))
+  const mainCode = mainWarehouse(warehouses)?.warehouse_code || null
+  const depotOf = depotForRegion(warehouses)
+  const pending = []
+
+  transactions.forEach(t => {
+    const qty = parseFloat(t.quantity_liters) || 0
+    if (qty <= 0 || !t.product_id || posted.has(`transaction|${t.transaction_code}|sale`)) return
+    pending.push({
+      product_id: t.product_id,
+      warehouse_code: depotOf(t.region),
+      movement_type: 'sale',
+      movement_date: t.transaction_date.substring(0, 10),
+      quantity_liters: -qty,
+      reference_type: 'transaction',
+      reference_id: t.transaction_code,
+      notes: null
+    })
+  })
+
+  restocks.forEach(r => {
+    const qty = parseFloat(r.quantity_liters) || 0
+    const productId = productIdByCode[r.product_code]
+    if (!r.received_date || qty <= 0 || !productId || posted.has(`restock|${r.id}|receipt`)) return
+    pending.push({
+      product_id: productId,
+      warehouse_code: r.warehouse_code || mainCode,
+      movement_type: 'receipt',
+      movement_date: r.received_date.substring(0, 10),
+      quantity_liters: qty,
+      reference_type: 'restock',
+      reference_id: r.id,
+      notes: r.supplier_code ? `Restock from ${r.supplier_code}` : null
+    })
+  })
+
+  // Opening balances per depot for snapshot products that have no ledger yet
+  const all = movements.concat(pending)
+  const hasOpening = new Set(movements.filter(m => m.movement_type === 'opening').map(m => m.product_id))
+  const snapshotByProduct = {}
+  inventory.forEach(inv => {
+    if (!snapshotByProduct[inv.product_id]) snapshotByProduct[inv.product_id] = []
+    snapshotByProduct[inv.product_id].push(inv)
+  })
+  Object.entries(snapshotByProduct).forEach(([productId, rows]) => {
+    if (hasOpening.has(productId)) return
+    const own = all.filter(m => m.product_id === productId)
+    const firstDate = own.map(m => m.movement_date).sort()[0]
+    const target = depotTargets(rows, own, mainCode)
+    const net = {}
+    own.forEach(m => {
+      const depot = m.warehouse_code || mainCode
+      net[depot] = (net[depot] || 0) + (parseFloat(m.quantity_liters) || 0)
+    })
+    const depots = [...new Set(Object.keys(target).concat(Object.keys(net)))]
+    depots.forEach(depot => {
+      const quantity = round2((target[depot] || 0) - (net[depot] || 0))
+      if (quantity === 0 && depots.length > 1) return
+      const warehouseCode = depot === 'null' ? null : depot
+      pending.push({
+        product_id: productId,
+        warehouse_code: warehouseCode,
+        movement_type: 'opening',
+        movement_date: firstDate ? dayBefore(firstDate) : asOfDate,
+        quantity_liters: quantity,
+        reference_type: 'opening',
+        reference_id: warehouseCode ? `${productId}:${warehouseCode}` : productId,
+        notes: 'Opening balance back-calculated from the stock snapshot'
+      })
+    })
+  })
+
+  return pending
+}
+
+/**
+ * Stock per product id from the ledger
+ * @returns {Object<string, { stock: number, movements: number, last_movement_date: string }>}
+ */
+export function ledgerBalances(movements) {
+  const balances = {}
+  movements.forEach(m => {
+    if (!balances[m.product_id]) balances[m.product_id] = { stock: 0, movements: 0, last_movement_date: null }
+    const b = balances[m.product_id]
+    b.stock += parseFloat(m.quantity_liters) || 0
+    b.movements++
+    if (!b.last_movement_date || m.movement_date > b.last_movement_date) b.last_movement_date = m.movement_date
+  })
+  Object.values(balances).forEach(b => { b.stock = round2(b.stock) })
+  return balances
+}
+
+/**
+ * Stock per product id and depot from the ledger; movements without a depot count as the main depot's
+ * @returns {object[]} { product_id, warehouse_code, current_stock_liters }
+ */
+export function depotBalances(movements, warehouses) {
+  const mainCode = mainWarehouse(warehouses)?.warehouse_code || null
+  const balances = {}
+  movements.forEach(m => {
+    const key = `${m.product_id}|${m.warehouse_code || mainCode}`
+    if (!balances[key]) balances[key] = { product_id: m.product_id, warehouse_code: m.warehouse_code || mainCode, current_stock_liters: 0 }
+    balances[key].current_stock_liters += parseFloat(m.quantity_liters) || 0
+  })
+  return Object.values(balances).map(b => ({ ...b, current_stock_liters: round2(b.current_stock_liters) }))
+}
+
+/**
+ * One inventory row per product: depot snapshot rows summed
+ */
+export function productSnapshot(inventory) {
+  const byProduct = {}
+  inventory.forEach(inv => {
+    const row = byProduct[inv.product_id]
+    if (!row) {
+      byProduct[inv.product_id] = { ...inv, warehouse_code: null }
+      return
+    }
+    SNAPSHOT_QUANTITIES.forEach(field => {
+      row[field] = round2((parseFloat(row[field]) || 0) + (parseFloat(inv[field]) || 0))
+    })
+  })
+  return Object.values(byProduct)
+}
+
+/**
+ * Snapshot stock per depot for one product; rows without a depot are split by each
+ * depot's share of the product's sales (all to the main depot when it has none)
+ */
+function depotTargets(rows, movements, mainCode) {
+  const target = {}
+  const sales = {}
+  movements.filter(m => m.movement_type === 'sale').forEach(m => {
+    const depot = m.warehouse_code || mainCode
+    sales[depot] = (sales[depot] || 0) - (parseFloat(m.quantity_liters) || 0)
+  })
+  const totalSales = Object.values(sales).reduce((a, b) => a + b, 0)
+
+  rows.forEach(inv => {
+    const stock = parseFloat(inv.current_stock_liters) || 0
+    if (inv.warehouse_code || !mainCode) {
+      const depot = inv.warehouse_code || mainCode
+      target[depot] = (target[depot] || 0) + stock
+    } else if (totalSales > 0) {
+      Object.entries(sales).forEach(([depot, qty]) => { target[depot] = (target[depot] || 0) + stock * qty / totalSales })
+    } else {
+      target[mainCode] = (target[mainCode] || 0) + stock
+    }
+  })
+  return target
+}
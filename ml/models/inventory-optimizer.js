@@ -3,19 +3,47 @@
  *
  * Algorithm:
  * 1. Compute monthly demand per product from transaction history
+ *    - intermittent products (mostly zero months, see intermittent-demand.js) use the
+ *      Croston/SBA per-month mean and compound-demand σ instead of the sample mean / std dev
  * 2. Demand volatility = coefficient of variation (std_dev / mean)
- * 3. Safety stock = z(95%) × std_dev × √lead_time  (z = 1.645)
- * 4. Reorder point = (avg_daily_demand × lead_time) + safety_stock
- * 5. Stockout probability from normal distribution CDF
- * 6. Days until stockout = current_stock / avg_daily_demand
+ * 3. Lead time (mean L, σ_L) per product, learned from restock history or taken from
+ *    the product / supplier settings (see lead-time.js)
+ * 4. σ of demand during lead time = √(L × σ_daily² + avg_daily² × σ_L²), so both demand
+ *    and lead-time variability are covered
+ * 5. Safety stock = z × σ_lead_time_demand, z from the target service level of the
+ *    product's ABC (revenue) × XYZ (demand CV) class (see abc-xyz.js)
+ * 6. Reorder point = (avg_daily_demand × L) + safety_stock
+ * 7. Stockout probability from normal distribution CDF
+ * 8. Days until stockout = current_stock / avg_daily_demand
+ * 9. Order quantity from EOQ under max stock, MOQ and pack size constraints, ordered when
+ *    the inventory position (on hand − reserved + on order) reaches the reorder point
+ *    (see replenishment.js)
  */
 import * as ss from 'simple-statistics'
+import { crostonSBA, demandProfile } from './intermittent-demand.js'
+import { estimateLeadTimes } from './lead-time.js'
+import { abcClasses, xyzClass, zForServiceLevel, DEFAULT_SERVICE_LEVELS } from './abc-xyz.js'
+import { orderQuantity } from './replenishment.js'
 
-const Z_95 = 1.645 // z-score for 95% service level
-const DEFAULT_LEAD_TIME_DAYS = 7 // 7 days lead time assumption
-
-export function optimizeInventory(transactions, products, inventory) {
+/**
+ * @param {object[]} transactions
+ * @param {object[]} products
+ * @param {object[]} inventory
+ * @param {{ suppliers?: object[], restocks?: object[], serviceLevels?: Object<string, number>, openOrders?: object[] }} options -
+ *   supplier settings and restock history for lead times; target service level per ABC/XYZ class ('AX' … 'CZ');
+ *   open purchase order lines ({ product_code, quantity_liters }) counted as on order
+ */
+export function optimizeInventory(transactions, products, inventory, { suppliers = [], restocks = [], serviceLevels = DEFAULT_SERVICE_LEVELS, openOrders = [] } = {}) {
   const results = []
+  const leadTimes = estimateLeadTimes(products, suppliers, restocks)
+  const abc = abcClasses(transactions, products)
+  const supplierByCode = Object.fromEntries(suppliers.map(s => [s.supplier_code, s]))
+
+  // Quantity already on order per product code
+  const onOrderByCode = {}
+  openOrders.forEach(line => {
+    onOrderByCode[line.product_code] = (onOrderByCode[line.product_code] || 0) + (parseFloat(line.quantity_liters) || 0)
+  })
 
   // Build product lookup
   const productMap = {}
@@ -46,9 +74,16 @@ export function optimizeInventory(transactions, products, inventory) {
 
     if (demandSeries.length < 2) continue
 
-    // Monthly demand statistics
-    const avgMonthlyDemand = ss.mean(demandSeries)
-    const stdDevDemand = ss.standardDeviation(demandSeries)
+    // Monthly demand statistics; intermittent demand is profiled from the first sale
+    const firstSale = demandSeries.findIndex(q => q > 0)
+    const profile = demandProfile(firstSale === -1 ? [] : demandSeries.slice(firstSale))
+    let avgMonthlyDemand = ss.mean(demandSeries)
+    let stdDevDemand = ss.standardDeviation(demandSeries)
+    if (profile.intermittent) {
+      const croston = crostonSBA(demandSeries.slice(firstSale))
+      avgMonthlyDemand = croston.level
+      stdDevDemand = croston.stdDev
+    }
 
     // Coefficient of variation (demand volatility)
     const cv = avgMonthlyDemand > 0 ? stdDevDemand / avgMonthlyDemand : 0
@@ -61,12 +96,22 @@ export function optimizeInventory(transactions, products, inventory) {
     const avgDailyDemand = avgMonthlyDemand / 30
     const dailyStdDev = stdDevDemand / Math.sqrt(30)
 
-    // Safety stock = z × σ_daily × √lead_time
-    const leadTime = DEFAULT_LEAD_TIME_DAYS
-    const safetyStock = Z_95 * dailyStdDev * Math.sqrt(leadTime)
+    // Demand during lead time varies with daily demand and with the lead time itself
+    const { lead_time_days: leadTime, lead_time_std_days: leadTimeStd, ...leadTimeInfo } = leadTimes[product.id]
+    const demandDuringLT = avgDailyDemand * leadTime
+    const stdDuringLT = Math.sqrt(leadTime * dailyStdDev ** 2 + avgDailyDemand ** 2 * leadTimeStd ** 2)
+
+    // Service level target of the product's ABC/XYZ class
+    const { abc_class: abcClass, revenue_share: revenueShare } = abc[product.id]
+    const xyz = xyzClass(cv)
+    const serviceLevel = serviceLevels[`${abcClass}${xyz}`]
+    const z = zForServiceLevel(serviceLevel)
+
+    // Safety stock = z × σ_lead_time_demand
+    const safetyStock = z * stdDuringLT
 
     // Reorder point = (avg_daily_demand × lead_time) + safety_stock
-    const reorderPoint = (avgDailyDemand * leadTime) + safetyStock
+    const reorderPoint = demandDuringLT + safetyStock
 
     // Current stock from inventory table
     const currentStock = inv ? (parseFloat(inv.current_stock_liters) || 0) : 0
@@ -78,10 +123,7 @@ export function optimizeInventory(transactions, products, inventory) {
 
     // Stockout probability using normal distribution CDF
     // P(demand during lead time > current stock)
-    // demand during lead time ~ Normal(avg_daily × LT, σ_daily × √LT)
-    const demandDuringLT = avgDailyDemand * leadTime
-    const stdDuringLT = dailyStdDev * Math.sqrt(leadTime)
-
+    // demand during lead time ~ Normal(avg_daily × LT, σ_lead_time_demand)
     let stockoutProb = 0
     if (stdDuringLT > 0 && currentStock > 0) {
       // z-score: how many std devs is current stock from expected demand during lead time
@@ -96,21 +138,38 @@ export function optimizeInventory(transactions, products, inventory) {
     const dataMonths = Object.keys(monthly).length
     const confidence = Math.min(95, Math.round(50 + dataMonths * 3))
 
+    // Replenishment: EOQ-based order quantity once the inventory position reaches the reorder point
+    const onOrder = onOrderByCode[product.product_code] || 0
+    const position = currentStock - (inv ? (parseFloat(inv.reserved_stock) || 0) : 0) + onOrder
+    const maxStock = inv ? (parseFloat(inv.max_stock_level) || 0) : 0
+    const replenishment = orderQuantity({
+      monthlyDemand: avgMonthlyDemand,
+      unitCost: parseFloat(product.cost_price) || 0,
+      orderingCost: parseFloat(supplierByCode[leadTimeInfo.supplier_code]?.ordering_cost) || 0,
+      position,
+      reorderPoint,
+      maxStock,
+      moq: parseFloat(product.min_order_qty_liters) || 0,
+      packSize: parseFloat(product.pack_size_liters) || 0
+    })
+    const litres = value => `${Math.round(value).toLocaleString()} L`
+
     // Generate recommendation
     let recommendation = ''
-    if (currentStock <= 0) {
-      recommendation = `CRITICAL: Out of stock. Order ${Math.round(reorderPoint + avgMonthlyDemand)} L immediately`
-    } else if (currentStock < reorderPoint) {
-      const orderQty = Math.round((reorderPoint + avgMonthlyDemand - currentStock) / 100) * 100
-      recommendation = `Urgent: Below reorder point. Order ${orderQty} L within ${leadTime} days`
-    } else if (daysUntilStockout < 30) {
-      const orderQty = Math.round(avgMonthlyDemand * 1.5 / 100) * 100
-      recommendation = `Plan reorder of ${orderQty} L — ${Math.round(daysUntilStockout)} days of stock remaining`
+    if (replenishment.order_quantity > 0) {
+      recommendation = currentStock <= 0
+        ? `CRITICAL: Out of stock. Reorder ${litres(replenishment.order_quantity)} immediately`
+        : `Reorder ${litres(replenishment.order_quantity)} now: position ${litres(position)} is below the ${litres(reorderPoint)} reorder point (${Math.round(leadTime)} day lead time)`
+    } else if (position <= reorderPoint && avgDailyDemand > 0) {
+      recommendation = `At reorder point but no room under max stock (${litres(maxStock)}); review max_stock_level`
     } else if (daysUntilStockout > 120) {
-      const excessStock = Math.round((currentStock - avgMonthlyDemand * 3) / 100) * 100
-      recommendation = `Overstocked: ${Math.round(daysUntilStockout)} days of supply. Consider reducing by ${excessStock} L`
+      const excessStock = maxStock > 0 && currentStock > maxStock ? currentStock - maxStock : currentStock - avgMonthlyDemand * 3
+      recommendation = `Overstocked: ${Math.round(daysUntilStockout)} days of supply. Consider reducing by ${litres(excessStock)}`
     } else {
-      recommendation = `Healthy stock: ${Math.round(daysUntilStockout)} days supply. Next reorder in ~${Math.round(daysUntilStockout - leadTime)} days`
+      const daysToReorder = avgDailyDemand > 0 ? Math.max(0, Math.round((position - reorderPoint) / avgDailyDemand)) : null
+      recommendation = daysToReorder === null
+        ? `No recent demand: ${litres(currentStock)} on hand, no reorder needed`
+        : `Healthy stock: ${Math.round(daysUntilStockout)} days supply. Next order of ${litres(replenishment.lot_size)} in ~${daysToReorder} days`
     }
 
     results.push({
@@ -118,8 +177,21 @@ export function optimizeInventory(transactions, products, inventory) {
       predicted_monthly_demand: Math.round(avgMonthlyDemand * 100) / 100,
       demand_volatility: Math.round(cv * 10000) / 10000,
       volatility_level: volatilityLevel,
+      abc_class: abcClass,
+      xyz_class: xyz,
+      revenue_share: revenueShare,
+      service_level: serviceLevel,
+      service_level_z: Math.round(z * 1000) / 1000,
+      demand_pattern: profile.intermittent ? 'intermittent' : 'smooth',
+      zero_demand_share: Math.round(profile.zeroShare * 10000) / 10000,
       safety_stock: Math.round(safetyStock * 100) / 100,
       reorder_point_ml: Math.round(reorderPoint * 100) / 100,
+      lead_time_days: leadTime,
+      lead_time_std_days: leadTimeStd,
+      ...leadTimeInfo,
+      inventory_position: Math.round(position * 100) / 100,
+      on_order_quantity: Math.round(onOrder * 100) / 100,
+      ...replenishment,
       stockout_probability: Math.round(stockoutProb * 10000) / 10000,
       days_until_stockout: daysUntilStockout,
       recommendation,
@@ -129,6 +201,14 @@ export function optimizeInventory(transactions, products, inventory) {
 
   console.log(`  Inventory Optimizer: ${results.length} products analyzed`)
   console.log(`    High volatility: ${results.filter(r => r.volatility_level === 'High').length}`)
+  console.log(`    Intermittent demand (Croston/SBA): ${results.filter(r => r.demand_pattern === 'intermittent').length}`)
+  const classes = {}
+  results.forEach(r => { classes[`${r.abc_class}${r.xyz_class}`] = (classes[`${r.abc_class}${r.xyz_class}`] || 0) + 1 })
+  console.log(`    ABC/XYZ classes: ${Object.keys(classes).sort().map(c => `${c} ${classes[c]} (${Math.round(serviceLevels[c] * 1000) / 10}%)`).join(', ')}`)
+  const sources = {}
+  results.forEach(r => { sources[r.lead_time_source] = (sources[r.lead_time_source] || 0) + 1 })
+  console.log(`    Lead time sources: ${Object.entries(sources).map(([source, n]) => `${source} ${n}`).join(', ')}`)
+  console.log(`    Orders due (position ≤ reorder point): ${results.filter(r => r.order_quantity > 0).length}`)
   console.log(`    Stockout risk (>50%): ${results.filter(r => r.stockout_probability > 0.5).length}`)
 
   return results
@@ -0,0 +1,103 @@
+/**
+ * Lead Time — replenishment lead time (mean and σ, in days) per product
+ *
+ * Algorithm:
+ * 1. Observed lead time of a restock = received_date − order_date (restock_history)
+ * 2. Each product takes the first source that applies:
+ *    - product_history: the product's own restocks, when it has at least MIN_RESTOCKS
+ *    - supplier_history: all restocks from the product's supplier, pooled
+ *    - product: lead_time_days configured on the product
+ *    - supplier: lead_time_days configured on the supplier
+ *    - default: DEFAULT_LEAD_TIME_DAYS
+ * 3. σ is the sample standard deviation of the observed lead times; configured lead
+ *    times use their lead_time_std_days, or DEFAULT_LEAD_TIME_CV × mean when none is set
+ */
+import * as ss from 'simple-statistics'
+
+export const DEFAULT_LEAD_TIME_DAYS = 7
+const DEFAULT_LEAD_TIME_CV = 0.2
+const MIN_RESTOCKS = 3
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function round2(value) {
+  return Math.round(value * 100) / 100
+}
+
+/**
+ * Days between order and receipt, or null for incomplete / inconsistent rows
+ */
+function observedDays(restock) {
+  if (!restock.order_date || !restock.received_date) return null
+  const days = (new Date(restock.received_date) - new Date(restock.order_date)) / DAY_MS
+  return days >= 0 ? days : null
+}
+
+function fromObservations(days, source) {
+  return {
+    lead_time_days: round2(ss.mean(days)),
+    lead_time_std_days: round2(days.length > 1 ? ss.sampleStandardDeviation(days) : 0),
+    lead_time_source: source,
+    lead_time_observations: days.length
+  }
+}
+
+function fromConfigured(days, stdDays, source) {
+  const mean = parseFloat(days)
+  const std = parseFloat(stdDays)
+  return {
+    lead_time_days: round2(mean),
+    lead_time_std_days: round2(Number.isFinite(std) ? std : mean * DEFAULT_LEAD_TIME_CV),
+    lead_time_source: source,
+    lead_time_observations: 0
+  }
+}
+
+/**
+ * Lead time per product id
+ * @param {object[]} products - with product_code, supplier_code, lead_time_days, lead_time_std_days
+ * @param {object[]} suppliers - with supplier_code, lead_time_days, lead_time_std_days
+ * @param {object[]} restocks - restock_history rows (product_code, supplier_code, order_date, received_date)
+ * @returns {Object<string, { supplier_code: string|null, lead_time_days: number, lead_time_std_days: number, lead_time_source: string, lead_time_observations: number }>}
+ */
+export function estimateLeadTimes(products, suppliers = [], restocks = []) {
+  const supplierByCode = Object.fromEntries(suppliers.map(s => [s.supplier_code, s]))
+  const supplierOfProduct = Object.fromEntries(products.map(p => [p.product_code, p.supplier_code || null]))
+
+  const byProduct = {}
+  const bySupplier = {}
+  restocks.forEach(r => {
+    const days = observedDays(r)
+    if (days === null) return
+    const supplierCode = r.supplier_code || supplierOfProduct[r.product_code]
+    if (!byProduct[r.product_code]) byProduct[r.product_code] = []
+    byProduct[r.product_code].push(days)
+    if (supplierCode) {
+      if (!bySupplier[supplierCode]) bySupplier[supplierCode] = []
+      bySupplier[supplierCode].push(days)
+    }
+  })
+
+  const leadTimes = {}
+  products.forEach(p => {
+    const supplierCode = p.supplier_code || null
+    const supplier = supplierByCode[supplierCode]
+    const ownDays = byProduct[p.product_code] || []
+    const supplierDays = bySupplier[supplierCode] || []
+
+    let leadTime
+    if (ownDays.length >= MIN_RESTOCKS) {
+      leadTime = fromObservations(ownDays, 'product_history')
+    } else if (supplierDays.length >= MIN_RESTOCKS) {
+      leadTime = fromObservations(supplierDays, 'supplier_history')
+    } else if (parseFloat(p.lead_time_days) > 0) {
+      leadTime = fromConfigured(p.lead_time_days, p.lead_time_std_days ?? supplier?.lead_time_std_days, 'product')
+    } else if (parseFloat(supplier?.lead_time_days) > 0) {
+      leadTime = fromConfigured(supplier.lead_time_days, supplier.lead_time_std_days, 'supplier')
+    } else {
+      leadTime = fromConfigured(DEFAULT_LEAD_TIME_DAYS, null, 'default')
+    }
+    leadTimes[p.id] = { supplier_code: supplierCode, ...leadTime }
+  })
+
+  return leadTimes
+}
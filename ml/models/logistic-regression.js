@@ -0,0 +1,152 @@
+/**
+ * Logistic Regression — L2-regularised binary classifier with evaluation helpers
+ *
+ * Algorithm:
+ * 1. Features are standardised (z-scores) with the training set mean/std, or with a
+ *    previously fitted scaler so the scale stays fixed across retrains
+ * 2. Weights fitted by Newton-Raphson (IRLS) on the penalised log-likelihood;
+ *    the intercept is not penalised
+ * 3. AUC = probability a random positive scores above a random negative
+ *    (Mann-Whitney rank statistic, ties counted half)
+ * 4. Calibration table = predicted vs observed positive rate per probability bin
+ */
+const MAX_ITERATIONS = 50
+const TOLERANCE = 1e-8
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x))
+}
+
+/**
+ * Solve A x = b by Gaussian elimination with partial pivoting (A is small and symmetric positive definite)
+ */
+function solveLinear(A, b) {
+  const n = b.length
+  const M = A.map((row, i) => [...row, b[i]])
+  for (let col = 0; col < n; col++) {
+    let pivot = col
+    for (let r = col + 1; r < n; r++) if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r
+    const tmp = M[col]
+    M[col] = M[pivot]
+    M[pivot] = tmp
+    for (let r = col + 1; r < n; r++) {
+      const f = M[r][col] / M[col][col]
+      for (let c = col; c <= n; c++) M[r][c] -= f * M[col][c]
+    }
+  }
+  const x = new Array(n).fill(0)
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = M[r][n]
+    for (let c = r + 1; c < n; c++) sum -= M[r][c] * x[c]
+    x[r] = sum / M[r][r]
+  }
+  return x
+}
+
+/**
+ * Column mean and standard deviation (std 1 for constant columns)
+ * @param {number[][]} X - rows of raw feature values
+ * @returns {{ mean: number[], std: number[] }}
+ */
+export function fitScaler(X) {
+  const n = X.length
+  const d = X[0].length
+  const mean = new Array(d).fill(0)
+  const std = new Array(d).fill(0)
+  X.forEach(row => row.forEach((v, j) => { mean[j] += v / n }))
+  X.forEach(row => row.forEach((v, j) => { std[j] += Math.pow(v - mean[j], 2) / n }))
+  return { mean, std: std.map(s => (s > 0 ? Math.sqrt(s) : 1)) }
+}
+
+/**
+ * Fit a logistic regression
+ * @param {number[][]} X - rows of raw feature values
+ * @param {number[]} y - 0/1 labels
+ * @param {{ lambda?: number, scaler?: { mean: number[], std: number[] } }} options
+ *   lambda: L2 penalty on the standardised weights; scaler: fixed standardisation (fitted on X when omitted)
+ * @returns {{ intercept: number, weights: number[], mean: number[], std: number[] }}
+ */
+export function fitLogistic(X, y, { lambda = 1, scaler = fitScaler(X) } = {}) {
+  const d = X[0].length
+  // Design matrix with a leading 1 for the intercept
+  const Z = X.map(row => [1, ...row.map((v, j) => (v - scaler.mean[j]) / scaler.std[j])])
+  let beta = new Array(d + 1).fill(0)
+
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    const gradient = new Array(d + 1).fill(0)
+    const hessian = Array.from({ length: d + 1 }, () => new Array(d + 1).fill(0))
+    Z.forEach((z, i) => {
+      const p = sigmoid(z.reduce((s, v, j) => s + v * beta[j], 0))
+      const w = p * (1 - p)
+      for (let j = 0; j <= d; j++) {
+        gradient[j] += (y[i] - p) * z[j]
+        for (let k = 0; k <= d; k++) hessian[j][k] += w * z[j] * z[k]
+      }
+    })
+    for (let j = 1; j <= d; j++) {
+      gradient[j] -= lambda * beta[j]
+      hessian[j][j] += lambda
+    }
+
+    const step = solveLinear(hessian, gradient)
+    beta = beta.map((b, j) => b + step[j])
+    if (step.reduce((s, v) => s + v * v, 0) < TOLERANCE) break
+  }
+
+  return { intercept: beta[0], weights: beta.slice(1), mean: scaler.mean, std: scaler.std }
+}
+
+/**
+ * Predicted probability for one row of raw feature values
+ */
+export function predictLogistic(model, row) {
+  const z = row.reduce((s, v, j) => s + model.weights[j] * (v - model.mean[j]) / model.std[j], model.intercept)
+  return sigmoid(z)
+}
+
+/**
+ * Area under the ROC curve
+ * @param {number[]} scores
+ * @param {number[]} labels - 0/1
+ * @returns {number|null} null when only one class is present
+ */
+export function aucScore(scores, labels) {
+  const ranked = scores.map((s, i) => ({ s, y: labels[i] })).sort((a, b) => a.s - b.s)
+  const positives = labels.filter(y => y === 1).length
+  const negatives = labels.length - positives
+  if (positives === 0 || negatives === 0) return null
+
+  // Average ranks over ties
+  let rankSum = 0
+  let i = 0
+  while (i < ranked.length) {
+    let j = i
+    while (j < ranked.length && ranked[j].s === ranked[i].s) j++
+    const avgRank = (i + 1 + j) / 2
+    for (let k = i; k < j; k++) if (ranked[k].y === 1) rankSum += avgRank
+    i = j
+  }
+  return (rankSum - positives * (positives + 1) / 2) / (positives * negatives)
+}
+
+/**
+ * Predicted vs observed rate in equal-count probability bins
+ * @returns {{ bin: number, count: number, predicted_rate: number, observed_rate: number, min_probability: number, max_probability: number }[]}
+ */
+export function calibrationTable(scores, labels, bins = 5) {
+  const ranked = scores.map((s, i) => ({ s, y: labels[i] })).sort((a, b) => a.s - b.s)
+  const table = []
+  for (let b = 0; b < bins; b++) {
+    const slice = ranked.slice(Math.floor(b * ranked.length / bins), Math.floor((b + 1) * ranked.length / bins))
+    if (slice.length === 0) continue
+    table.push({
+      bin: b + 1,
+      count: slice.length,
+      predicted_rate: Math.round(slice.reduce((s, r) => s + r.s, 0) / slice.length * 10000) / 10000,
+      observed_rate: Math.round(slice.filter(r => r.y === 1).length / slice.length * 10000) / 10000,
+      min_probability: Math.round(slice[0].s * 10000) / 10000,
+      max_probability: Math.round(slice[slice.length - 1].s * 10000) / 10000
+    })
+  }
+  return table
+}
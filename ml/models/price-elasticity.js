@@ -0,0 +1,213 @@
+/**
+ * Price Elasticity — constant-elasticity demand per product, pooled by category
+ *
+ * Algorithm:
+ * 1. Monthly volume and realized price (revenue / liters) per product
+ * 2. Product estimate: log-log regression ln(volume) = a + ε·ln(price) + b·month,
+ *    fitted by partialling the time trend out of both series (so general growth or
+ *    inflation is not read as a price effect); standard error from the residuals
+ * 3. Category estimate: the same regression on all products' trend-removed series pooled
+ * 4. Hierarchical shrinkage by precision (1 / SE²): category = category estimate
+ *    blended with PRIOR_ELASTICITY (± PRIOR_SD); product = product estimate blended
+ *    with its category, widened by PRODUCT_SPREAD_SD (products in a category differ).
+ *    With no price variation the estimate has no precision and the prior carries
+ *    through — source records which level dominated
+ * 5. Discounts: realized price vs list selling_price per sale (avg discount, share
+ *    of volume sold below list)
+ *
+ * The simulator (simulatePriceChange in src/utils/dataProcessing.js) applies
+ * volume × (1 + Δprice)^ε to each product's baseline month.
+ */
+import * as ss from 'simple-statistics'
+
+const PRIOR_ELASTICITY = -0.8 // B2B lubricant demand is typically price-inelastic
+const PRIOR_SD = 0.5
+const PRODUCT_SPREAD_SD = 0.5 // how far a product's elasticity may sit from its category's
+const MIN_MONTHS = 6
+const MIN_PRICE_CV = 0.005 // below 0.5% month-to-month price variation there is nothing to learn from
+const BASELINE_MONTHS = 3
+
+function round2(value) {
+  return Math.round(value * 100) / 100
+}
+
+function round4(value) {
+  return Math.round(value * 10000) / 10000
+}
+
+/**
+ * Residuals of y after removing a linear trend in x
+ */
+function detrend(x, y) {
+  const line = ss.linearRegressionLine(ss.linearRegression(x.map((v, i) => [v, y[i]])))
+  return y.map((v, i) => v - line(x[i]))
+}
+
+/**
+ * Slope of rQ on rP through the origin, with its standard error
+ * @returns {{ elasticity: number, se: number }|null} null when price does not vary
+ */
+function elasticityFit(rP, rQ, dof) {
+  const sxx = rP.reduce((s, v) => s + v * v, 0)
+  if (sxx <= 0 || dof <= 0) return null
+  const elasticity = rP.reduce((s, v, i) => s + v * rQ[i], 0) / sxx
+  const sse = rQ.reduce((s, v, i) => s + Math.pow(v - elasticity * rP[i], 2), 0)
+  return { elasticity, se: Math.sqrt(sse / dof / sxx) || Infinity }
+}
+
+/**
+ * Precision-weighted blend of an estimate with a prior
+ */
+function shrink(estimate, prior) {
+  if (!estimate || !isFinite(estimate.se) || estimate.se <= 0) return { ...prior, weight: 0 }
+  const wEstimate = 1 / Math.pow(estimate.se, 2)
+  const wPrior = 1 / Math.pow(prior.se, 2)
+  return {
+    elasticity: (estimate.elasticity * wEstimate + prior.elasticity * wPrior) / (wEstimate + wPrior),
+    se: Math.sqrt(1 / (wEstimate + wPrior)),
+    weight: wEstimate / (wEstimate + wPrior)
+  }
+}
+
+/**
+ * @param {object[]} transactions
+ * @param {object[]} products
+ * @returns {{ elasticities: object[], summary: object|null }}
+ */
+export function estimatePriceElasticity(transactions, products) {
+  if (transactions.length === 0) return { elasticities: [], summary: null }
+
+  const months = [...new Set(transactions.map(t => t.transaction_date.substring(0, 7)))].sort()
+  const monthIndex = Object.fromEntries(months.map((m, i) => [m, i]))
+  const baselineMonths = months.slice(-BASELINE_MONTHS)
+
+  const series = {}
+  products.forEach(p => {
+    const listPrice = parseFloat(p.selling_price) || 0
+    const txns = transactions.filter(t => t.product_id === p.id)
+    const monthly = {}
+    let discountSum = 0
+    let discountedVolume = 0
+    let volume = 0
+    txns.forEach(t => {
+      const month = t.transaction_date.substring(0, 7)
+      const qty = parseFloat(t.quantity_liters) || 0
+      const price = parseFloat(t.unit_price) || 0
+      if (!monthly[month]) monthly[month] = { qty: 0, revenue: 0 }
+      monthly[month].qty += qty
+      monthly[month].revenue += qty * price
+      volume += qty
+      if (listPrice > 0) {
+        discountSum += qty * Math.max(0, 1 - price / listPrice)
+        if (price < listPrice) discountedVolume += qty
+      }
+    })
+
+    const points = Object.entries(monthly)
+      .filter(([, m]) => m.qty > 0)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([month, m]) => ({ t: monthIndex[month], lnQ: Math.log(m.qty), lnP: Math.log(m.revenue / m.qty), price: m.revenue / m.qty }))
+    const prices = points.map(pt => pt.price)
+    const priceCv = prices.length > 1 ? ss.standardDeviation(prices) / ss.mean(prices) : 0
+
+    let fit = null
+    let rP = []
+    let rQ = []
+    if (points.length >= MIN_MONTHS) {
+      const t = points.map(pt => pt.t)
+      rP = detrend(t, points.map(pt => pt.lnP))
+      rQ = detrend(t, points.map(pt => pt.lnQ))
+      if (priceCv >= MIN_PRICE_CV) fit = elasticityFit(rP, rQ, points.length - 3)
+    }
+
+    const baselineQty = baselineMonths.reduce((s, m) => s + (monthly[m]?.qty || 0), 0) / baselineMonths.length
+    const baselineRevenue = baselineMonths.reduce((s, m) => s + (monthly[m]?.revenue || 0), 0) / baselineMonths.length
+
+    series[p.id] = {
+      product: p,
+      fit,
+      rP: priceCv >= MIN_PRICE_CV ? rP : [],
+      rQ: priceCv >= MIN_PRICE_CV ? rQ : [],
+      months: points.length,
+      priceCv,
+      avgDiscount: volume > 0 ? discountSum / volume : 0,
+      discountedShare: volume > 0 ? discountedVolume / volume : 0,
+      avgRealizedPrice: volume > 0 ? txns.reduce((s, t) => s + (parseFloat(t.quantity_liters) || 0) * (parseFloat(t.unit_price) || 0), 0) / volume : listPrice,
+      baselineQty,
+      baselineRevenue
+    }
+  })
+
+  // Category level: pooled trend-removed series, shrunk to the prior
+  const prior = { elasticity: PRIOR_ELASTICITY, se: PRIOR_SD }
+  const categories = {}
+  Object.values(series).forEach(s => {
+    const category = s.product.category || 'Other'
+    if (!categories[category]) categories[category] = { rP: [], rQ: [], products: 0 }
+    categories[category].rP.push(...s.rP)
+    categories[category].rQ.push(...s.rQ)
+    categories[category].products++
+  })
+  const categoryPosterior = {}
+  Object.entries(categories).forEach(([category, c]) => {
+    const fit = elasticityFit(c.rP, c.rQ, c.rP.length - 2 * c.products - 1)
+    const posterior = shrink(fit, prior)
+    categoryPosterior[category] = { ...posterior, estimate: fit, source: posterior.weight >= 0.5 ? 'category' : 'prior' }
+  })
+
+  const elasticities = Object.values(series).map(s => {
+    const p = s.product
+    const category = p.category || 'Other'
+    const parent = categoryPosterior[category]
+    const posterior = shrink(s.fit, {
+      elasticity: parent.elasticity,
+      se: Math.sqrt(Math.pow(parent.se, 2) + Math.pow(PRODUCT_SPREAD_SD, 2))
+    })
+    const source = posterior.weight >= 0.5 ? 'product' : parent.source
+    const listPrice = parseFloat(p.selling_price) || 0
+    const unitCost = parseFloat(p.cost_price) || 0
+
+    return {
+      product_id: p.id,
+      category,
+      elasticity: round4(posterior.elasticity),
+      elasticity_se: round4(posterior.se),
+      source,
+      product_estimate: s.fit ? round4(s.fit.elasticity) : null,
+      product_estimate_se: s.fit && isFinite(s.fit.se) ? round4(s.fit.se) : null,
+      months_observed: s.months,
+      price_cv: round4(s.priceCv),
+      list_price: round2(listPrice),
+      unit_cost: round2(unitCost),
+      avg_realized_price: round2(s.avgRealizedPrice),
+      avg_discount_pct: round2(s.avgDiscount * 100),
+      discounted_volume_share: round4(s.discountedShare),
+      baseline_monthly_volume: round2(s.baselineQty),
+      baseline_monthly_revenue: round2(s.baselineRevenue)
+    }
+  })
+
+  const summary = {
+    prior_elasticity: PRIOR_ELASTICITY,
+    prior_sd: PRIOR_SD,
+    baseline_months: baselineMonths,
+    products: elasticities.length,
+    estimated_from_data: elasticities.filter(e => e.source === 'product').length,
+    from_category: elasticities.filter(e => e.source === 'category').length,
+    from_prior: elasticities.filter(e => e.source === 'prior').length,
+    categories: Object.fromEntries(Object.entries(categoryPosterior).map(([category, c]) => [category, {
+      elasticity: round4(c.elasticity),
+      se: round4(c.se),
+      source: c.source,
+      estimate: c.estimate ? round4(c.estimate.elasticity) : null
+    }]))
+  }
+
+  console.log(`  Price Elasticity: ${elasticities.length} products (log-log, trend-adjusted, shrunk to category → prior ${PRIOR_ELASTICITY})`)
+  console.log(`    From own price history: ${summary.estimated_from_data}, category: ${summary.from_category}, prior: ${summary.from_prior}`)
+  if (summary.from_prior === elasticities.length) {
+    console.log('    No usable price variation in history — elasticities are the prior assumption')
+  }
+
+  return { elasticities, summary }
+}
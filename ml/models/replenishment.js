@@ -0,0 +1,131 @@
+/**
+ * Replenishment — economic order quantity, order quantity constraints and draft purchase orders
+ *
+ * Algorithm:
+ * 1. EOQ = √(2 × D × S / H): D = annual demand (predicted monthly demand × 12), S = ordering
+ *    cost per order (supplier's ordering_cost), H = unit cost × HOLDING_COST_RATE per year
+ * 2. Inventory position = on hand − reserved + open (approved) purchase orders
+ * 3. (s, Q) policy: when the position is at or below the reorder point, order
+ *    max(EOQ, reorder point − position)
+ * 4. Constraints, in order: cap at max_stock_level − position, raise to the product's
+ *    minimum order quantity, round up to whole packs (down when rounding up would breach
+ *    max stock and the smaller quantity still meets the MOQ); every adjustment is recorded
+ * 5. Order lines are grouped by supplier into draft purchase orders, expected on the order
+ *    date plus the longest mean lead time among the lines
+ */
+const HOLDING_COST_RATE = 0.24 // annual carrying cost (capital, storage, shrinkage) as a share of unit cost
+const DEFAULT_ORDERING_COST = 3000 // per purchase order, when the supplier has none set
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function round2(value) {
+  return Math.round(value * 100) / 100
+}
+
+/**
+ * EOQ and the constrained order quantity for one product
+ * @param {object} params
+ * @param {number} params.monthlyDemand - predicted monthly demand (L)
+ * @param {number} params.unitCost - purchase cost per litre
+ * @param {number} [params.orderingCost] - cost per purchase order
+ * @param {number} params.position - inventory position (L)
+ * @param {number} params.reorderPoint - (L)
+ * @param {number} [params.maxStock] - max_stock_level (L)
+ * @param {number} [params.moq] - minimum order quantity (L)
+ * @param {number} [params.packSize] - pack size (L)
+ * @returns {{ eoq: number, lot_size: number, order_quantity: number, order_constraints: string[] }}
+ */
+export function orderQuantity({ monthlyDemand, unitCost, orderingCost, position, reorderPoint, maxStock, moq, packSize }) {
+  const annualDemand = monthlyDemand * 12
+  const holdingCost = unitCost * HOLDING_COST_RATE
+  const setupCost = orderingCost > 0 ? orderingCost : DEFAULT_ORDERING_COST
+  const eoq = annualDemand > 0 && holdingCost > 0 ? Math.sqrt(2 * annualDemand * setupCost / holdingCost) : 0
+
+  // Lot size the next order would be when it comes due, and the quantity due now
+  const needsOrder = position <= reorderPoint && annualDemand > 0
+  const wanted = needsOrder ? Math.max(eoq, reorderPoint - position) : eoq
+  const { quantity, constraints } = applyConstraints(wanted, position, maxStock, moq, packSize, needsOrder)
+
+  return {
+    eoq: round2(eoq),
+    lot_size: round2(quantity),
+    order_quantity: needsOrder ? round2(quantity) : 0,
+    order_constraints: constraints
+  }
+}
+
+/**
+ * Max stock cap, MOQ and pack rounding; the cap only binds on orders due now
+ */
+function applyConstraints(wanted, position, maxStock, moq, packSize, dueNow) {
+  const constraints = []
+  const room = maxStock > 0 && dueNow ? maxStock - position : Infinity
+  let quantity = wanted
+
+  if (quantity > room) {
+    quantity = Math.max(0, room)
+    constraints.push('max_stock')
+  }
+  if (moq > 0 && quantity < moq) {
+    quantity = moq
+    constraints.push(quantity > room ? 'moq_exceeds_max_stock' : 'moq')
+  }
+  if (packSize > 0 && quantity % packSize !== 0) {
+    const up = Math.ceil(quantity / packSize) * packSize
+    const down = Math.floor(quantity / packSize) * packSize
+    quantity = up > room && down > 0 && down >= (moq || 0) ? down : up
+    constraints.push('pack_size')
+  }
+  return { quantity, constraints }
+}
+
+/**
+ * Draft purchase orders, one per supplier, from the products with an order due
+ * @param {object[]} forecasts - inventory optimizer rows (product_id, order_quantity, eoq, …)
+ * @param {object[]} products
+ * @param {object[]} suppliers
+ * @param {string} orderDate - YYYY-MM-DD
+ * @returns {object[]} { supplier_code, order_date, expected_date, total_quantity_liters, total_value, lines }
+ */
+export function draftPurchaseOrders(forecasts, products, suppliers, orderDate) {
+  const productById = Object.fromEntries(products.map(p => [p.id, p]))
+  const supplierByCode = Object.fromEntries(suppliers.map(s => [s.supplier_code, s]))
+
+  const bySupplier = {}
+  forecasts.filter(f => f.order_quantity > 0).forEach(f => {
+    const product = productById[f.product_id]
+    const supplierCode = f.supplier_code || product?.supplier_code || null
+    const key = supplierCode || 'UNASSIGNED'
+    if (!bySupplier[key]) bySupplier[key] = { supplier_code: supplierCode, lines: [] }
+    const unitCost = parseFloat(product?.cost_price) || 0
+    bySupplier[key].lines.push({
+      product_code: product?.product_code || f.product_id,
+      quantity_liters: f.order_quantity,
+      unit_cost: unitCost,
+      line_value: round2(f.order_quantity * unitCost),
+      eoq: f.eoq,
+      reorder_point: f.reorder_point_ml,
+      inventory_position: f.inventory_position,
+      lead_time_days: f.lead_time_days,
+      order_constraints: f.order_constraints
+    })
+  })
+
+  const orders = Object.values(bySupplier).map(po => {
+    const leadTime = Math.ceil(Math.max(...po.lines.map(l => l.lead_time_days || 0)))
+    const expected = new Date(new Date(`${orderDate}T00:00:00Z`).getTime() + leadTime * DAY_MS)
+    return {
+      supplier_code: po.supplier_code,
+      supplier_name: supplierByCode[po.supplier_code]?.supplier_name || null,
+      order_date: orderDate,
+      expected_date: expected.toISOString().substring(0, 10),
+      total_quantity_liters: round2(po.lines.reduce((s, l) => s + l.quantity_liters, 0)),
+      total_value: round2(po.lines.reduce((s, l) => s + l.line_value, 0)),
+      lines: po.lines.map(({ lead_time_days, ...line }) => line)
+    }
+  }).sort((a, b) => b.total_value - a.total_value)
+
+  console.log(`  Replenishment: ${orders.length} draft purchase orders, ${orders.reduce((s, o) => s + o.lines.length, 0)} lines`)
+  orders.forEach(o => console.log(`    ${o.supplier_code || 'no supplier'}: ${o.lines.length} lines, ${Math.round(o.total_quantity_liters).toLocaleString()} L, value ${Math.round(o.total_value).toLocaleString()}`))
+
+  return orders
+}
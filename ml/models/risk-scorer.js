@@ -1,26 +1,68 @@
 /**
- * Risk Scorer — Multi-feature weighted scoring with logistic sigmoid
+ * Risk Scorer — Logistic regression trained on invoice payment outcomes, with the
+ * multi-feature sigmoid heuristic as a fallback
  *
  * Algorithm:
- * 1. Compute 6 features per customer from transaction history
- * 2. Min-max normalize each feature across all customers
- * 3. Weighted combination of features
- * 4. Sigmoid transform for probability output
- * 5. Scale to 0-100 risk score
+ * 1. Label every resolved invoice: 1 if it went overdue or was paid more than
+ *    LATE_DAYS days after its due date, else 0 (open invoices not yet LATE_DAYS
+ *    past due are unresolved and left out)
+ * 2. Features are the customer's 6 features as of the invoice date, computed only
+ *    from that customer's earlier invoices and only from their due and payment dates
+ *    (no look-ahead: an invoice paid later was fully open at the time, whatever its
+ *    status is today), standardised with a scaler (mean/std) fitted on the training
+ *    invoices, so a customer's score never depends on who else is in the batch
+ * 3. Time-ordered split: the oldest (1 − TEST_SHARE) of invoices train a logistic
+ *    regression, the newest TEST_SHARE measure AUC and calibration
+ * 4. Risk levels come from the held-out scores: High from the HIGH_RISK_QUANTILE of
+ *    test-invoice probabilities, Medium from the MEDIUM_RISK_QUANTILE
+ * 5. The model is refitted on all labelled invoices for scoring. The fitted model
+ *    (weights, intercept, scaler, risk levels) is saved on the run and reused as is by
+ *    later runs until a refit is requested, so scores from different runs are comparable
+ * 6. Each customer is scored on their own features as of the latest transaction:
+ *    risk score = 100 × P(next invoice goes overdue or is paid late); scoreCustomer
+ *    scores a single customer with a saved model
+ * 7. Explanation: contribution of each feature = weight × standardised value, i.e. the
+ *    log-odds it adds relative to a customer at the training average; contributions
+ *    are ranked by size and the largest become plain-language reasons
+ * 8. Fallback: with too few labelled invoices, or a test AUC no better than chance
+ *    (≤ 0.5), the model is not used and customers are scored with the heuristic —
+ *    current features min-max normalised against fixed bounds, fixed weights, sigmoid,
+ *    High ≥ 60 and Medium ≥ 30; model.method and model.reason record which one scored
+ *    the run and why. The bounds are fitted once on all customers and carried forward
+ *    like the scaler (until a refit), so heuristic scores are population-independent too
  *
  * Features:
  *   overdue_ratio, outstanding_ratio, avg_payment_delay,
- *   credit_utilization, recency_score, partial_payment_ratio
+ *   credit_utilization, recency_score, late_payment_ratio
+ *   (the heuristic uses partial_payment_ratio instead of late_payment_ratio: partial
+ *   payments carry no date, so they cannot be placed before or after an invoice)
  */
 import * as ss from 'simple-statistics'
+import { fitLogistic, fitScaler, predictLogistic, aucScore, calibrationTable } from './logistic-regression.js'
 
-// Sigmoid function: maps any real number to (0, 1)
-function sigmoid(x) {
-  return 1 / (1 + Math.exp(-x))
-}
+const DAY_MS = 24 * 60 * 60 * 1000
+const LATE_DAYS = 15 // paid more than this many days past due counts as late
+const TEST_SHARE = 0.25
+const RECENCY_DAYS = 180 // recency normalised to 6 months
+const CALIBRATION_BINS = 5
+const REASON_COUNT = 3
+const REASON_MIN_CONTRIBUTION = 0.01 // log-odds; smaller contributions are not worth a sentence
+const MIN_SAMPLES = 50
+const MIN_POSITIVES = 5
+const HIGH_RISK_QUANTILE = 0.9 // top 10% of held-out invoice scores
+const MEDIUM_RISK_QUANTILE = 0.5
 
-// Feature weights (sum to 1.0) — tuned for payment risk
-const WEIGHTS = {
+const FEATURE_NAMES = [
+  'overdue_ratio',
+  'outstanding_ratio',
+  'avg_payment_delay',
+  'credit_utilization',
+  'recency_score',
+  'late_payment_ratio'
+]
+
+// Heuristic fallback: hand-set feature weights (sum to 1.0) and fixed risk-score cut-offs
+const HEURISTIC_WEIGHTS = {
   overdue_ratio: 0.25,
   outstanding_ratio: 0.20,
   avg_payment_delay: 0.20,
@@ -28,147 +70,468 @@ const WEIGHTS = {
   recency_score: 0.10,
   partial_payment_ratio: 0.10
 }
+const HEURISTIC_LEVELS = { high: 60, medium: 30, basis: 'fixed' }
+const HEURISTIC_SPREAD = 6 // weighted sum 0-1 maps to sigmoid input [-3, 3]
 
-export function scoreCustomerRisk(transactions, customers) {
-  const now = new Date()
-  const results = []
+function toTime(date) {
+  return new Date(`${date.substring(0, 10)}T00:00:00Z`).getTime()
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x))
+}
+
+/**
+ * A customer's features as of atTime, from invoices issued before it. Only due and payment
+ * dates are read: today's payment_status and outstanding_amount describe the present, not atTime
+ * @returns {object|null} null when the customer has no earlier invoices
+ */
+function customerFeaturesAt(txns, customer, atTime) {
+  const prior = txns.filter(t => toTime(t.transaction_date) < atTime)
+  if (prior.length === 0) return null
+
+  let overdueCount = 0
+  let lateCount = 0
+  let totalRevenue = 0
+  let totalOutstanding = 0
+  let lastTxnTime = 0
+  const delays = []
+
+  prior.forEach(t => {
+    const amount = parseFloat(t.total_amount) || 0
+    const dueTime = t.payment_due_date ? toTime(t.payment_due_date) : null
+    const paidTime = t.payment_received_date ? toTime(t.payment_received_date) : null
+    totalRevenue += amount
+    lastTxnTime = Math.max(lastTxnTime, toTime(t.transaction_date))
+
+    if (paidTime !== null && paidTime < atTime) {
+      const delay = dueTime !== null ? (paidTime - dueTime) / DAY_MS : 0
+      delays.push(Math.max(0, delay))
+      if (delay > 0) lateCount++
+    } else {
+      // Open at atTime: partial payments carry no date, so the whole invoice counts
+      totalOutstanding += amount
+      if (dueTime !== null && dueTime < atTime) overdueCount++
+    }
+  })
+
+  const creditLimit = parseFloat(customer.credit_limit) || 1
+  return {
+    overdue_ratio: overdueCount / prior.length,
+    outstanding_ratio: totalRevenue > 0 ? totalOutstanding / totalRevenue : 0,
+    avg_payment_delay: delays.length > 0 ? ss.mean(delays) : 0,
+    credit_utilization: Math.min(1, totalOutstanding / creditLimit),
+    recency_score: Math.min(1, (atTime - lastTxnTime) / DAY_MS / RECENCY_DAYS),
+    late_payment_ratio: delays.length > 0 ? lateCount / delays.length : 0
+  }
+}
+
+/**
+ * 1 = went overdue or paid more than LATE_DAYS late, 0 = paid within LATE_DAYS, null = unresolved
+ */
+function invoiceLabel(t, asOfTime) {
+  if (!t.payment_due_date) return null
+  const dueTime = toTime(t.payment_due_date)
+  if (t.payment_status === 'Overdue') return 1
+  if (t.payment_received_date) {
+    return (toTime(t.payment_received_date) - dueTime) / DAY_MS > LATE_DAYS ? 1 : 0
+  }
+  return (asOfTime - dueTime) / DAY_MS > LATE_DAYS ? 1 : null
+}
+
+function percent(value) {
+  return `${Math.round(value * 100)}%`
+}
+
+// Plain-language description of a feature value, compared with the training average
+const FEATURE_PHRASES = {
+  overdue_ratio: (v, avg) => `${percent(v)} of invoices are past due and unpaid (typical ${percent(avg)})`,
+  outstanding_ratio: (v, avg) => `${percent(v)} of billed revenue is still outstanding (typical ${percent(avg)})`,
+  avg_payment_delay: (v, avg) => `pays ${v.toFixed(1)} days after the due date on average (typical ${avg.toFixed(1)})`,
+  credit_utilization: (v, avg) => `using ${percent(v)} of the credit limit (typical ${percent(avg)})`,
+  recency_score: (v, avg) => `last order ${Math.round(v * RECENCY_DAYS)} days ago (typical ${Math.round(avg * RECENCY_DAYS)})`,
+  late_payment_ratio: (v, avg) => `${percent(v)} of paid invoices were paid after the due date (typical ${percent(avg)})`,
+  partial_payment_ratio: (v, avg) => `${percent(v)} of invoices only partly paid (typical ${percent(avg)})`
+}
+
+/**
+ * Ranked feature contributions (log-odds vs the average customer) and the reasons behind a score
+ */
+function explainScore(features, model) {
+  const { mean, std } = model.scaler
+  const contributions = model.features.map((f, j) => ({
+    feature: f,
+    value: Math.round(features[f] * 10000) / 10000,
+    average: Math.round(mean[j] * 10000) / 10000,
+    contribution: Math.round(model.weights[f] * (features[f] - mean[j]) / std[j] * 10000) / 10000
+  })).sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+
+  const reasons = contributions
+    .filter(c => Math.abs(c.contribution) >= REASON_MIN_CONTRIBUTION)
+    .slice(0, REASON_COUNT)
+    .map(c => {
+      const phrase = FEATURE_PHRASES[c.feature](c.value, c.average)
+      return `${phrase.charAt(0).toUpperCase()}${phrase.slice(1)} — ${c.contribution > 0 ? 'raises' : 'lowers'} risk`
+    })
+  if (reasons.length === 0) reasons.push('Payment profile is close to the average customer')
+
+  return { contributions, reasons }
+}
+
+function groupByCustomer(transactions) {
+  const customerTxns = {}
+  transactions.forEach(t => {
+    if (!customerTxns[t.customer_id]) customerTxns[t.customer_id] = []
+    customerTxns[t.customer_id].push(t)
+  })
+  return customerTxns
+}
+
+function latestTime(transactions) {
+  return toTime(transactions.map(t => t.transaction_date.substring(0, 10)).sort().pop())
+}
+
+function riskLevel(riskScore, levels) {
+  if (riskScore >= levels.high) return 'High'
+  if (riskScore >= levels.medium) return 'Medium'
+  return 'Low'
+}
+
+/**
+ * The heuristic's current-state features as of scoreTime. Unlike customerFeaturesAt these read
+ * today's payment_status and outstanding_amount, as the heuristic always has
+ * @returns {object|null} null when the customer has no earlier invoices
+ */
+function heuristicFeatures(txns, customer, scoreTime) {
+  const prior = txns.filter(t => toTime(t.transaction_date) < scoreTime)
+  if (prior.length === 0) return null
+
+  const totalRevenue = prior.reduce((s, t) => s + (parseFloat(t.total_amount) || 0), 0)
+  const totalOutstanding = prior.reduce((s, t) => s + (parseFloat(t.outstanding_amount) || 0), 0)
+  const overdueCount = prior.filter(t => t.payment_status === 'Overdue').length
+  const delays = prior
+    .filter(t => t.payment_received_date && t.payment_due_date)
+    .map(t => Math.max(0, (toTime(t.payment_received_date) - toTime(t.payment_due_date)) / DAY_MS))
+  const lastTxnTime = Math.max(...prior.map(t => toTime(t.transaction_date)))
+  const creditLimit = parseFloat(customer.credit_limit) || 1
+
+  return {
+    overdue_ratio: overdueCount / prior.length,
+    outstanding_ratio: totalRevenue > 0 ? totalOutstanding / totalRevenue : 0,
+    avg_payment_delay: delays.length > 0 ? ss.mean(delays) : 0,
+    credit_utilization: Math.min(1, totalOutstanding / creditLimit),
+    recency_score: Math.min(1, (scoreTime - lastTxnTime) / DAY_MS / RECENCY_DAYS),
+    partial_payment_ratio: prior.filter(t => t.payment_status === 'Partial').length / prior.length,
+    _overdueCount: overdueCount,
+    _totalOutstanding: totalOutstanding
+  }
+}
+
+/**
+ * Fixed min-max bounds (and means, for explanations) of the heuristic features across all
+ * customers as of scoreTime. Saved with the heuristic record and reused by later runs
+ */
+function fitHeuristicScaler(customerTxns, customerMap, scoreTime) {
+  const features = Object.keys(HEURISTIC_WEIGHTS)
+  const rows = Object.entries(customerTxns)
+    .filter(([customerId]) => customerMap[customerId])
+    .map(([customerId, txns]) => heuristicFeatures(txns, customerMap[customerId], scoreTime))
+    .filter(Boolean)
+  if (rows.length === 0) return null
+
+  return {
+    method: 'min-max',
+    features,
+    min: features.map(f => Math.min(...rows.map(r => r[f]))),
+    max: features.map(f => Math.max(...rows.map(r => r[f]))),
+    mean: features.map(f => ss.mean(rows.map(r => r[f]))),
+    as_of: new Date(scoreTime - DAY_MS).toISOString().substring(0, 10),
+    fitted_at: new Date().toISOString(),
+    sample_size: rows.length
+  }
+}
+
+/**
+ * Record of a run scored with the heuristic because the logistic model could not be used
+ */
+function heuristicModel(reason, evaluation, scaler) {
+  console.log(`  Risk Scorer: ${reason} — falling back to the heuristic score`)
+  return {
+    method: 'heuristic',
+    reason,
+    label: `overdue or paid more than ${LATE_DAYS} days late`,
+    features: Object.keys(HEURISTIC_WEIGHTS),
+    weights: HEURISTIC_WEIGHTS,
+    scaler,
+    fitted_at: scaler ? scaler.fitted_at : null,
+    risk_levels: HEURISTIC_LEVELS,
+    ...evaluation
+  }
+}
+
+function featuresMatch(scaler, featureNames) {
+  return !!scaler && Array.isArray(scaler.features) && scaler.features.length === featureNames.length &&
+    featureNames.every((f, j) => scaler.features[j] === f)
+}
+
+/**
+ * Whether a persisted model is a trained logistic model for the current feature set
+ */
+function modelMatches(model) {
+  return !!model && model.method === 'logistic' && !!model.risk_levels && featuresMatch(model.scaler, FEATURE_NAMES) &&
+    FEATURE_NAMES.every(f => typeof model.weights?.[f] === 'number')
+}
+
+/**
+ * Whether a persisted model is a heuristic record with bounds for the current heuristic features
+ */
+function heuristicMatches(model) {
+  return !!model && model.method === 'heuristic' && model.scaler?.method === 'min-max' &&
+    featuresMatch(model.scaler, Object.keys(HEURISTIC_WEIGHTS))
+}
+
+/**
+ * Whether scores from two saved risk models are on the same scale: same method and the same
+ * fitted parameters. A refit, or new heuristic bounds, moves every customer's score
+ */
+export function sameRiskScale(previousModel, model) {
+  return !!previousModel && !!model && (previousModel.method || 'logistic') === model.method &&
+    !!model.fitted_at && previousModel.fitted_at === model.fitted_at
+}
+
+/**
+ * Train the risk model on invoice outcomes and evaluate it on the newest invoices
+ * @param {object[]} transactions
+ * @param {object[]} customers
+ * @param {{ previousModel?: object|null, refit?: boolean }} options - model persisted by an earlier run
+ *   (prediction_runs.risk_model), reused unchanged unless refit is set or it is not a logistic model
+ *   for the current features; a new model and scaler are fitted otherwise. A heuristic record is
+ *   not reused as is (training is retried), but its bounds are if the run falls back again
+ * @returns {object} logistic model (weights, intercept, scaler, risk levels) plus AUC and calibration,
+ *   or a heuristic record (method 'heuristic', reason) without enough labels or with a test AUC ≤ 0.5
+ */
+export function trainRiskModel(transactions, customers, { previousModel = null, refit = false } = {}) {
+  if (!refit && modelMatches(previousModel)) {
+    console.log(`  Risk Scorer: model reused (fitted ${previousModel.fitted_at || previousModel.scaler.fitted_at})`)
+    return previousModel
+  }
 
-  // Build customer lookup
   const customerMap = {}
   customers.forEach(c => { customerMap[c.id] = c })
+  const customerTxns = groupByCustomer(transactions)
+  const asOfTime = latestTime(transactions)
 
-  // Compute raw features for each customer
-  const customerFeatures = {}
+  // Heuristic bounds are carried forward like the logistic model, so fallback scores stay comparable
+  const fallback = (reason, evaluation = {}) => {
+    if (!refit && heuristicMatches(previousModel)) {
+      console.log(`  Risk Scorer: heuristic bounds reused (fitted ${previousModel.scaler.fitted_at} as of ${previousModel.scaler.as_of})`)
+      return heuristicModel(reason, evaluation, previousModel.scaler)
+    }
+    return heuristicModel(reason, evaluation, fitHeuristicScaler(customerTxns, customerMap, asOfTime + DAY_MS))
+  }
 
-  // Group transactions by customer
-  const customerTxns = {}
+  const samples = []
   transactions.forEach(t => {
-    const cid = t.customer_id
-    if (!customerTxns[cid]) customerTxns[cid] = []
-    customerTxns[cid].push(t)
+    const customer = customerMap[t.customer_id]
+    if (!customer) return
+    const label = invoiceLabel(t, asOfTime)
+    if (label === null) return
+    const features = customerFeaturesAt(customerTxns[t.customer_id], customer, toTime(t.transaction_date))
+    if (!features) return
+    samples.push({ date: t.transaction_date.substring(0, 10), x: FEATURE_NAMES.map(f => features[f]), y: label })
   })
+  samples.sort((a, b) => a.date.localeCompare(b.date))
 
-  for (const [customerId, txns] of Object.entries(customerTxns)) {
-    const customer = customerMap[customerId]
-    if (!customer) continue
+  const positives = samples.filter(s => s.y === 1).length
+  if (samples.length < MIN_SAMPLES || positives < MIN_POSITIVES || positives === samples.length) {
+    return fallback(`not enough labelled invoices to train (${samples.length} invoices, ${positives} late)`)
+  }
 
-    const totalTxns = txns.length
-    if (totalTxns === 0) continue
-
-    // Feature 1: Overdue ratio
-    const overdueCount = txns.filter(t => t.payment_status === 'Overdue').length
-    const overdueRatio = overdueCount / totalTxns
-
-    // Feature 2: Outstanding ratio
-    const totalRevenue = txns.reduce((s, t) => s + (parseFloat(t.total_amount) || 0), 0)
-    const totalOutstanding = txns.reduce((s, t) => s + (parseFloat(t.outstanding_amount) || 0), 0)
-    const outstandingRatio = totalRevenue > 0 ? totalOutstanding / totalRevenue : 0
-
-    // Feature 3: Average payment delay (days)
-    const delays = []
-    txns.forEach(t => {
-      if (t.payment_received_date && t.payment_due_date) {
-        const due = new Date(t.payment_due_date)
-        const paid = new Date(t.payment_received_date)
-        const delayDays = (paid - due) / (1000 * 60 * 60 * 24)
-        delays.push(Math.max(0, delayDays))
-      }
-    })
-    const avgDelay = delays.length > 0 ? ss.mean(delays) : 0
-
-    // Feature 4: Credit utilization
-    const creditLimit = parseFloat(customer.credit_limit) || 1
-    const creditUtilization = Math.min(1, totalOutstanding / creditLimit)
-
-    // Feature 5: Recency score (higher = longer since last transaction = riskier)
-    const lastTxnDate = new Date(Math.max(...txns.map(t => new Date(t.transaction_date))))
-    const daysSinceLastTxn = (now - lastTxnDate) / (1000 * 60 * 60 * 24)
-    const recencyScore = Math.min(1, daysSinceLastTxn / 180) // Normalize to 6 months
-
-    // Feature 6: Partial payment ratio
-    const partialCount = txns.filter(t => t.payment_status === 'Partial').length
-    const partialRatio = partialCount / totalTxns
-
-    customerFeatures[customerId] = {
-      overdue_ratio: overdueRatio,
-      outstanding_ratio: outstandingRatio,
-      avg_payment_delay: avgDelay,
-      credit_utilization: creditUtilization,
-      recency_score: recencyScore,
-      partial_payment_ratio: partialRatio,
-      // Raw data for output
-      _overdueCount: overdueCount,
-      _totalOutstanding: totalOutstanding,
-      _totalRevenue: totalRevenue,
-      _avgDelay: avgDelay,
-      _totalTxns: totalTxns
+  const splitIndex = Math.floor(samples.length * (1 - TEST_SHARE))
+  const train = samples.slice(0, splitIndex)
+  const test = samples.slice(splitIndex)
+  const fittedAt = new Date().toISOString()
+  const fittedScaler = {
+    method: 'standard',
+    features: FEATURE_NAMES,
+    ...fitScaler(train.map(s => s.x)),
+    fitted_at: fittedAt,
+    sample_size: train.length
+  }
+  const fixed = { mean: fittedScaler.mean, std: fittedScaler.std }
+
+  const evalModel = fitLogistic(train.map(s => s.x), train.map(s => s.y), { scaler: fixed })
+  const testScores = test.map(s => predictLogistic(evalModel, s.x))
+  const testLabels = test.map(s => s.y)
+  const auc = aucScore(testScores, testLabels)
+  const evaluation = {
+    train_size: train.length,
+    test_size: test.length,
+    split_date: test[0].date,
+    positive_rate: Math.round(positives / samples.length * 10000) / 10000,
+    auc: auc !== null ? Math.round(auc * 10000) / 10000 : null
+  }
+  if (auc === null || auc <= 0.5) {
+    return fallback(auc === null ? 'test invoices hold a single outcome, so AUC is undefined' : `test AUC ${auc.toFixed(3)} is no better than chance`, evaluation)
+  }
+
+  const model = fitLogistic(samples.map(s => s.x), samples.map(s => s.y), { scaler: fixed })
+  console.log(`  Risk Scorer: model and scaler fitted on ${samples.length} invoices${refit ? ' (refit requested)' : ''}`)
+
+  return {
+    method: 'logistic',
+    label: `overdue or paid more than ${LATE_DAYS} days late`,
+    late_days: LATE_DAYS,
+    features: FEATURE_NAMES,
+    intercept: Math.round(model.intercept * 10000) / 10000,
+    weights: Object.fromEntries(FEATURE_NAMES.map((f, j) => [f, Math.round(model.weights[j] * 10000) / 10000])),
+    scaler: fittedScaler,
+    fitted_at: fittedAt,
+    ...evaluation,
+    calibration: calibrationTable(testScores, testLabels, CALIBRATION_BINS),
+    risk_levels: {
+      high: Math.round(ss.quantile(testScores, HIGH_RISK_QUANTILE) * 100 * 100) / 100,
+      medium: Math.round(ss.quantile(testScores, MEDIUM_RISK_QUANTILE) * 100 * 100) / 100,
+      basis: `held-out score quantiles ${HIGH_RISK_QUANTILE} / ${MEDIUM_RISK_QUANTILE}`
     }
   }
+}
 
-  // Min-max normalize each feature across all customers
-  const featureNames = Object.keys(WEIGHTS)
-  const allCustomerIds = Object.keys(customerFeatures)
+/**
+ * Heuristic score for one customer: current features min-max normalised against the model's
+ * fixed bounds (clamped to 0-1), weighted, and mapped through a sigmoid
+ */
+function scoreHeuristic(txns, customer, model, scoreTime) {
+  const features = heuristicFeatures(txns, customer, scoreTime)
+  if (!features) return null
 
-  const featureMin = {}
-  const featureMax = {}
-  featureNames.forEach(f => {
-    const values = allCustomerIds.map(cid => customerFeatures[cid][f])
-    featureMin[f] = Math.min(...values)
-    featureMax[f] = Math.max(...values)
+  const { min, max, mean } = model.scaler
+  let weightedSum = 0
+  const normalizedFeatures = {}
+  model.features.forEach((f, j) => {
+    const range = max[j] - min[j]
+    const normalized = range > 0 ? Math.min(1, Math.max(0, (features[f] - min[j]) / range)) : 0
+    normalizedFeatures[f] = Math.round(normalized * 1000) / 1000
+    weightedSum += normalized * model.weights[f]
   })
 
-  // Score each customer
-  for (const customerId of allCustomerIds) {
-    const features = customerFeatures[customerId]
-    const customer = customerMap[customerId]
+  const delayProbability = sigmoid((weightedSum - 0.5) * HEURISTIC_SPREAD)
+  const riskScore = Math.round(delayProbability * 100 * 100) / 100
 
-    // Normalize features to [0, 1]
-    let weightedSum = 0
-    const normalizedFeatures = {}
+  // Contributions in log-odds vs the average customer: the sigmoid input is
+  // HEURISTIC_SPREAD × (Σ weight × normalised − 0.5), i.e. a scale of range / HEURISTIC_SPREAD
+  const explainer = {
+    features: model.features,
+    weights: model.weights,
+    scaler: { mean, std: model.features.map((f, j) => (max[j] > min[j] ? (max[j] - min[j]) / HEURISTIC_SPREAD : 1)) }
+  }
+  const { contributions, reasons } = explainScore(features, explainer)
 
-    featureNames.forEach(f => {
-      const range = featureMax[f] - featureMin[f]
-      const normalized = range > 0 ? (features[f] - featureMin[f]) / range : 0
-      normalizedFeatures[f] = Math.round(normalized * 1000) / 1000
-      weightedSum += normalized * WEIGHTS[f]
-    })
+  let expectedDelayDays = features.avg_payment_delay
+  if (features._overdueCount > 0) expectedDelayDays = features.avg_payment_delay * (1 + delayProbability)
+
+  return {
+    customer_id: customer.id,
+    risk_score: riskScore,
+    risk_level: riskLevel(riskScore, model.risk_levels),
+    payment_delay_probability: Math.round(delayProbability * 10000) / 10000,
+    expected_delay_days: Math.round(expectedDelayDays * 10) / 10,
+    overdue_invoice_count: features._overdueCount,
+    total_outstanding: Math.round(features._totalOutstanding * 100) / 100,
+    credit_utilization: Math.round(features.credit_utilization * 10000) / 10000,
+    features: normalizedFeatures,
+    feature_contributions: contributions,
+    risk_reasons: reasons
+  }
+}
+
+/**
+ * Score one customer with a saved model, independent of any other customer
+ * @param {object[]} txns - the customer's transactions
+ * @param {object} customer
+ * @param {object} model - from trainRiskModel (or a persisted prediction_runs.risk_model); a heuristic
+ *   record scores with its saved bounds
+ * @param {{ asOf?: string }} options - score as of the day after this date (default: customer's latest transaction)
+ * @returns {object|null} customer_risk_scores row, or null without history
+ */
+export function scoreCustomer(txns, customer, model, { asOf = null } = {}) {
+  // Score as of the day after the reference date, so every invoice counts as prior history
+  const scoreTime = (asOf ? toTime(asOf) : latestTime(txns)) + DAY_MS
+  if (model.method === 'heuristic') return scoreHeuristic(txns, customer, model, scoreTime)
 
-    // Apply sigmoid to get probability (shift and scale for better distribution)
-    // weightedSum is 0-1, map to sigmoid input range [-3, 3] for good spread
-    const sigmoidInput = (weightedSum - 0.5) * 6
-    const delayProbability = sigmoid(sigmoidInput)
+  const features = customerFeaturesAt(txns, customer, scoreTime)
+  if (!features) return null
 
-    // Scale to 0-100 risk score
-    const riskScore = Math.round(delayProbability * 100 * 100) / 100
+  const { mean, std } = model.scaler
+  const scorer = { intercept: model.intercept, weights: FEATURE_NAMES.map(f => model.weights[f]), mean, std }
+  const delayProbability = predictLogistic(scorer, FEATURE_NAMES.map(f => features[f]))
 
-    // Risk level classification
-    let riskLevel = 'Low'
-    if (riskScore >= 60) riskLevel = 'High'
-    else if (riskScore >= 30) riskLevel = 'Medium'
+  // Scale to 0-100 risk score
+  const riskScore = Math.round(delayProbability * 100 * 100) / 100
 
-    // Expected delay days (from linear regression on actual delays if enough data)
-    let expectedDelayDays = features._avgDelay
-    if (features._overdueCount > 0) {
-      // Scale by risk probability
-      expectedDelayDays = Math.round(features._avgDelay * (1 + delayProbability) * 10) / 10
-    }
+  // Standardised feature values, on the scale the weights apply to
+  const standardizedFeatures = {}
+  FEATURE_NAMES.forEach((f, j) => {
+    standardizedFeatures[f] = Math.round((features[f] - mean[j]) / std[j] * 1000) / 1000
+  })
 
-    results.push({
-      customer_id: customerId,
-      risk_score: riskScore,
-      risk_level: riskLevel,
-      payment_delay_probability: Math.round(delayProbability * 10000) / 10000,
-      expected_delay_days: Math.round(expectedDelayDays * 10) / 10,
-      overdue_invoice_count: features._overdueCount,
-      total_outstanding: Math.round(features._totalOutstanding * 100) / 100,
-      credit_utilization: Math.round((features.credit_utilization) * 10000) / 10000,
-      features: normalizedFeatures
-    })
+  const { contributions, reasons } = explainScore(features, model)
+
+  const overdueCount = txns.filter(t => t.payment_status === 'Overdue').length
+  const totalOutstanding = txns.reduce((s, t) => s + (parseFloat(t.outstanding_amount) || 0), 0)
+
+  // Expected delay days, scaled by risk probability for customers with overdue invoices
+  let expectedDelayDays = features.avg_payment_delay
+  if (overdueCount > 0) {
+    expectedDelayDays = Math.round(features.avg_payment_delay * (1 + delayProbability) * 10) / 10
+  }
+
+  return {
+    customer_id: customer.id,
+    risk_score: riskScore,
+    risk_level: riskLevel(riskScore, model.risk_levels),
+    payment_delay_probability: Math.round(delayProbability * 10000) / 10000,
+    expected_delay_days: Math.round(expectedDelayDays * 10) / 10,
+    overdue_invoice_count: overdueCount,
+    total_outstanding: Math.round(totalOutstanding * 100) / 100,
+    credit_utilization: Math.round((features.credit_utilization) * 10000) / 10000,
+    features: standardizedFeatures,
+    feature_contributions: contributions,
+    risk_reasons: reasons
+  }
+}
+
+/**
+ * @param {object[]} transactions
+ * @param {object[]} customers
+ * @param {{ model?: object }} options - model from trainRiskModel (trained here when omitted);
+ *   a heuristic record scores with the heuristic fallback
+ */
+export function scoreCustomerRisk(transactions, customers, { model = trainRiskModel(transactions, customers) } = {}) {
+  const results = []
+  const customerMap = {}
+  customers.forEach(c => { customerMap[c.id] = c })
+  const customerTxns = groupByCustomer(transactions)
+  const asOf = transactions.map(t => t.transaction_date.substring(0, 10)).sort().pop()
+
+  for (const [customerId, txns] of Object.entries(customerTxns)) {
+    const customer = customerMap[customerId]
+    if (!customer) continue
+
+    const score = scoreCustomer(txns, customer, model, { asOf })
+    if (score) results.push(score)
+  }
+
+  if (model.method === 'heuristic') {
+    console.log(`  Risk Scorer: ${results.length} customers scored (heuristic fallback: ${model.reason})`)
+  } else {
+    console.log(`  Risk Scorer: ${results.length} customers scored (logistic regression, ${model.train_size} train / ${model.test_size} test invoices)`)
+    console.log(`    Test AUC: ${model.auc.toFixed(3)}, late-payment base rate: ${(model.positive_rate * 100).toFixed(1)}%`)
   }
 
-  console.log(`  Risk Scorer: ${results.length} customers scored`)
-  console.log(`    High risk: ${results.filter(r => r.risk_level === 'High').length}`)
-  console.log(`    Medium risk: ${results.filter(r => r.risk_level === 'Medium').length}`)
+  const { high, medium } = model.risk_levels
+  console.log(`    High risk (≥ ${high}): ${results.filter(r => r.risk_level === 'High').length}`)
+  console.log(`    Medium risk (≥ ${medium}): ${results.filter(r => r.risk_level === 'Medium').length}`)
   console.log(`    Low risk: ${results.filter(r => r.risk_level === 'Low').length}`)
 
   return results
@@ -0,0 +1,82 @@
+/**
+ * Risk Trend — Early-warning detection between consecutive prediction runs
+ *
+ * Algorithm:
+ * 1. Match each customer's new risk score with their score in the previous completed run
+ * 2. Change = new score − previous score (risk points, 0-100 scale)
+ * 3. Alert per customer:
+ *    'level_up'   — risk level moved up (Low → Medium, Medium → High, Low → High)
+ *    'jump'       — score rose by at least the jump threshold without changing level
+ *    'level_down' — risk level moved down
+ * 4. 'level_up' and 'jump' customers are "newly risky"
+ * 5. Scores from a run scored by another method (logistic model vs heuristic fallback), or
+ *    by another fit of the same method (a refit model, new heuristic bounds), are on a
+ *    different scale: changes are still recorded but no alerts are raised
+ * 6. Level alerts need levels to move: a warning is logged when every compared customer
+ *    sits in one level in both runs, as no level_up can fire
+ */
+
+const LEVEL_RANK = { Low: 0, Medium: 1, High: 2 }
+export const DEFAULT_JUMP_THRESHOLD = 10 // risk points
+
+/**
+ * @param {object[]} scores - rows from scoreCustomerRisk
+ * @param {{ customer_id: string, risk_score: number, risk_level: string }[]} previousScores - previous run's rows
+ * @param {{ jumpThreshold?: number, comparable?: boolean }} options - comparable: false when the previous
+ *   run's scores are on another scale (sameRiskScale in risk-scorer.js), which suppresses alerts
+ * @returns {{ scores: object[], summary: object }} scores with previous_risk_score, previous_risk_level,
+ *   risk_score_change and risk_alert added
+ */
+export function detectRiskChanges(scores, previousScores, { jumpThreshold = DEFAULT_JUMP_THRESHOLD, comparable = true } = {}) {
+  const previousByCustomer = Object.fromEntries(previousScores.map(p => [p.customer_id, p]))
+
+  const annotated = scores.map(s => {
+    const previous = previousByCustomer[s.customer_id]
+    if (!previous) {
+      return { ...s, previous_risk_score: null, previous_risk_level: null, risk_score_change: null, risk_alert: null }
+    }
+
+    const previousScore = parseFloat(previous.risk_score) || 0
+    const change = Math.round((s.risk_score - previousScore) * 100) / 100
+    const levelShift = LEVEL_RANK[s.risk_level] - LEVEL_RANK[previous.risk_level]
+
+    let alert = null
+    if (comparable) {
+      if (levelShift > 0) alert = 'level_up'
+      else if (change >= jumpThreshold) alert = 'jump'
+      else if (levelShift < 0) alert = 'level_down'
+    }
+
+    return {
+      ...s,
+      previous_risk_score: previousScore,
+      previous_risk_level: previous.risk_level,
+      risk_score_change: change,
+      risk_alert: alert
+    }
+  })
+
+  const compared = annotated.filter(s => s.previous_risk_score !== null)
+  const count = type => annotated.filter(s => s.risk_alert === type).length
+  const summary = {
+    jump_threshold: jumpThreshold,
+    comparable,
+    compared_customers: compared.length,
+    level_ups: count('level_up'),
+    jumps: count('jump'),
+    level_downs: count('level_down')
+  }
+
+  console.log(`  Risk Trend: ${summary.compared_customers} customers compared with the previous run`)
+  if (!comparable) {
+    console.log('    Previous run was scored on another scale (other method or refit) — changes recorded, no alerts raised')
+  } else {
+    console.log(`    Newly risky: ${summary.level_ups} moved up a level, ${summary.jumps} jumped ≥${jumpThreshold} points; ${summary.level_downs} moved down`)
+  }
+  const levels = new Set(compared.flatMap(s => [s.risk_level, s.previous_risk_level]))
+  if (comparable && levels.size === 1) {
+    console.warn(`    WARNING: every compared customer is ${[...levels][0]} risk in both runs, so no level_up alert can fire`)
+  }
+
+  return { scores: annotated, summary }
+}
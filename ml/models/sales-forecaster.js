@@ -1,68 +1,325 @@
 /**
- * Sales Forecaster — Linear Regression on monthly product demand
+ * Sales Forecaster — Linear Regression / Holt / Holt-Winters on monthly product demand
  *
  * Algorithm:
- * 1. Groups transactions by product × month → time series of monthly quantities
- * 2. Fits linear regression (least squares): quantity = slope × month_index + intercept
- * 3. Extrapolates next 3 months
- * 4. R² as confidence metric
- * 5. Revenue = predicted quantity × average unit price
+ * 1. Groups transactions by product × month → time series of monthly quantities,
+ *    zero-filled from the product's first sale to the last month of all transactions
+ * 2. Candidate models per product:
+ *    - linear_regression: quantity = slope × month_index + intercept (least squares)
+ *    - holt: double exponential smoothing (level + trend)
+ *    - holt_winters: additive level + trend + month-of-year seasonal terms,
+ *      captures monsoon / festive spikes (needs ≥ 12 months of history)
+ *    - croston_sba: Croston / SBA for intermittent series (intermittent-demand.js),
+ *      used whenever the share of zero months marks the series as intermittent;
+ *      such series need only 2 months with sales instead of 3
+ * 3. Model per product is chosen by holdout backtest (selectSalesModels),
+ *    or defaults to holt_winters with ≥ 12 months of history, else linear_regression
+ * 4. Extrapolates the next `horizon` months (1–12, default 3)
+ * 5. Prediction intervals (80% / 95%) from the model's in-sample residuals:
+ *    linear regression uses the OLS prediction interval, smoothing models
+ *    the one-step residual σ widened with the horizon
+ * 6. Confidence = 1 − relative half-width of the 95% interval
+ * 7. Revenue = predicted quantity × average unit price
+ * 8. Growth rate = trend / average monthly quantity, averaged over the zero-filled
+ *    series (months without sales included)
+ *
+ * Dimensions (dimension / dimension_key on transaction_predictions):
+ *    - product: one series per product (dimension_key null)
+ *    - product_region: one series per product × region (dimension_key = region)
+ *    - customer_product: one series per product for each of the TOP_CUSTOMERS
+ *      customers by revenue (dimension_key = customer_id)
+ *    Sub-series reuse the model backtested for their product.
  */
 import * as ss from 'simple-statistics'
+import { backtestModels } from './backtest.js'
+import { crostonSBA, demandProfile } from './intermittent-demand.js'
 
-export function forecastSales(transactions, products) {
-  const predictions = []
+const SEASON_LENGTH = 12 // months in a seasonal cycle
+const SEASONAL_MIN_MONTHS = 12 // history needed before the seasonal model is used
+const Z_80 = 1.2816 // two-sided 80% normal quantile
+const Z_95 = 1.96 // two-sided 95% normal quantile
+const TOP_CUSTOMERS = 10 // customers forecast individually in the customer_product dimension
 
-  // Build product lookup
-  const productMap = {}
-  products.forEach(p => { productMap[p.id] = p })
+// Series key for each dimension: dimension_key of a transaction, null at product level
+const DIMENSIONS = {
+  product: () => null,
+  product_region: t => t.region || 'Unknown',
+  customer_product: t => t.customer_id
+}
+
+/**
+ * Forecast standard error for exponential smoothing with trend:
+ * Var(h) = σ² × (1 + Σ_{j=1}^{h-1} (α(1 + jβ))²), σ from one-step-ahead residuals
+ */
+function smoothingStdError(residuals, alpha, beta) {
+  const sigma = residuals.length > 0
+    ? Math.sqrt(residuals.reduce((s, e) => s + e * e, 0) / residuals.length)
+    : 0
+  return h => {
+    let multiplier = 1
+    for (let j = 1; j < h; j++) multiplier += Math.pow(alpha * (1 + j * beta), 2)
+    return sigma * Math.sqrt(multiplier)
+  }
+}
+
+/**
+ * Holt-Winters additive smoothing (level + trend + seasonal)
+ * Initial level/trend come from a least-squares line through the first season,
+ * initial seasonal terms are the first season's deviations from that line.
+ * @param {number[]} series - monthly values, oldest first (zero-filled)
+ * @param {number} period - season length
+ * @param {number} alpha - level smoothing
+ * @param {number} beta - trend smoothing
+ * @param {number} gamma - seasonal smoothing
+ * @returns {{ forecast: (h: number) => number, stdError: (h: number) => number, fitted: number[], level: number, trend: number }}
+ */
+function holtWinters(series, period = SEASON_LENGTH, alpha = 0.3, beta = 0.1, gamma = 0.3) {
+  const firstSeason = series.slice(0, period).map((y, i) => [i, y])
+  const init = ss.linearRegression(firstSeason)
+
+  let level = init.b + init.m * (period - 1)
+  let trend = init.m
+  const seasonal = firstSeason.map(([i, y]) => y - (init.b + init.m * i))
+  const fitted = firstSeason.map(([i]) => init.b + init.m * i + seasonal[i])
+
+  for (let t = period; t < series.length; t++) {
+    const s = seasonal[t - period]
+    fitted.push(level + trend + s) // one-step-ahead fit
+
+    const prevLevel = level
+    level = alpha * (series[t] - s) + (1 - alpha) * (level + trend)
+    trend = beta * (level - prevLevel) + (1 - beta) * trend
+    seasonal.push(gamma * (series[t] - level) + (1 - gamma) * s)
+  }
+
+  const n = series.length
+  const forecast = h => level + h * trend + seasonal[n - period + ((h - 1) % period)]
+
+  // One-step residuals after the first season. With exactly one season there are none
+  // (its seasonal terms reproduce it exactly), so the interval is the linear trend's
+  const stdError = n > period
+    ? smoothingStdError(series.slice(period).map((y, i) => y - fitted[period + i]), alpha, beta)
+    : linearTrend(series).stdError
+
+  return { forecast, stdError, fitted, level, trend }
+}
+
+/**
+ * Double Exponential Smoothing (Holt's method) — level + trend, no seasonality
+ * @returns {{ forecast: (h: number) => number, stdError: (h: number) => number, fitted: number[], level: number, trend: number }}
+ */
+function holt(series, alpha = 0.3, beta = 0.1) {
+  let level = series[0]
+  let trend = series[1] - series[0]
+
+  const fitted = [level]
+  for (let t = 1; t < series.length; t++) {
+    fitted.push(level + trend) // one-step-ahead fit
+
+    const prevLevel = level
+    level = alpha * series[t] + (1 - alpha) * (level + trend)
+    trend = beta * (level - prevLevel) + (1 - beta) * trend
+  }
+
+  // The first two fits reproduce the data by construction, skip them
+  const residuals = series.slice(2).map((y, i) => y - fitted[i + 2])
+  const stdError = smoothingStdError(residuals, alpha, beta)
+
+  return { forecast: h => level + h * trend, stdError, fitted, level, trend }
+}
+
+/**
+ * Least-squares line through the series
+ * Standard error is the OLS prediction interval: s × √(1 + 1/n + (x₀ − x̄)² / Sxx)
+ * @returns {{ forecast: (h: number) => number, stdError: (h: number) => number, fitted: number[], trend: number }}
+ */
+function linearTrend(series) {
+  const regression = ss.linearRegression(series.map((y, i) => [i, y]))
+  const regressionLine = ss.linearRegressionLine(regression)
+  const n = series.length
+  const last = n - 1
+
+  const fitted = series.map((_, i) => regressionLine(i))
+  const sse = series.reduce((sum, y, i) => sum + Math.pow(y - fitted[i], 2), 0)
+  const s = n > 2 ? Math.sqrt(sse / (n - 2)) : 0
+  const xMean = last / 2
+  const sxx = series.reduce((sum, _, i) => sum + Math.pow(i - xMean, 2), 0)
+
+  return {
+    forecast: h => regressionLine(last + h),
+    stdError: h => s * Math.sqrt(1 + 1 / n + (sxx > 0 ? Math.pow(last + h - xMean, 2) / sxx : 0)),
+    fitted,
+    trend: regression.m
+  }
+}
+
+// Candidate models, keyed by the model_used value written to transaction_predictions
+const SALES_MODELS = {
+  linear_regression: { minLength: 3, fit: linearTrend },
+  holt: { minLength: 3, fit: series => holt(series) },
+  holt_winters: { minLength: SEASONAL_MIN_MONTHS, fit: series => holtWinters(series) },
+  croston_sba: { minLength: 2, fit: series => crostonSBA(series) }
+}
+
+// Only croston_sba is a candidate for intermittent series, and only the others for smooth ones
+const INTERMITTENT_MODELS = ['croston_sba']
+
+function candidateModels(series) {
+  const intermittent = demandProfile(series).intermittent
+  return Object.keys(SALES_MODELS).filter(name => INTERMITTENT_MODELS.includes(name) === intermittent)
+}
+
+function defaultModel(series) {
+  if (demandProfile(series).intermittent) return 'croston_sba'
+  return series.length >= SEASONAL_MIN_MONTHS ? 'holt_winters' : 'linear_regression'
+}
 
-  // Group transactions by product_id → monthly quantities
+/**
+ * Customer ids of the top `limit` customers by total revenue
+ */
+function topCustomerIds(transactions, limit) {
+  const revenue = {}
+  transactions.forEach(t => {
+    revenue[t.customer_id] = (revenue[t.customer_id] || 0) + (parseFloat(t.total_amount) || 0)
+  })
+  return new Set(Object.entries(revenue)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, limit)
+    .map(([id]) => id))
+}
+
+/**
+ * Sorted months (YYYY-MM) with any transaction: the month index every series is laid on
+ */
+function monthIndex(transactions) {
+  return [...new Set(transactions.map(t => t.transaction_date.substring(0, 7)))].sort()
+}
+
+/**
+ * Group transactions into monthly aggregates and zero-filled quantity series,
+ * one series per product (× dimension key)
+ * @param {object[]} transactions
+ * @param {(t: object) => string|null} keyOf - dimension key of a transaction (see DIMENSIONS)
+ * @param {string[]} allMonths - month index from all transactions, so series built from a subset
+ *   (e.g. the top customers) end in the same month as the product-level series
+ * @returns {{ productMonthly: object, allMonths: string[], series: object, meta: Object<string, { productId: string, dimensionKey: string|null }> }}
+ */
+function buildProductSeries(transactions, keyOf = DIMENSIONS.product, allMonths = monthIndex(transactions)) {
+  // Group transactions by product_id (+ dimension key) → monthly quantities
   const productMonthly = {}
+  const meta = {}
   transactions.forEach(t => {
-    const pid = t.product_id
-    if (!productMonthly[pid]) productMonthly[pid] = {}
+    const dimensionKey = keyOf(t)
+    const key = dimensionKey === null ? t.product_id : `${t.product_id}|${dimensionKey}`
+    if (!productMonthly[key]) {
+      productMonthly[key] = {}
+      meta[key] = { productId: t.product_id, dimensionKey }
+    }
     const month = t.transaction_date.substring(0, 7) // YYYY-MM
-    if (!productMonthly[pid][month]) {
-      productMonthly[pid][month] = { quantity: 0, revenue: 0, count: 0 }
+    if (!productMonthly[key][month]) {
+      productMonthly[key][month] = { quantity: 0, revenue: 0, count: 0 }
     }
-    productMonthly[pid][month].quantity += parseFloat(t.quantity_liters) || 0
-    productMonthly[pid][month].revenue += parseFloat(t.total_amount) || 0
-    productMonthly[pid][month].count += 1
+    productMonthly[key][month].quantity += parseFloat(t.quantity_liters) || 0
+    productMonthly[key][month].revenue += parseFloat(t.total_amount) || 0
+    productMonthly[key][month].count += 1
   })
 
-  // Get all months sorted
-  const allMonths = [...new Set(transactions.map(t => t.transaction_date.substring(0, 7)))]
-    .sort()
+  const series = {}
+  for (const [key, monthlyData] of Object.entries(productMonthly)) {
+    const salesMonths = Object.keys(monthlyData)
+    if (salesMonths.length < 2) continue
 
-  // Create month index mapping (0, 1, 2, ...)
-  const monthIndex = {}
-  allMonths.forEach((m, i) => { monthIndex[m] = i })
-  const lastIndex = allMonths.length - 1
+    // Complete monthly series from the first sale (0 for months with no sales)
+    const firstIndex = allMonths.indexOf(salesMonths.sort()[0])
+    const values = allMonths.slice(firstIndex).map(m => monthlyData[m]?.quantity || 0)
 
-  // For each product, fit linear regression
-  for (const [productId, monthlyData] of Object.entries(productMonthly)) {
-    const product = productMap[productId]
-    if (!product) continue
+    // Need at least 3 data points, or 2 for an intermittent (Croston) series
+    if (salesMonths.length < 3 && !demandProfile(values).intermittent) continue
+    series[key] = values
+  }
 
-    // Build data points: [[monthIndex, quantity], ...]
-    const dataPoints = []
-    for (const [month, data] of Object.entries(monthlyData)) {
-      if (monthIndex[month] !== undefined) {
-        dataPoints.push([monthIndex[month], data.quantity])
-      }
-    }
+  return { productMonthly, allMonths, series, meta }
+}
+
+/**
+ * Backtest every candidate model per product on the last `holdoutMonths` months
+ * @returns {{ product_id: string, chosen: string, mape: number|null, rmse: number, candidates: object[] }[]}
+ */
+export function selectSalesModels(transactions, products, holdoutMonths = 3) {
+  const productIds = new Set(products.map(p => String(p.id)))
+  const { series } = buildProductSeries(transactions)
+  const selections = []
+
+  for (const [productId, values] of Object.entries(series)) {
+    if (!productIds.has(productId)) continue
 
-    if (dataPoints.length < 3) continue // Need at least 3 data points
+    const candidates = candidateModels(values).map(name => ({
+      name,
+      minLength: SALES_MODELS[name].minLength,
+      fit: train => SALES_MODELS[name].fit(train).forecast
+    }))
+    const result = backtestModels(values, candidates, holdoutMonths)
+    if (!result.chosen) continue
 
-    // Fit linear regression
-    const regression = ss.linearRegression(dataPoints)
-    const regressionLine = ss.linearRegressionLine(regression)
+    selections.push({
+      product_id: productId,
+      chosen: result.chosen.model,
+      mape: result.chosen.mape,
+      rmse: result.chosen.rmse,
+      candidates: result.candidates
+    })
+  }
+
+  console.log(`  Sales model selection: ${selections.length} products backtested on last ${holdoutMonths} months`)
+  Object.keys(SALES_MODELS).forEach(name => {
+    console.log(`    ${name}: ${selections.filter(s => s.chosen === name).length}`)
+  })
+
+  return selections
+}
+
+/**
+ * @param {object[]} transactions
+ * @param {object[]} products
+ * @param {{ models?: Object<string, string>, dimension?: 'product'|'product_region'|'customer_product', horizon?: number }} options
+ *   models: model name per product_id (from selectSalesModels); dimension: series granularity;
+ *   horizon: months to forecast
+ */
+export function forecastSales(transactions, products, { models = {}, dimension = 'product', horizon = 3 } = {}) {
+  const predictions = []
+
+  // Build product lookup
+  const productMap = {}
+  products.forEach(p => { productMap[p.id] = p })
+
+  const keyOf = DIMENSIONS[dimension]
+  if (!keyOf) throw new Error(`Unknown forecast dimension: ${dimension}`)
+  // Month index from all transactions, whatever subset the dimension forecasts
+  const allMonths = monthIndex(transactions)
+  let source = transactions
+  if (dimension === 'customer_product') {
+    const customerIds = topCustomerIds(transactions, TOP_CUSTOMERS)
+    source = transactions.filter(t => customerIds.has(t.customer_id))
+  }
 
-    // Calculate R² (coefficient of determination)
-    // ss.rSquared takes (data, regressionFunction)
-    const rSquared = ss.rSquared(dataPoints, regressionLine)
-    const actual = dataPoints.map(([, y]) => y)
+  const { productMonthly, series, meta } = buildProductSeries(source, keyOf, allMonths)
+
+  // For each series, fit the model selected for its product
+  for (const [key, values] of Object.entries(series)) {
+    const { productId, dimensionKey } = meta[key]
+    const product = productMap[productId]
+    if (!product) continue
+
+    const monthlyData = productMonthly[key]
+    // The product's selected model, unless this (sub-)series calls for a different family
+    const selected = models[productId]
+    const modelUsed = SALES_MODELS[selected] && values.length >= SALES_MODELS[selected].minLength &&
+      candidateModels(values).includes(selected)
+      ? selected
+      : defaultModel(values)
+    const model = SALES_MODELS[modelUsed].fit(values)
+
+    const avgQuantity = ss.mean(values)
 
     // Average unit price from recent transactions
     const recentMonths = Object.entries(monthlyData)
@@ -71,35 +328,57 @@ export function forecastSales(transactions, products) {
     const avgUnitPrice = recentMonths.reduce((sum, [, d]) =>
       sum + (d.count > 0 ? d.revenue / d.quantity : 0), 0) / recentMonths.length
 
-    // Calculate growth rate from slope
-    const avgQuantity = ss.mean(actual)
-    const growthRate = avgQuantity > 0 ? regression.m / avgQuantity : 0
+    // Growth rate from the trend, relative to the average month including months without sales
+    const growthRate = avgQuantity > 0 ? model.trend / avgQuantity : 0
 
-    // Predict next 3 months
-    for (let i = 1; i <= 3; i++) {
-      const futureIndex = lastIndex + i
-      const predictedQty = Math.max(0, regressionLine(futureIndex))
+    // Predict over the horizon
+    for (let i = 1; i <= horizon; i++) {
+      const pointForecast = model.forecast(i)
+      const predictedQty = Math.max(0, pointForecast)
       const predictedRevenue = predictedQty * avgUnitPrice
 
+      // Prediction intervals around the point forecast (demand cannot go negative)
+      const stdError = model.stdError(i)
+      const lower80 = Math.max(0, pointForecast - Z_80 * stdError)
+      const upper80 = Math.max(0, pointForecast + Z_80 * stdError)
+      const lower95 = Math.max(0, pointForecast - Z_95 * stdError)
+      const upper95 = Math.max(0, pointForecast + Z_95 * stdError)
+
+      // Confidence: how tight the 95% interval is relative to the forecast
+      const confidence = predictedQty > 0
+        ? Math.min(1, Math.max(0, 1 - (Z_95 * stdError) / predictedQty))
+        : 0
+
       // Calculate prediction month date
       const lastMonth = allMonths[allMonths.length - 1]
       const [year, mon] = lastMonth.split('-').map(Number)
-      const futureDate = new Date(year, mon - 1 + i, 1)
+      const futureDate = new Date(Date.UTC(year, mon - 1 + i, 1))
       const predictionMonth = futureDate.toISOString().substring(0, 10) // YYYY-MM-DD
 
       predictions.push({
         product_id: productId,
+        dimension,
+        dimension_key: dimensionKey,
         prediction_month: predictionMonth,
         predicted_quantity: Math.round(predictedQty * 100) / 100,
         predicted_revenue: Math.round(predictedRevenue * 100) / 100,
-        confidence_score: Math.round(Math.max(0, rSquared) * 100) / 100, // R² as confidence
-        model_used: 'linear_regression',
-        trend_direction: regression.m > 0 ? 'up' : regression.m < 0 ? 'down' : 'stable',
+        lower_bound_80: Math.round(lower80 * 100) / 100,
+        upper_bound_80: Math.round(upper80 * 100) / 100,
+        lower_bound_95: Math.round(lower95 * 100) / 100,
+        upper_bound_95: Math.round(upper95 * 100) / 100,
+        confidence_score: Math.round(confidence * 100) / 100,
+        model_used: modelUsed,
+        trend_direction: model.trend > 0 ? 'up' : model.trend < 0 ? 'down' : 'stable',
         growth_rate: Math.round(growthRate * 10000) / 10000
       })
     }
   }
 
-  console.log(`  Sales Forecaster: ${predictions.length} predictions for ${Object.keys(productMonthly).length} products`)
+  const forecastSeries = new Set(predictions.map(p => `${p.product_id}|${p.dimension_key}`))
+  const seasonalCount = new Set(predictions.filter(p => p.model_used === 'holt_winters').map(p => `${p.product_id}|${p.dimension_key}`)).size
+  console.log(`  Sales Forecaster [${dimension}]: ${predictions.length} predictions for ${forecastSeries.size} series`)
+  const intermittentCount = new Set(predictions.filter(p => p.model_used === 'croston_sba').map(p => `${p.product_id}|${p.dimension_key}`)).size
+  console.log(`    Seasonal (Holt-Winters): ${seasonalCount}`)
+  console.log(`    Intermittent (Croston/SBA): ${intermittentCount}`)
   return predictions
 }
@@ -0,0 +1,188 @@
+/**
+ * Weekly Cash Forecaster — 13-week cash view from open invoices + new sales
+ *
+ * Algorithm:
+ * 1. As-of date = latest transaction date; week 1 covers the 7 days after it
+ * 2. Payment delay per customer = mean (payment_received_date − payment_due_date) over
+ *    paid invoices, shrunk towards the company-wide mean (DELAY_PRIOR_WEIGHT invoices)
+ * 3. Open invoices (outstanding_amount > 0) are expected on payment_due_date + delay;
+ *    invoices already past that date land in week 1, unless more than
+ *    DOUBTFUL_DAYS_PAST_DUE past due, which are reported as doubtful and left out
+ * 4. New sales per week come from the monthly revenue forecast spread by calendar days
+ * 5. New sales are collected along the historical collection curve: share of invoiced
+ *    revenue received k weeks after the invoice week, measured on invoices old enough
+ *    to have settled (CURVE_MIN_AGE_DAYS)
+ * 6. Expected inflow = open-invoice collections + new-sales collections per week
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const DELAY_PRIOR_WEIGHT = 3 // pseudo-invoices at the company mean delay
+const DOUBTFUL_DAYS_PAST_DUE = 90
+const CURVE_MIN_AGE_DAYS = 120
+
+function toTime(date) {
+  return new Date(`${date.substring(0, 10)}T00:00:00Z`).getTime()
+}
+
+function toDate(time) {
+  return new Date(time).toISOString().substring(0, 10)
+}
+
+/**
+ * Average payment delay (days past due) per customer, shrunk towards the overall mean
+ * @returns {{ byCustomer: Object<string, number>, overall: number }}
+ */
+function customerPaymentDelays(transactions) {
+  const delays = {}
+  const all = []
+  transactions.forEach(t => {
+    if (!t.payment_received_date || !t.payment_due_date) return
+    const delay = (toTime(t.payment_received_date) - toTime(t.payment_due_date)) / DAY_MS
+    if (!delays[t.customer_id]) delays[t.customer_id] = []
+    delays[t.customer_id].push(delay)
+    all.push(delay)
+  })
+
+  const overall = all.length > 0 ? all.reduce((a, b) => a + b, 0) / all.length : 0
+  const byCustomer = {}
+  Object.entries(delays).forEach(([customerId, values]) => {
+    const sum = values.reduce((a, b) => a + b, 0)
+    byCustomer[customerId] = (sum + DELAY_PRIOR_WEIGHT * overall) / (values.length + DELAY_PRIOR_WEIGHT)
+  })
+  return { byCustomer, overall }
+}
+
+/**
+ * Share of invoiced revenue collected k weeks after invoicing (k = 0..weeks-1)
+ * Partial payments carry no received date, so those invoices are left out.
+ */
+function collectionCurve(transactions, asOfTime, weeks) {
+  const shares = new Array(weeks).fill(0)
+  let invoiced = 0
+  transactions.forEach(t => {
+    if (t.payment_status === 'Partial') return
+    const issued = toTime(t.transaction_date)
+    if (asOfTime - issued < CURVE_MIN_AGE_DAYS * DAY_MS) return
+
+    const amount = parseFloat(t.total_amount) || 0
+    invoiced += amount
+    if (!t.payment_received_date) return
+    const lagWeeks = Math.max(0, Math.floor((toTime(t.payment_received_date) - issued) / (7 * DAY_MS)))
+    if (lagWeeks < weeks) shares[lagWeeks] += amount
+  })
+  return invoiced > 0 ? shares.map(s => s / invoiced) : shares
+}
+
+/**
+ * New-sales revenue for each day, from monthly forecasts; months past the forecast
+ * reuse the last forecast month's daily rate
+ */
+function dailyRevenue(revenueForecast) {
+  const byMonth = Object.fromEntries(revenueForecast.map(r => [r.forecast_month.substring(0, 7), r.predicted_revenue]))
+  const months = Object.keys(byMonth).sort()
+  const lastMonth = months[months.length - 1]
+  return time => {
+    const d = new Date(time)
+    const month = toDate(time).substring(0, 7)
+    const revenue = byMonth[month] !== undefined ? byMonth[month] : byMonth[lastMonth]
+    if (revenue === undefined) return 0
+    const daysInMonth = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate()
+    return revenue / daysInMonth
+  }
+}
+
+/**
+ * @param {object[]} transactions
+ * @param {{ revenueForecast?: { forecast_month: string, predicted_revenue: number }[], weeks?: number }} options
+ *   revenueForecast: monthly new-sales revenue (reconciled totals); weeks: length of the view
+ * @returns {{ weeks: object[], summary: object }}
+ */
+export function forecastWeeklyCash(transactions, { revenueForecast = [], weeks = 13 } = {}) {
+  if (transactions.length === 0) return { weeks: [], summary: null }
+
+  const asOf = transactions.map(t => t.transaction_date.substring(0, 10)).sort().pop()
+  const asOfTime = toTime(asOf)
+  const weekOf = time => Math.floor((time - asOfTime - DAY_MS) / (7 * DAY_MS)) // 0-based, week 1 = index 0
+
+  const rows = Array.from({ length: weeks }, (_, i) => ({
+    week_number: i + 1,
+    week_start: toDate(asOfTime + (1 + 7 * i) * DAY_MS),
+    week_end: toDate(asOfTime + (7 + 7 * i) * DAY_MS),
+    open_invoice_inflow: 0,
+    new_sales_inflow: 0,
+    invoices_expected: 0
+  }))
+
+  // Open invoices at their expected payment date
+  const { byCustomer, overall } = customerPaymentDelays(transactions)
+  let openTotal = 0
+  let doubtfulAmount = 0
+  let doubtfulInvoices = 0
+  let beyondHorizon = 0
+  transactions.forEach(t => {
+    const outstanding = parseFloat(t.outstanding_amount) || 0
+    if (outstanding <= 0 || !t.payment_due_date) return
+    openTotal += outstanding
+
+    const dueTime = toTime(t.payment_due_date)
+    if (asOfTime - dueTime > DOUBTFUL_DAYS_PAST_DUE * DAY_MS) {
+      doubtfulAmount += outstanding
+      doubtfulInvoices += 1
+      return
+    }
+
+    const delay = byCustomer[t.customer_id] !== undefined ? byCustomer[t.customer_id] : overall
+    const week = Math.max(0, weekOf(dueTime + Math.round(delay) * DAY_MS))
+    if (week >= weeks) {
+      beyondHorizon += outstanding
+      return
+    }
+    rows[week].open_invoice_inflow += outstanding
+    rows[week].invoices_expected += 1
+  })
+
+  // New sales invoiced each week, collected along the historical curve
+  const curve = collectionCurve(transactions, asOfTime, weeks)
+  const revenueOn = dailyRevenue(revenueForecast)
+  const newSales = rows.map((_, i) => {
+    let revenue = 0
+    for (let day = 1; day <= 7; day++) revenue += revenueOn(asOfTime + (7 * i + day) * DAY_MS)
+    return revenue
+  })
+  newSales.forEach((revenue, invoiceWeek) => {
+    for (let k = 0; invoiceWeek + k < weeks; k++) {
+      rows[invoiceWeek + k].new_sales_inflow += revenue * curve[k]
+    }
+  })
+
+  let cumulative = 0
+  const result = rows.map((r, i) => {
+    const expected = r.open_invoice_inflow + r.new_sales_inflow
+    cumulative += expected
+    return {
+      ...r,
+      as_of_date: asOf,
+      new_sales_revenue: Math.round(newSales[i] * 100) / 100,
+      open_invoice_inflow: Math.round(r.open_invoice_inflow * 100) / 100,
+      new_sales_inflow: Math.round(r.new_sales_inflow * 100) / 100,
+      expected_inflow: Math.round(expected * 100) / 100,
+      cumulative_inflow: Math.round(cumulative * 100) / 100
+    }
+  })
+
+  const summary = {
+    as_of_date: asOf,
+    weeks,
+    open_invoice_total: Math.round(openTotal * 100) / 100,
+    doubtful_amount: Math.round(doubtfulAmount * 100) / 100,
+    doubtful_invoices: doubtfulInvoices,
+    beyond_horizon_amount: Math.round(beyondHorizon * 100) / 100,
+    average_delay_days: Math.round(overall * 10) / 10
+  }
+
+  console.log(`  Weekly Cash Forecaster: ${weeks} weeks from ${asOf}`)
+  console.log(`    Open invoices: ${Math.round(openTotal)} (doubtful >${DOUBTFUL_DAYS_PAST_DUE}d past due: ${Math.round(doubtfulAmount)} across ${doubtfulInvoices})`)
+  console.log(`    ${weeks}-week expected inflow: ${Math.round(cumulative)}`)
+
+  return { weeks: result, summary }
+}
@@ -1,29 +1,364 @@
 /**
  * ML Prediction Pipeline — Main Entry Point
  *
- * Orchestrates all 4 ML models:
- * 1. Sales Forecaster (Linear Regression)
- * 2. Risk Scorer (Multi-feature Sigmoid)
- * 3. Cash Flow Predictor (Holt's Exponential Smoothing)
- * 4. Inventory Optimizer (Safety Stock + Normal CDF)
+ * Runs in 10 steps:
+ * 1. Fetch data from Supabase and post pending movements to the stock ledger
+ * 2. Create the prediction run
+ * 3. Sales Forecaster (Linear Regression / Holt / Holt-Winters seasonal / Croston-SBA,
+ *    chosen per product by backtest; product, product × region, top customer × product)
+ * 4. Forecast Reconciler (product / category / region / company total)
+ * 5. Risk Scorer (Logistic regression trained on invoice payment outcomes; heuristic fallback),
+ *    risk trend alerts and Invoice Payment Predictor
+ * 6. Customer Value (RFM segments, gap-survival churn probability, 12-month CLV) and
+ *    Cross-sell Recommender
+ * 7. Cash Flow Predictor (Holt's Exponential Smoothing) and the 13-week cash view
+ * 8. Inventory Optimizer (Safety Stock with demand and lead-time variability + Normal CDF),
+ *    draft purchase orders and per-depot reorder points with transfers
+ * 9. Price Elasticity (log-log regression per product, shrunk to category and a prior)
+ * 10. Anomaly Detector (robust z-scores of recent transactions and monthly revenue)
+ *
+ * Sales and cash flow models are chosen per series by holdout backtest:
+ * the last HOLDOUT_MONTHS months are held out, every candidate is scored
+ * by MAPE/RMSE, and the winner (plus the losing candidates) is recorded
+ * on prediction_runs.model_selection.
+ *
+ * Product forecasts are then reconciled with the top-down revenue forecast
+ * (forecast-reconciler.js) so product, category, region and company-total
+ * revenue agree; the cash flow forecast uses the reconciled totals.
+ *
+ * Alongside the model-based cash flow, a 13-week cash view is built from
+ * open invoices and customer payment delays (weekly-cash-forecaster.js).
+ * Every open invoice also gets its own predicted payment date and
+ * P(paid within 30/60/90 days) (invoice-payment-predictor.js).
+ *
+ * Risk scores are compared with the previous completed run (risk-trend.js);
+ * customers whose score jumped by --risk-jump points (or RISK_JUMP_THRESHOLD,
+ * default 10) or who moved up a risk level are flagged as newly risky
+ * (unless the previous run's scores are on another scale: the other method, logistic
+ * or heuristic, or a different fit of it).
+ * The fitted risk model (weights, intercept, feature scaler and risk-level cut-offs),
+ * or the heuristic's feature bounds when the model falls back, is saved on the run
+ * (risk_model) and reused unchanged by later runs so scores stay comparable; pass
+ * --refit-risk-model (or RISK_REFIT_MODEL=true) to fit a new model and scaler.
+ * --refit-scaler / RISK_REFIT_SCALER=true are accepted as aliases.
+ *
+ * Inventory lead times are learned per product (or pooled per supplier) from
+ * restock_history order/receipt dates, falling back to the lead times set on
+ * products and suppliers (lead-time.js); safety stock covers both demand and
+ * lead-time variability. Each product's z-score comes from the target service
+ * level of its ABC (revenue contribution) × XYZ (demand variability) class,
+ * set in service_level_targets (abc-xyz.js). Products whose inventory position
+ * (on hand − reserved + approved purchase orders) is at the reorder point get an
+ * EOQ-based order quantity within max stock, MOQ and pack sizes, drafted into one
+ * purchase order per supplier for review (replenishment.js).
+ *
+ * Before any model runs, sales issues (from transactions) and restock receipts are
+ * posted to the inventory_movements ledger, and current stock is taken from the
+ * ledger rather than the inventory snapshot (inventory-ledger.js).
+ *
+ * Stock is also held per depot (warehouses): sales are issued from the depot serving
+ * their region and purchase orders are received at the main depot. Each depot gets its
+ * own reorder point from regional demand, and overstocked depots are matched with depots
+ * at risk as suggested stock transfers (depot-inventory.js).
+ *
+ * Customers are segmented by RFM and given a churn probability (no purchase
+ * in the next 90 days) and a predicted 12-month lifetime value (customer-value.js),
+ * and get cross-sell recommendations with expected revenue uplift mined from
+ * co-purchase association rules (cross-sell-recommender.js).
+ *
+ * Recent transactions (unusual volume or price) and monthly revenue per region,
+ * product and customer are scored against their own history; anomalies beyond
+ * the robust z-score threshold are stored for review (anomaly-detector.js).
+ *
+ * The forecast horizon (1–12 months, default 3) and cash flow granularity
+ * (monthly or weekly, default monthly) are pipeline parameters, read from
+ * CLI flags or .env:
+ *   npm run predict -- --horizon=6 --cash-flow=weekly
+ *   FORECAST_HORIZON_MONTHS=6 CASH_FLOW_GRANULARITY=weekly
  *
  * Usage: npm run predict
  */
 import { supabase } from './supabase-client.js'
-import { forecastSales } from './models/sales-forecaster.js'
-import { scoreCustomerRisk } from './models/risk-scorer.js'
-import { forecastCashFlow } from './models/cashflow-predictor.js'
+import { forecastSales, selectSalesModels } from './models/sales-forecaster.js'
+import { scoreCustomerRisk, trainRiskModel, sameRiskScale } from './models/risk-scorer.js'
+import { predictInvoicePayments } from './models/invoice-payment-predictor.js'
+import { detectRiskChanges, DEFAULT_JUMP_THRESHOLD } from './models/risk-trend.js'
+import { scoreCustomerValue } from './models/customer-value.js'
+import { recommendCrossSell } from './models/cross-sell-recommender.js'
+import { forecastCashFlow, forecastRevenue, selectCashFlowModel } from './models/cashflow-predictor.js'
+import { reconcileForecasts } from './models/forecast-reconciler.js'
+import { forecastWeeklyCash } from './models/weekly-cash-forecaster.js'
 import { optimizeInventory } from './models/inventory-optimizer.js'
+import { draftPurchaseOrders } from './models/replenishment.js'
+import { pendingMovements, ledgerBalances, depotBalances, productSnapshot } from './models/inventory-ledger.js'
+import { optimizeDepots, mainWarehouse } from './models/depot-inventory.js'
+import { serviceLevelTargets, ABC_THRESHOLDS, XYZ_THRESHOLDS } from './models/abc-xyz.js'
+import { estimatePriceElasticity } from './models/price-elasticity.js'
+import { detectAnomalies } from './models/anomaly-detector.js'
 
 const MODEL_VERSION = 'v1.0.0'
+const HOLDOUT_MONTHS = 3 // trailing months held out for model selection backtests
+const DEFAULT_HORIZON_MONTHS = 3
+const MAX_HORIZON_MONTHS = 12
+const CASH_FLOW_GRANULARITIES = ['monthly', 'weekly']
+const WEEKLY_CASH_WEEKS = 13 // treasury cash view from open invoices
+
+/**
+ * Read --name=value from the command line, falling back to an environment variable
+ */
+function pipelineArg(name, envName) {
+  const flag = process.argv.find(a => a.startsWith(`--${name}=`))
+  return flag ? flag.substring(name.length + 3) : process.env[envName]
+}
+
+/**
+ * Forecast horizon, cash flow granularity and risk scoring options for this run
+ * @returns {{ horizon: number, cashFlowGranularity: 'monthly'|'weekly', riskJumpThreshold: number, refitRiskModel: boolean }}
+ */
+function pipelineOptions() {
+  const horizonArg = pipelineArg('horizon', 'FORECAST_HORIZON_MONTHS')
+  const horizon = horizonArg === undefined ? DEFAULT_HORIZON_MONTHS : Number(horizonArg)
+  if (!Number.isInteger(horizon) || horizon < 1 || horizon > MAX_HORIZON_MONTHS) {
+    throw new Error(`Forecast horizon must be a whole number of months between 1 and ${MAX_HORIZON_MONTHS}, got "${horizonArg}"`)
+  }
+
+  const cashFlowGranularity = pipelineArg('cash-flow', 'CASH_FLOW_GRANULARITY') || 'monthly'
+  if (!CASH_FLOW_GRANULARITIES.includes(cashFlowGranularity)) {
+    throw new Error(`Cash flow granularity must be one of ${CASH_FLOW_GRANULARITIES.join(', ')}, got "${cashFlowGranularity}"`)
+  }
+
+  const riskJumpArg = pipelineArg('risk-jump', 'RISK_JUMP_THRESHOLD')
+  const riskJumpThreshold = riskJumpArg === undefined ? DEFAULT_JUMP_THRESHOLD : Number(riskJumpArg)
+  if (!(riskJumpThreshold > 0 && riskJumpThreshold <= 100)) {
+    throw new Error(`Risk jump threshold must be between 0 and 100 risk points, got "${riskJumpArg}"`)
+  }
+
+  const refitRiskModel = ['--refit-risk-model', '--refit-scaler'].some(flag => process.argv.includes(flag)) ||
+    process.env.RISK_REFIT_MODEL === 'true' || process.env.RISK_REFIT_SCALER === 'true'
+
+  return { horizon, cashFlowGranularity, riskJumpThreshold, refitRiskModel }
+}
+
+/**
+ * Post pending movements to the inventory ledger and return stock per product (inventory rows
+ * whose current_stock_liters is the ledger balance) and per product × depot; both come from
+ * the snapshot when the ledger is unavailable
+ * @returns {Promise<{ inventory: object[], depotStock: object[] }>}
+ */
+async function syncInventoryLedger(transactions, products, snapshot, restocks, warehouses) {
+  const productStock = productSnapshot(snapshot)
+  const snapshotFallback = { inventory: productStock, depotStock: snapshot }
+  let movements = []
+  let page = 0
+  const pageSize = 1000
+  while (true) {
+    const { data, error } = await supabase
+      .from('inventory_movements')
+      .select('product_id, warehouse_code, movement_type, movement_date, quantity_liters, reference_type, reference_id')
+      .order('movement_date', { ascending: true })
+      .range(page * pageSize, (page + 1) * pageSize - 1)
+    if (error) {
+      console.error(`  ERROR reading inventory ledger (using stock snapshot): ${error.message}`)
+      return snapshotFallback
+    }
+    movements = movements.concat(data)
+    if (data.length < pageSize) break
+    page++
+  }
+
+  const pending = pendingMovements({ transactions, restocks, products, inventory: snapshot, movements, warehouses },
+    new Date().toISOString().substring(0, 10))
+  const batchSize = 500
+  for (let i = 0; i < pending.length; i += batchSize) {
+    const batch = pending.slice(i, i + batchSize)
+    const { error } = await supabase
+      .from('inventory_movements')
+      .insert(batch)
+    if (error) {
+      console.error(`  ERROR posting inventory movements (using stock snapshot): ${error.message}`)
+      return snapshotFallback
+    }
+    movements = movements.concat(batch)
+  }
+  if (pending.length > 0) console.log(`  Posted ${pending.length} movements to inventory_movements`)
+
+  const balances = ledgerBalances(movements)
+  const inventory = productStock.map(inv => balances[inv.product_id]
+    ? { ...inv, snapshot_stock_liters: inv.current_stock_liters, current_stock_liters: balances[inv.product_id].stock }
+    : inv)
+  const snapshotIds = new Set(productStock.map(inv => inv.product_id))
+  Object.entries(balances)
+    .filter(([productId]) => !snapshotIds.has(productId))
+    .forEach(([productId, b]) => inventory.push({ product_id: productId, current_stock_liters: b.stock, reserved_stock: 0 }))
+  return { inventory, depotStock: depotBalances(movements, warehouses) }
+}
+
+/**
+ * Write per-depot reorder points and suggested transfers; suggestions from earlier runs
+ * that were never accepted or dismissed are marked 'superseded' once the new ones are written
+ */
+async function writeDepotInventory(depots, transfers, runId) {
+  if (depots.length > 0) {
+    const { error: depotErr } = await supabase
+      .from('depot_inventory_forecasts')
+      .insert(depots.map(({ transfer_in, transfer_out, ...row }) => ({
+        ...row,
+        transfer_in_quantity: transfer_in,
+        transfer_out_quantity: transfer_out,
+        prediction_run_id: runId
+      })))
+
+    if (depotErr) {
+      console.error(`  ERROR writing depot inventory forecasts: ${depotErr.message}`)
+    } else {
+      console.log(`  Written ${depots.length} rows to depot_inventory_forecasts`)
+    }
+  }
+
+  const { data: earlierSuggestions, error: suggestionErr } = await supabase
+    .from('stock_transfer_suggestions')
+    .select('id')
+    .eq('status', 'suggested')
+
+  if (suggestionErr) {
+    console.error(`  ERROR reading earlier transfer suggestions: ${suggestionErr.message}`)
+    return
+  }
+
+  if (transfers.length > 0) {
+    const { error: transferErr } = await supabase
+      .from('stock_transfer_suggestions')
+      .insert(transfers.map(t => ({ ...t, prediction_run_id: runId, status: 'suggested' })))
+
+    if (transferErr) {
+      console.error(`  ERROR writing transfer suggestions: ${transferErr.message}`)
+      return
+    }
+    console.log(`  Written ${transfers.length} stock transfer suggestions`)
+  }
+
+  if (earlierSuggestions.length > 0) {
+    const { error: supersedeErr } = await supabase
+      .from('stock_transfer_suggestions')
+      .update({ status: 'superseded' })
+      .in('id', earlierSuggestions.map(t => t.id))
+      .eq('status', 'suggested')
+
+    if (supersedeErr) {
+      console.error(`  ERROR superseding earlier transfer suggestions: ${supersedeErr.message}`)
+    } else {
+      console.log(`  Superseded ${earlierSuggestions.length} earlier transfer suggestions`)
+    }
+  }
+  console.log('')
+}
+
+/**
+ * Write draft purchase orders and their lines; drafts from earlier runs that were never
+ * reviewed are marked 'superseded' once the new drafts are written, so a failed write
+ * leaves them in place
+ */
+async function writePurchaseOrders(orders, runId) {
+  const { data: earlierDrafts, error: draftErr } = await supabase
+    .from('purchase_orders')
+    .select('id')
+    .eq('status', 'draft')
+
+  if (draftErr) {
+    console.error(`  ERROR reading earlier draft purchase orders: ${draftErr.message}`)
+    return
+  }
+
+  if (orders.length > 0) {
+    const suffix = runId.substring(0, 4).toUpperCase()
+    const poRows = orders.map(({ lines, supplier_name, ...po }, i) => ({
+      ...po,
+      po_number: `PO-${po.order_date.replace(/-/g, '')}-${po.supplier_code || 'NA'}-${suffix}-${i + 1}`,
+      prediction_run_id: runId,
+      status: 'draft'
+    }))
+    const { data: written, error: poErr } = await supabase
+      .from('purchase_orders')
+      .insert(poRows)
+      .select('id, po_number')
+
+    if (poErr) {
+      console.error(`  ERROR writing purchase orders: ${poErr.message}`)
+      return
+    }
+
+    // Lines follow their order by its po_number, which is unique per run
+    const idByNumber = Object.fromEntries(written.map(po => [po.po_number, po.id]))
+    const lineRows = orders.flatMap((o, i) => o.lines.map(line => ({ ...line, purchase_order_id: idByNumber[poRows[i].po_number] })))
+    const { error: lineErr } = await supabase
+      .from('purchase_order_lines')
+      .insert(lineRows)
+
+    if (lineErr) {
+      console.error(`  ERROR writing purchase order lines: ${lineErr.message}`)
+      // Drop the incomplete drafts; the earlier drafts stay current
+      await supabase.from('purchase_orders').delete().in('id', written.map(po => po.id))
+      return
+    }
+    console.log(`  Written ${written.length} draft purchase orders (${lineRows.length} lines)`)
+  }
+
+  if (earlierDrafts.length > 0) {
+    const { error: supersedeErr } = await supabase
+      .from('purchase_orders')
+      .update({ status: 'superseded' })
+      .in('id', earlierDrafts.map(po => po.id))
+      .eq('status', 'draft')
+
+    if (supersedeErr) {
+      console.error(`  ERROR superseding earlier draft purchase orders: ${supersedeErr.message}`)
+    } else {
+      console.log(`  Superseded ${earlierDrafts.length} earlier draft purchase orders`)
+    }
+  }
+  console.log('')
+}
+
+/**
+ * Risk model and scores from the latest completed run, for model reuse and trend detection
+ * @returns {Promise<{ runId: string|null, riskModel: object|null, scores: object[] }>}
+ */
+async function previousRiskScores() {
+  const { data: previousRun, error: runErr } = await supabase
+    .from('prediction_runs')
+    .select('id, risk_model')
+    .eq('status', 'completed')
+    .order('run_at', { ascending: false })
+    .limit(1)
+
+  if (runErr) {
+    console.error(`  ERROR reading previous run: ${runErr.message}`)
+    return { runId: null, riskModel: null, scores: [] }
+  }
+  if (!previousRun || previousRun.length === 0) return { runId: null, riskModel: null, scores: [] }
+
+  const { data, error } = await supabase
+    .from('customer_risk_scores')
+    .select('customer_id, risk_score, risk_level')
+    .eq('prediction_run_id', previousRun[0].id)
+
+  if (error) {
+    console.error(`  ERROR reading previous risk scores: ${error.message}`)
+    return { runId: null, riskModel: previousRun[0].risk_model, scores: [] }
+  }
+  return { runId: previousRun[0].id, riskModel: previousRun[0].risk_model, scores: data }
+}
 
 async function main() {
+  const { horizon, cashFlowGranularity, riskJumpThreshold, refitRiskModel } = pipelineOptions()
+
   console.log('=== ML Prediction Pipeline ===')
   console.log(`Model version: ${MODEL_VERSION}`)
+  console.log(`Horizon: ${horizon} month${horizon === 1 ? '' : 's'} (cash flow ${cashFlowGranularity})`)
   console.log(`Timestamp: ${new Date().toISOString()}\n`)
 
   // Step 1: Fetch all data from Supabase
-  console.log('[1/6] Fetching data from Supabase...')
+  console.log('[1/10] Fetching data from Supabase...')
   // Fetch all transactions (Supabase default limit is 1000, we have ~2400)
   let allTransactions = []
   let page = 0
@@ -56,24 +391,66 @@ async function main() {
 
   if (prodErr) throw new Error(`Failed to fetch products: ${prodErr.message}`)
 
-  const { data: inventory, error: invErr } = await supabase
+  const { data: inventorySnapshot, error: invErr } = await supabase
     .from('inventory')
     .select('*')
 
   if (invErr) throw new Error(`Failed to fetch inventory: ${invErr.message}`)
 
+  // Supplier settings and restock history only refine lead times; run without them if missing
+  const { data: suppliers, error: supErr } = await supabase
+    .from('suppliers')
+    .select('*')
+
+  if (supErr) console.error(`  ERROR reading suppliers (using default lead times): ${supErr.message}`)
+
+  const { data: restocks, error: restockErr } = await supabase
+    .from('restock_history')
+    .select('*')
+    .order('order_date', { ascending: true })
+
+  if (restockErr) console.error(`  ERROR reading restock history (lead times not learned): ${restockErr.message}`)
+
+  const { data: serviceLevelRows, error: slErr } = await supabase
+    .from('service_level_targets')
+    .select('*')
+
+  if (slErr) console.error(`  ERROR reading service level targets (using defaults): ${slErr.message}`)
+  const serviceLevels = serviceLevelTargets(serviceLevelRows || [])
+
+  const { data: openOrders, error: openErr } = await supabase
+    .from('purchase_order_lines')
+    .select('product_code, quantity_liters, purchase_orders!inner(status)')
+    .eq('purchase_orders.status', 'approved')
+
+  if (openErr) console.error(`  ERROR reading open purchase orders (nothing counted as on order): ${openErr.message}`)
+
+  // Depots are optional: without them, stock is held and planned per product only
+  const { data: warehouses, error: whErr } = await supabase
+    .from('warehouses')
+    .select('*')
+    .order('warehouse_code', { ascending: true })
+
+  if (whErr) console.error(`  ERROR reading warehouses (no depot planning): ${whErr.message}`)
+
+  // Current stock comes from the movements ledger; the snapshot only seeds opening balances
+  const { inventory, depotStock } = await syncInventoryLedger(transactions, products, inventorySnapshot, restocks || [], warehouses || [])
+
   console.log(`  Transactions: ${transactions.length}`)
   console.log(`  Customers: ${customers.length}`)
   console.log(`  Products: ${products.length}`)
-  console.log(`  Inventory: ${inventory.length}\n`)
+  console.log(`  Inventory: ${inventory.length}`)
+  console.log(`  Suppliers: ${suppliers?.length || 0}, restocks: ${restocks?.length || 0}`)
+  console.log(`  Depots: ${warehouses?.length || 0}\n`)
 
   // Step 2: Create prediction run record
-  console.log('[2/6] Creating prediction run...')
+  console.log('[2/10] Creating prediction run...')
   const { data: run, error: runErr } = await supabase
     .from('prediction_runs')
     .insert({
       model_version: MODEL_VERSION,
-      prediction_horizon: '3 months',
+      prediction_horizon: `${horizon} month${horizon === 1 ? '' : 's'}`,
+      cash_flow_granularity: cashFlowGranularity,
       status: 'running'
     })
     .select()
@@ -84,11 +461,31 @@ async function main() {
   console.log(`  Run ID: ${runId}\n`)
 
   // Step 3: Run Sales Forecaster
-  console.log('[3/6] Running Sales Forecaster (Linear Regression)...')
-  const salesPredictions = forecastSales(transactions, products)
+  console.log('[3/10] Running Sales Forecaster (backtest-selected model per product)...')
+  const salesSelection = selectSalesModels(transactions, products, HOLDOUT_MONTHS)
+  const salesModels = Object.fromEntries(salesSelection.map(s => [s.product_id, s.chosen]))
+  const baseSalesPredictions = forecastSales(transactions, products, { models: salesModels, horizon })
+  const baseRegionalPredictions = forecastSales(transactions, products, { models: salesModels, dimension: 'product_region', horizon })
+  const baseCustomerPredictions = forecastSales(transactions, products, { models: salesModels, dimension: 'customer_product', horizon })
+  console.log('')
+
+  // Step 4: Reconcile product forecasts with the top-down revenue forecast
+  console.log('[4/10] Reconciling forecasts (product / category / region / total)...')
+  const cashFlowSelection = selectCashFlowModel(transactions, HOLDOUT_MONTHS)
+  const topDownRevenue = forecastRevenue(transactions, {
+    ...(cashFlowSelection ? { revenueModel: cashFlowSelection.params } : {}),
+    horizon
+  })
+  const { salesPredictions, regionalPredictions, customerPredictions, hierarchy, totals: reconciledRevenue } = reconcileForecasts(
+    baseSalesPredictions, topDownRevenue, transactions, products, {
+      topDownRmse: cashFlowSelection?.rmse,
+      regionalPredictions: baseRegionalPredictions,
+      customerPredictions: baseCustomerPredictions
+    })
+  const demandPredictions = [...salesPredictions, ...regionalPredictions, ...customerPredictions]
 
-  if (salesPredictions.length > 0) {
-    const salesRows = salesPredictions.map(p => ({
+  if (demandPredictions.length > 0) {
+    const salesRows = demandPredictions.map(p => ({
       ...p,
       prediction_run_id: runId
     }))
@@ -99,13 +496,42 @@ async function main() {
     if (salesErr) {
       console.error(`  ERROR writing sales predictions: ${salesErr.message}`)
     } else {
-      console.log(`  Written ${salesRows.length} rows to transaction_predictions\n`)
+      console.log(`  Written ${salesRows.length} rows to transaction_predictions`)
     }
   }
 
-  // Step 4: Run Risk Scorer
-  console.log('[4/6] Running Risk Scorer (Multi-feature Sigmoid)...')
-  const riskScores = scoreCustomerRisk(transactions, customers)
+  if (hierarchy.length > 0) {
+    const hierarchyRows = hierarchy.map(h => ({
+      ...h,
+      prediction_run_id: runId
+    }))
+    const { error: hierErr } = await supabase
+      .from('forecast_hierarchy')
+      .insert(hierarchyRows)
+
+    if (hierErr) {
+      console.error(`  ERROR writing forecast hierarchy: ${hierErr.message}`)
+    } else {
+      console.log(`  Written ${hierarchyRows.length} rows to forecast_hierarchy\n`)
+    }
+  }
+
+  // Step 5: Run Risk Scorer
+  console.log('[5/10] Running Risk Scorer (Logistic Regression, heuristic fallback) + Invoice Payment Predictor...')
+  const previousRisk = await previousRiskScores()
+  const riskModel = trainRiskModel(transactions, customers, {
+    previousModel: previousRisk.riskModel,
+    refit: refitRiskModel
+  })
+  const riskTrend = detectRiskChanges(
+    scoreCustomerRisk(transactions, customers, { model: riskModel }),
+    previousRisk.scores,
+    {
+      jumpThreshold: riskJumpThreshold,
+      comparable: sameRiskScale(previousRisk.riskModel, riskModel)
+    }
+  )
+  const riskScores = riskTrend.scores
 
   if (riskScores.length > 0) {
     const riskRows = riskScores.map(r => ({
@@ -119,13 +545,76 @@ async function main() {
     if (riskErr) {
       console.error(`  ERROR writing risk scores: ${riskErr.message}`)
     } else {
-      console.log(`  Written ${riskRows.length} rows to customer_risk_scores\n`)
+      console.log(`  Written ${riskRows.length} rows to customer_risk_scores`)
+    }
+  }
+
+  // Invoice-level payment predictions for every open transaction
+  const invoicePayments = predictInvoicePayments(transactions, products)
+
+  if (invoicePayments.predictions.length > 0) {
+    const invoiceRows = invoicePayments.predictions.map(p => ({
+      ...p,
+      prediction_run_id: runId
+    }))
+    const { error: invoiceErr } = await supabase
+      .from('invoice_payment_predictions')
+      .insert(invoiceRows)
+
+    if (invoiceErr) {
+      console.error(`  ERROR writing invoice payment predictions: ${invoiceErr.message}`)
+    } else {
+      console.log(`  Written ${invoiceRows.length} rows to invoice_payment_predictions\n`)
+    }
+  }
+
+  // Step 6: Run Customer Value model + Cross-sell Recommender
+  console.log('[6/10] Running Customer Value (RFM + churn + 12-month CLV) + Cross-sell Recommender...')
+  const customerValue = scoreCustomerValue(transactions, customers, products)
+
+  if (customerValue.scores.length > 0) {
+    const valueRows = customerValue.scores.map(v => ({
+      ...v,
+      prediction_run_id: runId
+    }))
+    const { error: valueErr } = await supabase
+      .from('customer_value_scores')
+      .insert(valueRows)
+
+    if (valueErr) {
+      console.error(`  ERROR writing customer value scores: ${valueErr.message}`)
+    } else {
+      console.log(`  Written ${valueRows.length} rows to customer_value_scores`)
     }
   }
 
-  // Step 5: Run Cash Flow Predictor
-  console.log('[5/6] Running Cash Flow Predictor (Holt Exponential Smoothing)...')
-  const cashFlowForecasts = forecastCashFlow(transactions)
+  // Co-purchase recommendations with expected revenue uplift per customer
+  const crossSell = recommendCrossSell(transactions, customers, products)
+
+  if (crossSell.recommendations.length > 0) {
+    const recommendationRows = crossSell.recommendations.map(r => ({
+      ...r,
+      prediction_run_id: runId
+    }))
+    const { error: recommendationErr } = await supabase
+      .from('product_recommendations')
+      .insert(recommendationRows)
+
+    if (recommendationErr) {
+      console.error(`  ERROR writing product recommendations: ${recommendationErr.message}`)
+    } else {
+      console.log(`  Written ${recommendationRows.length} rows to product_recommendations\n`)
+    }
+  }
+
+  // Step 7: Run Cash Flow Predictor on the reconciled revenue totals
+  console.log('[7/10] Running Cash Flow Predictor (reconciled revenue + collection rate)...')
+  const cashFlowForecasts = forecastCashFlow(transactions, {
+    ...(cashFlowSelection ? { revenueModel: cashFlowSelection.params } : {}),
+    revenueForecast: reconciledRevenue,
+    horizon,
+    granularity: cashFlowGranularity
+  })
 
   if (cashFlowForecasts.length > 0) {
     const cfRows = cashFlowForecasts.map(cf => ({
@@ -139,13 +628,40 @@ async function main() {
     if (cfErr) {
       console.error(`  ERROR writing cash flow forecasts: ${cfErr.message}`)
     } else {
-      console.log(`  Written ${cfRows.length} rows to cash_flow_forecasts\n`)
+      console.log(`  Written ${cfRows.length} rows to cash_flow_forecasts`)
+    }
+  }
+
+  // 13-week cash view: open invoices by expected payment date + new-sales collections
+  const weeklyCash = forecastWeeklyCash(transactions, {
+    revenueForecast: reconciledRevenue,
+    weeks: WEEKLY_CASH_WEEKS
+  })
+
+  if (weeklyCash.weeks.length > 0) {
+    const weeklyRows = weeklyCash.weeks.map(w => ({
+      ...w,
+      prediction_run_id: runId
+    }))
+    const { error: weeklyErr } = await supabase
+      .from('weekly_cash_forecasts')
+      .insert(weeklyRows)
+
+    if (weeklyErr) {
+      console.error(`  ERROR writing weekly cash forecasts: ${weeklyErr.message}`)
+    } else {
+      console.log(`  Written ${weeklyRows.length} rows to weekly_cash_forecasts\n`)
     }
   }
 
-  // Step 6: Run Inventory Optimizer
-  console.log('[6/6] Running Inventory Optimizer (Safety Stock + Normal CDF)...')
-  const inventoryForecasts = optimizeInventory(transactions, products, inventory)
+  // Step 8: Run Inventory Optimizer
+  console.log('[8/10] Running Inventory Optimizer (Safety Stock + Normal CDF)...')
+  const inventoryForecasts = optimizeInventory(transactions, products, inventory, {
+    suppliers: suppliers || [],
+    restocks: restocks || [],
+    serviceLevels,
+    openOrders: openOrders || []
+  })
 
   if (inventoryForecasts.length > 0) {
     const invRows = inventoryForecasts.map(inv => ({
@@ -163,9 +679,60 @@ async function main() {
     }
   }
 
+  // Purchase orders are delivered to the main depot and distributed from there by transfer
+  const receivingDepot = mainWarehouse(warehouses || [])?.warehouse_code || null
+  const purchaseOrders = draftPurchaseOrders(inventoryForecasts, products, suppliers || [], new Date().toISOString().substring(0, 10))
+    .map(po => ({ ...po, warehouse_code: receivingDepot }))
+  await writePurchaseOrders(purchaseOrders, runId)
+
+  const depotPlan = optimizeDepots(transactions, products, depotStock, warehouses || [], inventoryForecasts)
+  await writeDepotInventory(depotPlan.depots, depotPlan.transfers, runId)
+
+  // Step 9: Run Price Elasticity model
+  console.log('[9/10] Running Price Elasticity (log-log regression, shrunk to category)...')
+  const priceElasticity = estimatePriceElasticity(transactions, products)
+
+  if (priceElasticity.elasticities.length > 0) {
+    const elasticityRows = priceElasticity.elasticities.map(e => ({
+      ...e,
+      prediction_run_id: runId
+    }))
+    const { error: elasticityErr } = await supabase
+      .from('price_elasticities')
+      .insert(elasticityRows)
+
+    if (elasticityErr) {
+      console.error(`  ERROR writing price elasticities: ${elasticityErr.message}`)
+    } else {
+      console.log(`  Written ${elasticityRows.length} rows to price_elasticities\n`)
+    }
+  }
+
+  // Step 10: Run Anomaly Detector
+  console.log('[10/10] Running Anomaly Detector (robust z-scores)...')
+  const anomalyResult = detectAnomalies(transactions, customers, products)
+
+  if (anomalyResult.anomalies.length > 0) {
+    const anomalyRows = anomalyResult.anomalies.map(a => ({
+      ...a,
+      prediction_run_id: runId
+    }))
+    const { error: anomalyErr } = await supabase
+      .from('anomalies')
+      .insert(anomalyRows)
+
+    if (anomalyErr) {
+      console.error(`  ERROR writing anomalies: ${anomalyErr.message}`)
+    } else {
+      console.log(`  Written ${anomalyRows.length} rows to anomalies\n`)
+    }
+  }
+
   // Update prediction run with summary
-  const totalPredictions = salesPredictions.length + riskScores.length +
-    cashFlowForecasts.length + inventoryForecasts.length
+  const totalPredictions = demandPredictions.length + riskScores.length +
+    invoicePayments.predictions.length + customerValue.scores.length + crossSell.recommendations.length +
+    cashFlowForecasts.length + inventoryForecasts.length + priceElasticity.elasticities.length +
+    anomalyResult.anomalies.length
 
   const allConfidences = [
     ...salesPredictions.map(p => p.confidence_score),
@@ -181,6 +748,32 @@ async function main() {
     .update({
       total_predictions: totalPredictions,
       avg_confidence: avgConfidence,
+      holdout_months: HOLDOUT_MONTHS,
+      model_selection: {
+        sales: salesSelection,
+        cash_flow: cashFlowSelection
+      },
+      weekly_cash_summary: weeklyCash.summary,
+      invoice_payment_summary: invoicePayments.summary,
+      risk_model: riskModel,
+      risk_change_summary: { ...riskTrend.summary, previous_run_id: previousRisk.runId },
+      customer_value_model: customerValue.summary,
+      recommendation_model: crossSell.summary,
+      price_elasticity_model: priceElasticity.summary,
+      anomaly_model: anomalyResult.summary,
+      inventory_policy: {
+        abc_thresholds: ABC_THRESHOLDS,
+        xyz_thresholds: XYZ_THRESHOLDS,
+        service_levels: serviceLevels
+      },
+      depot_summary: {
+        depots: (warehouses || []).length,
+        main_depot: receivingDepot,
+        at_risk: depotPlan.depots.filter(d => d.status === 'at_risk').length,
+        overstocked: depotPlan.depots.filter(d => d.status === 'overstocked').length,
+        transfers: depotPlan.transfers.length,
+        transfer_quantity_liters: Math.round(depotPlan.transfers.reduce((s, t) => s + t.quantity_liters, 0) * 100) / 100
+      },
       status: 'completed'
     })
     .eq('id', runId)
@@ -188,6 +781,7 @@ async function main() {
   console.log('=== Pipeline Complete ===')
   console.log(`Total predictions: ${totalPredictions}`)
   console.log(`Average confidence: ${avgConfidence}%`)
+  if (riskModel.method === 'heuristic') console.log(`Risk scoring: heuristic fallback (${riskModel.reason})`)
   console.log(`Run ID: ${runId}`)
 }
 
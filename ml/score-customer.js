@@ -0,0 +1,75 @@
+/**
+ * Score a single customer on demand with the latest saved risk model
+ *
+ * Uses the model (weights + persisted scaler) stored on the latest completed
+ * prediction run, so the score matches what a full pipeline run would give
+ * this customer, without scoring anyone else. A run that fell back to the
+ * heuristic is scored with the heuristic's saved feature bounds.
+ *
+ * Usage: npm run score-customer -- CUST0001
+ */
+import { supabase } from './supabase-client.js'
+import { scoreCustomer } from './models/risk-scorer.js'
+
+async function main() {
+  const customerCode = process.argv[2]
+  if (!customerCode) throw new Error('Usage: npm run score-customer -- <customer_code>')
+
+  const { data: run, error: runErr } = await supabase
+    .from('prediction_runs')
+    .select('id, run_at, risk_model')
+    .eq('status', 'completed')
+    .order('run_at', { ascending: false })
+    .limit(1)
+    .single()
+
+  if (runErr) throw new Error(`Failed to fetch latest prediction run: ${runErr.message}`)
+  if (!run.risk_model) throw new Error('Latest prediction run has no saved risk model — run npm run predict first')
+  if (run.risk_model.method === 'heuristic' && !run.risk_model.scaler) {
+    throw new Error('Latest prediction run scored risk with the heuristic but saved no feature bounds — run npm run predict first')
+  }
+
+  const { data: customer, error: custErr } = await supabase
+    .from('customers')
+    .select('*')
+    .eq('customer_code', customerCode)
+    .single()
+
+  if (custErr) throw new Error(`Customer ${customerCode} not found: ${custErr.message}`)
+
+  const { data: transactions, error: txnErr } = await supabase
+    .from('transactions')
+    .select('*')
+    .eq('customer_id', customer.id)
+
+  if (txnErr) throw new Error(`Failed to fetch transactions: ${txnErr.message}`)
+
+  // Same reference date as the pipeline: the latest transaction across all customers
+  const { data: latest, error: latestErr } = await supabase
+    .from('transactions')
+    .select('transaction_date')
+    .order('transaction_date', { ascending: false })
+    .limit(1)
+    .single()
+
+  if (latestErr) throw new Error(`Failed to fetch latest transaction date: ${latestErr.message}`)
+
+  const score = scoreCustomer(transactions, customer, run.risk_model, { asOf: latest.transaction_date })
+  if (!score) throw new Error(`Customer ${customerCode} has no transactions to score`)
+
+  console.log(`=== Risk Score: ${customer.customer_name} (${customerCode}) ===`)
+  console.log(`Model from run ${run.id} (${new Date(run.run_at).toLocaleString()})`)
+  console.log(`Risk score: ${score.risk_score}/100 (${score.risk_level})`)
+  if (run.risk_model.method === 'heuristic') {
+    console.log(`Heuristic score (${run.risk_model.reason}), bounds as of ${run.risk_model.scaler.as_of}`)
+  } else {
+    console.log(`P(next invoice ${run.risk_model.label}): ${(score.payment_delay_probability * 100).toFixed(1)}%`)
+  }
+  console.log('Reasons:')
+  score.risk_reasons.forEach(reason => console.log(`  - ${reason}`))
+}
+
+main().catch(err => {
+  console.error('\nScoring FAILED:', err.message)
+  process.exit(1)
+})
@@ -53,5 +53,531 @@ CREATE INDEX IF NOT EXISTS idx_transactions_product ON transactions(product_code
 CREATE INDEX IF NOT EXISTS idx_transactions_date ON transactions(transaction_date DESC);
 CREATE INDEX IF NOT EXISTS idx_transactions_region ON transactions(region);
 
+-- Model selection audit on prediction runs (populated by npm run predict)
+-- model_selection: { sales: [{ product_id, chosen, mape, rmse, candidates }], cash_flow: { chosen, params, mape, rmse, candidates } }
+ALTER TABLE prediction_runs ADD COLUMN IF NOT EXISTS holdout_months INTEGER;
+ALTER TABLE prediction_runs ADD COLUMN IF NOT EXISTS model_selection JSONB;
+
+-- Sales forecast prediction intervals (liters), from model residuals
+ALTER TABLE transaction_predictions ADD COLUMN IF NOT EXISTS lower_bound_80 NUMERIC;
+ALTER TABLE transaction_predictions ADD COLUMN IF NOT EXISTS upper_bound_80 NUMERIC;
+ALTER TABLE transaction_predictions ADD COLUMN IF NOT EXISTS lower_bound_95 NUMERIC;
+ALTER TABLE transaction_predictions ADD COLUMN IF NOT EXISTS upper_bound_95 NUMERIC;
+
+-- Reconciled revenue forecasts per hierarchy level (populated by npm run predict)
+-- level: 'product' (level_key = product id), 'category', 'region' or 'total' (level_key = 'ALL');
+-- reconciled_revenue sums to the same total at every level for a given forecast_month
+CREATE TABLE IF NOT EXISTS forecast_hierarchy (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  prediction_run_id UUID REFERENCES prediction_runs(id) ON DELETE CASCADE,
+  level TEXT NOT NULL,
+  level_key TEXT NOT NULL,
+  forecast_month DATE NOT NULL,
+  base_revenue NUMERIC,
+  reconciled_revenue NUMERIC NOT NULL,
+  reconciled_quantity NUMERIC,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_forecast_hierarchy_run ON forecast_hierarchy(prediction_run_id, level);
+
+-- Revenue line behind each cash flow forecast (reconciled company total)
+ALTER TABLE cash_flow_forecasts ADD COLUMN IF NOT EXISTS predicted_revenue NUMERIC;
+
+-- Demand forecast dimension: 'product' (dimension_key NULL), 'product_region'
+-- (dimension_key = region) or 'customer_product' (dimension_key = customer id)
+ALTER TABLE transaction_predictions ADD COLUMN IF NOT EXISTS dimension TEXT DEFAULT 'product';
+ALTER TABLE transaction_predictions ADD COLUMN IF NOT EXISTS dimension_key TEXT;
+CREATE INDEX IF NOT EXISTS idx_transaction_predictions_dimension ON transaction_predictions(prediction_run_id, dimension, dimension_key);
+
+-- Demand pattern behind inventory forecasts: 'smooth' or 'intermittent' (Croston/SBA,
+-- chosen when the share of zero-demand months is high)
+ALTER TABLE inventory_forecasts ADD COLUMN IF NOT EXISTS demand_pattern TEXT;
+ALTER TABLE inventory_forecasts ADD COLUMN IF NOT EXISTS zero_demand_share NUMERIC;
+
+-- Forecast horizon parameters (prediction_horizon holds e.g. '6 months');
+-- cash flow forecasts are monthly or weekly, forecast_month holding the period start date
+ALTER TABLE prediction_runs ADD COLUMN IF NOT EXISTS cash_flow_granularity TEXT DEFAULT 'monthly';
+ALTER TABLE cash_flow_forecasts ADD COLUMN IF NOT EXISTS granularity TEXT DEFAULT 'monthly';
+
+-- 13-week cash view (populated by npm run predict): open invoices at their expected
+-- payment date (due date + customer's historical delay) plus collections on new sales
+CREATE TABLE IF NOT EXISTS weekly_cash_forecasts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  prediction_run_id UUID REFERENCES prediction_runs(id) ON DELETE CASCADE,
+  week_number INTEGER NOT NULL,
+  week_start DATE NOT NULL,
+  week_end DATE NOT NULL,
+  as_of_date DATE,
+  open_invoice_inflow NUMERIC DEFAULT 0,
+  new_sales_revenue NUMERIC DEFAULT 0,
+  new_sales_inflow NUMERIC DEFAULT 0,
+  expected_inflow NUMERIC DEFAULT 0,
+  cumulative_inflow NUMERIC DEFAULT 0,
+  invoices_expected INTEGER DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_weekly_cash_forecasts_run ON weekly_cash_forecasts(prediction_run_id, week_number);
+
+-- weekly_cash_summary: { as_of_date, weeks, open_invoice_total, doubtful_amount, doubtful_invoices, beyond_horizon_amount, average_delay_days }
+ALTER TABLE prediction_runs ADD COLUMN IF NOT EXISTS weekly_cash_summary JSONB;
+
+-- Invoice-level payment predictions for open transactions (populated by npm run predict)
+-- prob_paid_N: probability the invoice is paid within N days of as_of_date;
+-- predicted_payment_date is NULL when the invoice is unlikely to be paid at all
+CREATE TABLE IF NOT EXISTS invoice_payment_predictions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  prediction_run_id UUID REFERENCES prediction_runs(id) ON DELETE CASCADE,
+  transaction_id UUID REFERENCES transactions(id) ON DELETE CASCADE,
+  invoice_number TEXT,
+  customer_id UUID REFERENCES customers(id),
+  product_id UUID REFERENCES products(id),
+  salesperson TEXT,
+  invoice_date DATE,
+  payment_due_date DATE,
+  outstanding_amount NUMERIC NOT NULL,
+  days_past_due INTEGER,
+  expected_delay_days NUMERIC,
+  predicted_payment_date DATE,
+  prob_paid_30 NUMERIC,
+  prob_paid_60 NUMERIC,
+  prob_paid_90 NUMERIC,
+  as_of_date DATE,
+  drivers JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_payment_predictions_run ON invoice_payment_predictions(prediction_run_id, customer_id);
+
+-- invoice_payment_summary: { as_of_date, open_invoices, outstanding, expected_within_30/60/90, base_delay_days, size_slope_days, never_paid_share, paid_invoices }
+ALTER TABLE prediction_runs ADD COLUMN IF NOT EXISTS invoice_payment_summary JSONB;
+
+-- Trained risk model (populated by npm run predict)
+-- risk_model: { method: 'logistic', label, late_days, features, intercept, weights, scaler, train_size, test_size,
+--   split_date, positive_rate, auc, calibration: [{ bin, count, predicted_rate, observed_rate, min_probability, max_probability }],
+--   risk_levels: { high, medium, basis } } — High/Medium cut-offs in risk points from held-out score quantiles
+-- Without enough labelled invoices or with a test AUC <= 0.5 the run is scored with the heuristic instead:
+-- risk_model: { method: 'heuristic', reason, label, features, weights, scaler, fitted_at, risk_levels: { high: 60, medium: 30 }, auc?, ... }
+-- customer_risk_scores.features now holds standardised (z-score) feature values (min-max 0-1 under the heuristic)
+ALTER TABLE prediction_runs ADD COLUMN IF NOT EXISTS risk_model JSONB;
+
+-- Risk score explanations: feature_contributions = [{ feature, value, average, contribution }]
+-- ranked by |contribution| (log-odds vs the average customer); risk_reasons = plain-language strings
+ALTER TABLE customer_risk_scores ADD COLUMN IF NOT EXISTS feature_contributions JSONB;
+ALTER TABLE customer_risk_scores ADD COLUMN IF NOT EXISTS risk_reasons JSONB;
+
+-- Risk score changes against the previous completed run
+-- risk_alert: 'level_up', 'jump' (score rose by at least the jump threshold) or 'level_down'
+ALTER TABLE customer_risk_scores ADD COLUMN IF NOT EXISTS previous_risk_score NUMERIC;
+ALTER TABLE customer_risk_scores ADD COLUMN IF NOT EXISTS previous_risk_level TEXT;
+ALTER TABLE customer_risk_scores ADD COLUMN IF NOT EXISTS risk_score_change NUMERIC;
+ALTER TABLE customer_risk_scores ADD COLUMN IF NOT EXISTS risk_alert TEXT;
+CREATE INDEX IF NOT EXISTS idx_customer_risk_scores_customer ON customer_risk_scores(customer_id, prediction_run_id);
+
+-- risk_change_summary: { jump_threshold, comparable, compared_customers, level_ups, jumps, level_downs, previous_run_id }
+-- comparable is false when the previous run's scores are on another scale (another risk_model.method or fitted_at); no alerts are raised then
+ALTER TABLE prediction_runs ADD COLUMN IF NOT EXISTS risk_change_summary JSONB;
+
+-- risk_model.scaler: { method: 'standard', features, mean, std, fitted_at, sample_size }; risk_model.fitted_at
+-- Heuristic runs: risk_model.scaler = { method: 'min-max', features, min, max, mean, as_of, fitted_at, sample_size }
+-- The fitted model (weights, intercept, scaler, risk_levels), or the heuristic's bounds, is carried forward
+-- unchanged by later runs (npm run predict -- --refit-risk-model fits a new model and scaler), so risk scores
+-- stay comparable across runs; npm run score-customer scores one customer with the latest model
+
+-- Customer value per run (populated by npm run predict)
+-- salesperson: who handles most of the customer's invoices; r/f/m_score: 1-5 quintile scores (5 = best); churn_probability: P(no purchase in the next churn_days days);
+-- predicted_clv_12m / predicted_margin_12m: expected revenue / gross margin over the next 12 months
+CREATE TABLE IF NOT EXISTS customer_value_scores (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  prediction_run_id UUID REFERENCES prediction_runs(id) ON DELETE CASCADE,
+  customer_id UUID REFERENCES customers(id),
+  salesperson TEXT,
+  last_purchase_date DATE,
+  recency_days INTEGER,
+  frequency INTEGER,
+  monetary NUMERIC,
+  r_score INTEGER,
+  f_score INTEGER,
+  m_score INTEGER,
+  rfm_segment TEXT,
+  churn_probability NUMERIC,
+  churn_risk_level TEXT CHECK (churn_risk_level IN ('Low', 'Medium', 'High')),
+  expected_monthly_revenue NUMERIC,
+  predicted_clv_12m NUMERIC,
+  predicted_margin_12m NUMERIC,
+  as_of_date DATE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_value_scores_run ON customer_value_scores(prediction_run_id, customer_id);
+
+-- customer_value_model: { as_of_date, churn_days, customers, high_churn_risk, total_clv_12m, segments,
+--   backtest: { as_of_date, customers, predicted_churn_rate, observed_churn_rate, auc } }
+ALTER TABLE prediction_runs ADD COLUMN IF NOT EXISTS customer_value_model JSONB;
+
+-- Cross-sell recommendations per run (populated by npm run predict): products a customer does not
+-- currently buy, from co-purchase rules antecedent_product_id → product_id; confidence is the adoption
+-- probability, expected_uplift = confidence × expected_annual_revenue
+CREATE TABLE IF NOT EXISTS product_recommendations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  prediction_run_id UUID REFERENCES prediction_runs(id) ON DELETE CASCADE,
+  customer_id UUID REFERENCES customers(id),
+  product_id UUID REFERENCES products(id),
+  salesperson TEXT,
+  rank INTEGER,
+  antecedent_product_id UUID REFERENCES products(id),
+  support NUMERIC,
+  confidence NUMERIC,
+  lift NUMERIC,
+  expected_annual_revenue NUMERIC,
+  expected_uplift NUMERIC,
+  previously_bought BOOLEAN DEFAULT FALSE,
+  reason TEXT,
+  as_of_date DATE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_recommendations_run ON product_recommendations(prediction_run_id, customer_id);
+
+-- recommendation_model: { as_of_date, basket_months, customers, rules, recommendations, total_expected_uplift,
+--   backtest: { k, recommended, precision_at_k, base_adoption_rate } }
+ALTER TABLE prediction_runs ADD COLUMN IF NOT EXISTS recommendation_model JSONB;
+
+-- Price elasticity per product per run (populated by npm run predict)
+-- elasticity: % volume change per 1% price change, after shrinking the product's own estimate toward its
+-- category and the prior; source: 'product', 'category' or 'prior' (history had too little price variation)
+CREATE TABLE IF NOT EXISTS price_elasticities (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  prediction_run_id UUID REFERENCES prediction_runs(id) ON DELETE CASCADE,
+  product_id UUID REFERENCES products(id),
+  category TEXT,
+  elasticity NUMERIC NOT NULL,
+  elasticity_se NUMERIC,
+  source TEXT CHECK (source IN ('product', 'category', 'prior')),
+  product_estimate NUMERIC,
+  product_estimate_se NUMERIC,
+  months_observed INTEGER,
+  price_cv NUMERIC,
+  list_price NUMERIC,
+  unit_cost NUMERIC,
+  avg_realized_price NUMERIC,
+  avg_discount_pct NUMERIC,
+  discounted_volume_share NUMERIC,
+  baseline_monthly_volume NUMERIC,
+  baseline_monthly_revenue NUMERIC,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_elasticities_run ON price_elasticities(prediction_run_id, product_id);
+
+-- price_elasticity_model: { prior_elasticity, prior_sd, baseline_months, products, estimated_from_data,
+--   from_category, from_prior, categories: { [category]: { elasticity, se, source, estimate } } }
+ALTER TABLE prediction_runs ADD COLUMN IF NOT EXISTS price_elasticity_model JSONB;
+
+-- Monthly sales targets per salesperson and region (loaded from src/data/sales_performance.json by npm run load-data)
+-- salesperson: full name ("Amit Patel"); transactions record the short form ("Amit P."), matched on first name + last initial;
+-- reported_sales / reported_achievement_pct: figures from the source sheet, used where no transactions are recorded
+CREATE TABLE IF NOT EXISTS sales_targets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  salesperson TEXT NOT NULL,
+  region TEXT NOT NULL,
+  month DATE NOT NULL,
+  target NUMERIC NOT NULL,
+  reported_sales NUMERIC,
+  reported_achievement_pct NUMERIC,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (salesperson, region, month)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sales_targets_month ON sales_targets(month DESC);
+
+-- Anomalies flagged per run (populated by npm run predict): transactions ('transaction_volume',
+-- 'transaction_price') and monthly revenue per region / product / customer ('monthly_revenue') whose
+-- robust z-score against their own history is beyond the threshold; dimension_key is the transaction
+-- code, region, product id or customer id; impact_amount = |observed − expected| in currency
+CREATE TABLE IF NOT EXISTS anomalies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  prediction_run_id UUID REFERENCES prediction_runs(id) ON DELETE CASCADE,
+  anomaly_type TEXT CHECK (anomaly_type IN ('transaction_volume', 'transaction_price', 'monthly_revenue')),
+  dimension TEXT CHECK (dimension IN ('transaction', 'region', 'product', 'customer')),
+  dimension_key TEXT,
+  transaction_code TEXT,
+  customer_id UUID REFERENCES customers(id),
+  product_id UUID REFERENCES products(id),
+  region TEXT,
+  salesperson TEXT,
+  period_month DATE,
+  anomaly_date DATE,
+  metric TEXT,
+  observed_value NUMERIC,
+  expected_value NUMERIC,
+  deviation_ratio NUMERIC,
+  impact_amount NUMERIC,
+  robust_z NUMERIC,
+  direction TEXT CHECK (direction IN ('high', 'low')),
+  severity TEXT CHECK (severity IN ('high', 'medium')),
+  history_points INTEGER,
+  description TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_anomalies_run ON anomalies(prediction_run_id, anomaly_type);
+
+-- anomaly_model: { as_of_date, scoring_months, history_months, z_threshold, transactions_scored,
+--   aggregates_scored, flagged, high_severity, by_type: { [type]: count } }
+ALTER TABLE prediction_runs ADD COLUMN IF NOT EXISTS anomaly_model JSONB;
+
+-- Suppliers and replenishment lead times (loaded from src/data/suppliers.json by npm run load-data)
+-- supply_type: 'Imported' (base oils and additives shipped in, weeks) or 'Local' (local blending / filling, days)
+CREATE TABLE IF NOT EXISTS suppliers (
+  supplier_code TEXT PRIMARY KEY,
+  supplier_name TEXT NOT NULL,
+  supply_type TEXT CHECK (supply_type IN ('Imported', 'Local')),
+  country TEXT,
+  lead_time_days NUMERIC,
+  lead_time_std_days NUMERIC,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Product supplier; lead_time_days / lead_time_std_days override the supplier's when set
+ALTER TABLE products ADD COLUMN IF NOT EXISTS supplier_code TEXT REFERENCES suppliers(supplier_code);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS lead_time_days NUMERIC;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS lead_time_std_days NUMERIC;
+
+-- Restock history: one row per replenishment order; received_date − order_date is the observed
+-- lead time, learned per product (or pooled per supplier) by the inventory optimizer
+CREATE TABLE IF NOT EXISTS restock_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_code TEXT REFERENCES products(product_code),
+  supplier_code TEXT REFERENCES suppliers(supplier_code),
+  order_date DATE NOT NULL,
+  received_date DATE,
+  quantity_liters NUMERIC,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_restock_history_product ON restock_history(product_code, order_date DESC);
+
+-- Lead time behind each inventory forecast; lead_time_source: 'product_history', 'supplier_history'
+-- (learned from restock_history), 'product', 'supplier' (configured) or 'default'
+ALTER TABLE inventory_forecasts ADD COLUMN IF NOT EXISTS supplier_code TEXT;
+ALTER TABLE inventory_forecasts ADD COLUMN IF NOT EXISTS lead_time_days NUMERIC;
+ALTER TABLE inventory_forecasts ADD COLUMN IF NOT EXISTS lead_time_std_days NUMERIC;
+ALTER TABLE inventory_forecasts ADD COLUMN IF NOT EXISTS lead_time_source TEXT;
+ALTER TABLE inventory_forecasts ADD COLUMN IF NOT EXISTS lead_time_observations INTEGER;
+
+-- Target cycle service level per ABC (revenue contribution) × XYZ (demand variability) class;
+-- the inventory optimizer derives each product's safety-stock z-score from its class target
+CREATE TABLE IF NOT EXISTS service_level_targets (
+  abc_class TEXT CHECK (abc_class IN ('A', 'B', 'C')),
+  xyz_class TEXT CHECK (xyz_class IN ('X', 'Y', 'Z')),
+  service_level NUMERIC NOT NULL CHECK (service_level > 0.5 AND service_level < 1),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (abc_class, xyz_class)
+);
+
+INSERT INTO service_level_targets (abc_class, xyz_class, service_level) VALUES
+  ('A', 'X', 0.99), ('A', 'Y', 0.98), ('A', 'Z', 0.97),
+  ('B', 'X', 0.97), ('B', 'Y', 0.95), ('B', 'Z', 0.93),
+  ('C', 'X', 0.93), ('C', 'Y', 0.90), ('C', 'Z', 0.85)
+ON CONFLICT (abc_class, xyz_class) DO NOTHING;
+
+ALTER TABLE inventory_forecasts ADD COLUMN IF NOT EXISTS abc_class TEXT;
+ALTER TABLE inventory_forecasts ADD COLUMN IF NOT EXISTS xyz_class TEXT;
+ALTER TABLE inventory_forecasts ADD COLUMN IF NOT EXISTS revenue_share NUMERIC;
+ALTER TABLE inventory_forecasts ADD COLUMN IF NOT EXISTS service_level NUMERIC;
+ALTER TABLE inventory_forecasts ADD COLUMN IF NOT EXISTS service_level_z NUMERIC;
+
+-- inventory_policy: { abc_thresholds: { A, B }, xyz_thresholds: { X, Y }, service_levels: { AX … CZ } }
+ALTER TABLE prediction_runs ADD COLUMN IF NOT EXISTS inventory_policy JSONB;
+
+-- Replenishment settings: cost per purchase order (supplier), minimum order quantity and pack size (product)
+ALTER TABLE suppliers ADD COLUMN IF NOT EXISTS ordering_cost NUMERIC;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS min_order_qty_liters NUMERIC;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS pack_size_liters NUMERIC;
+
+-- EOQ and order quantity behind each inventory forecast; inventory_position = on hand − reserved + on order;
+-- lot_size is the next order's size, order_quantity is non-zero when an order is due now;
+-- order_constraints: adjustments applied to the EOQ ('max_stock', 'moq', 'moq_exceeds_max_stock', 'pack_size')
+ALTER TABLE inventory_forecasts ADD COLUMN IF NOT EXISTS inventory_position NUMERIC;
+ALTER TABLE inventory_forecasts ADD COLUMN IF NOT EXISTS on_order_quantity NUMERIC;
+ALTER TABLE inventory_forecasts ADD COLUMN IF NOT EXISTS eoq NUMERIC;
+ALTER TABLE inventory_forecasts ADD COLUMN IF NOT EXISTS lot_size NUMERIC;
+ALTER TABLE inventory_forecasts ADD COLUMN IF NOT EXISTS order_quantity NUMERIC;
+ALTER TABLE inventory_forecasts ADD COLUMN IF NOT EXISTS order_constraints TEXT[];
+
+-- Purchase orders: drafted per supplier by npm run predict, reviewed on the Inventory page.
+-- A new run marks earlier untouched drafts 'superseded' once its own drafts are written; approved orders count as on order
+CREATE TABLE IF NOT EXISTS purchase_orders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  po_number TEXT UNIQUE NOT NULL,
+  prediction_run_id UUID REFERENCES prediction_runs(id) ON DELETE SET NULL,
+  supplier_code TEXT REFERENCES suppliers(supplier_code),
+  status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'approved', 'rejected', 'superseded', 'received')),
+  order_date DATE NOT NULL,
+  expected_date DATE,
+  total_quantity_liters NUMERIC DEFAULT 0,
+  total_value NUMERIC DEFAULT 0,
+  reviewed_by TEXT,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  review_note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_status ON purchase_orders(status, order_date DESC);
+
+CREATE TABLE IF NOT EXISTS purchase_order_lines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  purchase_order_id UUID REFERENCES purchase_orders(id) ON DELETE CASCADE,
+  product_code TEXT REFERENCES products(product_code),
+  quantity_liters NUMERIC NOT NULL,
+  unit_cost NUMERIC,
+  line_value NUMERIC,
+  eoq NUMERIC,
+  reorder_point NUMERIC,
+  inventory_position NUMERIC,
+  order_constraints TEXT[],
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_po ON purchase_order_lines(purchase_order_id);
+
+-- Stock ledger: every stock change as a signed movement (+ in, − out). npm run predict posts sales issues
+-- (reference_type 'transaction') and restock receipts ('restock'), plus an opening balance back-calculated
+-- from the inventory snapshot for products with no ledger yet; purchase order receipts ('purchase_order_line'),
+-- adjustments and transfers ('manual') are posted from the app. counterparty: other location of a transfer
+CREATE TABLE IF NOT EXISTS inventory_movements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id UUID REFERENCES products(id),
+  movement_type TEXT NOT NULL CHECK (movement_type IN ('opening', 'receipt', 'sale', 'adjustment', 'transfer_in', 'transfer_out')),
+  movement_date DATE NOT NULL,
+  quantity_liters NUMERIC NOT NULL,
+  reference_type TEXT CHECK (reference_type IN ('opening', 'transaction', 'restock', 'purchase_order_line', 'manual')),
+  reference_id TEXT,
+  counterparty TEXT,
+  notes TEXT,
+  created_by TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_product ON inventory_movements(product_id, movement_date DESC);
+-- Posting is idempotent per source record (manual movements have no reference_id; NULLs never collide)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_inventory_movements_reference
+  ON inventory_movements(reference_type, reference_id, movement_type);
+
+-- Current stock per product derived from the ledger
+CREATE OR REPLACE VIEW inventory_stock_levels AS
+SELECT
+  product_id,
+  SUM(quantity_liters) AS ledger_stock_liters,
+  COUNT(*) AS movement_count,
+  MAX(movement_date) AS last_movement_date
+FROM inventory_movements
+GROUP BY product_id;
+
+-- Depots (warehouses). Each depot serves the sales region it is in; the main depot (is_main) receives
+-- supplier deliveries and serves regions without a depot. transfer_lead_time_days: days for a transfer
+-- into the depot. Loaded from src/data/warehouses.json by npm run load-data
+CREATE TABLE IF NOT EXISTS warehouses (
+  warehouse_code TEXT PRIMARY KEY,
+  warehouse_name TEXT NOT NULL,
+  region TEXT,
+  city TEXT,
+  is_main BOOLEAN DEFAULT FALSE,
+  is_active BOOLEAN DEFAULT TRUE,
+  transfer_lead_time_days NUMERIC DEFAULT 3,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Depot of each inventory snapshot row, movement, restock and purchase order. NULL means the main depot;
+-- snapshot rows without a depot are split across depots by sales share when opening the ledger
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS warehouse_code TEXT REFERENCES warehouses(warehouse_code);
+ALTER TABLE inventory_movements ADD COLUMN IF NOT EXISTS warehouse_code TEXT REFERENCES warehouses(warehouse_code);
+ALTER TABLE restock_history ADD COLUMN IF NOT EXISTS warehouse_code TEXT REFERENCES warehouses(warehouse_code);
+ALTER TABLE purchase_orders ADD COLUMN IF NOT EXISTS warehouse_code TEXT REFERENCES warehouses(warehouse_code);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_warehouse ON inventory_movements(warehouse_code, product_id);
+
+-- Accepted transfer suggestions are posted as a transfer_out / transfer_in pair (reference_type 'stock_transfer')
+ALTER TABLE inventory_movements DROP CONSTRAINT IF EXISTS inventory_movements_reference_type_check;
+ALTER TABLE inventory_movements ADD CONSTRAINT inventory_movements_reference_type_check
+  CHECK (reference_type IN ('opening', 'transaction', 'restock', 'purchase_order_line', 'stock_transfer', 'manual'));
+
+-- Movements posted before depots existed are moved to their depots by migrate-depot-movements.sql (run it
+-- once after loading the depots with npm run load-data)
+
+-- Current stock per product × depot derived from the ledger. Movements without a depot count as the main
+-- depot's: the active depot flagged is_main, else the first active depot by code (as mainWarehouse in the pipeline)
+CREATE OR REPLACE VIEW depot_stock_levels AS
+SELECT
+  m.product_id,
+  COALESCE(m.warehouse_code, (
+    SELECT warehouse_code
+    FROM warehouses
+    WHERE is_active IS NOT FALSE
+    ORDER BY COALESCE(is_main, FALSE) DESC, warehouse_code
+    LIMIT 1
+  )) AS warehouse_code,
+  SUM(m.quantity_liters) AS ledger_stock_liters,
+  COUNT(*) AS movement_count,
+  MAX(m.movement_date) AS last_movement_date
+FROM inventory_movements m
+GROUP BY 1, 2;
+
+-- Reorder point per product × depot per run (populated by npm run predict): regional demand, lead time
+-- (supplier lead time at the main depot, transfer lead time elsewhere) and the product's service level.
+-- status: 'at_risk' (below reorder point), 'overstocked' (beyond target + 60 days of cover) or 'healthy'
+CREATE TABLE IF NOT EXISTS depot_inventory_forecasts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  prediction_run_id UUID REFERENCES prediction_runs(id) ON DELETE CASCADE,
+  product_id UUID REFERENCES products(id),
+  warehouse_code TEXT REFERENCES warehouses(warehouse_code),
+  monthly_demand NUMERIC,
+  demand_share NUMERIC,
+  demand_volatility NUMERIC,
+  lead_time_days NUMERIC,
+  lead_time_std_days NUMERIC,
+  safety_stock NUMERIC,
+  reorder_point NUMERIC,
+  target_stock NUMERIC,
+  current_stock NUMERIC,
+  days_of_cover NUMERIC,
+  status TEXT CHECK (status IN ('at_risk', 'healthy', 'overstocked')),
+  transfer_in_quantity NUMERIC DEFAULT 0,
+  transfer_out_quantity NUMERIC DEFAULT 0,
+  recommendation TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_depot_inventory_forecasts_run ON depot_inventory_forecasts(prediction_run_id, warehouse_code);
+
+-- Stock transfers suggested from overstocked depots to depots at risk (populated by npm run predict).
+-- Accepting one posts the transfer to the stock ledger; unreviewed suggestions are superseded by the next run
+CREATE TABLE IF NOT EXISTS stock_transfer_suggestions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  prediction_run_id UUID REFERENCES prediction_runs(id) ON DELETE SET NULL,
+  product_id UUID REFERENCES products(id),
+  from_warehouse_code TEXT REFERENCES warehouses(warehouse_code),
+  to_warehouse_code TEXT REFERENCES warehouses(warehouse_code),
+  quantity_liters NUMERIC NOT NULL,
+  transfer_value NUMERIC,
+  from_stock NUMERIC,
+  to_stock NUMERIC,
+  to_reorder_point NUMERIC,
+  to_days_of_cover NUMERIC,
+  expected_days NUMERIC,
+  reason TEXT,
+  status TEXT NOT NULL DEFAULT 'suggested' CHECK (status IN ('suggested', 'accepted', 'dismissed', 'superseded')),
+  reviewed_by TEXT,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_transfer_suggestions_status ON stock_transfer_suggestions(status, created_at DESC);
+
+-- depot_summary: { depots, main_depot, at_risk, overstocked, transfers, transfer_quantity_liters }
+ALTER TABLE prediction_runs ADD COLUMN IF NOT EXISTS depot_summary JSONB;
+
 -- Success message
 SELECT 'Database schema created successfully! Now run: npm run load-data' AS status;
@@ -8,6 +8,12 @@ import SalesIntelligence from './pages/SalesIntelligence'
 import InventoryManagement from './pages/InventoryManagement'
 import RiskManagement from './pages/RiskManagement'
 import CashFlowForecast from './pages/CashFlowForecast'
+import CustomerSegmentation from './pages/CustomerSegmentation'
+import PricingSimulator from './pages/PricingSimulator'
+import MarginAnalytics from './pages/MarginAnalytics'
+import CommissionStatements from './pages/CommissionStatements'
+import AnomalyDetection from './pages/AnomalyDetection'
+import StockLedger from './pages/StockLedger'
 
 function App() {
   const { user, loading, signOut } = useAuth()
@@ -77,6 +83,19 @@ function App() {
           }
         />
 
+        <Route
+          path="/segmentation"
+          element={
+            !user ? (
+              <Navigate to="/login" />
+            ) : (
+              <Dashboard user={user} onLogout={signOut}>
+                <CustomerSegmentation user={user} />
+              </Dashboard>
+            )
+          }
+        />
+
         <Route
           path="/cashflow"
           element={
@@ -90,6 +109,71 @@ function App() {
           }
         />
 
+        <Route
+          path="/pricing"
+          element={
+            !user ? (
+              <Navigate to="/login" />
+            ) : (
+              <Dashboard user={user} onLogout={signOut}>
+                <PricingSimulator user={user} />
+              </Dashboard>
+            )
+          }
+        />
+
+        <Route
+          path="/margins"
+          element={
+            !user ? (
+              <Navigate to="/login" />
+            ) : (
+              <Dashboard user={user} onLogout={signOut}>
+                <MarginAnalytics user={user} />
+              </Dashboard>
+            )
+          }
+        />
+
+        <Route
+          path="/commissions"
+          element={
+            !user ? (
+              <Navigate to="/login" />
+            ) : (
+              <Dashboard user={user} onLogout={signOut}>
+                <CommissionStatements user={user} />
+              </Dashboard>
+            )
+          }
+        />
+
+        <Route
+          path="/anomalies"
+          element={
+            !user ? (
+              <Navigate to="/login" />
+            ) : (
+              <Dashboard user={user} onLogout={signOut}>
+                <AnomalyDetection user={user} />
+              </Dashboard>
+            )
+          }
+        />
+
+        <Route
+          path="/stock-ledger"
+          element={
+            !user ? (
+              <Navigate to="/login" />
+            ) : (
+              <Dashboard user={user} onLogout={signOut}>
+                <StockLedger user={user} />
+              </Dashboard>
+            )
+          }
+        />
+
         <Route path="/" element={<Navigate to="/login" />} />
       </Routes>
     </BrowserRouter>
@@ -1,4 +1,4 @@
-import { useQuery } from 'react-query'
+import { useQuery, useMutation, useQueryClient } from 'react-query'
 import { inventoryService } from '../services/inventoryService'
 
 export function useInventory() {
@@ -13,12 +13,12 @@ export function useInventory() {
   )
 }
 
-export function useInventoryMovements(productCode, limit = 50) {
+export function useInventoryMovements(productId, limit = 50) {
   return useQuery(
-    ['inventory-movements', productCode, limit],
-    () => inventoryService.getMovements(productCode, limit),
+    ['inventory-movements', productId, limit],
+    () => inventoryService.getMovements(productId, limit),
     {
-      enabled: !!productCode,
+      enabled: !!productId,
       staleTime: 5 * 60 * 1000,
       refetchOnWindowFocus: false,
     }
@@ -36,3 +36,41 @@ export function useProductInventory(productCode) {
     }
   )
 }
+
+export function useInventoryLedger(movementType = null, limit = 200) {
+  return useQuery(
+    ['inventory-ledger', movementType, limit],
+    () => inventoryService.getLedger({ movementType, limit }),
+    {
+      staleTime: 60 * 1000,
+      refetchOnWindowFocus: false,
+    }
+  )
+}
+
+export function useStockLevels() {
+  return useQuery(
+    'inventory-stock-levels',
+    () => inventoryService.getStockLevels(),
+    {
+      staleTime: 60 * 1000,
+      cacheTime: 10 * 60 * 1000,
+      refetchOnWindowFocus: false,
+    }
+  )
+}
+
+export function useRecordMovements() {
+  const queryClient = useQueryClient()
+  return useMutation(
+    (movements) => inventoryService.recordMovements(movements),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('inventory-stock-levels')
+        queryClient.invalidateQueries('depot-stock-levels')
+        queryClient.invalidateQueries('inventory-ledger')
+        queryClient.invalidateQueries('inventory-movements')
+      },
+    }
+  )
+}
@@ -17,12 +17,12 @@ export function usePredictionRun() {
 }
 
 /**
- * Hook to get ML demand predictions
+ * Hook to get ML demand predictions at product, product_region or customer_product level
  */
-export function useMLDemand(runId) {
+export function useMLDemand(runId, dimension = 'product') {
   return useQuery(
-    ['ml-demand', runId],
-    () => predictionService.getDemandPredictions(runId),
+    ['ml-demand', runId, dimension],
+    () => predictionService.getDemandPredictions(runId, dimension),
     {
       enabled: !!runId,
       staleTime: 30 * 60 * 1000,
@@ -48,6 +48,22 @@ export function useMLRiskScores(runId) {
   )
 }
 
+/**
+ * Hook to get a customer's risk score history across runs
+ */
+export function useRiskScoreHistory(customerId) {
+  return useQuery(
+    ['ml-risk-history', customerId],
+    () => predictionService.getRiskScoreHistory(customerId),
+    {
+      enabled: !!customerId,
+      staleTime: 30 * 60 * 1000,
+      cacheTime: 60 * 60 * 1000,
+      refetchOnWindowFocus: false,
+    }
+  )
+}
+
 /**
  * Hook to get ML cash flow forecasts
  */
@@ -64,6 +80,118 @@ export function useMLCashFlow(runId) {
   )
 }
 
+/**
+ * Hook to get customer value scores (RFM segment, churn probability, 12-month CLV)
+ */
+export function useMLCustomerValue(runId) {
+  return useQuery(
+    ['ml-customer-value', runId],
+    () => predictionService.getCustomerValueScores(runId),
+    {
+      enabled: !!runId,
+      staleTime: 30 * 60 * 1000,
+      cacheTime: 60 * 60 * 1000,
+      refetchOnWindowFocus: false,
+    }
+  )
+}
+
+/**
+ * Hook to get cross-sell recommendations
+ */
+export function useMLRecommendations(runId) {
+  return useQuery(
+    ['ml-recommendations', runId],
+    () => predictionService.getProductRecommendations(runId),
+    {
+      enabled: !!runId,
+      staleTime: 30 * 60 * 1000,
+      cacheTime: 60 * 60 * 1000,
+      refetchOnWindowFocus: false,
+    }
+  )
+}
+
+/**
+ * Hook to get price elasticities per product
+ */
+export function useMLPriceElasticity(runId) {
+  return useQuery(
+    ['ml-price-elasticity', runId],
+    () => predictionService.getPriceElasticities(runId),
+    {
+      enabled: !!runId,
+      staleTime: 30 * 60 * 1000,
+      cacheTime: 60 * 60 * 1000,
+      refetchOnWindowFocus: false,
+    }
+  )
+}
+
+/**
+ * Hook to get anomalies flagged by the latest run
+ */
+export function useMLAnomalies(runId) {
+  return useQuery(
+    ['ml-anomalies', runId],
+    () => predictionService.getAnomalies(runId),
+    {
+      enabled: !!runId,
+      staleTime: 30 * 60 * 1000,
+      cacheTime: 60 * 60 * 1000,
+      refetchOnWindowFocus: false,
+    }
+  )
+}
+
+/**
+ * Hook to get invoice-level payment predictions
+ */
+export function useMLInvoicePayments(runId) {
+  return useQuery(
+    ['ml-invoice-payments', runId],
+    () => predictionService.getInvoicePaymentPredictions(runId),
+    {
+      enabled: !!runId,
+      staleTime: 30 * 60 * 1000,
+      cacheTime: 60 * 60 * 1000,
+      refetchOnWindowFocus: false,
+    }
+  )
+}
+
+/**
+ * Hook to get the 13-week cash view
+ */
+export function useMLWeeklyCash(runId) {
+  return useQuery(
+    ['ml-weekly-cash', runId],
+    () => predictionService.getWeeklyCashForecasts(runId),
+    {
+      enabled: !!runId,
+      staleTime: 30 * 60 * 1000,
+      cacheTime: 60 * 60 * 1000,
+      refetchOnWindowFocus: false,
+    }
+  )
+}
+
+/**
+ * Hook to get reconciled forecasts at product, category, region and total level
+ */
+export function useMLForecastHierarchy(runId) {
+  return useQuery(
+    ['ml-forecast-hierarchy', runId],
+    () => predictionService.getForecastHierarchy(runId),
+    {
+      enabled: !!runId,
+      staleTime: 30 * 60 * 1000,
+      cacheTime: 60 * 60 * 1000,
+      refetchOnWindowFocus: false,
+    }
+  )
+}
+
 /**
  * Hook to get ML inventory forecasts
  */
@@ -79,3 +207,19 @@ export function useMLInventory(runId) {
     }
   )
 }
+
+/**
+ * Hook to get ML per-depot inventory forecasts
+ */
+export function useMLDepotInventory(runId) {
+  return useQuery(
+    ['ml-depot-inventory', runId],
+    () => predictionService.getDepotInventoryForecasts(runId),
+    {
+      enabled: !!runId,
+      staleTime: 30 * 60 * 1000,
+      cacheTime: 60 * 60 * 1000,
+      refetchOnWindowFocus: false,
+    }
+  )
+}
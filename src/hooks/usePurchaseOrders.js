@@ -0,0 +1,40 @@
+import { useQuery, useMutation, useQueryClient } from 'react-query'
+import { purchaseOrderService } from '../services/purchaseOrderService'
+
+export function usePurchaseOrders() {
+  return useQuery(
+    'purchase-orders',
+    () => purchaseOrderService.getAll(),
+    {
+      staleTime: 60 * 1000,
+      cacheTime: 10 * 60 * 1000,
+      refetchOnWindowFocus: false,
+    }
+  )
+}
+
+export function useReviewPurchaseOrder() {
+  const queryClient = useQueryClient()
+  return useMutation(
+    ({ id, status, note }) => purchaseOrderService.review(id, status, note),
+    {
+      onSuccess: () => queryClient.invalidateQueries('purchase-orders'),
+    }
+  )
+}
+
+export function useReceivePurchaseOrder() {
+  const queryClient = useQueryClient()
+  return useMutation(
+    ({ po, receivedDate }) => purchaseOrderService.receive(po, receivedDate),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('purchase-orders')
+        queryClient.invalidateQueries('inventory-stock-levels')
+        queryClient.invalidateQueries('depot-stock-levels')
+        queryClient.invalidateQueries('inventory-ledger')
+        queryClient.invalidateQueries('inventory-movements')
+      },
+    }
+  )
+}
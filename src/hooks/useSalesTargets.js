@@ -0,0 +1,14 @@
+import { useQuery } from 'react-query'
+import { targetService } from '../services/targetService'
+
+export function useSalesTargets() {
+  return useQuery(
+    'sales-targets',
+    () => targetService.getAll(),
+    {
+      staleTime: 30 * 60 * 1000, // Targets are set monthly
+      cacheTime: 60 * 60 * 1000,
+      refetchOnWindowFocus: false,
+    }
+  )
+}
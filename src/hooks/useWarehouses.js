@@ -0,0 +1,56 @@
+import { useQuery, useMutation, useQueryClient } from 'react-query'
+import { warehouseService } from '../services/warehouseService'
+
+export function useWarehouses() {
+  return useQuery(
+    'warehouses',
+    () => warehouseService.getAll(),
+    {
+      staleTime: 30 * 60 * 1000,
+      cacheTime: 60 * 60 * 1000,
+      refetchOnWindowFocus: false,
+    }
+  )
+}
+
+export function useDepotStockLevels() {
+  return useQuery(
+    'depot-stock-levels',
+    () => warehouseService.getDepotStockLevels(),
+    {
+      staleTime: 60 * 1000,
+      cacheTime: 10 * 60 * 1000,
+      refetchOnWindowFocus: false,
+    }
+  )
+}
+
+export function useTransferSuggestions() {
+  return useQuery(
+    'transfer-suggestions',
+    () => warehouseService.getTransferSuggestions(),
+    {
+      staleTime: 60 * 1000,
+      cacheTime: 10 * 60 * 1000,
+      refetchOnWindowFocus: false,
+    }
+  )
+}
+
+export function useReviewTransfer() {
+  const queryClient = useQueryClient()
+  return useMutation(
+    ({ transfer, status, transferDate }) => (status === 'accepted'
+      ? warehouseService.acceptTransfer(transfer, transferDate)
+      : warehouseService.dismissTransfer(transfer.id)),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('transfer-suggestions')
+        queryClient.invalidateQueries('depot-stock-levels')
+        queryClient.invalidateQueries('inventory-stock-levels')
+        queryClient.invalidateQueries('inventory-ledger')
+        queryClient.invalidateQueries('inventory-movements')
+      },
+    }
+  )
+}
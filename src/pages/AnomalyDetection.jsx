@@ -0,0 +1,229 @@
+import { useState, useMemo } from 'react';
+import { Activity, AlertTriangle, Receipt, MapPin, Bot } from 'lucide-react';
+import { usePredictionRun, useMLAnomalies } from '../hooks/usePredictions';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ErrorAlert from '../components/ErrorAlert';
+import { formatCurrency, formatLargeNumber } from '../utils/dataProcessing';
+
+const ANOMALY_TYPES = {
+  transaction_volume: { label: 'Order volume', className: 'bg-blue-100 text-blue-800' },
+  transaction_price: { label: 'Unit price', className: 'bg-purple-100 text-purple-800' },
+  monthly_region: { label: 'Region month', className: 'bg-orange-100 text-orange-800' },
+  monthly_product: { label: 'Product month', className: 'bg-teal-100 text-teal-800' },
+  monthly_customer: { label: 'Customer month', className: 'bg-gray-100 text-gray-800' }
+};
+
+const SEVERITY_STYLES = {
+  high: 'bg-red-100 text-red-800',
+  medium: 'bg-yellow-100 text-yellow-800'
+};
+
+const typeKey = (a) => (a.anomaly_type === 'monthly_revenue' ? `monthly_${a.dimension}` : a.anomaly_type);
+
+export default function AnomalyDetection() {
+  const { data: predictionRun, isLoading: loadingRun, error: errorRun, refetch } = usePredictionRun();
+  const { data: anomalyData, isLoading: loadingAnomalies } = useMLAnomalies(predictionRun?.id);
+
+  if (loadingRun || loadingAnomalies) {
+    return <LoadingSpinner message="Loading anomalies..." />;
+  }
+  if (errorRun) {
+    return <ErrorAlert error={errorRun} retry={refetch} title="Failed to Load Anomalies" />;
+  }
+
+  return <AnomalyContent anomalyData={anomalyData || []} predictionRun={predictionRun} />;
+}
+
+function AnomalyContent({ anomalyData, predictionRun }) {
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [severityFilter, setSeverityFilter] = useState('all');
+  const anomalyModel = predictionRun?.anomaly_model;
+
+  const filtered = useMemo(() => anomalyData.filter(a =>
+    (typeFilter === 'all' || typeKey(a) === typeFilter) &&
+    (severityFilter === 'all' || a.severity === severityFilter)
+  ), [anomalyData, typeFilter, severityFilter]);
+
+  const counts = useMemo(() => {
+    const transactions = anomalyData.filter(a => a.dimension === 'transaction');
+    const monthly = anomalyData.filter(a => a.anomaly_type === 'monthly_revenue');
+    return {
+      total: anomalyData.length,
+      high: anomalyData.filter(a => a.severity === 'high').length,
+      transactions: transactions.length,
+      monthly: monthly.length,
+      impact: anomalyData.reduce((s, a) => s + (parseFloat(a.impact_amount) || 0), 0)
+    };
+  }, [anomalyData]);
+
+  if (!predictionRun || !anomalyModel) {
+    return (
+      <div>
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Anomaly Detection</h1>
+          <p className="text-gray-600">Unusual orders, prices and monthly revenue swings</p>
+        </div>
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <p className="text-sm text-gray-700">
+            No anomaly scan yet. Run <code>npm run predict</code> to score recent transactions and monthly revenue against their history.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const formatValue = (a, key) => {
+    const value = parseFloat(a[key]) || 0;
+    if (a.metric === 'quantity_liters') return `${Math.round(value).toLocaleString()} L`;
+    if (a.metric === 'unit_price') return `${formatCurrency(value)}/L`;
+    return formatLargeNumber(value);
+  };
+
+  return (
+    <div>
+      <div className="mb-8">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Anomaly Detection</h1>
+            <p className="text-gray-600">Unusual orders, prices and monthly revenue swings, scored against their own history</p>
+          </div>
+          <span className="flex items-center gap-1 px-3 py-1 bg-purple-100 text-purple-800 text-xs font-semibold rounded-full">
+            <Bot className="w-3 h-3" /> AI-Powered (Robust Z-Score)
+          </span>
+        </div>
+      </div>
+
+      {/* KPI Cards */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-6">
+        <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-primary">
+          <div className="flex items-center justify-between mb-2">
+            <Activity className="w-8 h-8 text-primary" />
+          </div>
+          <div className="text-sm text-gray-600 mb-1">Anomalies Flagged</div>
+          <div className="text-2xl font-bold">{counts.total}</div>
+          <div className="text-xs text-gray-500 mt-1">
+            of {(anomalyModel.transactions_scored + anomalyModel.aggregates_scored).toLocaleString()} scored
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-danger">
+          <div className="flex items-center justify-between mb-2">
+            <AlertTriangle className="w-8 h-8 text-danger" />
+          </div>
+          <div className="text-sm text-gray-600 mb-1">High Severity</div>
+          <div className="text-2xl font-bold text-danger">{counts.high}</div>
+          <div className="text-xs text-gray-500 mt-1">{formatLargeNumber(counts.impact)} total revenue impact</div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-secondary">
+          <div className="flex items-center justify-between mb-2">
+            <Receipt className="w-8 h-8 text-secondary" />
+          </div>
+          <div className="text-sm text-gray-600 mb-1">Unusual Transactions</div>
+          <div className="text-2xl font-bold">{counts.transactions}</div>
+          <div className="text-xs text-gray-500 mt-1">Volume or price out of pattern</div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-warning">
+          <div className="flex items-center justify-between mb-2">
+            <MapPin className="w-8 h-8 text-warning" />
+          </div>
+          <div className="text-sm text-gray-600 mb-1">Monthly Revenue Swings</div>
+          <div className="text-2xl font-bold">{counts.monthly}</div>
+          <div className="text-xs text-gray-500 mt-1">Region, product or customer</div>
+        </div>
+      </div>
+
+      {/* Anomaly list */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Flagged Anomalies</h3>
+          <div className="flex items-center gap-2">
+            <select
+              value={typeFilter}
+              onChange={(e) => setTypeFilter(e.target.value)}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            >
+              <option value="all">All types</option>
+              {Object.entries(ANOMALY_TYPES).map(([key, t]) => (
+                <option key={key} value={key}>{t.label}</option>
+              ))}
+            </select>
+            <select
+              value={severityFilter}
+              onChange={(e) => setSeverityFilter(e.target.value)}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            >
+              <option value="all">All severities</option>
+              <option value="high">High</option>
+              <option value="medium">Medium</option>
+            </select>
+          </div>
+        </div>
+
+        {filtered.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b bg-gray-50">
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Severity</th>
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Type</th>
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">What Happened</th>
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">When</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Observed</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Typical</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Robust Z</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Revenue Impact</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filtered.map(a => {
+                  const type = ANOMALY_TYPES[typeKey(a)] || { label: a.anomaly_type, className: 'bg-gray-100 text-gray-800' };
+                  return (
+                    <tr key={a.id} className="border-b hover:bg-gray-50">
+                      <td className="py-3 px-4 text-sm">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${SEVERITY_STYLES[a.severity] || ''}`}>
+                          {a.severity}
+                        </span>
+                      </td>
+                      <td className="py-3 px-4 text-sm">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${type.className}`}>{type.label}</span>
+                      </td>
+                      <td className="py-3 px-4 text-sm">
+                        {a.description}
+                        {a.salesperson && <span className="block text-xs text-gray-500">{a.transaction_code} · {a.salesperson}</span>}
+                      </td>
+                      <td className="py-3 px-4 text-sm text-gray-600 whitespace-nowrap">
+                        {a.anomaly_date || (a.period_month ? a.period_month.substring(0, 7) : '—')}
+                      </td>
+                      <td className="py-3 px-4 text-sm text-right">{formatValue(a, 'observed_value')}</td>
+                      <td className="py-3 px-4 text-sm text-right text-gray-600">{formatValue(a, 'expected_value')}</td>
+                      <td className={`py-3 px-4 text-sm text-right font-semibold ${a.direction === 'low' ? 'text-red-700' : 'text-green-700'}`}>
+                        {parseFloat(a.robust_z) > 0 ? '+' : ''}{parseFloat(a.robust_z).toFixed(1)}
+                      </td>
+                      <td className="py-3 px-4 text-sm text-right">{formatLargeNumber(parseFloat(a.impact_amount) || 0)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">
+            {anomalyData.length === 0 ? 'Nothing unusual in the latest scan.' : 'No anomalies match these filters.'}
+          </p>
+        )}
+
+        <div className="mt-4 p-4 bg-blue-50 border-l-4 border-blue-500 rounded">
+          <p className="text-sm text-gray-700">
+            <strong>AI Insight:</strong> Transactions from the last {anomalyModel.scoring_months} months (to {anomalyModel.as_of_date}) are compared with
+            the customer's earlier orders of the same product and the product's earlier prices; monthly revenue per region, product and customer is
+            compared with the previous {anomalyModel.history_months} months. Anything with a robust z-score (distance from the median in units of
+            median absolute deviation) beyond ±{anomalyModel.z_threshold} and a material change in size is flagged, largest revenue impact first.
+            <span className="text-gray-500"> Last run: {new Date(predictionRun.run_at).toLocaleString()}</span>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,18 +1,26 @@
 import { useState, useMemo } from 'react';
-import { LineChart, Line, AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { LineChart, Line, AreaChart, Area, ComposedChart, Bar, BarChart, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import { DollarSign, TrendingUp, AlertCircle, Calendar, Bot } from 'lucide-react';
 import { useTransactions } from '../hooks/useTransactions';
 import { useCustomers } from '../hooks/useCustomers';
-import { usePredictionRun, useMLCashFlow } from '../hooks/usePredictions';
+import { usePredictionRun, useMLCashFlow, useMLForecastHierarchy, useMLWeeklyCash, useMLInvoicePayments } from '../hooks/usePredictions';
 import LoadingSpinner from '../components/LoadingSpinner';
 import ErrorAlert from '../components/ErrorAlert';
 import { formatCurrency, formatLargeNumber, groupByMonth } from '../utils/dataProcessing';
 
+const MODEL_LABELS = {
+  holt_exponential_smoothing: 'Holt Exponential Smoothing',
+  simple_exponential_smoothing: 'Simple Exponential Smoothing'
+};
+
 export default function CashFlowForecast() {
   const { data: transactionsData, isLoading: loadingTxn, error: errorTxn, refetch } = useTransactions();
   const { data: customersData, isLoading: loadingCust, error: errorCust } = useCustomers();
   const { data: predictionRun } = usePredictionRun();
   const { data: mlCashFlowData } = useMLCashFlow(predictionRun?.id);
+  const { data: mlHierarchyData } = useMLForecastHierarchy(predictionRun?.id);
+  const { data: mlWeeklyCashData } = useMLWeeklyCash(predictionRun?.id);
+  const { data: mlInvoiceData } = useMLInvoicePayments(predictionRun?.id);
 
   if (loadingTxn || loadingCust) {
     return <LoadingSpinner message="Loading cash flow data..." />;
@@ -24,12 +32,16 @@ export default function CashFlowForecast() {
     return <LoadingSpinner message="Loading cash flow data..." />;
   }
 
-  return <CashFlowContent transactionsData={transactionsData} customersData={customersData} mlCashFlowData={mlCashFlowData} predictionRun={predictionRun} />;
+  return <CashFlowContent transactionsData={transactionsData} customersData={customersData} mlCashFlowData={mlCashFlowData} mlHierarchyData={mlHierarchyData} mlWeeklyCashData={mlWeeklyCashData} mlInvoiceData={mlInvoiceData} predictionRun={predictionRun} />;
 }
 
-function CashFlowContent({ transactionsData, customersData, mlCashFlowData, predictionRun }) {
+function CashFlowContent({ transactionsData, customersData, mlCashFlowData, mlHierarchyData, mlWeeklyCashData, mlInvoiceData, predictionRun }) {
   const [scenario, setScenario] = useState('most_likely');
   const hasMLData = mlCashFlowData && mlCashFlowData.length > 0;
+  const modelLabel = hasMLData ? (MODEL_LABELS[mlCashFlowData[0].model_used] || mlCashFlowData[0].model_used) : null;
+  const modelSelection = predictionRun?.model_selection?.cash_flow;
+  const weekly = hasMLData && mlCashFlowData[0].granularity === 'weekly';
+  const periodUnit = weekly ? 'Week' : 'Month';
 
   // Calculate historical and predicted cash flow
   const cashFlowData = useMemo(() => {
@@ -47,13 +59,13 @@ function CashFlowContent({ transactionsData, customersData, mlCashFlowData, pred
     // ML-powered predictions
     if (hasMLData) {
       const predictions = mlCashFlowData.map(cf => ({
-        month: cf.forecast_month.substring(0, 7),
+        month: weekly ? cf.forecast_month : cf.forecast_month.substring(0, 7),
         expectedInflow: Math.round(parseFloat(cf.most_likely_inflow) || 0),
         bestCase: Math.round(parseFloat(cf.best_case_inflow) || 0),
         worstCase: Math.round(parseFloat(cf.worst_case_inflow) || 0),
         mostLikely: Math.round(parseFloat(cf.most_likely_inflow) || 0),
         expectedDelay: Math.round(parseFloat(cf.expected_delay) || 0),
-        predictedRevenue: Math.round(parseFloat(cf.expected_inflow) || 0),
+        predictedRevenue: Math.round(parseFloat(cf.predicted_revenue ?? cf.expected_inflow) || 0),
         collectionRate: parseFloat(cf.collection_rate) || 0,
         confidence: parseFloat(cf.confidence_score) || 0,
         type: 'predicted',
@@ -86,7 +98,61 @@ function CashFlowContent({ transactionsData, customersData, mlCashFlowData, pred
       });
     }
     return [...historical, ...predictions];
-  }, [transactionsData, mlCashFlowData, hasMLData]);
+  }, [transactionsData, mlCashFlowData, hasMLData, weekly]);
+
+  // Reconciled revenue by region for each forecast month (same totals as the product forecasts)
+  const regionForecast = useMemo(() => {
+    const rows = (mlHierarchyData || []).filter(h => h.level === 'region');
+    const regions = [...new Set(rows.map(h => h.level_key))].sort();
+    const byMonth = {};
+    rows.forEach(h => {
+      const month = h.forecast_month.substring(0, 7);
+      if (!byMonth[month]) byMonth[month] = {};
+      byMonth[month][h.level_key] = parseFloat(h.reconciled_revenue) || 0;
+    });
+    return { regions, byMonth };
+  }, [mlHierarchyData]);
+
+  // Regional totals are monthly; weekly forecasts show the company total only
+  const regionColumns = weekly ? [] : regionForecast.regions;
+
+  // 13-week view: open invoices at their expected payment date + collections on new sales
+  const weeklyCash = useMemo(() => {
+    return (mlWeeklyCashData || []).map(w => ({
+      week: w.week_number,
+      label: `W${w.week_number} · ${w.week_start.substring(5, 10)}`,
+      weekStart: w.week_start,
+      weekEnd: w.week_end,
+      'Open Invoices': Math.round(parseFloat(w.open_invoice_inflow) || 0),
+      'New Sales': Math.round(parseFloat(w.new_sales_inflow) || 0),
+      'Cumulative': Math.round(parseFloat(w.cumulative_inflow) || 0),
+      invoices: w.invoices_expected,
+      newSalesRevenue: Math.round(parseFloat(w.new_sales_revenue) || 0),
+      expected: Math.round(parseFloat(w.expected_inflow) || 0)
+    }));
+  }, [mlWeeklyCashData]);
+  const weeklySummary = predictionRun?.weekly_cash_summary;
+
+  // Receivables waterfall: open invoices split by predicted collection window
+  const receivablesWaterfall = useMemo(() => {
+    if (!mlInvoiceData || mlInvoiceData.length === 0) return [];
+    let open = 0;
+    const windows = [0, 0, 0];
+    mlInvoiceData.forEach(p => {
+      const outstanding = parseFloat(p.outstanding_amount) || 0;
+      const probs = [0, parseFloat(p.prob_paid_30) || 0, parseFloat(p.prob_paid_60) || 0, parseFloat(p.prob_paid_90) || 0];
+      open += outstanding;
+      for (let i = 0; i < 3; i++) windows[i] += outstanding * (probs[i + 1] - probs[i]);
+    });
+    const remaining = open - windows[0] - windows[1] - windows[2];
+    return [
+      { step: 'Open Receivables', base: 0, amount: Math.round(open), color: '#1E3A8A' },
+      { step: 'Collected ≤30d', base: Math.round(open - windows[0]), amount: Math.round(windows[0]), color: '#22C55E' },
+      { step: '31–60d', base: Math.round(open - windows[0] - windows[1]), amount: Math.round(windows[1]), color: '#4ADE80' },
+      { step: '61–90d', base: Math.round(remaining), amount: Math.round(windows[2]), color: '#86EFAC' },
+      { step: 'Not Expected in 90d', base: 0, amount: Math.round(remaining), color: '#EF4444' }
+    ];
+  }, [mlInvoiceData]);
 
   // Cash inflow scenarios
   const scenarioData = useMemo(() => {
@@ -153,12 +219,16 @@ function CashFlowContent({ transactionsData, customersData, mlCashFlowData, pred
       .slice(0, 5);
   }, [transactionsData, customersData]);
 
-  // Dynamic next month label
-  const nextMonthLabel = useMemo(() => {
-    const d = new Date();
-    d.setMonth(d.getMonth() + 1);
-    return d.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
-  }, []);
+  // Dynamic next period label
+  const nextPeriodLabel = useMemo(() => {
+    const firstPeriod = cashFlowData.find(d => d.type === 'predicted');
+    if (!firstPeriod) return '';
+    if (weekly) return `w/c ${firstPeriod.month}`;
+    const [year, month] = firstPeriod.month.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+  }, [weekly, cashFlowData]);
+
+  const forecastPeriods = scenarioData.length;
 
   return (
     <div>
@@ -170,7 +240,7 @@ function CashFlowContent({ transactionsData, customersData, mlCashFlowData, pred
           </div>
           {hasMLData && (
             <span className="flex items-center gap-1 px-3 py-1 bg-purple-100 text-purple-800 text-xs font-semibold rounded-full">
-              <Bot className="w-3 h-3" /> Holt Exponential Smoothing
+              <Bot className="w-3 h-3" /> {modelLabel}
             </span>
           )}
         </div>
@@ -184,7 +254,7 @@ function CashFlowContent({ transactionsData, customersData, mlCashFlowData, pred
           </div>
           <div className="text-sm text-gray-600 mb-1">Expected Cash Inflow</div>
           <div className="text-2xl font-bold text-success">{formatLargeNumber(kpis.expectedInflow)}</div>
-          <div className="text-xs text-gray-500 mt-1">Next Month ({nextMonthLabel})</div>
+          <div className="text-xs text-gray-500 mt-1">Next {periodUnit} ({nextPeriodLabel})</div>
         </div>
 
         <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-warning">
@@ -261,7 +331,7 @@ function CashFlowContent({ transactionsData, customersData, mlCashFlowData, pred
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
         {/* Cash Inflow Forecast */}
         <div className="bg-white rounded-lg shadow-md p-6">
-          <h3 className="text-lg font-semibold mb-4">Cash Inflow Forecast (Next 3 Months)</h3>
+          <h3 className="text-lg font-semibold mb-4">Cash Inflow Forecast (Next {forecastPeriods} {periodUnit}{forecastPeriods === 1 ? '' : 's'})</h3>
           <ResponsiveContainer width="100%" height={300}>
             <LineChart data={scenarioData}>
               <CartesianGrid strokeDasharray="3 3" />
@@ -325,6 +395,148 @@ function CashFlowContent({ transactionsData, customersData, mlCashFlowData, pred
         </div>
       </div>
 
+      {/* Revenue behind the inflow forecast */}
+      {hasMLData && (
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h3 className="text-lg font-semibold mb-1">Forecast Revenue Behind the Inflows</h3>
+          <p className="text-xs text-gray-500 mb-4">
+            Company revenue forecast reconciled with the product-level demand forecast, so it equals the product, category and region totals shown elsewhere.
+          </p>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b bg-gray-50">
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">{periodUnit}</th>
+                  {regionColumns.map(region => (
+                    <th key={region} className="text-right py-3 px-4 text-sm font-semibold text-gray-700">{region}</th>
+                  ))}
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Total Revenue</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Collection Rate</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Most Likely Inflow</th>
+                </tr>
+              </thead>
+              <tbody>
+                {cashFlowData.filter(d => d.isML).map(d => (
+                  <tr key={d.month} className="border-b hover:bg-gray-50">
+                    <td className="py-3 px-4 text-sm font-medium">{d.month}</td>
+                    {regionColumns.map(region => (
+                      <td key={region} className="py-3 px-4 text-sm text-right">
+                        {regionForecast.byMonth[d.month]?.[region] !== undefined ? formatLargeNumber(regionForecast.byMonth[d.month][region]) : '—'}
+                      </td>
+                    ))}
+                    <td className="py-3 px-4 text-sm text-right font-semibold">{formatLargeNumber(d.predictedRevenue)}</td>
+                    <td className="py-3 px-4 text-sm text-right">{(d.collectionRate * 100).toFixed(1)}%</td>
+                    <td className="py-3 px-4 text-sm text-right font-semibold text-success">{formatLargeNumber(d.mostLikely)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* 13-Week Cash View */}
+      {weeklyCash.length > 0 && (
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <div className="flex items-center justify-between mb-1">
+            <h3 className="text-lg font-semibold">{weeklyCash.length}-Week Cash View</h3>
+            <span className="flex items-center gap-1 px-3 py-1 bg-purple-100 text-purple-800 text-xs font-semibold rounded-full">
+              <Bot className="w-3 h-3" />
+              Invoice-level
+            </span>
+          </div>
+          <p className="text-xs text-gray-500 mb-4">
+            Open invoices placed on their due date plus each customer's historical payment delay
+            {weeklySummary && ` (average ${weeklySummary.average_delay_days} days)`}, with collections on forecast new sales layered on top.
+            {weeklySummary && ` As of ${weeklySummary.as_of_date}.`}
+          </p>
+          <ResponsiveContainer width="100%" height={300}>
+            <ComposedChart data={weeklyCash}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="label" tick={{ fontSize: 11 }} />
+              <YAxis yAxisId="weekly" tickFormatter={(value) => formatLargeNumber(value)} />
+              <YAxis yAxisId="cumulative" orientation="right" tickFormatter={(value) => formatLargeNumber(value)} />
+              <Tooltip formatter={(value) => formatCurrency(value)} />
+              <Legend />
+              <Bar yAxisId="weekly" dataKey="Open Invoices" stackId="inflow" fill="#1E3A8A" />
+              <Bar yAxisId="weekly" dataKey="New Sales" stackId="inflow" fill="#22C55E" />
+              <Line yAxisId="cumulative" type="monotone" dataKey="Cumulative" stroke="#F59E0B" strokeWidth={2} dot={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+          {weeklySummary && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+              <div className="p-3 bg-gray-50 rounded">
+                <p className="text-xs text-gray-500">Open invoices</p>
+                <p className="text-lg font-semibold">{formatLargeNumber(weeklySummary.open_invoice_total)}</p>
+              </div>
+              <div className="p-3 bg-yellow-50 rounded">
+                <p className="text-xs text-gray-500">Expected after week {weeklySummary.weeks}</p>
+                <p className="text-lg font-semibold">{formatLargeNumber(weeklySummary.beyond_horizon_amount)}</p>
+              </div>
+              <div className="p-3 bg-red-50 rounded">
+                <p className="text-xs text-gray-500">Doubtful (90+ days past due, excluded)</p>
+                <p className="text-lg font-semibold text-danger">
+                  {formatLargeNumber(weeklySummary.doubtful_amount)}
+                  <span className="text-xs text-gray-500 font-normal"> · {weeklySummary.doubtful_invoices} invoices</span>
+                </p>
+              </div>
+            </div>
+          )}
+          <div className="overflow-x-auto mt-4">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b bg-gray-50">
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Week</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Open Invoices</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Invoices Due</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">New Sales Revenue</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">New Sales Collected</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Expected Inflow</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Cumulative</th>
+                </tr>
+              </thead>
+              <tbody>
+                {weeklyCash.map(w => (
+                  <tr key={w.week} className="border-b hover:bg-gray-50">
+                    <td className="py-3 px-4 text-sm font-medium">W{w.week} <span className="text-gray-500">{w.weekStart} – {w.weekEnd}</span></td>
+                    <td className="py-3 px-4 text-sm text-right">{formatLargeNumber(w['Open Invoices'])}</td>
+                    <td className="py-3 px-4 text-sm text-right">{w.invoices}</td>
+                    <td className="py-3 px-4 text-sm text-right text-gray-600">{formatLargeNumber(w.newSalesRevenue)}</td>
+                    <td className="py-3 px-4 text-sm text-right">{formatLargeNumber(w['New Sales'])}</td>
+                    <td className="py-3 px-4 text-sm text-right font-semibold text-success">{formatLargeNumber(w.expected)}</td>
+                    <td className="py-3 px-4 text-sm text-right">{formatLargeNumber(w['Cumulative'])}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Receivables Collection Waterfall */}
+      {receivablesWaterfall.length > 0 && (
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h3 className="text-lg font-semibold mb-1">Receivables Collection Waterfall</h3>
+          <p className="text-xs text-gray-500 mb-4">
+            Open invoices split by when each is predicted to be paid (invoice-level payment probabilities within 30, 60 and 90 days).
+          </p>
+          <ResponsiveContainer width="100%" height={300}>
+            <BarChart data={receivablesWaterfall}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="step" tick={{ fontSize: 12 }} />
+              <YAxis tickFormatter={(value) => formatLargeNumber(value)} />
+              <Tooltip formatter={(value) => formatCurrency(value)} />
+              <Bar dataKey="base" stackId="waterfall" fill="transparent" legendType="none" tooltipType="none" />
+              <Bar dataKey="amount" stackId="waterfall" name="Amount">
+                {receivablesWaterfall.map(entry => (
+                  <Cell key={entry.step} fill={entry.color} />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
       {/* High-Risk Customers */}
       <div className="bg-white rounded-lg shadow-md p-6 mb-6">
         <h3 className="text-lg font-semibold mb-4">Top 5 Customers Contributing to Delay Risk</h3>
@@ -369,7 +581,7 @@ function CashFlowContent({ transactionsData, customersData, mlCashFlowData, pred
               <DollarSign className="w-5 h-5 text-blue-600 mt-0.5 mr-2" />
               <div>
                 <p className="text-sm text-gray-700">
-                  <strong>Expected cash inflow next month:</strong> {formatLargeNumber(kpis.expectedInflow)}.
+                  <strong>Expected cash inflow next {periodUnit.toLowerCase()}:</strong> {formatLargeNumber(kpis.expectedInflow)}.
                 </p>
               </div>
             </div>
@@ -404,8 +616,15 @@ function CashFlowContent({ transactionsData, customersData, mlCashFlowData, pred
               <div>
                 <p className="text-sm text-gray-700">
                   <strong>Forecast confidence:</strong> {hasMLData
-                    ? `${cashFlowData.find(d => d.isML)?.confidence?.toFixed(1) || 'N/A'}% — Holt's Double Exponential Smoothing on ${transactionsData.length.toLocaleString()} transactions.`
+                    ? `${cashFlowData.find(d => d.isML)?.confidence?.toFixed(1) || 'N/A'}% — ${modelLabel} on ${transactionsData.length.toLocaleString()} transactions.`
                     : '85% based on 15 months of historical payment patterns.'}
+                  {hasMLData && modelSelection && (
+                    <span className="block text-gray-500 mt-1">
+                      Model chosen by {predictionRun.holdout_months}-month holdout backtest: {modelSelection.chosen}
+                      {modelSelection.mape !== null && ` (MAPE ${(modelSelection.mape * 100).toFixed(1)}%)`}
+                      , beating {modelSelection.candidates.length - 1} other candidates.
+                    </span>
+                  )}
                   {predictionRun && hasMLData && <span className="text-gray-500"> Last AI run: {new Date(predictionRun.run_at).toLocaleString()}</span>}
                 </p>
               </div>
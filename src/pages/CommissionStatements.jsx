@@ -0,0 +1,378 @@
+import { useState, useMemo } from 'react';
+import { Wallet, DollarSign, TrendingDown, Users, Download, Settings } from 'lucide-react';
+import { useTransactions } from '../hooks/useTransactions';
+import { useProducts } from '../hooks/useProducts';
+import { useSalesTargets } from '../hooks/useSalesTargets';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ErrorAlert from '../components/ErrorAlert';
+import { formatCurrency, formatLargeNumber, downloadCSV } from '../utils/dataProcessing';
+import { DEFAULT_COMMISSION_RULES, buildCommissionLedger, commissionStatements } from '../utils/commission';
+
+const SUMMARY_COLUMNS = [
+  { label: 'Month', value: (s) => s.month },
+  { label: 'Salesperson', value: (s) => s.salesperson },
+  { label: 'Collected', value: (s) => s.collected.toFixed(2) },
+  { label: 'Target Achievement %', value: (s) => (s.achievementPct !== null ? s.achievementPct.toFixed(1) : '') },
+  { label: 'Rate %', value: (s) => (s.ratePct !== null ? s.ratePct : '') },
+  { label: 'Gross Commission', value: (s) => s.grossCommission.toFixed(2) },
+  { label: 'Clawback', value: (s) => s.clawback.toFixed(2) },
+  { label: 'Net Commission', value: (s) => s.netCommission.toFixed(2) }
+];
+
+const STATEMENT_COLUMNS = [
+  { label: 'Date', value: (e) => e.date },
+  { label: 'Type', value: (e) => (e.type === 'credit' ? 'Credit' : 'Clawback') },
+  { label: 'Invoice', value: (e) => e.invoiceNumber },
+  { label: 'Invoice Date', value: (e) => e.invoiceDate },
+  { label: 'Customer', value: (e) => e.customerName },
+  { label: 'Product', value: (e) => e.productName },
+  { label: 'Category', value: (e) => e.category },
+  { label: 'Invoice Amount', value: (e) => e.invoiceAmount.toFixed(2) },
+  { label: 'Commissionable Amount', value: (e) => e.amount.toFixed(2) },
+  { label: 'Rate %', value: (e) => e.ratePct },
+  { label: 'Category Multiplier', value: (e) => e.multiplier },
+  { label: 'Commission', value: (e) => e.commission.toFixed(2) },
+  { label: 'Note', value: (e) => e.note }
+];
+
+const inputClass = 'w-20 px-2 py-1 border border-gray-300 rounded text-sm text-right focus:ring-2 focus:ring-purple-500 focus:border-transparent';
+
+export default function CommissionStatements() {
+  const { data: transactionsData, isLoading: loadingTxn, error: errorTxn, refetch } = useTransactions();
+  const { data: productsData, isLoading: loadingProd, error: errorProd } = useProducts();
+  const { data: salesTargets, isLoading: loadingTargets } = useSalesTargets();
+
+  if (loadingTxn || loadingProd || loadingTargets) {
+    return <LoadingSpinner message="Loading commission data..." />;
+  }
+  if (errorTxn || errorProd) {
+    return <ErrorAlert error={errorTxn || errorProd} retry={refetch} title="Failed to Load Commission Data" />;
+  }
+  if (!transactionsData || !productsData) {
+    return <LoadingSpinner message="Loading commission data..." />;
+  }
+
+  return <CommissionContent transactionsData={transactionsData} productsData={productsData} salesTargets={salesTargets || []} />;
+}
+
+function CommissionContent({ transactionsData, productsData, salesTargets }) {
+  const [rules, setRules] = useState(DEFAULT_COMMISSION_RULES);
+  const [showRules, setShowRules] = useState(false);
+  const [selectedMonth, setSelectedMonth] = useState('');
+  const [selectedSalesperson, setSelectedSalesperson] = useState('');
+
+  const ledger = useMemo(
+    () => buildCommissionLedger(transactionsData, productsData, salesTargets, rules),
+    [transactionsData, productsData, salesTargets, rules]
+  );
+  const statements = useMemo(() => commissionStatements(ledger), [ledger]);
+
+  const months = useMemo(() => [...new Set(statements.map(s => s.month))].sort().reverse(), [statements]);
+  const activeMonth = selectedMonth || months[0] || '';
+  const monthStatements = useMemo(() => statements.filter(s => s.month === activeMonth), [statements, activeMonth]);
+  const activeStatement = monthStatements.find(s => s.salesperson === selectedSalesperson) || monthStatements[0] || null;
+
+  const totals = useMemo(() => ({
+    collected: monthStatements.reduce((s, st) => s + st.collected, 0),
+    gross: monthStatements.reduce((s, st) => s + st.grossCommission, 0),
+    clawback: monthStatements.reduce((s, st) => s + st.clawback, 0),
+    net: monthStatements.reduce((s, st) => s + st.netCommission, 0)
+  }), [monthStatements]);
+
+  const categories = useMemo(() => [...new Set([
+    ...Object.keys(DEFAULT_COMMISSION_RULES.categoryMultipliers),
+    ...productsData.map(p => p.category).filter(Boolean)
+  ])], [productsData]);
+
+  const updateSlab = (index, field, value) => {
+    setRules({
+      ...rules,
+      slabs: rules.slabs.map((s, i) => (i === index ? { ...s, [field]: parseFloat(value) || 0 } : s))
+    });
+  };
+
+  const exportMonth = () => {
+    downloadCSV(`commission-summary-${activeMonth}.csv`, monthStatements, SUMMARY_COLUMNS);
+  };
+
+  const exportStatement = () => {
+    if (!activeStatement) return;
+    const name = activeStatement.salesperson.replace(/[^A-Za-z0-9]+/g, '-').replace(/-+$/, '');
+    downloadCSV(`commission-statement-${name}-${activeMonth}.csv`, activeStatement.entries, STATEMENT_COLUMNS);
+  };
+
+  return (
+    <div>
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Commission Statements</h1>
+        <p className="text-gray-600">Monthly commission on collected revenue, with target-achievement slabs, category multipliers and overdue clawbacks</p>
+      </div>
+
+      {/* Controls */}
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div className="flex items-center gap-2">
+            <label className="text-sm font-medium text-gray-700">Month</label>
+            <select
+              value={activeMonth}
+              onChange={(e) => setSelectedMonth(e.target.value)}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            >
+              {months.map(month => (
+                <option key={month} value={month}>{month}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setShowRules(!showRules)}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              <Settings className="w-4 h-4" />
+              {showRules ? 'Hide Rules' : 'Commission Rules'}
+            </button>
+            <button
+              onClick={exportMonth}
+              disabled={monthStatements.length === 0}
+              className="flex items-center gap-2 px-4 py-2 bg-primary text-white rounded-lg text-sm font-medium hover:bg-primary-dark transition-colors disabled:opacity-50"
+            >
+              <Download className="w-4 h-4" />
+              Export Month
+            </button>
+          </div>
+        </div>
+
+        {showRules && (
+          <div className="mt-6 grid grid-cols-1 lg:grid-cols-3 gap-6 border-t pt-6">
+            <div>
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Rate Slabs by Target Achievement</h4>
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-2 text-xs font-semibold text-gray-600">Achievement from</th>
+                    <th className="text-left py-2 text-xs font-semibold text-gray-600">Rate</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rules.slabs.map((slab, idx) => (
+                    <tr key={idx}>
+                      <td className="py-1">
+                        <input type="number" min="0" value={slab.minAchievement} onChange={(e) => updateSlab(idx, 'minAchievement', e.target.value)} className={inputClass} /> %
+                      </td>
+                      <td className="py-1">
+                        <input type="number" min="0" step="0.1" value={slab.ratePct} onChange={(e) => updateSlab(idx, 'ratePct', e.target.value)} className={inputClass} /> %
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="mt-2 text-sm text-gray-700">
+                No target set:{' '}
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={rules.noTargetRatePct}
+                  onChange={(e) => setRules({ ...rules, noTargetRatePct: parseFloat(e.target.value) || 0 })}
+                  className={inputClass}
+                /> %
+              </div>
+            </div>
+
+            <div>
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Category Multipliers</h4>
+              {categories.map(category => (
+                <div key={category} className="flex items-center justify-between py-1 text-sm text-gray-700">
+                  <span>{category}</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={rules.categoryMultipliers[category] ?? 1}
+                    onChange={(e) => setRules({
+                      ...rules,
+                      categoryMultipliers: { ...rules.categoryMultipliers, [category]: parseFloat(e.target.value) || 0 }
+                    })}
+                    className={inputClass}
+                  />
+                </div>
+              ))}
+            </div>
+
+            <div>
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Clawback</h4>
+              <div className="text-sm text-gray-700">
+                Reverse commission on invoices unpaid more than{' '}
+                <input
+                  type="number"
+                  min="0"
+                  value={rules.clawbackDays}
+                  onChange={(e) => setRules({ ...rules, clawbackDays: parseInt(e.target.value) || 0 })}
+                  className={inputClass}
+                /> days past due
+              </div>
+              <button
+                onClick={() => setRules(DEFAULT_COMMISSION_RULES)}
+                className="mt-4 px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50"
+              >
+                Reset to Defaults
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* KPI Cards */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-6">
+        <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-primary">
+          <div className="flex items-center justify-between mb-2">
+            <DollarSign className="w-8 h-8 text-primary" />
+          </div>
+          <div className="text-sm text-gray-600 mb-1">Collected Revenue</div>
+          <div className="text-2xl font-bold">{formatLargeNumber(totals.collected)}</div>
+          <div className="text-xs text-gray-500 mt-1">{activeMonth}</div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-secondary">
+          <div className="flex items-center justify-between mb-2">
+            <Wallet className="w-8 h-8 text-secondary" />
+          </div>
+          <div className="text-sm text-gray-600 mb-1">Gross Commission</div>
+          <div className="text-2xl font-bold">{formatLargeNumber(totals.gross)}</div>
+          <div className="text-xs text-gray-500 mt-1">
+            {totals.collected > 0 ? `${(totals.gross / totals.collected * 100).toFixed(2)}% effective rate` : '—'}
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-danger">
+          <div className="flex items-center justify-between mb-2">
+            <TrendingDown className="w-8 h-8 text-danger" />
+          </div>
+          <div className="text-sm text-gray-600 mb-1">Clawbacks</div>
+          <div className="text-2xl font-bold text-danger">{formatLargeNumber(-totals.clawback)}</div>
+          <div className="text-xs text-gray-500 mt-1">Invoices over {rules.clawbackDays} days past due</div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-warning">
+          <div className="flex items-center justify-between mb-2">
+            <Users className="w-8 h-8 text-warning" />
+          </div>
+          <div className="text-sm text-gray-600 mb-1">Net Commission Payable</div>
+          <div className="text-2xl font-bold">{formatLargeNumber(totals.net)}</div>
+          <div className="text-xs text-gray-500 mt-1">{monthStatements.length} salespeople</div>
+        </div>
+      </div>
+
+      {/* Monthly Summary */}
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <h3 className="text-lg font-semibold mb-4">Commission Summary — {activeMonth}</h3>
+        {monthStatements.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b bg-gray-50">
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Salesperson</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Collected</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Target Achievement</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Rate</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Gross</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Clawback</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Net Payable</th>
+                </tr>
+              </thead>
+              <tbody>
+                {monthStatements.map(s => (
+                  <tr
+                    key={s.key}
+                    onClick={() => setSelectedSalesperson(s.salesperson)}
+                    className={`border-b cursor-pointer hover:bg-gray-50 ${activeStatement?.key === s.key ? 'bg-purple-50' : ''}`}
+                  >
+                    <td className="py-3 px-4 text-sm font-medium">{s.salesperson}</td>
+                    <td className="py-3 px-4 text-sm text-right">{formatCurrency(s.collected)}</td>
+                    <td className="py-3 px-4 text-sm text-right">{s.achievementPct !== null ? `${s.achievementPct.toFixed(1)}%` : <span className="text-gray-400">No target</span>}</td>
+                    <td className="py-3 px-4 text-sm text-right">{s.ratePct !== null ? `${s.ratePct}%` : '—'}</td>
+                    <td className="py-3 px-4 text-sm text-right">{formatCurrency(s.grossCommission)}</td>
+                    <td className="py-3 px-4 text-sm text-right text-red-700">{s.clawback < 0 ? formatCurrency(s.clawback) : '—'}</td>
+                    <td className="py-3 px-4 text-sm text-right font-semibold">{formatCurrency(s.netCommission)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">No collections or clawbacks in {activeMonth}.</p>
+        )}
+
+        <div className="mt-4 p-4 bg-blue-50 border-l-4 border-blue-500 rounded">
+          <p className="text-sm text-gray-700">
+            <strong>How it's calculated:</strong> Commission is earned when cash is collected, at the slab rate for the salesperson's target achievement that month,
+            times the product category multiplier. Partial payments have no received date, so the collected part is credited in the month payment was due.
+            If an invoice is still unpaid {rules.clawbackDays} days after its due date, the commission already paid on it is reversed.
+          </p>
+        </div>
+      </div>
+
+      {/* Statement */}
+      {activeStatement && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">Statement — {activeStatement.salesperson}, {activeMonth}</h3>
+            <div className="flex items-center gap-2">
+              <select
+                value={activeStatement.salesperson}
+                onChange={(e) => setSelectedSalesperson(e.target.value)}
+                className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              >
+                {monthStatements.map(s => (
+                  <option key={s.salesperson} value={s.salesperson}>{s.salesperson}</option>
+                ))}
+              </select>
+              <button
+                onClick={exportStatement}
+                className="flex items-center gap-2 px-4 py-2 bg-primary text-white rounded-lg text-sm font-medium hover:bg-primary-dark transition-colors"
+              >
+                <Download className="w-4 h-4" />
+                Export Statement
+              </button>
+            </div>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b bg-gray-50">
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Date</th>
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Invoice</th>
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Customer</th>
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Category</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Amount</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Rate × Multiplier</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Commission</th>
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Note</th>
+                </tr>
+              </thead>
+              <tbody>
+                {activeStatement.entries.map(e => (
+                  <tr key={`${e.type}|${e.transactionCode}`} className={`border-b hover:bg-gray-50 ${e.type === 'clawback' ? 'bg-red-50' : ''}`}>
+                    <td className="py-3 px-4 text-sm">{e.date}</td>
+                    <td className="py-3 px-4 text-sm font-medium">{e.invoiceNumber}</td>
+                    <td className="py-3 px-4 text-sm">{e.customerName}</td>
+                    <td className="py-3 px-4 text-sm text-gray-600">{e.category}</td>
+                    <td className="py-3 px-4 text-sm text-right">{formatCurrency(e.amount)}</td>
+                    <td className="py-3 px-4 text-sm text-right">{e.ratePct}% × {e.multiplier}</td>
+                    <td className={`py-3 px-4 text-sm text-right font-semibold ${e.commission < 0 ? 'text-red-700' : ''}`}>{formatCurrency(e.commission)}</td>
+                    <td className="py-3 px-4 text-sm text-gray-600">{e.note}</td>
+                  </tr>
+                ))}
+                <tr className="bg-gray-50">
+                  <td colSpan={6} className="py-3 px-4 text-sm font-semibold text-right">Net payable</td>
+                  <td className="py-3 px-4 text-sm text-right font-bold">{formatCurrency(activeStatement.netCommission)}</td>
+                  <td></td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
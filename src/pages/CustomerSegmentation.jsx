@@ -0,0 +1,360 @@
+import { useState, useMemo } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell } from 'recharts';
+import { Users, UserMinus, DollarSign, TrendingDown, Bot, ShoppingCart } from 'lucide-react';
+import { usePredictionRun, useMLCustomerValue, useMLRecommendations } from '../hooks/usePredictions';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ErrorAlert from '../components/ErrorAlert';
+import { formatLargeNumber } from '../utils/dataProcessing';
+
+// RFM segments in display order, with the play the sales team should run for each
+const SEGMENTS = [
+  { name: 'Champions', color: '#10B981', action: 'Reward and ask for referrals; offer early access to new grades' },
+  { name: 'Loyal Customers', color: '#3B82F6', action: 'Upsell premium grades and annual supply contracts' },
+  { name: 'Potential Loyalists', color: '#6366F1', action: 'Build the habit: volume slabs and regular reorder reminders' },
+  { name: 'New Customers', color: '#8B5CF6', action: 'Onboarding visit and product range walkthrough' },
+  { name: 'Needs Attention', color: '#F59E0B', action: 'Check in on the next order; time-limited offer' },
+  { name: 'At Risk', color: '#F97316', action: 'Call this week; find out why orders slowed' },
+  { name: "Can't Lose Them", color: '#EF4444', action: 'Senior visit now; win back with tailored pricing' },
+  { name: 'Hibernating', color: '#9CA3AF', action: 'Low-cost reactivation campaign' }
+];
+
+const CHURN_LEVEL_STYLES = {
+  High: 'bg-red-100 text-red-800',
+  Medium: 'bg-yellow-100 text-yellow-800',
+  Low: 'bg-green-100 text-green-800'
+};
+
+export default function CustomerSegmentation() {
+  const { data: predictionRun, isLoading: loadingRun, error: errorRun, refetch } = usePredictionRun();
+  const { data: valueData, isLoading: loadingValue } = useMLCustomerValue(predictionRun?.id);
+  const { data: recommendationData } = useMLRecommendations(predictionRun?.id);
+
+  if (loadingRun || loadingValue) {
+    return <LoadingSpinner message="Loading customer segments..." />;
+  }
+  if (errorRun) {
+    return <ErrorAlert error={errorRun} retry={refetch} title="Failed to Load Customer Segments" />;
+  }
+
+  return <SegmentationContent valueData={valueData || []} recommendationData={recommendationData || []} predictionRun={predictionRun} />;
+}
+
+function SegmentationContent({ valueData, recommendationData, predictionRun }) {
+  const [salesperson, setSalesperson] = useState('All');
+  const valueModel = predictionRun?.customer_value_model;
+  const recommendationModel = predictionRun?.recommendation_model;
+
+  const customers = useMemo(() => valueData.map(v => ({
+    id: v.customer_id,
+    code: v.customer_code || v.customer_id,
+    name: v.customer_name || v.customer_code,
+    region: v.region || 'Unknown',
+    contact: v.contact_person,
+    phone: v.phone,
+    salesperson: v.salesperson || 'Unassigned',
+    segment: v.rfm_segment,
+    rfm: `${v.r_score}${v.f_score}${v.m_score}`,
+    recencyDays: v.recency_days,
+    lastPurchase: v.last_purchase_date,
+    frequency: v.frequency,
+    monetary: parseFloat(v.monetary) || 0,
+    churnProbability: parseFloat(v.churn_probability) || 0,
+    churnLevel: v.churn_risk_level,
+    monthlyRevenue: parseFloat(v.expected_monthly_revenue) || 0,
+    clv: parseFloat(v.predicted_clv_12m) || 0,
+    marginClv: parseFloat(v.predicted_margin_12m) || 0
+  })), [valueData]);
+
+  const kpis = useMemo(() => {
+    const totalClv = customers.reduce((sum, c) => sum + c.clv, 0);
+    // Revenue the current run rate would bring in over 12 months, less what churn is expected to leave
+    const revenueAtRisk = customers.reduce((sum, c) => sum + Math.max(0, c.monthlyRevenue * 12 - c.clv), 0);
+    return {
+      customers: customers.length,
+      totalClv,
+      totalMarginClv: customers.reduce((sum, c) => sum + c.marginClv, 0),
+      churnRisk: customers.filter(c => c.churnLevel !== 'Low').length,
+      highChurnRisk: customers.filter(c => c.churnLevel === 'High').length,
+      revenueAtRisk
+    };
+  }, [customers]);
+
+  const segmentStats = useMemo(() => SEGMENTS.map(s => {
+    const members = customers.filter(c => c.segment === s.name);
+    return {
+      ...s,
+      count: members.length,
+      clv: members.reduce((sum, c) => sum + c.clv, 0),
+      avgRecency: members.length > 0 ? Math.round(members.reduce((sum, c) => sum + c.recencyDays, 0) / members.length) : 0,
+      avgChurn: members.length > 0 ? members.reduce((sum, c) => sum + c.churnProbability, 0) / members.length : 0
+    };
+  }).filter(s => s.count > 0), [customers]);
+
+  const salespeople = useMemo(() => [...new Set(customers.map(c => c.salesperson))].sort(), [customers]);
+
+  // Sales team call list: highest churn probability first, then the most value at stake
+  const churnList = useMemo(() => {
+    const actionFor = Object.fromEntries(SEGMENTS.map(s => [s.name, s.action]));
+    return customers
+      .filter(c => salesperson === 'All' || c.salesperson === salesperson)
+      .sort((a, b) => b.churnProbability - a.churnProbability || b.clv - a.clv)
+      .slice(0, 25)
+      .map(c => ({ ...c, action: actionFor[c.segment] || 'Maintain current relationship' }));
+  }, [customers, salesperson]);
+
+  // Cross-sell opportunities for the selected salesperson, biggest expected uplift first
+  const crossSellList = useMemo(() => recommendationData
+    .filter(r => salesperson === 'All' || (r.salesperson || 'Unassigned') === salesperson)
+    .slice(0, 25), [recommendationData, salesperson]);
+
+  if (customers.length === 0) {
+    return (
+      <div>
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Customer Segmentation & Churn</h1>
+          <p className="text-gray-600">RFM segments, churn probability and 12-month customer lifetime value</p>
+        </div>
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <p className="text-sm text-gray-700">
+            No customer value scores yet. Run <code>npm run predict</code> to segment customers and predict churn and lifetime value.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="mb-8 flex items-end justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Customer Segmentation & Churn</h1>
+          <p className="text-gray-600">RFM segments, churn probability, 12-month customer lifetime value and cross-sell opportunities</p>
+        </div>
+        <select
+          value={salesperson}
+          onChange={e => setSalesperson(e.target.value)}
+          className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        >
+          <option value="All">All salespeople</option>
+          {salespeople.map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+      </div>
+
+      {/* KPI Cards */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-6">
+        <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-primary">
+          <div className="flex items-center justify-between mb-2">
+            <Users className="w-8 h-8 text-primary" />
+          </div>
+          <div className="text-sm text-gray-600 mb-1">Customers Scored</div>
+          <div className="text-2xl font-bold">{kpis.customers}</div>
+          <div className="text-xs text-gray-500 mt-1">{segmentStats.length} RFM segments</div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-secondary">
+          <div className="flex items-center justify-between mb-2">
+            <DollarSign className="w-8 h-8 text-secondary" />
+          </div>
+          <div className="text-sm text-gray-600 mb-1">Predicted 12-Month CLV</div>
+          <div className="text-2xl font-bold">{formatLargeNumber(kpis.totalClv)}</div>
+          <div className="text-xs text-gray-500 mt-1">{formatLargeNumber(kpis.totalMarginClv)} gross margin</div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-danger">
+          <div className="flex items-center justify-between mb-2">
+            <UserMinus className="w-8 h-8 text-danger" />
+          </div>
+          <div className="text-sm text-gray-600 mb-1">Churn-Risk Customers</div>
+          <div className="text-2xl font-bold text-danger">{kpis.churnRisk}</div>
+          <div className="text-xs text-gray-500 mt-1">{kpis.highChurnRisk} high risk (≥50% churn probability)</div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-warning">
+          <div className="flex items-center justify-between mb-2">
+            <TrendingDown className="w-8 h-8 text-warning" />
+          </div>
+          <div className="text-sm text-gray-600 mb-1">Revenue at Risk</div>
+          <div className="text-2xl font-bold">{formatLargeNumber(kpis.revenueAtRisk)}</div>
+          <div className="text-xs text-gray-500 mt-1">Expected 12-month loss to churn</div>
+        </div>
+      </div>
+
+      {/* Segment Distribution */}
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">RFM Segments</h3>
+          <span className="flex items-center gap-1 px-3 py-1 bg-purple-100 text-purple-800 text-xs font-semibold rounded-full">
+            <Bot className="w-3 h-3" /> AI-Powered (RFM + Churn Survival Model)
+            {predictionRun && <span className="text-purple-600 ml-1">| {new Date(predictionRun.run_at).toLocaleString()}</span>}
+          </span>
+        </div>
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <ResponsiveContainer width="100%" height={300}>
+            <BarChart data={segmentStats} layout="vertical" margin={{ left: 40 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis type="number" allowDecimals={false} />
+              <YAxis type="category" dataKey="name" width={120} tick={{ fontSize: 12 }} />
+              <Tooltip formatter={(value, name) => [value, name === 'count' ? 'Customers' : name]} />
+              <Bar dataKey="count" name="count">
+                {segmentStats.map(s => <Cell key={s.name} fill={s.color} />)}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b bg-gray-50">
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Segment</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Customers</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Days Since Order</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Avg Churn</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">12-Mo CLV</th>
+                </tr>
+              </thead>
+              <tbody>
+                {segmentStats.map(s => (
+                  <tr key={s.name} className="border-b hover:bg-gray-50">
+                    <td className="py-3 px-4 text-sm">
+                      <span className="inline-block w-3 h-3 rounded-full mr-2 align-middle" style={{ backgroundColor: s.color }} />
+                      {s.name}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-right">{s.count}</td>
+                    <td className="py-3 px-4 text-sm text-right">{s.avgRecency}</td>
+                    <td className="py-3 px-4 text-sm text-right">{(s.avgChurn * 100).toFixed(1)}%</td>
+                    <td className="py-3 px-4 text-sm text-right font-semibold">{formatLargeNumber(s.clv)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {/* Churn-Risk List for the sales team */}
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <div className="mb-4">
+          <h3 className="text-lg font-semibold">Churn-Risk Call List</h3>
+          <p className="text-sm text-gray-500">
+            Customers most likely to place no order in the next {valueModel?.churn_days || 90} days, with the value at stake
+          </p>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b bg-gray-50">
+                <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Customer</th>
+                <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Salesperson</th>
+                <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Segment</th>
+                <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Last Order</th>
+                <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Churn Probability</th>
+                <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">12-Mo CLV</th>
+                <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Suggested Action</th>
+              </tr>
+            </thead>
+            <tbody>
+              {churnList.map(c => (
+                <tr key={c.id} className="border-b hover:bg-gray-50">
+                  <td className="py-3 px-4 text-sm">
+                    <div className="font-medium">{c.name}</div>
+                    <div className="text-xs text-gray-500">
+                      {c.region}{c.contact ? ` · ${c.contact}` : ''}{c.phone ? ` · ${c.phone}` : ''}
+                    </div>
+                  </td>
+                  <td className="py-3 px-4 text-sm">{c.salesperson}</td>
+                  <td className="py-3 px-4 text-sm">
+                    {c.segment}
+                    <div className="text-xs text-gray-500">RFM {c.rfm}</div>
+                  </td>
+                  <td className="py-3 px-4 text-sm text-right">
+                    {c.lastPurchase}
+                    <div className="text-xs text-gray-500">{c.recencyDays} days ago</div>
+                  </td>
+                  <td className="py-3 px-4 text-sm text-right">
+                    <span className={`px-2 py-1 rounded-full text-xs font-semibold ${CHURN_LEVEL_STYLES[c.churnLevel] || CHURN_LEVEL_STYLES.Low}`}>
+                      {(c.churnProbability * 100).toFixed(1)}%
+                    </span>
+                  </td>
+                  <td className="py-3 px-4 text-sm text-right font-semibold">{formatLargeNumber(c.clv)}</td>
+                  <td className="py-3 px-4 text-sm text-gray-700">{c.action}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="mt-4 p-4 bg-blue-50 border-l-4 border-blue-500 rounded">
+          <p className="text-sm text-gray-700">
+            <strong>AI Insight:</strong> Recency, frequency and 12-month revenue are scored 1–5 by quintile and mapped to segments.
+            Churn probability is the chance a customer's current gap between orders stretches another {valueModel?.churn_days || 90} days,
+            learned from their own order gaps and those of similar buyers. 12-month CLV discounts their monthly revenue by that retention.
+            {valueModel?.backtest?.observed_churn_rate !== null && valueModel?.backtest?.observed_churn_rate !== undefined && (
+              <> Backtest from {valueModel.backtest.as_of_date}: predicted {(valueModel.backtest.predicted_churn_rate * 100).toFixed(1)}% churn,
+                observed {(valueModel.backtest.observed_churn_rate * 100).toFixed(1)}%{valueModel.backtest.auc !== null ? ` (AUC ${valueModel.backtest.auc.toFixed(3)})` : ''}.</>
+            )}
+          </p>
+        </div>
+      </div>
+
+      {/* Cross-sell Opportunities */}
+      {crossSellList.length > 0 && (
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h3 className="text-lg font-semibold flex items-center gap-2">
+                <ShoppingCart className="w-5 h-5 text-primary" /> Cross-sell Opportunities
+              </h3>
+              <p className="text-sm text-gray-500">Products customers like these also buy, ranked by expected revenue uplift</p>
+            </div>
+            <span className="flex items-center gap-1 px-3 py-1 bg-purple-100 text-purple-800 text-xs font-semibold rounded-full">
+              <Bot className="w-3 h-3" /> AI-Powered (Co-purchase Association Rules)
+            </span>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b bg-gray-50">
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Customer</th>
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Salesperson</th>
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Recommend</th>
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Why</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Likelihood</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Expected Uplift / Year</th>
+                </tr>
+              </thead>
+              <tbody>
+                {crossSellList.map(r => (
+                  <tr key={r.id} className="border-b hover:bg-gray-50">
+                    <td className="py-3 px-4 text-sm">
+                      <div className="font-medium">{r.customer_name || r.customer_code}</div>
+                      <div className="text-xs text-gray-500">{r.region}</div>
+                    </td>
+                    <td className="py-3 px-4 text-sm">{r.salesperson || 'Unassigned'}</td>
+                    <td className="py-3 px-4 text-sm">
+                      <div className="font-medium">{r.product_name}</div>
+                      <div className="text-xs text-gray-500">
+                        {r.category}{r.previously_bought ? ' · lapsed' : ' · new to customer'}
+                      </div>
+                    </td>
+                    <td className="py-3 px-4 text-xs text-gray-600">{r.reason}</td>
+                    <td className="py-3 px-4 text-sm text-right">{Math.round(parseFloat(r.confidence) * 100)}%</td>
+                    <td className="py-3 px-4 text-sm text-right font-semibold text-green-700">+{formatLargeNumber(parseFloat(r.expected_uplift) || 0)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {recommendationModel?.backtest?.precision_at_k !== null && recommendationModel?.backtest?.precision_at_k !== undefined && (
+            <div className="mt-4 p-4 bg-blue-50 border-l-4 border-blue-500 rounded">
+              <p className="text-sm text-gray-700">
+                <strong>AI Insight:</strong> Rules are mined from what each customer bought in the last {recommendationModel.basket_months} months.
+                In a backtest, {(recommendationModel.backtest.precision_at_k * 100).toFixed(0)}% of the top {recommendationModel.backtest.k} recommendations
+                were bought in the following {recommendationModel.basket_months} months, against {(recommendationModel.backtest.base_adoption_rate * 100).toFixed(0)}% for
+                any product the customer was not buying.
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,7 +1,7 @@
 import { Link, useLocation } from 'react-router-dom';
 import { 
   LayoutDashboard, TrendingUp, Package, 
-  AlertTriangle, DollarSign, LogOut, Bot 
+  AlertTriangle, DollarSign, LogOut, Bot, Users, Tag, Percent, Wallet, Activity, ClipboardList 
 } from 'lucide-react';
 
 export default function Dashboard({ user, onLogout, children }) {
@@ -11,8 +11,14 @@ export default function Dashboard({ user, onLogout, children }) {
     { name: 'Executive Dashboard', path: '/dashboard', icon: LayoutDashboard },
     { name: 'Sales Intelligence', path: '/sales', icon: TrendingUp },
     { name: 'Inventory Management', path: '/inventory', icon: Package },
+    { name: 'Stock Ledger', path: '/stock-ledger', icon: ClipboardList },
     { name: 'Risk Management', path: '/risk', icon: AlertTriangle },
+    { name: 'Anomalies', path: '/anomalies', icon: Activity },
+    { name: 'Customer Segments', path: '/segmentation', icon: Users },
     { name: 'Cash Flow Forecast', path: '/cashflow', icon: DollarSign },
+    { name: 'Margins', path: '/margins', icon: Percent },
+    { name: 'Pricing', path: '/pricing', icon: Tag },
+    { name: 'Commissions', path: '/commissions', icon: Wallet },
   ];
 
   return (
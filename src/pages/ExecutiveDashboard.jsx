@@ -4,7 +4,7 @@ import { TrendingUp, DollarSign, AlertTriangle, Package, Users, Activity, Bot, S
 import { useTransactions } from '../hooks/useTransactions'
 import { useCustomers } from '../hooks/useCustomers'
 import { useProducts } from '../hooks/useProducts'
-import { usePredictionRun, useMLDemand, useMLRiskScores, useMLCashFlow, useMLInventory } from '../hooks/usePredictions'
+import { usePredictionRun, useMLDemand, useMLRiskScores, useMLCashFlow, useMLInventory, useMLForecastHierarchy, useMLRecommendations, useMLAnomalies } from '../hooks/usePredictions'
 import LoadingSpinner from '../components/LoadingSpinner'
 import ErrorAlert from '../components/ErrorAlert'
 import {
@@ -14,6 +14,7 @@ import {
   groupByCategory,
   getTopCustomersWithRisk,
   generateAIInsights,
+  nextMonthCashFlow,
   formatPercentage
 } from '../utils/dataProcessing'
 
@@ -29,6 +30,9 @@ export default function ExecutiveDashboard() {
   const { data: mlRiskData } = useMLRiskScores(predictionRun?.id)
   const { data: mlCashFlowData } = useMLCashFlow(predictionRun?.id)
   const { data: mlInventoryData } = useMLInventory(predictionRun?.id)
+  const { data: mlHierarchyData } = useMLForecastHierarchy(predictionRun?.id)
+  const { data: mlRecommendationData } = useMLRecommendations(predictionRun?.id)
+  const { data: mlAnomalyData } = useMLAnomalies(predictionRun?.id)
 
   // Handle loading state
   if (loadingTransactions || loadingCustomers || loadingProducts) {
@@ -66,6 +70,9 @@ export default function ExecutiveDashboard() {
     mlRiskData={mlRiskData}
     mlCashFlowData={mlCashFlowData}
     mlInventoryData={mlInventoryData}
+    mlHierarchyData={mlHierarchyData}
+    mlRecommendationData={mlRecommendationData}
+    mlAnomalyData={mlAnomalyData}
     predictionRun={predictionRun}
   />
 }
@@ -212,7 +219,7 @@ function MLSettingsModal({ isOpen, onClose, predictionRun }) {
   )
 }
 
-function DashboardContent({ transactions, customers, products, showPrediction, setShowPrediction, mlDemandData, mlRiskData, mlCashFlowData, mlInventoryData, predictionRun }) {
+function DashboardContent({ transactions, customers, products, showPrediction, setShowPrediction, mlDemandData, mlRiskData, mlCashFlowData, mlInventoryData, mlHierarchyData, mlRecommendationData, mlAnomalyData, predictionRun }) {
   const [showSettings, setShowSettings] = useState(false)
   const [activeDrilldown, setActiveDrilldown] = useState(null) // 'revenue' | 'margin' | 'outstanding' | 'risk' | 'inventory' | 'cashflow'
   const [selectedCategory, setSelectedCategory] = useState(null) // Pie chart click
@@ -236,8 +243,11 @@ function DashboardContent({ transactions, customers, products, showPrediction, s
         ).size
 
     let predictedCashInflow
+    let predictedCashMonth = null
     if (mlCashFlowData && mlCashFlowData.length > 0) {
-      predictedCashInflow = parseFloat(mlCashFlowData[0].most_likely_inflow) || 0
+      const nextCF = nextMonthCashFlow(mlCashFlowData)
+      predictedCashInflow = parseFloat(nextCF.most_likely_inflow) || 0
+      predictedCashMonth = nextCF.forecast_month
     } else {
       const grouped = groupByMonth(transactions)
       predictedCashInflow = (grouped.slice(-1)[0]?.revenue || 0) * 1.1
@@ -259,22 +269,41 @@ function DashboardContent({ transactions, customers, products, showPrediction, s
       highRiskCustomers,
       inventoryAtRisk,
       predictedCashInflow,
+      predictedCashMonth,
       hasMLData: !!(mlRiskData?.length || mlCashFlowData?.length || mlInventoryData?.length)
     }
   }, [transactions, products, mlRiskData, mlCashFlowData, mlInventoryData])
 
+  // Reconciled forecast rows by level ('total' | 'category' | 'region' | 'product')
+  const hierarchyByLevel = useMemo(() => {
+    const byLevel = {}
+    if (!mlHierarchyData) return byLevel
+    mlHierarchyData.forEach(h => {
+      if (!byLevel[h.level]) byLevel[h.level] = []
+      byLevel[h.level].push(h)
+    })
+    return byLevel
+  }, [mlHierarchyData])
+
   // Monthly revenue data
   const monthlyData = useMemo(() => {
     const grouped = groupByMonth(transactions)
 
     if (grouped.length > 0) {
-      if (mlDemandData && mlDemandData.length > 0) {
+      if ((hierarchyByLevel.total && hierarchyByLevel.total.length > 0) || (mlDemandData && mlDemandData.length > 0)) {
+        // Reconciled company total when available; it equals the sum of the product forecasts
         const mlMonthly = {}
-        mlDemandData.forEach(p => {
-          const month = p.prediction_month.substring(0, 7)
-          if (!mlMonthly[month]) mlMonthly[month] = 0
-          mlMonthly[month] += parseFloat(p.predicted_revenue) || 0
-        })
+        if (hierarchyByLevel.total) {
+          hierarchyByLevel.total.forEach(h => {
+            mlMonthly[h.forecast_month.substring(0, 7)] = parseFloat(h.reconciled_revenue) || 0
+          })
+        } else {
+          mlDemandData.forEach(p => {
+            const month = p.prediction_month.substring(0, 7)
+            if (!mlMonthly[month]) mlMonthly[month] = 0
+            mlMonthly[month] += parseFloat(p.predicted_revenue) || 0
+          })
+        }
 
         const predictions = Object.entries(mlMonthly)
           .sort(([a], [b]) => a.localeCompare(b))
@@ -301,7 +330,7 @@ function DashboardContent({ transactions, customers, products, showPrediction, s
       return [...grouped, ...predictions]
     }
     return grouped
-  }, [transactions, mlDemandData])
+  }, [transactions, mlDemandData, hierarchyByLevel])
 
   // Category profitability
   const categoryData = useMemo(() => {
@@ -319,9 +348,10 @@ function DashboardContent({ transactions, customers, products, showPrediction, s
       riskScores: mlRiskData,
       demandPredictions: mlDemandData,
       cashFlowForecasts: mlCashFlowData,
-      inventoryForecasts: mlInventoryData
+      inventoryForecasts: mlInventoryData,
+      anomalies: mlAnomalyData
     })
-  }, [transactions, customers, mlRiskData, mlDemandData, mlCashFlowData, mlInventoryData])
+  }, [transactions, customers, mlRiskData, mlDemandData, mlCashFlowData, mlInventoryData, mlAnomalyData])
 
   // Drilldown data for KPI cards
   const drilldownData = useMemo(() => {
@@ -457,9 +487,10 @@ function DashboardContent({ transactions, customers, products, showPrediction, s
         return {
           title: 'Cash Flow Forecast Details',
           type: 'table',
-          headers: ['Month', 'Most Likely', 'Best Case', 'Worst Case', 'Collection Rate'],
+          headers: [mlCashFlowData[0].granularity === 'weekly' ? 'Week' : 'Month', 'Forecast Revenue', 'Most Likely', 'Best Case', 'Worst Case', 'Collection Rate'],
           rows: mlCashFlowData.map(cf => [
-            cf.forecast_month.substring(0, 7),
+            cf.granularity === 'weekly' ? `w/c ${cf.forecast_month}` : cf.forecast_month.substring(0, 7),
+            cf.predicted_revenue != null ? formatCurrency(parseFloat(cf.predicted_revenue) || 0) : '—',
             formatCurrency(parseFloat(cf.most_likely_inflow) || 0),
             formatCurrency(parseFloat(cf.best_case_inflow) || 0),
             formatCurrency(parseFloat(cf.worst_case_inflow) || 0),
@@ -501,9 +532,10 @@ function DashboardContent({ transactions, customers, products, showPrediction, s
       products: Object.values(prodStats).sort((a, b) => b.revenue - a.revenue),
       trend: Object.entries(monthlyTrend).sort(([a], [b]) => a.localeCompare(b)).map(([month, revenue]) => ({ month, revenue: Math.round(revenue) })),
       totalRevenue: catTxns.reduce((s, t) => s + (parseFloat(t.total_amount) || 0), 0),
-      totalOrders: catTxns.length
+      totalOrders: catTxns.length,
+      nextMonthForecast: (hierarchyByLevel.category || []).find(h => h.level_key === selectedCategory) || null
     }
-  }, [selectedCategory, transactions, products])
+  }, [selectedCategory, transactions, products, hierarchyByLevel])
 
   // Customer drilldown data for scatter chart click
   const customerDrilldownData = useMemo(() => {
@@ -531,9 +563,12 @@ function DashboardContent({ transactions, customers, products, showPrediction, s
       paymentStatus: payStatus,
       totalRevenue: custTxns.reduce((s, t) => s + (parseFloat(t.total_amount) || 0), 0),
       totalOutstanding: custTxns.reduce((s, t) => s + (parseFloat(t.outstanding_amount) || 0), 0),
-      totalOrders: custTxns.length
+      totalOrders: custTxns.length,
+      recommendations: (mlRecommendationData || [])
+        .filter(r => r.customer_code === selectedCustomer.code)
+        .sort((a, b) => a.rank - b.rank)
     }
-  }, [selectedCustomer, transactions, products])
+  }, [selectedCustomer, transactions, products, mlRecommendationData])
 
   const COLORS = ['#1E3A8A', '#14B8A6', '#F59E0B', '#EF4444'];
 
@@ -697,7 +732,9 @@ function DashboardContent({ transactions, customers, products, showPrediction, s
           icon={Activity}
           label="Predicted Cash Inflow"
           value={formatLargeNumber(kpis.predictedCashInflow)}
-          subtitle="Next month (Feb 2026)"
+          subtitle={kpis.predictedCashMonth
+            ? `Next month (${new Date(`${kpis.predictedCashMonth.substring(0, 7)}-01T00:00:00`).toLocaleDateString('en-US', { month: 'short', year: 'numeric' })})`
+            : 'Next month'}
           color="green"
           drilldownType="cashflow"
         />
@@ -817,7 +854,7 @@ function DashboardContent({ transactions, customers, products, showPrediction, s
             </button>
           </div>
 
-          <div className="grid grid-cols-3 gap-4 mb-4">
+          <div className={`grid ${categoryDrilldownData.nextMonthForecast ? 'grid-cols-4' : 'grid-cols-3'} gap-4 mb-4`}>
             <div className="p-3 bg-blue-50 rounded-lg text-center">
               <div className="text-xs text-gray-500">Total Revenue</div>
               <div className="text-lg font-bold text-blue-900">{formatLargeNumber(categoryDrilldownData.totalRevenue)}</div>
@@ -830,6 +867,12 @@ function DashboardContent({ transactions, customers, products, showPrediction, s
               <div className="text-xs text-gray-500">Products</div>
               <div className="text-lg font-bold text-purple-900">{categoryDrilldownData.products.length}</div>
             </div>
+            {categoryDrilldownData.nextMonthForecast && (
+              <div className="p-3 bg-indigo-50 rounded-lg text-center">
+                <div className="text-xs text-gray-500">AI Forecast ({categoryDrilldownData.nextMonthForecast.forecast_month.substring(0, 7)})</div>
+                <div className="text-lg font-bold text-indigo-900">{formatLargeNumber(parseFloat(categoryDrilldownData.nextMonthForecast.reconciled_revenue) || 0)}</div>
+              </div>
+            )}
           </div>
 
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
@@ -1065,6 +1108,30 @@ function DashboardContent({ transactions, customers, products, showPrediction, s
               </div>
             ))}
           </div>
+
+          {/* Cross-sell Recommendations */}
+          {customerDrilldownData.recommendations.length > 0 && (
+            <div className="mt-6">
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="text-sm font-semibold text-gray-700">Customers Like This Also Buy</h4>
+                <span className="flex items-center gap-1 px-3 py-1 bg-purple-100 text-purple-800 text-xs font-semibold rounded-full">
+                  <Bot className="w-3 h-3" /> AI Cross-sell
+                </span>
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {customerDrilldownData.recommendations.map(r => (
+                  <div key={r.id} className="p-4 bg-purple-50 rounded-lg">
+                    <div className="flex items-center justify-between mb-1">
+                      <div className="font-semibold text-purple-900 text-sm">{r.product_name}</div>
+                      <div className="text-xs text-purple-700">{Math.round(parseFloat(r.confidence) * 100)}% likely</div>
+                    </div>
+                    <div className="text-lg font-bold text-purple-900">+{formatLargeNumber(parseFloat(r.expected_uplift) || 0)}<span className="text-xs font-normal text-purple-700"> /year expected</span></div>
+                    <div className="text-xs text-gray-600 mt-1">{r.reason}</div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
       )}
     </div>
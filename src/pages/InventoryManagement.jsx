@@ -1,13 +1,42 @@
 import { useState, useMemo } from 'react';
 import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell } from 'recharts';
-import { Package, TrendingDown, AlertTriangle, CheckCircle, ArrowUp, ArrowDown, Bot, X, ChevronDown, Eye } from 'lucide-react';
+import { Package, TrendingDown, AlertTriangle, CheckCircle, ArrowUp, ArrowDown, Bot, X, ChevronDown, Eye, ClipboardList, Truck, ArrowRightLeft } from 'lucide-react';
 import { useTransactions } from '../hooks/useTransactions';
 import { useProducts } from '../hooks/useProducts';
-import { useInventory } from '../hooks/useInventory';
-import { usePredictionRun, useMLInventory } from '../hooks/usePredictions';
+import { useInventory, useStockLevels, useInventoryMovements } from '../hooks/useInventory';
+import { usePredictionRun, useMLInventory, useMLDepotInventory } from '../hooks/usePredictions';
+import { usePurchaseOrders, useReviewPurchaseOrder, useReceivePurchaseOrder } from '../hooks/usePurchaseOrders';
+import { useWarehouses, useDepotStockLevels, useTransferSuggestions, useReviewTransfer } from '../hooks/useWarehouses';
 import LoadingSpinner from '../components/LoadingSpinner';
 import ErrorAlert from '../components/ErrorAlert';
 import { formatLargeNumber, formatCurrency } from '../utils/dataProcessing';
+import { MOVEMENT_TYPES } from '../utils/inventoryLedger';
+import { DEPOT_STATUS, TRANSFER_STATUS_STYLES, depotForRegion, depotName } from '../utils/depots';
+
+const LEAD_TIME_SOURCES = {
+  product_history: 'learned from restocks',
+  supplier_history: 'learned from supplier restocks',
+  product: 'product setting',
+  supplier: 'supplier setting',
+  default: 'default assumption',
+};
+
+const ABC_LABELS = { A: 'High revenue', B: 'Mid revenue', C: 'Low revenue' };
+const XYZ_LABELS = { X: 'Steady demand', Y: 'Variable demand', Z: 'Erratic demand' };
+
+const ORDER_CONSTRAINTS = {
+  max_stock: 'Capped at max stock',
+  moq: 'Raised to MOQ',
+  moq_exceeds_max_stock: 'MOQ exceeds max stock room',
+  pack_size: 'Rounded to whole packs',
+};
+
+const PO_STATUS_STYLES = {
+  draft: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-gray-100 text-gray-700',
+  received: 'bg-blue-100 text-blue-800',
+};
 
 export default function InventoryManagement() {
   const { data: transactionsData, isLoading: loadingTxn, error: errorTxn, refetch } = useTransactions();
@@ -15,6 +44,10 @@ export default function InventoryManagement() {
   const { data: inventoryDataRaw, isLoading: loadingInv, error: errorInv } = useInventory();
   const { data: predictionRun } = usePredictionRun();
   const { data: mlInventoryData } = useMLInventory(predictionRun?.id);
+  const { data: stockLevels } = useStockLevels();
+  const { data: warehouses } = useWarehouses();
+  const { data: depotStockLevels } = useDepotStockLevels();
+  const { data: depotForecasts } = useMLDepotInventory(predictionRun?.id);
 
   if (loadingTxn || loadingProd || loadingInv) {
     return <LoadingSpinner message="Loading inventory data..." />;
@@ -26,16 +59,25 @@ export default function InventoryManagement() {
     return <LoadingSpinner message="Loading inventory data..." />;
   }
 
-  return <InventoryContent transactionsData={transactionsData} productsData={productsData} inventoryData={inventoryDataRaw} mlInventoryData={mlInventoryData} predictionRun={predictionRun} />;
+  return (
+    <InventoryContent
+      transactionsData={transactionsData} productsData={productsData} inventoryData={inventoryDataRaw}
+      mlInventoryData={mlInventoryData} predictionRun={predictionRun} stockLevels={stockLevels || []}
+      warehouses={warehouses || []} depotStockLevels={depotStockLevels || []} depotForecasts={depotForecasts || []}
+    />
+  );
 }
 
-function InventoryContent({ transactionsData, productsData, inventoryData, mlInventoryData }) {
+function InventoryContent({ transactionsData, productsData, inventoryData, mlInventoryData, predictionRun, stockLevels, warehouses, depotStockLevels, depotForecasts }) {
   const hasMLData = mlInventoryData && mlInventoryData.length > 0;
   const [activeFilter, setActiveFilter] = useState(null) // 'all' | 'slow' | 'fast' | 'stockout'
   const [selectedProduct, setSelectedProduct] = useState(null)
   const [selectedAging, setSelectedAging] = useState(null)
   const [categoryFilter, setCategoryFilter] = useState('All')
   const [riskFilter, setRiskFilter] = useState('All')
+  const [classFilter, setClassFilter] = useState(null) // e.g. 'AX'
+  const [depotFilter, setDepotFilter] = useState('All') // warehouse_code
+  const { data: productMovements } = useInventoryMovements(selectedProduct?.productId, 10);
 
   // Build ML lookup by product_code
   const mlLookup = useMemo(() => {
@@ -47,15 +89,45 @@ function InventoryContent({ transactionsData, productsData, inventoryData, mlInv
     return lookup;
   }, [mlInventoryData, hasMLData]);
 
+  // With a depot selected, sales are those of the regions it serves
+  const depot = depotFilter !== 'All' ? warehouses.find(w => w.warehouse_code === depotFilter) || null : null;
+  const scopedTransactions = useMemo(() => {
+    if (depotFilter === 'All') return transactionsData;
+    const depotOf = depotForRegion(warehouses);
+    return transactionsData.filter(t => depotOf(t.region) === depotFilter);
+  }, [transactionsData, warehouses, depotFilter]);
+
+  // Per-depot reorder point, status and recommendation for the selected depot, by product id
+  const depotForecastMap = useMemo(() => {
+    const map = {};
+    depotForecasts.filter(d => d.warehouse_code === depotFilter).forEach(d => { map[d.product_id] = d; });
+    return map;
+  }, [depotForecasts, depotFilter]);
+
   // Calculate inventory metrics
   const inventoryMetrics = useMemo(() => {
     const productMap = {};
     productsData.forEach(p => { productMap[p.product_code] = p; });
+    // Snapshot rows are per depot: summed across depots, or only the selected depot's
     const inventoryMap = {};
-    inventoryData.forEach(inv => { inventoryMap[inv.product_code] = inv; });
+    inventoryData
+      .filter(inv => depotFilter === 'All' || inv.warehouse_code === depotFilter)
+      .forEach(inv => {
+        const row = inventoryMap[inv.product_code];
+        inventoryMap[inv.product_code] = !row ? { ...inv } : {
+          ...row,
+          current_stock_liters: (parseFloat(row.current_stock_liters) || 0) + (parseFloat(inv.current_stock_liters) || 0),
+          reserved_stock: (parseFloat(row.reserved_stock) || 0) + (parseFloat(inv.reserved_stock) || 0),
+          reorder_point: (parseFloat(row.reorder_point) || 0) + (parseFloat(inv.reorder_point) || 0),
+        };
+      });
+    // Current stock comes from the movements ledger; the snapshot is used until a product has movements
+    const ledgerMap = {};
+    if (depotFilter === 'All') stockLevels.forEach(l => { ledgerMap[l.product_id] = l; });
+    else depotStockLevels.filter(l => l.warehouse_code === depotFilter).forEach(l => { ledgerMap[l.product_id] = l; });
 
     const salesVelocity = {};
-    transactionsData.forEach(t => {
+    scopedTransactions.forEach(t => {
       if (!salesVelocity[t.product_code]) {
         salesVelocity[t.product_code] = { totalQty: 0, count: 0, lastSaleDate: null };
       }
@@ -71,7 +143,8 @@ function InventoryContent({ transactionsData, productsData, inventoryData, mlInv
       const velocity = salesVelocity[product.product_code] || { totalQty: 0, count: 0 };
       const months = 15;
       const avgMonthlySale = velocity.totalQty / months;
-      const currentStock = parseFloat(inventory.current_stock_liters) || 0;
+      const ledger = ledgerMap[product.id];
+      const currentStock = ledger ? parseFloat(ledger.ledger_stock_liters) || 0 : parseFloat(inventory.current_stock_liters) || 0;
       const availableStock = currentStock - (parseFloat(inventory.reserved_stock) || 0);
       const daysOfInventory = avgMonthlySale > 0 ? (currentStock / avgMonthlySale) * 30 : 999;
 
@@ -80,9 +153,10 @@ function InventoryContent({ transactionsData, productsData, inventoryData, mlInv
       else if (daysOfInventory > 60) agingCategory = '61-90 days';
       else if (daysOfInventory > 30) agingCategory = '31-60 days';
 
-      const reorderPoint = parseFloat(inventory.reorder_point) || 1000;
+      const depotData = depotForecastMap[product.id];
+      const reorderPoint = depotData ? parseFloat(depotData.reorder_point) || 0 : parseFloat(inventory.reorder_point) || 1000;
       let stockoutRisk = 'Low';
-      if (currentStock < reorderPoint) stockoutRisk = 'High';
+      if (depotData ? depotData.status === 'at_risk' : currentStock < reorderPoint) stockoutRisk = 'High';
       else if (currentStock < reorderPoint * 1.5) stockoutRisk = 'Medium';
 
       const mlData = mlLookup[product.product_code];
@@ -90,15 +164,35 @@ function InventoryContent({ transactionsData, productsData, inventoryData, mlInv
       let safetyStock = 0;
       let mlReorderPoint = reorderPoint;
       let stockoutProb = 0;
+      let demandPattern = null;
+      let zeroDemandShare = 0;
+      let leadTime = null;
+      let abcClass = null;
+      let xyzClass = null;
+      let serviceLevel = null;
 
       if (mlData) {
         volatility = mlData.volatility_level || 'Low';
+        demandPattern = mlData.demand_pattern || null;
+        zeroDemandShare = parseFloat(mlData.zero_demand_share) || 0;
         safetyStock = parseFloat(mlData.safety_stock) || 0;
         mlReorderPoint = parseFloat(mlData.reorder_point_ml) || reorderPoint;
         stockoutProb = parseFloat(mlData.stockout_probability) || 0;
+        abcClass = mlData.abc_class || null;
+        xyzClass = mlData.xyz_class || null;
+        serviceLevel = mlData.service_level !== null && mlData.service_level !== undefined ? parseFloat(mlData.service_level) : null;
+        if (mlData.lead_time_days !== null && mlData.lead_time_days !== undefined) {
+          leadTime = {
+            days: parseFloat(mlData.lead_time_days),
+            stdDays: parseFloat(mlData.lead_time_std_days) || 0,
+            source: mlData.lead_time_source,
+            observations: mlData.lead_time_observations || 0,
+            supplierCode: mlData.supplier_code || product.supplier_code || null,
+          };
+        }
       } else if (velocity.count > 0) {
         const monthlyQtys = {};
-        transactionsData.filter(t => t.product_code === product.product_code).forEach(t => {
+        scopedTransactions.filter(t => t.product_code === product.product_code).forEach(t => {
           const m = t.transaction_date.substring(0, 7);
           monthlyQtys[m] = (monthlyQtys[m] || 0) + (parseFloat(t.quantity_liters) || 0);
         });
@@ -112,8 +206,15 @@ function InventoryContent({ transactionsData, productsData, inventoryData, mlInv
         }
       }
 
+      if (depotData) {
+        safetyStock = parseFloat(depotData.safety_stock) || 0;
+        mlReorderPoint = reorderPoint;
+      }
+
       let recommendation = '';
-      if (mlData && mlData.recommendation) {
+      if (depotData && depotData.recommendation) {
+        recommendation = depotData.recommendation;
+      } else if (mlData && mlData.recommendation) {
         recommendation = mlData.recommendation;
       } else if (daysOfInventory > 90) {
         recommendation = `Reduce stock by ${Math.round((currentStock - avgMonthlySale * 2) / 100) * 100} L - slow moving`;
@@ -128,20 +229,24 @@ function InventoryContent({ transactionsData, productsData, inventoryData, mlInv
       const stockValue = currentStock * (parseFloat(product.selling_price) || 0);
 
       return {
+        productId: product.id,
         productCode: product.product_code,
         productName: product.product_name,
         category: product.category,
-        currentStock, availableStock,
+        currentStock, availableStock, stockSource: ledger ? 'ledger' : 'snapshot',
         reservedStock: parseFloat(inventory.reserved_stock) || 0,
         avgMonthlySale: Math.round(avgMonthlySale),
         daysOfInventory: Math.round(daysOfInventory),
         agingCategory, stockoutRisk, volatility, recommendation, stockValue,
         sellingPrice: parseFloat(product.selling_price) || 0,
         reorderPoint: mlData ? mlReorderPoint : reorderPoint,
-        safetyStock, stockoutProb, isML: !!mlData
+        safetyStock, stockoutProb, demandPattern, zeroDemandShare, leadTime,
+        abcClass, xyzClass, serviceLevel, isML: !!mlData,
+        depotStatus: depotData ? depotData.status : null,
+        depotLeadTimeDays: depotData ? parseFloat(depotData.lead_time_days) || null : null,
       };
     }).sort((a, b) => b.stockValue - a.stockValue);
-  }, [transactionsData, productsData, inventoryData, mlLookup]);
+  }, [scopedTransactions, productsData, inventoryData, mlLookup, stockLevels, depotStockLevels, depotForecastMap, depotFilter]);
 
   // Filtered inventory based on KPI card click, aging selection, category & risk filters
   const filteredMetrics = useMemo(() => {
@@ -152,12 +257,32 @@ function InventoryContent({ transactionsData, productsData, inventoryData, mlInv
     if (selectedAging) filtered = filtered.filter(i => i.agingCategory === selectedAging);
     if (categoryFilter !== 'All') filtered = filtered.filter(i => i.category === categoryFilter);
     if (riskFilter !== 'All') filtered = filtered.filter(i => i.stockoutRisk === riskFilter);
+    if (classFilter) filtered = filtered.filter(i => `${i.abcClass}${i.xyzClass}` === classFilter);
     return filtered;
-  }, [inventoryMetrics, activeFilter, selectedAging, categoryFilter, riskFilter]);
+  }, [inventoryMetrics, activeFilter, selectedAging, categoryFilter, riskFilter, classFilter]);
 
   // Categories for filter
   const categories = useMemo(() => ['All', ...new Set(productsData.map(p => p.category).filter(Boolean))], [productsData]);
 
+  // ABC (revenue contribution) × XYZ (demand variability) matrix: products, stock value and service level target per cell
+  const classMatrix = useMemo(() => {
+    const serviceLevels = predictionRun?.inventory_policy?.service_levels || {};
+    const cells = {};
+    ['A', 'B', 'C'].forEach(abc => ['X', 'Y', 'Z'].forEach(xyz => {
+      cells[`${abc}${xyz}`] = { count: 0, stockValue: 0, serviceLevel: serviceLevels[`${abc}${xyz}`] ?? null };
+    }));
+    let classified = 0;
+    inventoryMetrics.forEach(item => {
+      const cell = cells[`${item.abcClass}${item.xyzClass}`];
+      if (!cell) return;
+      cell.count++;
+      cell.stockValue += item.stockValue;
+      if (item.serviceLevel !== null) cell.serviceLevel = item.serviceLevel;
+      classified++;
+    });
+    return { cells, classified, policy: predictionRun?.inventory_policy || null };
+  }, [inventoryMetrics, predictionRun]);
+
   // Aging breakdown
   const agingBreakdown = useMemo(() => {
     const aging = { '0-30 days': 0, '31-60 days': 0, '61-90 days': 0, '90+ days': 0 };
@@ -171,7 +296,7 @@ function InventoryContent({ transactionsData, productsData, inventoryData, mlInv
   // Product drilldown data
   const productDrilldown = useMemo(() => {
     if (!selectedProduct) return null;
-    const txns = transactionsData.filter(t => t.product_code === selectedProduct.productCode);
+    const txns = scopedTransactions.filter(t => t.product_code === selectedProduct.productCode);
     const monthlyTrend = {};
     txns.forEach(t => {
       const m = t.transaction_date.substring(0, 7);
@@ -195,8 +320,22 @@ function InventoryContent({ transactionsData, productsData, inventoryData, mlInv
     const topCustomers = Object.entries(custStats)
       .map(([code, d]) => ({ code, name: customerMap[code] || code, ...d }))
       .sort((a, b) => b.revenue - a.revenue).slice(0, 5);
-    return { trend, topCustomers, totalOrders: txns.length };
-  }, [selectedProduct, transactionsData]);
+    // Stock, reorder point and status at every depot
+    const depots = warehouses.map(w => {
+      const ledger = depotStockLevels.find(l => l.product_id === selectedProduct.productId && l.warehouse_code === w.warehouse_code);
+      const forecast = depotForecasts.find(d => d.product_id === selectedProduct.productId && d.warehouse_code === w.warehouse_code);
+      return {
+        code: w.warehouse_code,
+        name: w.warehouse_name,
+        isMain: !!w.is_main,
+        stock: ledger ? parseFloat(ledger.ledger_stock_liters) || 0 : null,
+        reorderPoint: forecast ? parseFloat(forecast.reorder_point) || 0 : null,
+        daysOfCover: forecast ? parseFloat(forecast.days_of_cover) : null,
+        status: forecast ? forecast.status : null,
+      };
+    }).filter(d => d.stock !== null || d.status);
+    return { trend, topCustomers, totalOrders: txns.length, depots };
+  }, [selectedProduct, scopedTransactions, warehouses, depotStockLevels, depotForecasts]);
 
   // KPIs
   const kpis = useMemo(() => {
@@ -205,7 +344,8 @@ function InventoryContent({ transactionsData, productsData, inventoryData, mlInv
     const slowMovingValue = slowMoving.reduce((sum, item) => sum + item.stockValue, 0);
     const fastMoving = inventoryMetrics.filter(item => item.avgMonthlySale > 1000).length;
     const stockoutRisk = inventoryMetrics.filter(item => item.stockoutRisk === 'High').length;
-    return { totalValue: totalInventoryValue, slowMovingValue, slowMovingCount: slowMoving.length, fastMovingCount: fastMoving, stockoutRiskCount: stockoutRisk };
+    const ledgerCount = inventoryMetrics.filter(item => item.stockSource === 'ledger').length;
+    return { totalValue: totalInventoryValue, slowMovingValue, slowMovingCount: slowMoving.length, fastMovingCount: fastMoving, stockoutRiskCount: stockoutRisk, ledgerCount };
   }, [inventoryMetrics]);
 
   const handleKPIClick = (filter) => {
@@ -223,13 +363,15 @@ function InventoryContent({ transactionsData, productsData, inventoryData, mlInv
     setSelectedAging(selectedAging === period ? null : period);
   };
 
-  const hasActiveFilters = activeFilter || selectedAging || categoryFilter !== 'All' || riskFilter !== 'All';
+  const hasActiveFilters = activeFilter || selectedAging || classFilter || depotFilter !== 'All' || categoryFilter !== 'All' || riskFilter !== 'All';
 
   const clearAllFilters = () => {
     setActiveFilter(null);
     setSelectedAging(null);
     setCategoryFilter('All');
     setRiskFilter('All');
+    setClassFilter(null);
+    setDepotFilter('All');
     setSelectedProduct(null);
   };
 
@@ -261,7 +403,11 @@ function InventoryContent({ transactionsData, productsData, inventoryData, mlInv
           </div>
           <div className="text-sm text-gray-600 mb-1">Total Inventory Value</div>
           <div className="text-2xl font-bold">{formatLargeNumber(kpis.totalValue)}</div>
-          <div className="text-xs text-purple-500 mt-2 font-medium">Click to view all</div>
+          <div className="text-xs text-gray-500 mt-1">
+            {depot && `${depot.warehouse_name} · `}
+            {kpis.ledgerCount > 0 ? `Stock from ledger for ${kpis.ledgerCount} of ${inventoryMetrics.length} products` : 'Stock from snapshot'}
+          </div>
+          <div className="text-xs text-purple-500 mt-1 font-medium">Click to view all</div>
         </div>
 
         <div
@@ -403,10 +549,92 @@ function InventoryContent({ transactionsData, productsData, inventoryData, mlInv
         </div>
       </div>
 
+      {/* ABC/XYZ Classification Matrix — CLICKABLE cells */}
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold">ABC / XYZ Classification & Service Levels</h3>
+          {classFilter && (
+            <button onClick={() => setClassFilter(null)} className="text-xs text-purple-600 hover:text-purple-800 font-medium flex items-center gap-1">
+              <X className="w-3 h-3" /> Clear: {classFilter}
+            </button>
+          )}
+        </div>
+        {classMatrix.classified > 0 ? (
+          <>
+            <div className="grid grid-cols-4 gap-2 mb-2">
+              <div></div>
+              {['X', 'Y', 'Z'].map(xyz => (
+                <div key={xyz} className="text-center text-xs font-semibold text-gray-600">
+                  {xyz} · {XYZ_LABELS[xyz]}
+                </div>
+              ))}
+            </div>
+            {['A', 'B', 'C'].map(abc => (
+              <div key={abc} className="grid grid-cols-4 gap-2 mb-2">
+                <div className="text-xs font-semibold text-gray-600 flex items-center">{abc} · {ABC_LABELS[abc]}</div>
+                {['X', 'Y', 'Z'].map(xyz => {
+                  const key = `${abc}${xyz}`;
+                  const cell = classMatrix.cells[key];
+                  return (
+                    <div
+                      key={key}
+                      onClick={() => cell.count > 0 && setClassFilter(classFilter === key ? null : key)}
+                      className={`h-24 rounded flex flex-col items-center justify-center transition-all ${
+                        cell.count > 0 ? 'bg-purple-50 cursor-pointer hover:bg-purple-100' : 'bg-gray-50 text-gray-400'
+                      } ${classFilter === key ? 'ring-2 ring-purple-500' : ''}`}
+                    >
+                      <span className="text-xs font-semibold">{key}</span>
+                      <span className="text-lg font-bold">{cell.count}</span>
+                      {cell.count > 0 && <span className="text-xs text-gray-600">{formatLargeNumber(cell.stockValue)}</span>}
+                      {cell.serviceLevel !== null && (
+                        <span className="text-xs text-purple-700">{Math.round(cell.serviceLevel * 1000) / 10}% service</span>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+            <div className="text-xs text-purple-500 text-center mt-1 font-medium">Click a cell to filter table by class</div>
+            {classMatrix.policy && (
+              <div className="mt-4 p-4 bg-blue-50 border-l-4 border-blue-500 rounded">
+                <p className="text-sm text-gray-700">
+                  <strong>AI Insight:</strong> A items make up the top {Math.round(classMatrix.policy.abc_thresholds.A * 100)}% of the last 12 months'
+                  revenue, B the next {Math.round((classMatrix.policy.abc_thresholds.B - classMatrix.policy.abc_thresholds.A) * 100)}%.
+                  X items have monthly demand CV up to {classMatrix.policy.xyz_thresholds.X}, Y up to {classMatrix.policy.xyz_thresholds.Y}.
+                  Safety stock for each product is sized to its class's target service level (set in service_level_targets), so
+                  high-revenue, steady items carry the most cover.
+                </p>
+              </div>
+            )}
+          </>
+        ) : (
+          <p className="text-sm text-gray-500">
+            No classification yet. Run <code>npm run predict</code> to classify products and size safety stock by service level.
+          </p>
+        )}
+      </div>
+
       {/* Filters Bar */}
       <div className="bg-white rounded-lg shadow-md p-4 mb-6">
         <div className="flex items-center justify-between flex-wrap gap-3">
           <div className="flex items-center gap-4">
+            {warehouses.length > 0 && (
+              <div>
+                <label className="block text-xs font-medium text-gray-500 mb-1">Depot</label>
+                <select
+                  value={depotFilter}
+                  onChange={(e) => { setDepotFilter(e.target.value); setSelectedProduct(null); }}
+                  className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                >
+                  <option value="All">All depots</option>
+                  {warehouses.map(w => (
+                    <option key={w.warehouse_code} value={w.warehouse_code}>
+                      {w.warehouse_name}{w.is_main ? ' (main)' : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
             <div>
               <label className="block text-xs font-medium text-gray-500 mb-1">Category</label>
               <select
@@ -443,7 +671,9 @@ function InventoryContent({ transactionsData, productsData, inventoryData, mlInv
 
       {/* Inventory Table — CLICKABLE ROWS */}
       <div className="bg-white rounded-lg shadow-md p-6 mb-6">
-        <h3 className="text-lg font-semibold mb-4">Detailed Inventory Status</h3>
+        <h3 className="text-lg font-semibold mb-4">
+          Detailed Inventory Status{depot && <span className="text-gray-500 font-normal"> — {depot.warehouse_name} ({depot.region})</span>}
+        </h3>
         <div className="overflow-x-auto">
           <table className="w-full">
             <thead>
@@ -453,6 +683,7 @@ function InventoryContent({ transactionsData, productsData, inventoryData, mlInv
                 <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Stock (L)</th>
                 <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Avg Sale/Mo</th>
                 <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Days of Inv</th>
+                <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Lead Time</th>
                 <th className="text-center py-3 px-4 text-sm font-semibold text-gray-700">Risk Level</th>
                 <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">AI Recommendation</th>
                 <th className="text-center py-3 px-4 text-sm font-semibold text-gray-700"></th>
@@ -470,7 +701,12 @@ function InventoryContent({ transactionsData, productsData, inventoryData, mlInv
                     'hover:bg-gray-50'
                   }`}
                 >
-                  <td className="py-3 px-4 text-sm font-medium">{item.productName}</td>
+                  <td className="py-3 px-4 text-sm font-medium">
+                    {item.productName}
+                    {item.abcClass && (
+                      <span className="ml-2 px-1.5 py-0.5 bg-purple-100 text-purple-800 text-xs font-semibold rounded">{item.abcClass}{item.xyzClass}</span>
+                    )}
+                  </td>
                   <td className="py-3 px-4 text-sm text-gray-600">{item.category}</td>
                   <td className="py-3 px-4 text-sm text-right font-mono">{item.currentStock.toLocaleString()}</td>
                   <td className="py-3 px-4 text-sm text-right font-mono">{item.avgMonthlySale.toLocaleString()}</td>
@@ -481,6 +717,11 @@ function InventoryContent({ transactionsData, productsData, inventoryData, mlInv
                       item.daysOfInventory < 15 ? 'text-red-600' : 'text-green-600'
                     }`}>{item.daysOfInventory > 900 ? '999+' : item.daysOfInventory}</span>
                   </td>
+                  <td className="py-3 px-4 text-sm text-right whitespace-nowrap" title={item.leadTime ? LEAD_TIME_SOURCES[item.leadTime.source] : undefined}>
+                    {item.depotLeadTimeDays !== null && !depot?.is_main
+                      ? `${Math.round(item.depotLeadTimeDays)} d transfer`
+                      : item.leadTime ? `${Math.round(item.leadTime.days)} ± ${Math.round(item.leadTime.stdDays)} d` : <span className="text-gray-400">—</span>}
+                  </td>
                   <td className="py-3 px-4 text-center">
                     <span className={`px-3 py-1 rounded-full text-xs font-semibold ${
                       item.stockoutRisk === 'High' ? 'bg-red-100 text-red-800' :
@@ -532,14 +773,34 @@ function InventoryContent({ transactionsData, productsData, inventoryData, mlInv
               <div className="text-lg font-bold text-yellow-900">{formatLargeNumber(selectedProduct.stockValue)}</div>
             </div>
             <div className="p-3 bg-purple-50 rounded-lg text-center">
-              <div className="text-xs text-gray-500">Reorder Point</div>
+              <div className="text-xs text-gray-500">Reorder Point{depot && ` at ${depot.warehouse_code}`}</div>
               <div className="text-lg font-bold text-purple-900">{Math.round(selectedProduct.reorderPoint).toLocaleString()} L</div>
+              {selectedProduct.serviceLevel !== null && (
+                <div className="text-xs text-gray-500 mt-1">
+                  Safety stock {Math.round(selectedProduct.safetyStock).toLocaleString()} L · {Math.round(selectedProduct.serviceLevel * 1000) / 10}% service ({selectedProduct.abcClass}{selectedProduct.xyzClass})
+                </div>
+              )}
+              {selectedProduct.leadTime && (
+                <div className="text-xs text-gray-500 mt-1">
+                  Lead time {Math.round(selectedProduct.leadTime.days)} ± {Math.round(selectedProduct.leadTime.stdDays)} days
+                  {selectedProduct.leadTime.supplierCode && ` · ${selectedProduct.leadTime.supplierCode}`}
+                  <span className="block">
+                    {LEAD_TIME_SOURCES[selectedProduct.leadTime.source] || selectedProduct.leadTime.source}
+                    {selectedProduct.leadTime.observations > 0 && ` (${selectedProduct.leadTime.observations} restocks)`}
+                  </span>
+                </div>
+              )}
             </div>
             <div className="p-3 bg-red-50 rounded-lg text-center">
               <div className="text-xs text-gray-500">Volatility</div>
               <div className={`text-lg font-bold ${selectedProduct.volatility === 'High' ? 'text-red-900' : selectedProduct.volatility === 'Medium' ? 'text-yellow-900' : 'text-green-900'}`}>
                 {selectedProduct.volatility}
               </div>
+              {selectedProduct.demandPattern === 'intermittent' && (
+                <div className="text-xs text-gray-500 mt-1">
+                  Intermittent · {Math.round(selectedProduct.zeroDemandShare * 100)}% zero months
+                </div>
+              )}
             </div>
           </div>
 
@@ -579,9 +840,70 @@ function InventoryContent({ transactionsData, productsData, inventoryData, mlInv
               </div>
             </div>
           </div>
+
+          {/* Stock by depot */}
+          {depotFilter === 'All' && productDrilldown.depots.length > 0 && (
+            <div className="mt-6">
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Stock by Depot</h4>
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                {productDrilldown.depots.map(d => (
+                  <div
+                    key={d.code}
+                    onClick={() => setDepotFilter(d.code)}
+                    className="p-3 bg-gray-50 rounded-lg cursor-pointer hover:bg-purple-50 transition-colors"
+                  >
+                    <div className="flex items-center justify-between">
+                      <span className="text-xs font-semibold text-gray-700">{d.name}{d.isMain && ' (main)'}</span>
+                      {d.status && (
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${DEPOT_STATUS[d.status].className}`}>{DEPOT_STATUS[d.status].label}</span>
+                      )}
+                    </div>
+                    <div className="text-lg font-bold text-gray-900 mt-1">{d.stock !== null ? `${Math.round(d.stock).toLocaleString()} L` : '—'}</div>
+                    {d.reorderPoint !== null && (
+                      <div className="text-xs text-gray-500">
+                        ROP {Math.round(d.reorderPoint).toLocaleString()} L · {d.daysOfCover >= 999 ? 'no local demand' : `${Math.round(d.daysOfCover)} days cover`}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Stock ledger */}
+          {productMovements && productMovements.length > 0 && (
+            <div className="mt-6">
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Recent Stock Movements</h4>
+              <div className="space-y-1">
+                {productMovements.map(m => {
+                  const type = MOVEMENT_TYPES[m.movement_type] || { label: m.movement_type, className: 'bg-gray-100 text-gray-800' };
+                  const qty = parseFloat(m.quantity_liters) || 0;
+                  return (
+                    <div key={m.id} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg text-sm">
+                      <div className="flex items-center gap-2">
+                        <span className="text-gray-500 w-24">{m.movement_date}</span>
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${type.className}`}>{type.label}</span>
+                        {m.warehouse_code && <span className="text-xs font-medium text-gray-600">{m.warehouse_code}</span>}
+                        <span className="text-xs text-gray-500">{m.reference_type === 'transaction' ? m.reference_id : m.notes || m.counterparty || ''}</span>
+                      </div>
+                      <span className={`font-mono ${qty < 0 ? 'text-red-700' : 'text-green-700'}`}>
+                        {qty > 0 ? '+' : ''}{Math.round(qty).toLocaleString()} L
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
         </div>
       )}
 
+      {/* Draft Purchase Orders — review and approve */}
+      <PurchaseOrderReview />
+
+      {/* Stock transfers between depots — accept or dismiss */}
+      {warehouses.length > 1 && <StockTransferReview warehouses={warehouses} depotFilter={depotFilter} />}
+
       {/* AI Recommendations Panel */}
       <div className="bg-white rounded-lg shadow-md p-6">
         <h3 className="text-lg font-semibold mb-4">AI-Powered Action Items</h3>
@@ -646,3 +968,303 @@ function InventoryContent({ transactionsData, productsData, inventoryData, mlInv
     </div>
   );
 }
+
+function PurchaseOrderReview() {
+  const { data: purchaseOrders, isLoading, error } = usePurchaseOrders();
+  const reviewMutation = useReviewPurchaseOrder();
+  const receiveMutation = useReceivePurchaseOrder();
+  const [statusFilter, setStatusFilter] = useState('draft');
+  const [expandedPO, setExpandedPO] = useState(null);
+
+  const orders = useMemo(() => (purchaseOrders || []).filter(po => po.status === statusFilter), [purchaseOrders, statusFilter]);
+  const draftTotals = useMemo(() => {
+    const drafts = (purchaseOrders || []).filter(po => po.status === 'draft');
+    return { count: drafts.length, value: drafts.reduce((sum, po) => sum + (parseFloat(po.total_value) || 0), 0) };
+  }, [purchaseOrders]);
+
+  const review = (id, status) => reviewMutation.mutate({ id, status });
+  const receive = (po) => receiveMutation.mutate({ po, receivedDate: new Date().toISOString().substring(0, 10) });
+  const mutationError = reviewMutation.error || receiveMutation.error;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <ClipboardList className="w-5 h-5 text-primary" /> Purchase Orders
+          </h3>
+          <p className="text-xs text-gray-500 mt-1">
+            {draftTotals.count} draft{draftTotals.count === 1 ? '' : 's'} awaiting review · {formatLargeNumber(draftTotals.value)}
+          </p>
+        </div>
+        <select
+          value={statusFilter}
+          onChange={(e) => { setStatusFilter(e.target.value); setExpandedPO(null); }}
+          className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        >
+          <option value="draft">Drafts</option>
+          <option value="approved">Approved</option>
+          <option value="rejected">Rejected</option>
+          <option value="received">Received</option>
+        </select>
+      </div>
+
+      {mutationError && (
+        <div className="mb-4 p-4 bg-yellow-50 border-l-4 border-yellow-500 rounded text-sm text-gray-700">
+          Could not update the purchase order: {mutationError.message}
+        </div>
+      )}
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading purchase orders...</p>
+      ) : error ? (
+        <p className="text-sm text-gray-500">Purchase orders are unavailable: {error.message}</p>
+      ) : orders.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {statusFilter === 'draft'
+            ? 'No draft purchase orders. Run npm run predict to draft orders for products at their reorder point.'
+            : `No ${statusFilter} purchase orders.`}
+        </p>
+      ) : (
+        <div className="space-y-3">
+          {orders.map(po => (
+            <div key={po.id} className="border border-gray-200 rounded-lg">
+              <div
+                onClick={() => setExpandedPO(expandedPO === po.id ? null : po.id)}
+                className="flex items-center justify-between p-4 cursor-pointer hover:bg-gray-50"
+              >
+                <div className="flex items-center gap-3">
+                  <Truck className="w-5 h-5 text-gray-400" />
+                  <div>
+                    <div className="text-sm font-semibold">
+                      {po.supplier_name || po.supplier_code || 'No supplier assigned'}
+                      {po.supply_type && <span className="ml-2 text-xs font-normal text-gray-500">{po.supply_type}</span>}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {po.po_number} · ordered {po.order_date} · expected {po.expected_date || '—'}
+                      {po.warehouse_code && ` · deliver to ${po.warehouse_code}`}
+                    </div>
+                  </div>
+                </div>
+                <div className="flex items-center gap-4">
+                  <div className="text-right">
+                    <div className="text-sm font-semibold">{formatCurrency(parseFloat(po.total_value) || 0)}</div>
+                    <div className="text-xs text-gray-500">
+                      {po.lines.length} line{po.lines.length === 1 ? '' : 's'} · {Math.round(parseFloat(po.total_quantity_liters) || 0).toLocaleString()} L
+                    </div>
+                  </div>
+                  {po.status === 'draft' ? (
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={(e) => { e.stopPropagation(); review(po.id, 'approved'); }}
+                        disabled={reviewMutation.isLoading}
+                        className="flex items-center gap-1 px-3 py-1.5 bg-primary text-white rounded-lg text-sm font-medium hover:bg-primary-dark transition-colors disabled:opacity-50"
+                      >
+                        <CheckCircle className="w-4 h-4" /> Approve
+                      </button>
+                      <button
+                        onClick={(e) => { e.stopPropagation(); review(po.id, 'rejected'); }}
+                        disabled={reviewMutation.isLoading}
+                        className="flex items-center gap-1 px-3 py-1.5 border border-gray-300 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-100 transition-colors disabled:opacity-50"
+                      >
+                        <X className="w-4 h-4" /> Reject
+                      </button>
+                    </div>
+                  ) : po.status === 'approved' ? (
+                    <button
+                      onClick={(e) => { e.stopPropagation(); receive(po); }}
+                      disabled={receiveMutation.isLoading}
+                      className="flex items-center gap-1 px-3 py-1.5 bg-primary text-white rounded-lg text-sm font-medium hover:bg-primary-dark transition-colors disabled:opacity-50"
+                    >
+                      <Truck className="w-4 h-4" /> Mark received
+                    </button>
+                  ) : (
+                    <span className={`px-3 py-1 rounded-full text-xs font-semibold capitalize ${PO_STATUS_STYLES[po.status] || ''}`}>
+                      {po.status}
+                    </span>
+                  )}
+                  <ChevronDown className={`w-4 h-4 text-gray-400 transition-transform ${expandedPO === po.id ? 'rotate-180' : ''}`} />
+                </div>
+              </div>
+
+              {expandedPO === po.id && (
+                <div className="border-t border-gray-200 p-4 overflow-x-auto">
+                  <table className="w-full">
+                    <thead>
+                      <tr className="border-b bg-gray-50">
+                        <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Product</th>
+                        <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Order Qty</th>
+                        <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">EOQ</th>
+                        <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Position</th>
+                        <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Reorder Point</th>
+                        <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Adjustments</th>
+                        <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Value</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {po.lines.map(line => (
+                        <tr key={line.id} className="border-b">
+                          <td className="py-3 px-4 text-sm font-medium">{line.product_name}</td>
+                          <td className="py-3 px-4 text-sm text-right font-mono">{Math.round(parseFloat(line.quantity_liters) || 0).toLocaleString()} L</td>
+                          <td className="py-3 px-4 text-sm text-right font-mono text-gray-600">{Math.round(parseFloat(line.eoq) || 0).toLocaleString()} L</td>
+                          <td className="py-3 px-4 text-sm text-right font-mono text-gray-600">{Math.round(parseFloat(line.inventory_position) || 0).toLocaleString()} L</td>
+                          <td className="py-3 px-4 text-sm text-right font-mono text-gray-600">{Math.round(parseFloat(line.reorder_point) || 0).toLocaleString()} L</td>
+                          <td className="py-3 px-4 text-xs text-gray-600">
+                            {(line.order_constraints || []).map(c => ORDER_CONSTRAINTS[c] || c).join(', ') || 'EOQ as computed'}
+                          </td>
+                          <td className="py-3 px-4 text-sm text-right">{formatCurrency(parseFloat(line.line_value) || 0)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {po.reviewed_at && (
+                    <p className="text-xs text-gray-500 mt-2">
+                      {po.status === 'rejected' ? 'Rejected' : 'Approved'} {po.reviewed_by ? `by ${po.reviewed_by} ` : ''}on {new Date(po.reviewed_at).toLocaleString()}
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="mt-4 p-4 bg-blue-50 border-l-4 border-blue-500 rounded">
+        <p className="text-sm text-gray-700">
+          <strong>AI Insight:</strong> Each prediction run drafts one order per supplier for products whose inventory position
+          (on hand − reserved + approved orders) has reached the reorder point. Quantities start from the economic order quantity
+          (ordering cost vs. 24% annual holding cost), then are capped at max stock, raised to the minimum order quantity and
+          rounded to whole packs. Approved orders count as on order in the next run; unreviewed drafts are replaced.
+          Marking an order received posts its lines to the stock ledger as receipts.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+function StockTransferReview({ warehouses, depotFilter }) {
+  const { data: transfers, isLoading, error } = useTransferSuggestions();
+  const reviewMutation = useReviewTransfer();
+  const [statusFilter, setStatusFilter] = useState('suggested');
+
+  // With a depot selected, only transfers into or out of it
+  const visible = useMemo(() => (transfers || []).filter(t =>
+    t.status === statusFilter &&
+    (depotFilter === 'All' || t.from_warehouse_code === depotFilter || t.to_warehouse_code === depotFilter)
+  ), [transfers, statusFilter, depotFilter]);
+  const suggestedTotals = useMemo(() => {
+    const suggested = (transfers || []).filter(t => t.status === 'suggested');
+    return {
+      count: suggested.length,
+      liters: suggested.reduce((sum, t) => sum + (parseFloat(t.quantity_liters) || 0), 0),
+      value: suggested.reduce((sum, t) => sum + (parseFloat(t.transfer_value) || 0), 0),
+    };
+  }, [transfers]);
+
+  const review = (transfer, status) => reviewMutation.mutate({ transfer, status, transferDate: new Date().toISOString().substring(0, 10) });
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <ArrowRightLeft className="w-5 h-5 text-primary" /> Stock Transfers Between Depots
+          </h3>
+          <p className="text-xs text-gray-500 mt-1">
+            {suggestedTotals.count} suggestion{suggestedTotals.count === 1 ? '' : 's'} · {Math.round(suggestedTotals.liters).toLocaleString()} L · {formatLargeNumber(suggestedTotals.value)} at cost
+          </p>
+        </div>
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        >
+          <option value="suggested">Suggested</option>
+          <option value="accepted">Accepted</option>
+          <option value="dismissed">Dismissed</option>
+        </select>
+      </div>
+
+      {reviewMutation.error && (
+        <div className="mb-4 p-4 bg-yellow-50 border-l-4 border-yellow-500 rounded text-sm text-gray-700">
+          Could not update the transfer: {reviewMutation.error.message}
+        </div>
+      )}
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading transfer suggestions...</p>
+      ) : error ? (
+        <p className="text-sm text-gray-500">Transfer suggestions are unavailable: {error.message}</p>
+      ) : visible.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {statusFilter === 'suggested'
+            ? 'No transfers suggested. Run npm run predict to match overstocked depots with depots at risk.'
+            : `No ${statusFilter} transfers.`}
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b bg-gray-50">
+                <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Product</th>
+                <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">From → To</th>
+                <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Quantity</th>
+                <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Value</th>
+                <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Why</th>
+                <th className="text-center py-3 px-4 text-sm font-semibold text-gray-700"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map(t => (
+                <tr key={t.id} className="border-b hover:bg-gray-50">
+                  <td className="py-3 px-4 text-sm font-medium">{t.product_name || t.product_code}</td>
+                  <td className="py-3 px-4 text-sm whitespace-nowrap">
+                    {depotName(warehouses, t.from_warehouse_code)} → {depotName(warehouses, t.to_warehouse_code)}
+                    <span className="block text-xs text-gray-500">arrives in ~{Math.round(parseFloat(t.expected_days) || 0)} days</span>
+                  </td>
+                  <td className="py-3 px-4 text-sm text-right font-mono">{Math.round(parseFloat(t.quantity_liters) || 0).toLocaleString()} L</td>
+                  <td className="py-3 px-4 text-sm text-right">{formatCurrency(parseFloat(t.transfer_value) || 0)}</td>
+                  <td className="py-3 px-4 text-xs text-gray-600">{t.reason}</td>
+                  <td className="py-3 px-4 text-center">
+                    {t.status === 'suggested' ? (
+                      <div className="flex items-center gap-2 justify-center">
+                        <button
+                          onClick={() => review(t, 'accepted')}
+                          disabled={reviewMutation.isLoading}
+                          className="flex items-center gap-1 px-3 py-1.5 bg-primary text-white rounded-lg text-sm font-medium hover:bg-primary-dark transition-colors disabled:opacity-50"
+                        >
+                          <CheckCircle className="w-4 h-4" /> Accept
+                        </button>
+                        <button
+                          onClick={() => review(t, 'dismissed')}
+                          disabled={reviewMutation.isLoading}
+                          className="flex items-center gap-1 px-3 py-1.5 border border-gray-300 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-100 transition-colors disabled:opacity-50"
+                        >
+                          <X className="w-4 h-4" /> Dismiss
+                        </button>
+                      </div>
+                    ) : (
+                      <span className={`px-3 py-1 rounded-full text-xs font-semibold capitalize ${TRANSFER_STATUS_STYLES[t.status] || ''}`}>
+                        {t.status}
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="mt-4 p-4 bg-blue-50 border-l-4 border-blue-500 rounded">
+        <p className="text-sm text-gray-700">
+          <strong>AI Insight:</strong> Each depot's reorder point is sized from the demand of the region it serves, over the
+          supplier lead time at the main depot and the transfer lead time elsewhere. When a depot falls below its reorder point
+          while another holds more than 60 days of cover beyond its target, the surplus is suggested as a transfer in whole packs,
+          usually quicker and cheaper than a new purchase order. Accepting a transfer posts it to the stock ledger as a
+          transfer out of one depot and into the other; unreviewed suggestions are replaced by the next run.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,304 @@
+import { useState, useMemo } from 'react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { DollarSign, Percent, TrendingDown, AlertTriangle } from 'lucide-react';
+import { useTransactions } from '../hooks/useTransactions';
+import { useProducts } from '../hooks/useProducts';
+import { useCustomers } from '../hooks/useCustomers';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ErrorAlert from '../components/ErrorAlert';
+import { formatCurrency, formatLargeNumber } from '../utils/dataProcessing';
+import { MARGIN_DIMENSIONS, buildMarginLines, marginSummary, marginBy, marginTrend, marginErosion, belowCostSales } from '../utils/marginAnalysis';
+
+const PERIODS = [
+  { value: 'all', label: 'All time', months: null },
+  { value: '12', label: 'Last 12 months', months: 12 },
+  { value: '6', label: 'Last 6 months', months: 6 },
+  { value: '3', label: 'Last 3 months', months: 3 }
+];
+
+export default function MarginAnalytics() {
+  const { data: transactionsData, isLoading: loadingTxn, error: errorTxn, refetch } = useTransactions();
+  const { data: productsData, isLoading: loadingProd, error: errorProd } = useProducts();
+  const { data: customersData, isLoading: loadingCust, error: errorCust } = useCustomers();
+
+  if (loadingTxn || loadingProd || loadingCust) {
+    return <LoadingSpinner message="Loading margin data..." />;
+  }
+  if (errorTxn || errorProd || errorCust) {
+    return <ErrorAlert error={errorTxn || errorProd || errorCust} retry={refetch} title="Failed to Load Margin Data" />;
+  }
+  if (!transactionsData || !productsData) {
+    return <LoadingSpinner message="Loading margin data..." />;
+  }
+
+  return <MarginContent transactionsData={transactionsData} productsData={productsData} customersData={customersData || []} />;
+}
+
+function MarginContent({ transactionsData, productsData, customersData }) {
+  const [dimensions, setDimensions] = useState(['product']);
+  const [period, setPeriod] = useState('all');
+  const [sortBy, setSortBy] = useState('margin');
+
+  const allLines = useMemo(
+    () => buildMarginLines(transactionsData, productsData, customersData),
+    [transactionsData, productsData, customersData]
+  );
+
+  // Period filter counts back whole months from the latest transaction month
+  const lines = useMemo(() => {
+    const months = PERIODS.find(p => p.value === period)?.months;
+    if (!months) return allLines;
+    const allMonths = [...new Set(allLines.map(l => l.month))].sort();
+    const kept = new Set(allMonths.slice(-months));
+    return allLines.filter(l => kept.has(l.month));
+  }, [allLines, period]);
+
+  const summary = useMemo(() => marginSummary(lines), [lines]);
+  const trend = useMemo(() => marginTrend(lines).map(m => ({
+    ...m,
+    marginPct: Math.round(m.marginPct * 100) / 100
+  })), [lines]);
+
+  const breakdown = useMemo(() => {
+    if (dimensions.length === 0) return [];
+    const rows = marginBy(lines, dimensions);
+    if (sortBy === 'marginPct') return rows.sort((a, b) => a.marginPct - b.marginPct);
+    if (sortBy === 'revenue') return rows.sort((a, b) => b.revenue - a.revenue);
+    return rows;
+  }, [lines, dimensions, sortBy]);
+
+  // Erosion always compares the latest month with the three before it, whatever the period filter
+  const erosion = useMemo(
+    () => (dimensions.length > 0 ? marginErosion(allLines, dimensions, { months: 3, threshold: 1 }) : []),
+    [allLines, dimensions]
+  );
+  const belowCost = useMemo(() => belowCostSales(lines), [lines]);
+
+  const toggleDimension = (dimension) => {
+    setDimensions(dimensions.includes(dimension)
+      ? dimensions.filter(d => d !== dimension)
+      : Object.keys(MARGIN_DIMENSIONS).filter(d => d === dimension || dimensions.includes(d)));
+  };
+
+  const latestChange = trend.length > 1 ? trend[trend.length - 1].marginPctChange : null;
+
+  return (
+    <div>
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Margin Analytics</h1>
+        <p className="text-gray-600">Gross margin from actual selling price and product cost, by product, customer, region and salesperson</p>
+      </div>
+
+      {/* KPI Cards */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-6">
+        <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-primary">
+          <div className="flex items-center justify-between mb-2">
+            <DollarSign className="w-8 h-8 text-primary" />
+          </div>
+          <div className="text-sm text-gray-600 mb-1">Gross Margin</div>
+          <div className="text-2xl font-bold">{formatLargeNumber(summary.margin)}</div>
+          <div className="text-xs text-gray-500 mt-1">on {formatLargeNumber(summary.revenue)} revenue</div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-secondary">
+          <div className="flex items-center justify-between mb-2">
+            <Percent className="w-8 h-8 text-secondary" />
+          </div>
+          <div className="text-sm text-gray-600 mb-1">Margin %</div>
+          <div className="text-2xl font-bold">{summary.marginPct.toFixed(1)}%</div>
+          <div className="text-xs text-gray-500 mt-1">{summary.transactions.toLocaleString()} transactions</div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-warning">
+          <div className="flex items-center justify-between mb-2">
+            <TrendingDown className="w-8 h-8 text-warning" />
+          </div>
+          <div className="text-sm text-gray-600 mb-1">Latest Month vs Previous</div>
+          <div className={`text-2xl font-bold ${latestChange !== null && latestChange < 0 ? 'text-danger' : ''}`}>
+            {latestChange !== null ? `${latestChange >= 0 ? '+' : ''}${latestChange.toFixed(2)} pts` : '—'}
+          </div>
+          <div className="text-xs text-gray-500 mt-1">Change in margin %</div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-danger">
+          <div className="flex items-center justify-between mb-2">
+            <AlertTriangle className="w-8 h-8 text-danger" />
+          </div>
+          <div className="text-sm text-gray-600 mb-1">Below-Cost Sales</div>
+          <div className={`text-2xl font-bold ${summary.belowCostCount > 0 ? 'text-danger' : ''}`}>{summary.belowCostCount}</div>
+          <div className="text-xs text-gray-500 mt-1">{formatLargeNumber(summary.belowCostLoss)} lost below cost</div>
+        </div>
+      </div>
+
+      {/* Monthly trend */}
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Monthly Gross Margin</h3>
+          <select
+            value={period}
+            onChange={e => setPeriod(e.target.value)}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          >
+            {PERIODS.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+          </select>
+        </div>
+        <ResponsiveContainer width="100%" height={300}>
+          <ComposedChart data={trend}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="month" />
+            <YAxis yAxisId="left" tickFormatter={v => formatLargeNumber(v)} />
+            <YAxis yAxisId="right" orientation="right" domain={['auto', 'auto']} tickFormatter={v => `${v}%`} />
+            <Tooltip formatter={(value, name) => (name === 'Margin %' ? `${value}%` : formatCurrency(value))} />
+            <Legend />
+            <Bar yAxisId="left" dataKey="margin" name="Gross Margin" fill="#14B8A6" radius={[4, 4, 0, 0]} />
+            <Line yAxisId="right" type="monotone" dataKey="marginPct" name="Margin %" stroke="#1E3A8A" strokeWidth={2} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* Breakdown */}
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+          <h3 className="text-lg font-semibold">Margin Breakdown</h3>
+          <div className="flex flex-wrap items-center gap-4">
+            <div className="flex items-center gap-3 text-sm">
+              <span className="text-gray-600">Group by:</span>
+              {Object.entries(MARGIN_DIMENSIONS).map(([key, d]) => (
+                <label key={key} className="flex items-center gap-1 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={dimensions.includes(key)}
+                    onChange={() => toggleDimension(key)}
+                    className="accent-purple-600"
+                  />
+                  {d.label}
+                </label>
+              ))}
+            </div>
+            <select
+              value={sortBy}
+              onChange={e => setSortBy(e.target.value)}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            >
+              <option value="margin">Highest margin</option>
+              <option value="revenue">Highest revenue</option>
+              <option value="marginPct">Lowest margin %</option>
+            </select>
+          </div>
+        </div>
+        {dimensions.length === 0 ? (
+          <p className="text-sm text-gray-500">Pick at least one dimension to group by.</p>
+        ) : (
+          <div className="overflow-x-auto max-h-[480px] overflow-y-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b bg-gray-50">
+                  {dimensions.map(d => (
+                    <th key={d} className="text-left py-3 px-4 text-sm font-semibold text-gray-700">{MARGIN_DIMENSIONS[d].label}</th>
+                  ))}
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Revenue</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Cost</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Gross Margin</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Margin %</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Below Cost</th>
+                </tr>
+              </thead>
+              <tbody>
+                {breakdown.map(row => (
+                  <tr key={row.key} className="border-b hover:bg-gray-50">
+                    {dimensions.map(d => <td key={d} className="py-3 px-4 text-sm">{row.labels[d]}</td>)}
+                    <td className="py-3 px-4 text-sm text-right">{formatLargeNumber(row.revenue)}</td>
+                    <td className="py-3 px-4 text-sm text-right">{formatLargeNumber(row.cost)}</td>
+                    <td className="py-3 px-4 text-sm text-right font-semibold">{formatLargeNumber(row.margin)}</td>
+                    <td className={`py-3 px-4 text-sm text-right font-semibold ${row.marginPct < 0 ? 'text-red-700' : row.marginPct < summary.marginPct ? 'text-yellow-700' : 'text-green-700'}`}>
+                      {row.marginPct.toFixed(1)}%
+                    </td>
+                    <td className="py-3 px-4 text-sm text-right">{row.belowCostCount > 0 ? <span className="text-red-700 font-semibold">{row.belowCostCount}</span> : '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Erosion */}
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <h3 className="text-lg font-semibold mb-1">Margin Erosion</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          {dimensions.map(d => MARGIN_DIMENSIONS[d].label).join(' × ') || 'Groups'} whose margin % in {erosion[0]?.latestMonth || 'the latest month'} fell
+          at least 1 point below their previous 3-month average
+        </p>
+        {erosion.length === 0 ? (
+          <p className="text-sm text-gray-700">No margin erosion in the latest month for this grouping.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b bg-gray-50">
+                  {dimensions.map(d => (
+                    <th key={d} className="text-left py-3 px-4 text-sm font-semibold text-gray-700">{MARGIN_DIMENSIONS[d].label}</th>
+                  ))}
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Previous 3 Months</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Latest Month</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Change</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Margin Impact</th>
+                </tr>
+              </thead>
+              <tbody>
+                {erosion.slice(0, 15).map(row => (
+                  <tr key={row.key} className="border-b hover:bg-gray-50">
+                    {dimensions.map(d => <td key={d} className="py-3 px-4 text-sm">{row.labels[d]}</td>)}
+                    <td className="py-3 px-4 text-sm text-right">{row.trailingMarginPct.toFixed(1)}%</td>
+                    <td className="py-3 px-4 text-sm text-right">{row.currentMarginPct.toFixed(1)}%</td>
+                    <td className="py-3 px-4 text-sm text-right font-semibold text-red-700">{row.change.toFixed(1)} pts</td>
+                    <td className="py-3 px-4 text-sm text-right text-red-700">{formatLargeNumber(Math.abs(row.marginImpact))}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Below-cost sales */}
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <h3 className="text-lg font-semibold mb-4">Below-Cost Sales</h3>
+        {belowCost.length === 0 ? (
+          <p className="text-sm text-gray-700">No sales below unit cost in this period.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b bg-gray-50">
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Date</th>
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Invoice</th>
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Customer</th>
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Product</th>
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Salesperson</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Unit Price</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Unit Cost</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Loss</th>
+                </tr>
+              </thead>
+              <tbody>
+                {belowCost.slice(0, 20).map(l => (
+                  <tr key={l.transactionCode} className="border-b hover:bg-gray-50">
+                    <td className="py-3 px-4 text-sm">{l.date}</td>
+                    <td className="py-3 px-4 text-sm">{l.invoiceNumber}</td>
+                    <td className="py-3 px-4 text-sm">{l.customerName}</td>
+                    <td className="py-3 px-4 text-sm">{l.productName}</td>
+                    <td className="py-3 px-4 text-sm">{l.salesperson}</td>
+                    <td className="py-3 px-4 text-sm text-right">{formatCurrency(l.unitPrice)}</td>
+                    <td className="py-3 px-4 text-sm text-right">{formatCurrency(l.unitCost)}</td>
+                    <td className="py-3 px-4 text-sm text-right font-semibold text-red-700">{formatCurrency(Math.abs(l.margin))}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
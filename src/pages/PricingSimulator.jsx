@@ -0,0 +1,296 @@
+import { useState, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { Tag, Droplet, DollarSign, TrendingUp, Bot, AlertTriangle } from 'lucide-react';
+import { usePredictionRun, useMLPriceElasticity } from '../hooks/usePredictions';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ErrorAlert from '../components/ErrorAlert';
+import { formatCurrency, formatLargeNumber, simulatePriceChange } from '../utils/dataProcessing';
+
+const SOURCE_STYLES = {
+  product: { label: 'Own price history', className: 'bg-green-100 text-green-800' },
+  category: { label: 'Category estimate', className: 'bg-blue-100 text-blue-800' },
+  prior: { label: 'Assumed', className: 'bg-gray-100 text-gray-700' }
+};
+
+const SENSITIVITY_STEPS = [-20, -15, -10, -5, 0, 5, 10, 15, 20];
+
+export default function PricingSimulator() {
+  const { data: predictionRun, isLoading: loadingRun, error: errorRun, refetch } = usePredictionRun();
+  const { data: elasticityData, isLoading: loadingElasticity } = useMLPriceElasticity(predictionRun?.id);
+
+  if (loadingRun || loadingElasticity) {
+    return <LoadingSpinner message="Loading pricing data..." />;
+  }
+  if (errorRun) {
+    return <ErrorAlert error={errorRun} retry={refetch} title="Failed to Load Pricing Data" />;
+  }
+
+  return <PricingContent elasticityData={elasticityData || []} predictionRun={predictionRun} />;
+}
+
+function PricingContent({ elasticityData, predictionRun }) {
+  const [scope, setScope] = useState('all'); // 'all' | 'category:<name>' | 'product:<id>'
+  const [priceChange, setPriceChange] = useState(5);
+  const [elasticityOverride, setElasticityOverride] = useState('');
+  const elasticityModel = predictionRun?.price_elasticity_model;
+
+  const products = useMemo(() => elasticityData.map(e => ({
+    id: e.product_id,
+    name: e.product_name || e.product_code || e.product_id,
+    category: e.category,
+    price: parseFloat(e.avg_realized_price) || parseFloat(e.list_price) || 0,
+    listPrice: parseFloat(e.list_price) || 0,
+    unitCost: parseFloat(e.unit_cost) || 0,
+    volume: parseFloat(e.baseline_monthly_volume) || 0,
+    elasticity: parseFloat(e.elasticity),
+    elasticitySe: parseFloat(e.elasticity_se) || 0,
+    source: e.source,
+    avgDiscount: parseFloat(e.avg_discount_pct) || 0,
+    discountedShare: parseFloat(e.discounted_volume_share) || 0
+  })), [elasticityData]);
+
+  const categories = useMemo(() => [...new Set(products.map(p => p.category))].sort(), [products]);
+
+  const scopedItems = useMemo(() => {
+    const override = elasticityOverride === '' ? null : parseFloat(elasticityOverride);
+    return products
+      .filter(p => scope === 'all' || scope === `category:${p.category}` || scope === `product:${p.id}`)
+      .map(p => ({ ...p, elasticity: override !== null && !isNaN(override) ? override : p.elasticity }));
+  }, [products, scope, elasticityOverride]);
+
+  const simulation = useMemo(() => simulatePriceChange(scopedItems, priceChange), [scopedItems, priceChange]);
+
+  // Revenue and margin change across a range of price moves, for the same scope
+  const sensitivity = useMemo(() => SENSITIVITY_STEPS.map(step => {
+    const s = simulatePriceChange(scopedItems, step);
+    return {
+      change: step,
+      revenue: s.baseline.revenue > 0 ? Math.round((s.projected.revenue / s.baseline.revenue - 1) * 1000) / 10 : 0,
+      margin: s.baseline.margin > 0 ? Math.round((s.projected.margin / s.baseline.margin - 1) * 1000) / 10 : 0,
+      volume: s.baseline.volume > 0 ? Math.round((s.projected.volume / s.baseline.volume - 1) * 1000) / 10 : 0
+    };
+  }), [scopedItems]);
+
+  const pctChange = (from, to) => (from > 0 ? ((to / from - 1) * 100) : 0);
+
+  if (products.length === 0) {
+    return (
+      <div>
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Pricing & Discount Impact</h1>
+          <p className="text-gray-600">Price elasticity by product and price-change simulation</p>
+        </div>
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <p className="text-sm text-gray-700">
+            No price elasticity estimates yet. Run <code>npm run predict</code> to estimate elasticities from sales history.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const resultTiles = [
+    { label: 'Monthly Volume', icon: Droplet, baseline: simulation.baseline.volume, projected: simulation.projected.volume, format: v => `${Math.round(v).toLocaleString()} L`, border: 'border-primary', color: 'text-primary' },
+    { label: 'Monthly Revenue', icon: DollarSign, baseline: simulation.baseline.revenue, projected: simulation.projected.revenue, format: formatLargeNumber, border: 'border-secondary', color: 'text-secondary' },
+    { label: 'Monthly Gross Margin', icon: TrendingUp, baseline: simulation.baseline.margin, projected: simulation.projected.margin, format: formatLargeNumber, border: 'border-warning', color: 'text-warning' }
+  ];
+
+  return (
+    <div>
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Pricing & Discount Impact</h1>
+        <p className="text-gray-600">Price elasticity by product and price-change simulation</p>
+      </div>
+
+      {elasticityModel && elasticityModel.from_prior === elasticityModel.products && (
+        <div className="mb-6 p-4 bg-yellow-50 border-l-4 border-yellow-500 rounded flex items-start gap-3">
+          <AlertTriangle className="w-5 h-5 text-yellow-600 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-gray-700">
+            Every sale so far was at list price, so the history cannot show how volume responds to price.
+            Elasticities below are the assumed {elasticityModel.prior_elasticity} (typical for B2B lubricants) — adjust them in the simulator,
+            and they will be re-estimated automatically once discounted or repriced sales appear.
+          </p>
+        </div>
+      )}
+
+      {/* Simulator */}
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold flex items-center gap-2">
+            <Tag className="w-5 h-5 text-primary" /> Price Change Simulator
+          </h3>
+          <span className="flex items-center gap-1 px-3 py-1 bg-purple-100 text-purple-800 text-xs font-semibold rounded-full">
+            <Bot className="w-3 h-3" /> AI-Powered (Log-log Elasticity Model)
+            {predictionRun && <span className="text-purple-600 ml-1">| {new Date(predictionRun.run_at).toLocaleString()}</span>}
+          </span>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Apply to</label>
+            <select
+              value={scope}
+              onChange={e => setScope(e.target.value)}
+              className="w-full px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            >
+              <option value="all">All products</option>
+              <optgroup label="Categories">
+                {categories.map(c => <option key={c} value={`category:${c}`}>{c}</option>)}
+              </optgroup>
+              <optgroup label="Products">
+                {products.map(p => <option key={p.id} value={`product:${p.id}`}>{p.name}</option>)}
+              </optgroup>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Price change: <span className={priceChange >= 0 ? 'text-green-700' : 'text-red-700'}>{priceChange > 0 ? '+' : ''}{priceChange}%</span>
+            </label>
+            <input
+              type="range"
+              min="-30"
+              max="30"
+              step="1"
+              value={priceChange}
+              onChange={e => setPriceChange(parseInt(e.target.value, 10))}
+              className="w-full accent-purple-600"
+            />
+            <div className="flex justify-between text-xs text-gray-500"><span>-30%</span><span>0</span><span>+30%</span></div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Elasticity override</label>
+            <input
+              type="number"
+              step="0.1"
+              value={elasticityOverride}
+              onChange={e => setElasticityOverride(e.target.value)}
+              placeholder="Use model estimate"
+              className="w-full px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+            <div className="text-xs text-gray-500 mt-1">e.g. -0.5 = volume falls 0.5% per 1% price rise</div>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+          {resultTiles.map(tile => {
+            const delta = pctChange(tile.baseline, tile.projected);
+            const Icon = tile.icon;
+            return (
+              <div key={tile.label} className={`p-4 bg-gray-50 rounded-lg border-l-4 ${tile.border}`}>
+                <div className="flex items-center gap-2 text-sm text-gray-600 mb-1">
+                  <Icon className={`w-4 h-4 ${tile.color}`} /> {tile.label}
+                </div>
+                <div className="text-2xl font-bold">{tile.format(tile.projected)}</div>
+                <div className="text-xs text-gray-500 mt-1">
+                  from {tile.format(tile.baseline)}{' '}
+                  <span className={`font-semibold ${delta >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                    ({delta >= 0 ? '+' : ''}{delta.toFixed(1)}%)
+                  </span>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <h4 className="text-sm font-semibold text-gray-700 mb-2">Sensitivity: change vs. today for each price move</h4>
+        <ResponsiveContainer width="100%" height={260}>
+          <LineChart data={sensitivity}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="change" tickFormatter={v => `${v > 0 ? '+' : ''}${v}%`} />
+            <YAxis tickFormatter={v => `${v}%`} />
+            <Tooltip formatter={(value, name) => [`${value > 0 ? '+' : ''}${value}%`, name]} labelFormatter={v => `Price ${v > 0 ? '+' : ''}${v}%`} />
+            <Legend />
+            <ReferenceLine x={0} stroke="#9CA3AF" />
+            <ReferenceLine y={0} stroke="#9CA3AF" />
+            <Line type="monotone" dataKey="volume" name="Volume" stroke="#1E3A8A" strokeWidth={2} />
+            <Line type="monotone" dataKey="revenue" name="Revenue" stroke="#14B8A6" strokeWidth={2} />
+            <Line type="monotone" dataKey="margin" name="Gross Margin" stroke="#F59E0B" strokeWidth={2} />
+          </LineChart>
+        </ResponsiveContainer>
+
+        {simulation.rows.length > 1 && (
+          <div className="overflow-x-auto mt-6">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b bg-gray-50">
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Product</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Price</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Volume (L/month)</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Revenue</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Margin</th>
+                </tr>
+              </thead>
+              <tbody>
+                {simulation.rows.map(r => (
+                  <tr key={r.id} className="border-b hover:bg-gray-50">
+                    <td className="py-3 px-4 text-sm font-medium">{r.name}</td>
+                    <td className="py-3 px-4 text-sm text-right">{formatCurrency(r.price)} → {formatCurrency(r.newPrice)}</td>
+                    <td className="py-3 px-4 text-sm text-right">{Math.round(r.volume).toLocaleString()} → {Math.round(r.newVolume).toLocaleString()}</td>
+                    <td className="py-3 px-4 text-sm text-right">{formatLargeNumber(r.revenue)} → {formatLargeNumber(r.newRevenue)}</td>
+                    <td className={`py-3 px-4 text-sm text-right font-semibold ${r.newMargin >= r.margin ? 'text-green-700' : 'text-red-700'}`}>
+                      {formatLargeNumber(r.margin)} → {formatLargeNumber(r.newMargin)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Elasticity and discount table */}
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <h3 className="text-lg font-semibold mb-4">Price Elasticity & Realized Discounts</h3>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b bg-gray-50">
+                <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Product</th>
+                <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Category</th>
+                <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">List Price</th>
+                <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Avg Discount</th>
+                <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Sold Below List</th>
+                <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Unit Margin</th>
+                <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Elasticity</th>
+                <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Source</th>
+              </tr>
+            </thead>
+            <tbody>
+              {products.map(p => {
+                const source = SOURCE_STYLES[p.source] || SOURCE_STYLES.prior;
+                return (
+                  <tr key={p.id} className="border-b hover:bg-gray-50">
+                    <td className="py-3 px-4 text-sm font-medium">{p.name}</td>
+                    <td className="py-3 px-4 text-sm">{p.category}</td>
+                    <td className="py-3 px-4 text-sm text-right">{formatCurrency(p.listPrice)}</td>
+                    <td className="py-3 px-4 text-sm text-right">{p.avgDiscount.toFixed(1)}%</td>
+                    <td className="py-3 px-4 text-sm text-right">{(p.discountedShare * 100).toFixed(0)}%</td>
+                    <td className="py-3 px-4 text-sm text-right">
+                      {p.price > 0 ? `${((p.price - p.unitCost) / p.price * 100).toFixed(1)}%` : '—'}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-right font-semibold">
+                      {p.elasticity.toFixed(2)}
+                      <span className="text-xs font-normal text-gray-500"> ± {p.elasticitySe.toFixed(2)}</span>
+                    </td>
+                    <td className="py-3 px-4 text-sm">
+                      <span className={`px-2 py-1 rounded-full text-xs font-semibold ${source.className}`}>{source.label}</span>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="mt-4 p-4 bg-blue-50 border-l-4 border-blue-500 rounded">
+          <p className="text-sm text-gray-700">
+            <strong>AI Insight:</strong> Elasticity is the % change in monthly volume for a 1% price change, from a log-log regression of
+            monthly liters on realized price with the growth trend removed. Each product's estimate is pulled toward its category, and the
+            category toward {elasticityModel?.prior_elasticity ?? -0.8}, in proportion to how little price variation backs it.
+            Baselines are the average of {elasticityModel?.baseline_months?.join(', ') || 'the last 3 months'}.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
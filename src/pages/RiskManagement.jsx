@@ -1,18 +1,31 @@
-import { useMemo } from 'react';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell } from 'recharts';
-import { AlertTriangle, TrendingDown, DollarSign, Users, CheckCircle, XCircle, Bot } from 'lucide-react';
+import { useState, useMemo, Fragment } from 'react';
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell } from 'recharts';
+import { AlertTriangle, TrendingDown, DollarSign, Users, CheckCircle, XCircle, Bot, ChevronDown, ChevronRight } from 'lucide-react';
 import { useTransactions } from '../hooks/useTransactions';
 import { useCustomers } from '../hooks/useCustomers';
-import { usePredictionRun, useMLRiskScores } from '../hooks/usePredictions';
+import { usePredictionRun, useMLRiskScores, useMLInvoicePayments, useRiskScoreHistory } from '../hooks/usePredictions';
 import LoadingSpinner from '../components/LoadingSpinner';
 import ErrorAlert from '../components/ErrorAlert';
 import { formatCurrency, formatLargeNumber, calculateCustomerRisk } from '../utils/dataProcessing';
 
+// Risk model features; defaultWeight is the hand-set weighting of the heuristic, used when no trained model is
+// available (features without one are only used by the trained model)
+const RISK_FEATURES = [
+  { key: 'overdue_ratio', label: 'Overdue Ratio', defaultWeight: '25%', description: 'Payment history', bg: 'bg-blue-50', title: 'text-blue-900', value: 'text-blue-700', note: 'text-blue-600' },
+  { key: 'outstanding_ratio', label: 'Outstanding Ratio', defaultWeight: '20%', description: 'Debt vs revenue', bg: 'bg-red-50', title: 'text-red-900', value: 'text-red-700', note: 'text-red-600' },
+  { key: 'avg_payment_delay', label: 'Avg Pay Delay', defaultWeight: '20%', description: 'Days past due', bg: 'bg-yellow-50', title: 'text-yellow-900', value: 'text-yellow-700', note: 'text-yellow-600' },
+  { key: 'credit_utilization', label: 'Credit Utilization', defaultWeight: '15%', description: 'Usage vs limit', bg: 'bg-green-50', title: 'text-green-900', value: 'text-green-700', note: 'text-green-600' },
+  { key: 'recency_score', label: 'Recency Score', defaultWeight: '10%', description: 'Activity freshness', bg: 'bg-purple-50', title: 'text-purple-900', value: 'text-purple-700', note: 'text-purple-600' },
+  { key: 'partial_payment_ratio', label: 'Partial Payments', defaultWeight: '10%', description: 'Incomplete payments', bg: 'bg-orange-50', title: 'text-orange-900', value: 'text-orange-700', note: 'text-orange-600' },
+  { key: 'late_payment_ratio', label: 'Late Payments', defaultWeight: null, description: 'Paid after due date', bg: 'bg-orange-50', title: 'text-orange-900', value: 'text-orange-700', note: 'text-orange-600' }
+];
+
 export default function RiskManagement() {
   const { data: transactionsData, isLoading: loadingTxn, error: errorTxn, refetch } = useTransactions();
   const { data: customersData, isLoading: loadingCust, error: errorCust } = useCustomers();
   const { data: predictionRun } = usePredictionRun();
   const { data: mlRiskData } = useMLRiskScores(predictionRun?.id);
+  const { data: mlInvoiceData } = useMLInvoicePayments(predictionRun?.id);
 
   if (loadingTxn || loadingCust) {
     return <LoadingSpinner message="Loading risk data..." />;
@@ -24,11 +37,15 @@ export default function RiskManagement() {
     return <LoadingSpinner message="Loading risk data..." />;
   }
 
-  return <RiskContent transactionsData={transactionsData} customersData={customersData} mlRiskData={mlRiskData} predictionRun={predictionRun} />;
+  return <RiskContent transactionsData={transactionsData} customersData={customersData} mlRiskData={mlRiskData} mlInvoiceData={mlInvoiceData} predictionRun={predictionRun} />;
 }
 
-function RiskContent({ transactionsData, customersData, mlRiskData, predictionRun }) {
+function RiskContent({ transactionsData, customersData, mlRiskData, mlInvoiceData, predictionRun }) {
   const hasMLData = mlRiskData && mlRiskData.length > 0;
+  const riskModel = hasMLData ? predictionRun?.risk_model : null;
+  // Runs where the trained model could not be used are scored with the heuristic (method 'heuristic')
+  const trainedModel = riskModel && riskModel.method !== 'heuristic' ? riskModel : null;
+  const [expandedCustomer, setExpandedCustomer] = useState(null);
 
   // Customer risk data — use ML if available, else fallback
   const customerRiskData = useMemo(() => {
@@ -54,6 +71,7 @@ function RiskContent({ transactionsData, customersData, mlRiskData, predictionRu
 
         return {
           code: r.customer_code || r.customer_id,
+          customerId: r.customer_id,
           name: r.customer_name || r.customer_code,
           region: r.region || 'Unknown',
           totalRevenue: 0, // Not stored in ML table, computed below
@@ -66,6 +84,11 @@ function RiskContent({ transactionsData, customersData, mlRiskData, predictionRu
           creditUtilization: parseFloat(r.credit_utilization) || 0,
           recommendation,
           creditLimit,
+          contributions: r.feature_contributions || [],
+          reasons: r.risk_reasons || [],
+          scoreChange: r.risk_score_change !== null && r.risk_score_change !== undefined ? parseFloat(r.risk_score_change) : null,
+          previousLevel: r.previous_risk_level,
+          riskAlert: r.risk_alert,
           isML: true
         };
       });
@@ -116,7 +139,7 @@ function RiskContent({ transactionsData, customersData, mlRiskData, predictionRu
         code, name: customer.customer_name || code, region: customer.region || 'Unknown',
         totalRevenue: stats.totalRevenue, outstanding: stats.outstanding, riskScore, riskLevel,
         delayProbability: riskScore, avgDelayDays: avgDelayDays.toFixed(1),
-        overdueCount: stats.overdueCount, recommendation, creditLimit, isML: false
+        overdueCount: stats.overdueCount, recommendation, creditLimit, contributions: [], reasons: [], isML: false
       };
     }).sort((a, b) => b.riskScore - a.riskScore);
   }, [transactionsData, customersData, mlRiskData, hasMLData]);
@@ -147,6 +170,55 @@ function RiskContent({ transactionsData, customersData, mlRiskData, predictionRu
     ];
   }, [customerRiskData]);
 
+  // Open invoices ranked by the amount not expected within 90 days
+  const invoiceOutlook = useMemo(() => {
+    return (mlInvoiceData || []).map(p => {
+      const outstanding = parseFloat(p.outstanding_amount) || 0;
+      const prob90 = parseFloat(p.prob_paid_90) || 0;
+      return {
+        id: p.id,
+        invoice: p.invoice_number || '—',
+        customer: p.customer_name || p.customer_code || '—',
+        category: p.category || '—',
+        salesperson: p.salesperson || '—',
+        dueDate: p.payment_due_date,
+        daysPastDue: p.days_past_due || 0,
+        outstanding,
+        predictedDate: p.predicted_payment_date,
+        prob30: (parseFloat(p.prob_paid_30) || 0) * 100,
+        prob60: (parseFloat(p.prob_paid_60) || 0) * 100,
+        prob90: prob90 * 100,
+        atRisk: outstanding * (1 - prob90)
+      };
+    }).sort((a, b) => b.atRisk - a.atRisk);
+  }, [mlInvoiceData]);
+  const invoiceSummary = predictionRun?.invoice_payment_summary;
+
+  // Risk score across prediction runs for the customer whose score is being explained
+  const expandedRow = customerRiskData.find(c => c.code === expandedCustomer);
+  const { data: riskHistory } = useRiskScoreHistory(expandedRow?.isML ? expandedRow.customerId : null);
+
+  // Invoice history for the customer whose score is being explained
+  const expandedHistory = useMemo(() => {
+    if (!expandedCustomer) return [];
+    return transactionsData
+      .filter(t => t.customer_code === expandedCustomer)
+      .sort((a, b) => b.transaction_date.localeCompare(a.transaction_date))
+      .slice(0, 12)
+      .map(t => ({
+        invoice: t.invoice_number || t.transaction_code,
+        date: t.transaction_date,
+        amount: parseFloat(t.total_amount) || 0,
+        dueDate: t.payment_due_date,
+        paidDate: t.payment_received_date,
+        outstanding: parseFloat(t.outstanding_amount) || 0,
+        status: t.payment_status,
+        daysLate: t.payment_received_date && t.payment_due_date
+          ? Math.round((new Date(t.payment_received_date) - new Date(t.payment_due_date)) / 86400000)
+          : null
+      }));
+  }, [expandedCustomer, transactionsData]);
+
   // KPIs
   const kpis = useMemo(() => {
     const highRiskCustomers = customerRiskData.filter(c => c.riskLevel === 'High');
@@ -216,43 +288,76 @@ function RiskContent({ transactionsData, customersData, mlRiskData, predictionRu
           <h3 className="text-lg font-semibold">Risk Scoring Methodology</h3>
           {hasMLData && (
             <span className="flex items-center gap-1 px-3 py-1 bg-purple-100 text-purple-800 text-xs font-semibold rounded-full">
-              <Bot className="w-3 h-3" /> AI-Powered (Sigmoid Model)
+              <Bot className="w-3 h-3" /> AI-Powered ({trainedModel ? 'Trained Logistic Regression' : riskModel?.method === 'heuristic' ? 'Heuristic Fallback' : 'Sigmoid Model'})
               {predictionRun && <span className="text-purple-600 ml-1">| {new Date(predictionRun.run_at).toLocaleString()}</span>}
             </span>
           )}
         </div>
         <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-4">
-          <div className="p-4 bg-blue-50 rounded-lg">
-            <div className="font-semibold text-blue-900 mb-2 text-sm">Overdue Ratio</div>
-            <div className="text-2xl font-bold text-blue-700">25%</div>
-            <div className="text-xs text-blue-600 mt-1">Payment history</div>
-          </div>
-          <div className="p-4 bg-red-50 rounded-lg">
-            <div className="font-semibold text-red-900 mb-2 text-sm">Outstanding Ratio</div>
-            <div className="text-2xl font-bold text-red-700">20%</div>
-            <div className="text-xs text-red-600 mt-1">Debt vs revenue</div>
-          </div>
-          <div className="p-4 bg-yellow-50 rounded-lg">
-            <div className="font-semibold text-yellow-900 mb-2 text-sm">Avg Pay Delay</div>
-            <div className="text-2xl font-bold text-yellow-700">20%</div>
-            <div className="text-xs text-yellow-600 mt-1">Days past due</div>
-          </div>
-          <div className="p-4 bg-green-50 rounded-lg">
-            <div className="font-semibold text-green-900 mb-2 text-sm">Credit Utilization</div>
-            <div className="text-2xl font-bold text-green-700">15%</div>
-            <div className="text-xs text-green-600 mt-1">Usage vs limit</div>
-          </div>
-          <div className="p-4 bg-purple-50 rounded-lg">
-            <div className="font-semibold text-purple-900 mb-2 text-sm">Recency Score</div>
-            <div className="text-2xl font-bold text-purple-700">10%</div>
-            <div className="text-xs text-purple-600 mt-1">Activity freshness</div>
+          {RISK_FEATURES.filter(f => (trainedModel ? trainedModel.features.includes(f.key) : f.defaultWeight)).map(f => (
+            <div key={f.key} className={`p-4 ${f.bg} rounded-lg`}>
+              <div className={`font-semibold ${f.title} mb-2 text-sm`}>{f.label}</div>
+              <div className={`text-2xl font-bold ${f.value}`}>
+                {trainedModel ? `${trainedModel.weights[f.key] >= 0 ? '+' : ''}${trainedModel.weights[f.key].toFixed(2)}` : f.defaultWeight}
+              </div>
+              <div className={`text-xs ${f.note} mt-1`}>{trainedModel ? 'Log-odds per std. dev.' : f.description}</div>
+            </div>
+          ))}
+        </div>
+
+        {riskModel?.method === 'heuristic' && (
+          <div className="mt-4 p-4 bg-yellow-50 border-l-4 border-yellow-500 rounded text-sm text-gray-700">
+            <div className="font-semibold text-yellow-800 mb-1">Trained model not used: {riskModel.reason}</div>
+            Scores use the hand-set weights above, with High at {riskModel.risk_levels.high}+ and Medium at {riskModel.risk_levels.medium}+.
+            {riskModel.scaler && ` Features are normalised against bounds fitted as of ${riskModel.scaler.as_of} and reused by later runs until refitted.`}
+            {riskModel.auc !== undefined && riskModel.auc !== null && (
+              ` The unused logistic model scored a test AUC of ${riskModel.auc.toFixed(3)} on the ${riskModel.test_size.toLocaleString()} invoices issued from ${riskModel.split_date}.`
+            )}
           </div>
-          <div className="p-4 bg-orange-50 rounded-lg">
-            <div className="font-semibold text-orange-900 mb-2 text-sm">Partial Payments</div>
-            <div className="text-2xl font-bold text-orange-700">10%</div>
-            <div className="text-xs text-orange-600 mt-1">Incomplete payments</div>
+        )}
+
+        {trainedModel && (
+          <div className="mt-6 grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="p-4 bg-gray-50 rounded-lg">
+              <div className="text-sm text-gray-600 mb-1">Test AUC</div>
+              <div className={`text-3xl font-bold ${trainedModel.auc >= 0.7 ? 'text-green-600' : trainedModel.auc >= 0.6 ? 'text-yellow-600' : 'text-red-600'}`}>
+                {trainedModel.auc !== null ? trainedModel.auc.toFixed(3) : 'n/a'}
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                Label: invoice {trainedModel.label}. Trained on {trainedModel.train_size.toLocaleString()} invoices, tested on the
+                {' '}{trainedModel.test_size.toLocaleString()} issued from {trainedModel.split_date}. Base rate {(trainedModel.positive_rate * 100).toFixed(1)}%.
+                {trainedModel.fitted_at && ` Fitted ${new Date(trainedModel.fitted_at).toLocaleDateString()} and reused by later runs until refitted.`}
+                {trainedModel.auc !== null && trainedModel.auc < 0.6 && ' An AUC near 0.5 means the features barely separate late from on-time payers.'}
+              </p>
+            </div>
+            <div className="lg:col-span-2 overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b bg-gray-50">
+                    <th className="text-left py-2 px-4 text-sm font-semibold text-gray-700">Calibration Bin</th>
+                    <th className="text-right py-2 px-4 text-sm font-semibold text-gray-700">Invoices</th>
+                    <th className="text-right py-2 px-4 text-sm font-semibold text-gray-700">Probability Range</th>
+                    <th className="text-right py-2 px-4 text-sm font-semibold text-gray-700">Predicted</th>
+                    <th className="text-right py-2 px-4 text-sm font-semibold text-gray-700">Observed</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {trainedModel.calibration.map(row => (
+                    <tr key={row.bin} className="border-b">
+                      <td className="py-2 px-4 text-sm">{row.bin}</td>
+                      <td className="py-2 px-4 text-sm text-right">{row.count}</td>
+                      <td className="py-2 px-4 text-sm text-right text-gray-600">
+                        {(row.min_probability * 100).toFixed(1)}–{(row.max_probability * 100).toFixed(1)}%
+                      </td>
+                      <td className="py-2 px-4 text-sm text-right font-semibold">{(row.predicted_rate * 100).toFixed(1)}%</td>
+                      <td className="py-2 px-4 text-sm text-right font-semibold">{(row.observed_rate * 100).toFixed(1)}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
           </div>
-        </div>
+        )}
       </div>
 
       {/* Charts Row */}
@@ -310,49 +415,220 @@ function RiskContent({ transactionsData, customersData, mlRiskData, predictionRu
                 <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Delay Prob</th>
                 <th className="text-center py-3 px-4 text-sm font-semibold text-gray-700">Risk Level</th>
                 <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">AI Recommendation</th>
+                <th className="text-center py-3 px-4 text-sm font-semibold text-gray-700">Why</th>
               </tr>
             </thead>
             <tbody>
               {customerRiskData.slice(0, 20).map((customer, idx) => (
-                <tr key={customer.code} className={`border-b hover:bg-gray-50 ${
-                  customer.riskLevel === 'High' ? 'bg-red-50' :
-                  customer.riskLevel === 'Medium' ? 'bg-yellow-50' : ''
-                }`}>
-                  <td className="py-3 px-4 text-sm font-medium">{customer.name}</td>
-                  <td className="py-3 px-4 text-sm text-gray-600">{customer.region}</td>
-                  <td className="py-3 px-4 text-sm text-right font-semibold">
-                    {formatLargeNumber(customer.outstanding)}
-                  </td>
-                  <td className="py-3 px-4 text-sm text-right">
-                    <span className="font-mono font-semibold">{customer.riskScore.toFixed(0)}/100</span>
-                  </td>
-                  <td className="py-3 px-4 text-sm text-right">
-                    <span className={`font-semibold ${
-                      customer.delayProbability >= 60 ? 'text-red-600' :
-                      customer.delayProbability >= 30 ? 'text-yellow-600' :
-                      'text-green-600'
-                    }`}>
-                      {customer.delayProbability.toFixed(0)}%
-                    </span>
-                  </td>
-                  <td className="py-3 px-4 text-center">
-                    <span className={`px-3 py-1 rounded-full text-xs font-semibold ${
-                      customer.riskLevel === 'High' ? 'bg-red-100 text-red-800' :
-                      customer.riskLevel === 'Medium' ? 'bg-yellow-100 text-yellow-800' :
-                      'bg-green-100 text-green-800'
-                    }`}>
-                      {customer.riskLevel}
-                    </span>
-                  </td>
-                  <td className="py-3 px-4 text-sm text-gray-700">
-                    {customer.recommendation}
-                  </td>
-                </tr>
+                <Fragment key={customer.code}>
+                  <tr className={`border-b hover:bg-gray-50 ${
+                    customer.riskLevel === 'High' ? 'bg-red-50' :
+                    customer.riskLevel === 'Medium' ? 'bg-yellow-50' : ''
+                  }`}>
+                    <td className="py-3 px-4 text-sm font-medium">{customer.name}</td>
+                    <td className="py-3 px-4 text-sm text-gray-600">{customer.region}</td>
+                    <td className="py-3 px-4 text-sm text-right font-semibold">
+                      {formatLargeNumber(customer.outstanding)}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-right">
+                      <span className="font-mono font-semibold">{customer.riskScore.toFixed(0)}/100</span>
+                      {customer.scoreChange !== null && customer.scoreChange !== undefined && Math.abs(customer.scoreChange) >= 1 && (
+                        <span className={`block text-xs ${customer.scoreChange > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                          {customer.scoreChange > 0 ? '▲' : '▼'} {Math.abs(customer.scoreChange).toFixed(0)} since last run
+                        </span>
+                      )}
+                      {(customer.riskAlert === 'level_up' || customer.riskAlert === 'jump') && (
+                        <span className="inline-block mt-1 px-2 py-0.5 bg-red-100 text-red-800 text-xs font-semibold rounded-full">
+                          {customer.riskAlert === 'level_up' ? `Newly ${customer.riskLevel}` : 'Score jump'}
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-right">
+                      <span className={`font-semibold ${
+                        customer.delayProbability >= 60 ? 'text-red-600' :
+                        customer.delayProbability >= 30 ? 'text-yellow-600' :
+                        'text-green-600'
+                      }`}>
+                        {customer.delayProbability.toFixed(0)}%
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 text-center">
+                      <span className={`px-3 py-1 rounded-full text-xs font-semibold ${
+                        customer.riskLevel === 'High' ? 'bg-red-100 text-red-800' :
+                        customer.riskLevel === 'Medium' ? 'bg-yellow-100 text-yellow-800' :
+                        'bg-green-100 text-green-800'
+                      }`}>
+                        {customer.riskLevel}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-700">
+                      {customer.recommendation}
+                    </td>
+                    <td className="py-3 px-4 text-center">
+                      <button
+                        onClick={() => setExpandedCustomer(expandedCustomer === customer.code ? null : customer.code)}
+                        className="inline-flex items-center gap-1 text-xs font-semibold text-primary hover:underline"
+                      >
+                        {expandedCustomer === customer.code ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+                        Why this score
+                      </button>
+                    </td>
+                  </tr>
+                  {expandedCustomer === customer.code && (
+                    <tr className="border-b bg-gray-50">
+                      <td colSpan={8} className="p-4">
+                        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                          <div>
+                            <div className="font-semibold text-sm text-gray-900 mb-2">Feature Contributions</div>
+                            {customer.contributions.length > 0 ? (
+                              <div className="space-y-2">
+                                {customer.contributions.map(c => {
+                                  const maxAbs = Math.max(...customer.contributions.map(x => Math.abs(x.contribution)), 0.0001);
+                                  const width = Math.abs(c.contribution) / maxAbs * 50;
+                                  return (
+                                    <div key={c.feature} className="flex items-center text-xs">
+                                      <div className="w-32 text-gray-700">{RISK_FEATURES.find(f => f.key === c.feature)?.label || c.feature}</div>
+                                      <div className="flex-1 relative h-4 bg-white rounded">
+                                        <div className="absolute top-0 bottom-0 left-1/2 w-px bg-gray-300" />
+                                        <div
+                                          className={`absolute top-0 bottom-0 rounded ${c.contribution > 0 ? 'bg-red-400' : 'bg-green-400'}`}
+                                          style={c.contribution > 0 ? { left: '50%', width: `${width}%` } : { right: '50%', width: `${width}%` }}
+                                        />
+                                      </div>
+                                      <div className="w-16 text-right font-mono">{c.contribution > 0 ? '+' : ''}{c.contribution.toFixed(3)}</div>
+                                    </div>
+                                  );
+                                })}
+                                <p className="text-xs text-gray-500">Log-odds added relative to an average customer; red raises risk, green lowers it.</p>
+                                <ul className="mt-3 space-y-1">
+                                  {customer.reasons.map(reason => (
+                                    <li key={reason} className="text-sm text-gray-700">• {reason}</li>
+                                  ))}
+                                </ul>
+                              </div>
+                            ) : (
+                              <p className="text-sm text-gray-500">Run the AI prediction pipeline to see what drives this score.</p>
+                            )}
+                            {riskHistory && riskHistory.length > 1 && (
+                              <div className="mt-4">
+                                <div className="font-semibold text-sm text-gray-900 mb-2">Risk Score History</div>
+                                <ResponsiveContainer width="100%" height={140}>
+                                  <LineChart data={riskHistory.map(h => ({ run: new Date(h.run_at).toLocaleDateString(), score: h.risk_score }))}>
+                                    <CartesianGrid strokeDasharray="3 3" />
+                                    <XAxis dataKey="run" tick={{ fontSize: 10 }} />
+                                    <YAxis domain={[0, 100]} tick={{ fontSize: 10 }} />
+                                    <Tooltip formatter={(value) => `${value.toFixed(1)}/100`} />
+                                    <Line type="monotone" dataKey="score" name="Risk Score" stroke="#EF4444" strokeWidth={2} />
+                                  </LineChart>
+                                </ResponsiveContainer>
+                              </div>
+                            )}
+                          </div>
+                          <div>
+                            <div className="font-semibold text-sm text-gray-900 mb-2">Recent Invoice History</div>
+                            <table className="w-full">
+                              <thead>
+                                <tr className="border-b">
+                                  <th className="text-left py-1 px-2 text-xs font-semibold text-gray-600">Invoice</th>
+                                  <th className="text-left py-1 px-2 text-xs font-semibold text-gray-600">Date</th>
+                                  <th className="text-right py-1 px-2 text-xs font-semibold text-gray-600">Amount</th>
+                                  <th className="text-left py-1 px-2 text-xs font-semibold text-gray-600">Due</th>
+                                  <th className="text-left py-1 px-2 text-xs font-semibold text-gray-600">Status</th>
+                                  <th className="text-right py-1 px-2 text-xs font-semibold text-gray-600">Days Late</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {expandedHistory.map(inv => (
+                                  <tr key={inv.invoice} className="border-b">
+                                    <td className="py-1 px-2 text-xs font-mono">{inv.invoice}</td>
+                                    <td className="py-1 px-2 text-xs">{inv.date}</td>
+                                    <td className="py-1 px-2 text-xs text-right">{formatLargeNumber(inv.amount)}</td>
+                                    <td className="py-1 px-2 text-xs">{inv.dueDate}</td>
+                                    <td className={`py-1 px-2 text-xs font-semibold ${
+                                      inv.status === 'Overdue' ? 'text-red-600' :
+                                      inv.status === 'Partial' ? 'text-yellow-600' :
+                                      inv.status === 'Paid' ? 'text-green-600' : 'text-gray-600'
+                                    }`}>
+                                      {inv.status}
+                                      {inv.outstanding > 0 && <span className="font-normal text-gray-500"> · {formatLargeNumber(inv.outstanding)} due</span>}
+                                    </td>
+                                    <td className="py-1 px-2 text-xs text-right">{inv.daysLate !== null ? inv.daysLate : '—'}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
               ))}
             </tbody>
           </table>
         </div>
 
+        {/* Open Invoice Payment Predictions */}
+        {invoiceOutlook.length > 0 && (
+          <div className="mt-8">
+            <div className="flex items-center justify-between mb-1">
+              <h3 className="text-lg font-semibold">Open Invoice Payment Predictions</h3>
+              <span className="flex items-center gap-1 px-3 py-1 bg-purple-100 text-purple-800 text-xs font-semibold rounded-full">
+                <Bot className="w-3 h-3" /> Invoice-level
+              </span>
+            </div>
+            <p className="text-xs text-gray-500 mb-4">
+              Predicted from the customer's payment history, invoice size, product category and salesperson.
+              {invoiceSummary && ` ${invoiceSummary.open_invoices} open invoices as of ${invoiceSummary.as_of_date}; ${formatLargeNumber(invoiceSummary.expected_within_90)} of ${formatLargeNumber(invoiceSummary.outstanding)} expected within 90 days.`}
+              {' '}Sorted by amount not expected within 90 days.
+            </p>
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b bg-gray-50">
+                    <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Invoice</th>
+                    <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Customer</th>
+                    <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Salesperson</th>
+                    <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Due</th>
+                    <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Outstanding</th>
+                    <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Predicted Payment</th>
+                    <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">≤30d</th>
+                    <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">≤60d</th>
+                    <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">≤90d</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {invoiceOutlook.slice(0, 20).map(inv => (
+                    <tr key={inv.id} className="border-b hover:bg-gray-50">
+                      <td className="py-3 px-4 text-sm font-mono">{inv.invoice}</td>
+                      <td className="py-3 px-4 text-sm font-medium">
+                        {inv.customer}
+                        <span className="block text-xs text-gray-500">{inv.category}</span>
+                      </td>
+                      <td className="py-3 px-4 text-sm text-gray-600">{inv.salesperson}</td>
+                      <td className="py-3 px-4 text-sm">
+                        {inv.dueDate}
+                        {inv.daysPastDue > 0 && <span className="block text-xs text-red-600">{inv.daysPastDue} days overdue</span>}
+                      </td>
+                      <td className="py-3 px-4 text-sm text-right font-semibold">{formatLargeNumber(inv.outstanding)}</td>
+                      <td className="py-3 px-4 text-sm">
+                        {inv.predictedDate || <span className="text-red-600 font-semibold">Unlikely to pay</span>}
+                      </td>
+                      {[inv.prob30, inv.prob60, inv.prob90].map((prob, i) => (
+                        <td key={i} className={`py-3 px-4 text-sm text-right font-semibold ${
+                          prob >= 70 ? 'text-green-600' : prob >= 30 ? 'text-yellow-600' : 'text-red-600'
+                        }`}>
+                          {prob.toFixed(0)}%
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
         {/* AI Action Suggestions */}
         <div className="mt-6 grid grid-cols-1 md:grid-cols-3 gap-4">
           <div className="p-4 bg-red-50 border-l-4 border-red-500 rounded">
@@ -1,18 +1,49 @@
 import { useState, useMemo } from 'react';
-import { BarChart, Bar, AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
-import { TrendingUp, Users, Package, MapPin, Calendar, Bot } from 'lucide-react';
+import { BarChart, Bar, AreaChart, Area, ComposedChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { TrendingUp, Users, Package, MapPin, Calendar, Bot, Target } from 'lucide-react';
 import { useTransactions } from '../hooks/useTransactions';
 import { useProducts } from '../hooks/useProducts';
 import { usePredictionRun, useMLDemand } from '../hooks/usePredictions';
+import { useSalesTargets } from '../hooks/useSalesTargets';
 import LoadingSpinner from '../components/LoadingSpinner';
 import ErrorAlert from '../components/ErrorAlert';
 import { formatCurrency, formatLargeNumber } from '../utils/dataProcessing';
+import { salespersonKey, buildTargetActuals, targetsBy, achievementBySalesperson, projectMonthEnd } from '../utils/salesTargets';
+
+const MODEL_LABELS = {
+  linear_regression: 'Linear Regression',
+  holt: 'Holt Trend',
+  holt_winters: 'Holt-Winters Seasonal',
+  croston_sba: 'Croston/SBA Intermittent'
+};
+
+const TARGET_VIEWS = [
+  { value: 'salesperson', label: 'By Salesperson' },
+  { value: 'region', label: 'By Region' },
+  { value: 'salesperson_region', label: 'By Salesperson × Region' }
+];
+
+const SOURCE_LABELS = {
+  transactions: 'Transactions',
+  reported: 'Reported',
+  none: 'No data'
+};
+
+// Achievement colour: at or above target, within 15% of it, or behind
+const achievementClass = (pct) => (
+  pct === null || pct === undefined ? 'bg-gray-100 text-gray-600' :
+  pct >= 100 ? 'bg-green-100 text-green-800' :
+  pct >= 85 ? 'bg-yellow-100 text-yellow-800' :
+  'bg-red-100 text-red-800'
+);
 
 export default function SalesIntelligence() {
   const { data: transactionsData, isLoading: loadingTxn, error: errorTxn, refetch } = useTransactions();
   const { data: productsData, isLoading: loadingProd, error: errorProd } = useProducts();
   const { data: predictionRun } = usePredictionRun();
   const { data: mlDemandData } = useMLDemand(predictionRun?.id);
+  const { data: mlRegionalDemandData } = useMLDemand(predictionRun?.id, 'product_region');
+  const { data: salesTargets } = useSalesTargets();
 
   if (loadingTxn || loadingProd) {
     return <LoadingSpinner message="Loading sales data..." />;
@@ -24,13 +55,16 @@ export default function SalesIntelligence() {
     return <LoadingSpinner message="Loading sales data..." />;
   }
 
-  return <SalesIntelligenceContent transactionsData={transactionsData} productsData={productsData} mlDemandData={mlDemandData} predictionRun={predictionRun} />;
+  return <SalesIntelligenceContent transactionsData={transactionsData} productsData={productsData} mlDemandData={mlDemandData} mlRegionalDemandData={mlRegionalDemandData} predictionRun={predictionRun} salesTargets={salesTargets || []} />;
 }
 
-function SalesIntelligenceContent({ transactionsData, productsData, mlDemandData, predictionRun }) {
+function SalesIntelligenceContent({ transactionsData, productsData, mlDemandData, mlRegionalDemandData, predictionRun, salesTargets }) {
   const [selectedRegion, setSelectedRegion] = useState('All');
   const [selectedCategory, setSelectedCategory] = useState('All');
   const [selectedPeriod, setSelectedPeriod] = useState('12');
+  const [forecastProduct, setForecastProduct] = useState('All');
+  const [targetMonth, setTargetMonth] = useState('');
+  const [targetView, setTargetView] = useState('salesperson');
 
   // Filter transactions based on selections
   const filteredTransactions = useMemo(() => {
@@ -129,13 +163,29 @@ function SalesIntelligenceContent({ transactionsData, productsData, mlDemandData
       .sort((a, b) => a.month.localeCompare(b.month));
   }, [filteredTransactions, productsData]);
 
+  // Demand forecasts and history for the selected region: product × region forecasts
+  // when a region is picked, product-level forecasts for All
+  const demandData = useMemo(() => {
+    if (selectedRegion === 'All') return mlDemandData;
+    return (mlRegionalDemandData || []).filter(p => p.dimension_key === selectedRegion);
+  }, [selectedRegion, mlDemandData, mlRegionalDemandData]);
+
+  const demandTransactions = useMemo(() => {
+    if (selectedRegion === 'All') return transactionsData;
+    return transactionsData.filter(t => t.region === selectedRegion);
+  }, [selectedRegion, transactionsData]);
+
   // Demand Prediction — use ML data if available, else fallback
   const demandPrediction = useMemo(() => {
     // ML-powered predictions
-    if (mlDemandData && mlDemandData.length > 0) {
+    if (demandData && demandData.length > 0) {
+      // Backtest results recorded on the run, keyed by product_id
+      const selectionByProduct = {};
+      (predictionRun?.model_selection?.sales || []).forEach(s => { selectionByProduct[s.product_id] = s; });
+
       // Group ML predictions by product (take next month only for the table)
       const productPredictions = {};
-      mlDemandData.forEach(p => {
+      demandData.forEach(p => {
         const code = p.product_code;
         if (!code) return;
         if (!productPredictions[code]) {
@@ -147,7 +197,11 @@ function SalesIntelligenceContent({ transactionsData, productsData, mlDemandData
             confidence: Math.round((parseFloat(p.confidence_score) || 0) * 100),
             trend: p.trend_direction === 'up' ? 'up' : 'down',
             growthRate: parseFloat(p.growth_rate) || 0,
+            lower80: Math.round(parseFloat(p.lower_bound_80) || 0),
+            upper80: Math.round(parseFloat(p.upper_bound_80) || 0),
+            hasInterval: p.lower_bound_80 !== null && p.lower_bound_80 !== undefined,
             model: p.model_used,
+            backtest: selectionByProduct[p.product_id] || null,
             isML: true
           };
         }
@@ -156,7 +210,7 @@ function SalesIntelligenceContent({ transactionsData, productsData, mlDemandData
       // Calculate avg monthly sale from transaction data for each product
       productsData.forEach(product => {
         if (productPredictions[product.product_code]) {
-          const productTxns = transactionsData.filter(t => t.product_code === product.product_code);
+          const productTxns = demandTransactions.filter(t => t.product_code === product.product_code);
           const totalQty = productTxns.reduce((sum, t) => sum + (parseFloat(t.quantity_liters) || 0), 0);
           const months = new Set(productTxns.map(t => t.transaction_date.substring(0, 7))).size || 1;
           productPredictions[product.product_code].avgMonthlySale = Math.round(totalQty / months);
@@ -171,7 +225,7 @@ function SalesIntelligenceContent({ transactionsData, productsData, mlDemandData
     // Fallback: client-side calculation
     const productStats = {};
     productsData.forEach(product => {
-      const productTxns = transactionsData.filter(t => t.product_code === product.product_code);
+      const productTxns = demandTransactions.filter(t => t.product_code === product.product_code);
       if (productTxns.length > 0) {
         const totalQty = productTxns.reduce((sum, t) => sum + (parseFloat(t.quantity_liters) || 0), 0);
         const months = new Set(productTxns.map(t => t.transaction_date.substring(0, 7))).size;
@@ -186,14 +240,47 @@ function SalesIntelligenceContent({ transactionsData, productsData, mlDemandData
           category: product.category,
           avgMonthlySale: Math.round(avgMonthly),
           predictedNextMonth: Math.round(avgMonthly * growthFactor),
-          confidence: Math.min(95, Math.round(70 + (productTxns.length / transactionsData.length) * 500)),
+          confidence: Math.min(95, Math.round(70 + (productTxns.length / demandTransactions.length) * 500)),
           trend: growthFactor > 1 ? 'up' : 'down',
           isML: false
         };
       }
     });
     return Object.values(productStats).sort((a, b) => b.avgMonthlySale - a.avgMonthlySale).slice(0, 10);
-  }, [transactionsData, productsData, mlDemandData]);
+  }, [demandTransactions, productsData, demandData, predictionRun]);
+
+  // Target vs actual per target row (salesperson × region × month)
+  const targetRows = useMemo(() => buildTargetActuals(salesTargets, transactionsData), [salesTargets, transactionsData]);
+
+  const targetMonths = useMemo(() => [...new Set(targetRows.map(r => r.month))].sort().reverse(), [targetRows]);
+  const activeTargetMonth = targetMonth || targetMonths[0] || '';
+
+  const targetComparison = useMemo(() => {
+    const rows = selectedRegion === 'All' ? targetRows : targetRows.filter(r => r.region === selectedRegion);
+    return targetsBy(rows, activeTargetMonth, targetView).map(g => ({
+      ...g,
+      label: targetView === 'salesperson' ? g.salesperson
+        : targetView === 'region' ? g.region
+          : `${g.salesperson} (${g.region})`
+    }));
+  }, [targetRows, activeTargetMonth, targetView, selectedRegion]);
+
+  // Leaderboard achievement over the target months in the selected period
+  const leaderboardAchievement = useMemo(() => {
+    const cutoffDate = new Date();
+    cutoffDate.setMonth(cutoffDate.getMonth() - parseInt(selectedPeriod));
+    return achievementBySalesperson(targetRows, {
+      fromMonth: cutoffDate.toISOString().substring(0, 7),
+      region: selectedRegion === 'All' ? null : selectedRegion
+    });
+  }, [targetRows, selectedPeriod, selectedRegion]);
+
+  // Projected month-end achievement for the open month
+  const monthEndProjection = useMemo(() => {
+    const projection = projectMonthEnd(salesTargets, transactionsData, mlRegionalDemandData || []);
+    if (!projection || selectedRegion === 'All') return projection;
+    return { ...projection, rows: projection.rows.filter(r => r.region === selectedRegion) };
+  }, [salesTargets, transactionsData, mlRegionalDemandData, selectedRegion]);
 
   // KPIs
   const kpis = useMemo(() => {
@@ -210,6 +297,74 @@ function SalesIntelligenceContent({ transactionsData, productsData, mlDemandData
     };
   }, [filteredTransactions]);
 
+  // Demand forecast chart — recent actuals + ML forecast with 80% / 95% interval bands
+  const demandForecastChart = useMemo(() => {
+    if (!demandData || demandData.length === 0) return [];
+
+    const preds = forecastProduct === 'All'
+      ? demandData
+      : demandData.filter(p => p.product_code === forecastProduct);
+    const txns = forecastProduct === 'All'
+      ? demandTransactions
+      : demandTransactions.filter(t => t.product_code === forecastProduct);
+
+    const actualByMonth = {};
+    txns.forEach(t => {
+      const month = t.transaction_date.substring(0, 7);
+      actualByMonth[month] = (actualByMonth[month] || 0) + (parseFloat(t.quantity_liters) || 0);
+    });
+    const history = Object.entries(actualByMonth)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .slice(-12)
+      .map(([month, qty]) => ({ month, actual: Math.round(qty) }));
+
+    // Sum point forecasts across products; combine interval half-widths as √Σ² (independent errors)
+    const bound = (value, fallback) => (value === null || value === undefined ? fallback : parseFloat(value));
+    const forecastByMonth = {};
+    preds.forEach(p => {
+      const month = p.prediction_month.substring(0, 7);
+      const qty = parseFloat(p.predicted_quantity) || 0;
+      if (!forecastByMonth[month]) forecastByMonth[month] = { qty: 0, lo80: 0, hi80: 0, lo95: 0, hi95: 0 };
+      const f = forecastByMonth[month];
+      f.qty += qty;
+      f.lo80 += Math.pow(qty - bound(p.lower_bound_80, qty), 2);
+      f.hi80 += Math.pow(bound(p.upper_bound_80, qty) - qty, 2);
+      f.lo95 += Math.pow(qty - bound(p.lower_bound_95, qty), 2);
+      f.hi95 += Math.pow(bound(p.upper_bound_95, qty) - qty, 2);
+    });
+    const forecast = Object.entries(forecastByMonth)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([month, f]) => ({
+        month,
+        predicted: Math.round(f.qty),
+        band80: [Math.round(Math.max(0, f.qty - Math.sqrt(f.lo80))), Math.round(f.qty + Math.sqrt(f.hi80))],
+        band95: [Math.round(Math.max(0, f.qty - Math.sqrt(f.lo95))), Math.round(f.qty + Math.sqrt(f.hi95))]
+      }));
+
+    // Anchor the forecast line and bands on the last actual month so they connect
+    if (history.length > 0 && forecast.length > 0) {
+      const last = history[history.length - 1];
+      last.predicted = last.actual;
+      last.band80 = [last.actual, last.actual];
+      last.band95 = [last.actual, last.actual];
+    }
+
+    return [...history, ...forecast];
+  }, [demandData, demandTransactions, forecastProduct]);
+
+  const forecastProducts = useMemo(() => {
+    if (!demandData) return [];
+    const seen = {};
+    demandData.forEach(p => { if (p.product_code) seen[p.product_code] = p.product_name; });
+    return Object.entries(seen).sort(([, a], [, b]) => (a || '').localeCompare(b || ''));
+  }, [demandData]);
+
+  // Distinct ML models behind the current predictions, for labelling
+  const modelNames = useMemo(() => {
+    if (!demandData || demandData.length === 0) return [];
+    return [...new Set(demandData.map(p => MODEL_LABELS[p.model_used] || p.model_used).filter(Boolean))];
+  }, [demandData]);
+
   const regions = useMemo(() => ['All', ...new Set(transactionsData.map(t => t.region).filter(Boolean))], [transactionsData]);
   const categories = useMemo(() => ['All', ...new Set(productsData.map(p => p.category).filter(Boolean))], [productsData]);
   const periods = [
@@ -340,32 +495,223 @@ function SalesIntelligenceContent({ transactionsData, productsData, mlDemandData
                   <th className="text-right py-2 px-3 text-sm font-semibold text-gray-700">Revenue</th>
                   <th className="text-right py-2 px-3 text-sm font-semibold text-gray-700">Orders</th>
                   <th className="text-right py-2 px-3 text-sm font-semibold text-gray-700">Avg Deal</th>
+                  <th className="text-right py-2 px-3 text-sm font-semibold text-gray-700">vs Target</th>
                 </tr>
               </thead>
               <tbody>
-                {salesBySalesperson.slice(0, 5).map((person, idx) => (
-                  <tr key={person.name} className="border-b hover:bg-gray-50">
-                    <td className="py-2 px-3 text-sm">
-                      <span className={`inline-flex items-center justify-center w-6 h-6 rounded-full text-xs font-bold ${
-                        idx === 0 ? 'bg-yellow-100 text-yellow-800' :
-                        idx === 1 ? 'bg-gray-100 text-gray-800' :
-                        idx === 2 ? 'bg-orange-100 text-orange-800' :
-                        'bg-blue-50 text-blue-800'
-                      }`}>
-                        {idx + 1}
-                      </span>
-                    </td>
-                    <td className="py-2 px-3 text-sm font-medium">{person.name}</td>
-                    <td className="py-2 px-3 text-sm text-right">{formatLargeNumber(person.revenue)}</td>
-                    <td className="py-2 px-3 text-sm text-right">{person.transactions}</td>
-                    <td className="py-2 px-3 text-sm text-right">{formatLargeNumber(person.avgDeal)}</td>
+                {salesBySalesperson.slice(0, 5).map((person, idx) => {
+                  const achievement = leaderboardAchievement[salespersonKey(person.name)] ?? null;
+                  return (
+                    <tr key={person.name} className="border-b hover:bg-gray-50">
+                      <td className="py-2 px-3 text-sm">
+                        <span className={`inline-flex items-center justify-center w-6 h-6 rounded-full text-xs font-bold ${
+                          idx === 0 ? 'bg-yellow-100 text-yellow-800' :
+                          idx === 1 ? 'bg-gray-100 text-gray-800' :
+                          idx === 2 ? 'bg-orange-100 text-orange-800' :
+                          'bg-blue-50 text-blue-800'
+                        }`}>
+                          {idx + 1}
+                        </span>
+                      </td>
+                      <td className="py-2 px-3 text-sm font-medium">{person.name}</td>
+                      <td className="py-2 px-3 text-sm text-right">{formatLargeNumber(person.revenue)}</td>
+                      <td className="py-2 px-3 text-sm text-right">{person.transactions}</td>
+                      <td className="py-2 px-3 text-sm text-right">{formatLargeNumber(person.avgDeal)}</td>
+                      <td className="py-2 px-3 text-sm text-right">
+                        {achievement !== null ? (
+                          <span className={`px-2 py-1 rounded-full text-xs font-medium ${achievementClass(achievement)}`}>
+                            {Math.round(achievement)}%
+                          </span>
+                        ) : (
+                          <span className="text-gray-400">—</span>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {/* Target vs Actual */}
+      {targetMonths.length > 0 ? (
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold flex items-center">
+              <Target className="w-5 h-5 mr-2" />
+              Target vs Actual{selectedRegion !== 'All' && ` — ${selectedRegion}`}
+            </h3>
+            <div className="flex items-center gap-2">
+              <select
+                value={targetView}
+                onChange={(e) => setTargetView(e.target.value)}
+                className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary focus:border-transparent"
+              >
+                {TARGET_VIEWS.map(v => (
+                  <option key={v.value} value={v.value}>{v.label}</option>
+                ))}
+              </select>
+              <select
+                value={activeTargetMonth}
+                onChange={(e) => setTargetMonth(e.target.value)}
+                className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary focus:border-transparent"
+              >
+                {targetMonths.map(month => (
+                  <option key={month} value={month}>{month}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {targetComparison.length > 0 ? (
+            <>
+              <ResponsiveContainer width="100%" height={300}>
+                <BarChart data={targetComparison}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+                  <YAxis tickFormatter={(value) => formatLargeNumber(value)} />
+                  <Tooltip formatter={(value) => formatCurrency(value)} />
+                  <Legend />
+                  <Bar dataKey="target" fill="#9CA3AF" name="Target" />
+                  <Bar dataKey="actual" fill="#1E3A8A" name="Actual" />
+                </BarChart>
+              </ResponsiveContainer>
+
+              <div className="overflow-x-auto mt-4">
+                <table className="w-full">
+                  <thead>
+                    <tr className="border-b bg-gray-50">
+                      {targetView !== 'region' && <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Salesperson</th>}
+                      {targetView !== 'salesperson' && <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Region</th>}
+                      <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Target</th>
+                      <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Actual</th>
+                      <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Gap</th>
+                      <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Achievement</th>
+                      <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Actual From</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {targetComparison.map(row => (
+                      <tr key={row.key} className="border-b hover:bg-gray-50">
+                        {targetView !== 'region' && <td className="py-3 px-4 text-sm font-medium">{row.salesperson}</td>}
+                        {targetView !== 'salesperson' && <td className="py-3 px-4 text-sm">{row.region}</td>}
+                        <td className="py-3 px-4 text-sm text-right">{formatCurrency(row.target)}</td>
+                        <td className="py-3 px-4 text-sm text-right">{formatCurrency(row.actual)}</td>
+                        <td className={`py-3 px-4 text-sm text-right ${row.gap >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                          {row.gap >= 0 ? '+' : ''}{formatCurrency(row.gap)}
+                        </td>
+                        <td className="py-3 px-4 text-sm text-right">
+                          <span className={`px-2 py-1 rounded-full text-xs font-medium ${achievementClass(row.achievementPct)}`}>
+                            {row.achievementPct !== null ? `${row.achievementPct.toFixed(1)}%` : '—'}
+                          </span>
+                        </td>
+                        <td className="py-3 px-4 text-sm text-gray-600">{row.sources.map(s => SOURCE_LABELS[s] || s).join(' + ')}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="mt-4 p-4 bg-blue-50 border-l-4 border-blue-500 rounded">
+                <p className="text-sm text-gray-700">
+                  <strong>AI Insight:</strong> Actuals come from recorded transactions for the target's salesperson, region and month
+                  (salespeople matched on first name and last initial, e.g. &ldquo;Amit Patel&rdquo; ↔ &ldquo;Amit P.&rdquo;).
+                  Where no transactions are recorded for that salesperson or month, the sales figure reported with the target is shown instead.
+                </p>
+              </div>
+            </>
+          ) : (
+            <p className="text-sm text-gray-500">No targets set for {activeTargetMonth}{selectedRegion !== 'All' && ` in ${selectedRegion}`}.</p>
+          )}
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h3 className="text-lg font-semibold mb-2 flex items-center">
+            <Target className="w-5 h-5 mr-2" />
+            Target vs Actual
+          </h3>
+          <p className="text-sm text-gray-600">
+            No sales targets loaded. Create the <code>sales_targets</code> table from <code>setup-database.sql</code> and run <code>npm run load-data</code>.
+          </p>
+        </div>
+      )}
+
+      {/* Projected Month-End Achievement */}
+      {monthEndProjection && monthEndProjection.rows.length > 0 && (
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">
+              Projected Month-End Achievement — {monthEndProjection.month}{selectedRegion !== 'All' && ` — ${selectedRegion}`}
+            </h3>
+            <span className="flex items-center gap-1 px-3 py-1 bg-purple-100 text-purple-800 text-xs font-semibold rounded-full">
+              <Bot className="w-3 h-3" /> {monthEndProjection.elapsed > 0 ? 'Run Rate + Demand Forecast' : 'Demand Forecast'}
+            </span>
+          </div>
+          {monthEndProjection.carriedFrom && (
+            <div className="p-4 mb-4 bg-yellow-50 border-l-4 border-yellow-500 rounded">
+              <p className="text-sm text-gray-700">
+                No targets are set for {monthEndProjection.month}; each salesperson's latest target (from {monthEndProjection.carriedFrom}) is used.
+              </p>
+            </div>
+          )}
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b bg-gray-50">
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Salesperson</th>
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Region</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Target</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Month to Date</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Run-Rate Pace</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Forecast Pace</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Projected</th>
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Projected Achievement</th>
+                </tr>
+              </thead>
+              <tbody>
+                {monthEndProjection.rows.map(row => (
+                  <tr key={`${row.salesperson}|${row.region}`} className="border-b hover:bg-gray-50">
+                    <td className="py-3 px-4 text-sm font-medium">{row.salesperson}</td>
+                    <td className="py-3 px-4 text-sm">{row.region}</td>
+                    <td className="py-3 px-4 text-sm text-right">{formatCurrency(row.target)}</td>
+                    {row.tracked ? (
+                      <>
+                        <td className="py-3 px-4 text-sm text-right">{formatCurrency(row.mtd)}</td>
+                        <td className="py-3 px-4 text-sm text-right">{row.runRateProjection !== null ? formatCurrency(row.runRateProjection) : '—'}</td>
+                        <td className="py-3 px-4 text-sm text-right">
+                          {formatCurrency(row.forecastProjection)}
+                          <span className="block text-xs text-gray-400">
+                            {row.forecastSource === 'forecast' ? `${(row.regionShare * 100).toFixed(0)}% of region forecast` : 'trailing average'}
+                          </span>
+                        </td>
+                        <td className="py-3 px-4 text-sm text-right font-semibold">{formatCurrency(row.projected)}</td>
+                        <td className="py-3 px-4 text-sm text-right">
+                          <span className={`px-2 py-1 rounded-full text-xs font-medium ${achievementClass(row.projectedAchievementPct)}`}>
+                            {row.projectedAchievementPct !== null ? `${row.projectedAchievementPct.toFixed(1)}%` : '—'}
+                          </span>
+                        </td>
+                      </>
+                    ) : (
+                      <td colSpan={5} className="py-3 px-4 text-sm text-gray-500">No transactions recorded for this salesperson</td>
+                    )}
                   </tr>
                 ))}
               </tbody>
             </table>
           </div>
+
+          <div className="mt-4 p-4 bg-blue-50 border-l-4 border-blue-500 rounded">
+            <p className="text-sm text-gray-700">
+              <strong>AI Insight:</strong> Transactions run to {monthEndProjection.asOf} ({monthEndProjection.elapsed} of {monthEndProjection.totalDays} days of {monthEndProjection.month}).
+              The remaining days are projected at a blend of the month-to-date daily run rate ({Math.round(monthEndProjection.runRateWeight * 100)}% weight, growing as the month progresses)
+              and the salesperson's share of their region's revenue over the last 3 months applied to the regional demand forecast.
+              {!(mlRegionalDemandData && mlRegionalDemandData.length > 0) && <> Run <code>npm run predict</code> to use the ML demand forecast instead of the trailing average.</>}
+            </p>
+          </div>
         </div>
-      </div>
+      )}
 
       {/* Product-wise Sales Trend */}
       <div className="bg-white rounded-lg shadow-md p-6 mb-6">
@@ -385,13 +731,51 @@ function SalesIntelligenceContent({ transactionsData, productsData, mlDemandData
         </ResponsiveContainer>
       </div>
 
+      {/* Demand Forecast with Prediction Intervals */}
+      {demandForecastChart.length > 0 && (
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">
+              AI Demand Forecast with Prediction Intervals{selectedRegion !== 'All' && ` — ${selectedRegion}`}
+            </h3>
+            <select
+              value={forecastProduct}
+              onChange={(e) => setForecastProduct(e.target.value)}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary focus:border-transparent"
+            >
+              <option value="All">All Products</option>
+              {forecastProducts.map(([code, name]) => (
+                <option key={code} value={code}>{name || code}</option>
+              ))}
+            </select>
+          </div>
+          <ResponsiveContainer width="100%" height={300}>
+            <ComposedChart data={demandForecastChart}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="month" tick={{ fontSize: 12 }} />
+              <YAxis tickFormatter={(value) => `${Math.round(value / 1000)}K L`} />
+              <Tooltip formatter={(value) => Array.isArray(value)
+                ? `${value[0].toLocaleString()} – ${value[1].toLocaleString()} L`
+                : `${value.toLocaleString()} L`} />
+              <Legend />
+              <Area type="monotone" dataKey="band95" stroke="none" fill="#14B8A6" fillOpacity={0.15} name="95% Interval" />
+              <Area type="monotone" dataKey="band80" stroke="none" fill="#14B8A6" fillOpacity={0.3} name="80% Interval" />
+              <Line type="monotone" dataKey="actual" stroke="#1E3A8A" strokeWidth={2} dot={{ r: 3 }} name="Actual (L)" />
+              <Line type="monotone" dataKey="predicted" stroke="#14B8A6" strokeWidth={2} strokeDasharray="5 5" dot={{ r: 3 }} name="Forecast (L)" />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
       {/* Demand Prediction */}
       <div className="bg-white rounded-lg shadow-md p-6">
         <div className="flex items-center justify-between mb-4">
-          <h3 className="text-lg font-semibold">AI Demand Prediction - Top 10 Products</h3>
+          <h3 className="text-lg font-semibold">
+            AI Demand Prediction - Top 10 Products{selectedRegion !== 'All' && ` — ${selectedRegion} Region`}
+          </h3>
           {demandPrediction[0]?.isML && (
             <span className="flex items-center gap-1 px-3 py-1 bg-purple-100 text-purple-800 text-xs font-semibold rounded-full">
-              <Bot className="w-3 h-3" /> AI-Powered (Linear Regression)
+              <Bot className="w-3 h-3" /> AI-Powered ({modelNames.join(' + ')})
             </span>
           )}
         </div>
@@ -404,6 +788,7 @@ function SalesIntelligenceContent({ transactionsData, productsData, mlDemandData
                 <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Avg Monthly Sale</th>
                 <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Predicted Next Month</th>
                 <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Confidence</th>
+                <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Model</th>
                 <th className="text-center py-3 px-4 text-sm font-semibold text-gray-700">Trend</th>
               </tr>
             </thead>
@@ -415,6 +800,11 @@ function SalesIntelligenceContent({ transactionsData, productsData, mlDemandData
                   <td className="py-3 px-4 text-sm text-right">{item.avgMonthlySale.toLocaleString()} L</td>
                   <td className="py-3 px-4 text-sm text-right font-semibold text-primary">
                     {item.predictedNextMonth.toLocaleString()} L
+                    {item.hasInterval && (
+                      <span className="block text-xs font-normal text-gray-500">
+                        80%: {item.lower80.toLocaleString()} – {item.upper80.toLocaleString()} L
+                      </span>
+                    )}
                   </td>
                   <td className="py-3 px-4 text-sm text-right">
                     <span className={`px-2 py-1 rounded-full text-xs font-medium ${
@@ -425,6 +815,18 @@ function SalesIntelligenceContent({ transactionsData, productsData, mlDemandData
                       {item.confidence}%
                     </span>
                   </td>
+                  <td className="py-3 px-4 text-sm text-gray-600">
+                    {item.model ? (
+                      <span title={item.backtest?.candidates
+                        ?.map(c => `${MODEL_LABELS[c.model] || c.model}: MAPE ${c.mape !== null ? (c.mape * 100).toFixed(1) + '%' : 'n/a'}, RMSE ${Math.round(c.rmse).toLocaleString()}`)
+                        .join('\n')}>
+                        {MODEL_LABELS[item.model] || item.model}
+                        {item.backtest?.mape !== null && item.backtest?.mape !== undefined && (
+                          <span className="block text-xs text-gray-400">Backtest MAPE {(item.backtest.mape * 100).toFixed(1)}%</span>
+                        )}
+                      </span>
+                    ) : '—'}
+                  </td>
                   <td className="py-3 px-4 text-center">
                     {item.trend === 'up' ? (
                       <TrendingUp className="w-5 h-5 text-green-600 inline" />
@@ -442,8 +844,11 @@ function SalesIntelligenceContent({ transactionsData, productsData, mlDemandData
           <p className="text-sm text-gray-700">
             {demandPrediction[0]?.isML ? (
               <>
-                <strong>AI Insight:</strong> Predictions generated using Linear Regression (least squares) on {transactionsData.length.toLocaleString()} historical transactions.
-                R² confidence reflects how well the model fits each product's demand pattern.
+                <strong>AI Insight:</strong> Predictions generated using {modelNames.join(' and ')} on {transactionsData.length.toLocaleString()} historical transactions.
+                {predictionRun?.holdout_months
+                  ? ` Each product's model was picked by backtesting every candidate on the last ${predictionRun.holdout_months} months (hover a model to compare).`
+                  : ' Products with 12+ months of history use the seasonal model to capture monsoon and festive-season demand.'}
+                Confidence reflects how narrow each forecast's 95% prediction interval is; the shaded bands above show the 80% and 95% ranges.
                 {predictionRun && <span className="text-gray-500"> Last run: {new Date(predictionRun.run_at).toLocaleString()}</span>}
               </>
             ) : (
@@ -0,0 +1,436 @@
+import { useState, useMemo } from 'react';
+import { ClipboardList, Scale, AlertTriangle, DollarSign, Download, Plus } from 'lucide-react';
+import { useProducts } from '../hooks/useProducts';
+import { useInventory, useStockLevels, useInventoryLedger, useRecordMovements } from '../hooks/useInventory';
+import { useWarehouses } from '../hooks/useWarehouses';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ErrorAlert from '../components/ErrorAlert';
+import { formatCurrency, formatLargeNumber, downloadCSV } from '../utils/dataProcessing';
+import { MOVEMENT_TYPES, RECONCILIATION_TOLERANCE, reconcileStock } from '../utils/inventoryLedger';
+import { mainDepot } from '../utils/depots';
+
+const STATUS_STYLES = {
+  matched: { label: 'Matched', className: 'bg-green-100 text-green-800' },
+  variance: { label: 'Variance', className: 'bg-red-100 text-red-800' },
+  no_ledger: { label: 'No ledger', className: 'bg-gray-100 text-gray-700' },
+};
+
+const RECONCILIATION_COLUMNS = [
+  { label: 'Product Code', value: (r) => r.productCode },
+  { label: 'Product', value: (r) => r.productName },
+  { label: 'Category', value: (r) => r.category },
+  { label: 'Ledger Stock (L)', value: (r) => (r.ledgerStock !== null ? r.ledgerStock.toFixed(2) : '') },
+  { label: 'Snapshot Stock (L)', value: (r) => r.snapshotStock.toFixed(2) },
+  { label: 'Difference (L)', value: (r) => (r.difference !== null ? r.difference.toFixed(2) : '') },
+  { label: 'Difference %', value: (r) => (r.differencePct !== null ? r.differencePct.toFixed(2) : '') },
+  { label: 'Difference Value', value: (r) => r.differenceValue.toFixed(2) },
+  { label: 'Movements', value: (r) => r.movementCount },
+  { label: 'Last Movement', value: (r) => r.lastMovementDate || '' },
+  { label: 'Status', value: (r) => STATUS_STYLES[r.status].label }
+];
+
+// Movement types that can be entered by hand; the sign is applied from the type.
+// 'depot_transfer' posts a transfer_out / transfer_in pair between two depots
+const MANUAL_TYPES = ['adjustment', 'transfer_in', 'transfer_out', 'receipt'];
+const DEPOT_TRANSFER = { label: 'Depot transfer' };
+
+const inputClass = 'w-full px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent';
+
+const today = () => new Date().toISOString().substring(0, 10);
+
+export default function StockLedger() {
+  const { data: productsData, isLoading: loadingProd, error: errorProd, refetch } = useProducts();
+  const { data: inventoryData, isLoading: loadingInv, error: errorInv } = useInventory();
+  const { data: stockLevels, isLoading: loadingLedger, error: errorLedger } = useStockLevels();
+  const { data: warehouses } = useWarehouses();
+
+  if (loadingProd || loadingInv || loadingLedger) {
+    return <LoadingSpinner message="Loading stock ledger..." />;
+  }
+  if (errorProd || errorInv) {
+    return <ErrorAlert error={errorProd || errorInv} retry={refetch} title="Failed to Load Stock Ledger" />;
+  }
+
+  return (
+    <StockLedgerContent
+      productsData={productsData || []}
+      inventoryData={inventoryData || []}
+      stockLevels={stockLevels || []}
+      warehouses={warehouses || []}
+      ledgerError={errorLedger}
+    />
+  );
+}
+
+function StockLedgerContent({ productsData, inventoryData, stockLevels, warehouses, ledgerError }) {
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState({ productId: '', movementType: 'adjustment', quantity: '', movementDate: today(), warehouseCode: '', toWarehouseCode: '', counterparty: '', notes: '' });
+  const { data: ledger, isLoading: loadingMovements } = useInventoryLedger(typeFilter || null, 100);
+  const recordMutation = useRecordMovements();
+
+  const reconciliation = useMemo(
+    () => reconcileStock(productsData, inventoryData, stockLevels),
+    [productsData, inventoryData, stockLevels]
+  );
+
+  const filtered = useMemo(
+    () => reconciliation.filter(r => statusFilter === 'all' || r.status === statusFilter),
+    [reconciliation, statusFilter]
+  );
+
+  const kpis = useMemo(() => {
+    const onLedger = reconciliation.filter(r => r.status !== 'no_ledger');
+    const variances = reconciliation.filter(r => r.status === 'variance');
+    return {
+      onLedger: onLedger.length,
+      variances: variances.length,
+      varianceValue: variances.reduce((sum, r) => sum + r.differenceValue, 0),
+      grossVarianceValue: variances.reduce((sum, r) => sum + Math.abs(r.differenceValue), 0),
+      ledgerValue: onLedger.reduce((sum, r) => {
+        const product = productsData.find(p => p.id === r.productId);
+        return sum + r.ledgerStock * (parseFloat(product?.cost_price) || 0);
+      }, 0),
+    };
+  }, [reconciliation, productsData]);
+
+  // Reconciliation is per product, so count adjustments are booked at the main depot
+  const adjustmentDepot = mainDepot(warehouses)?.warehouse_code || null;
+
+  // Bring the ledger in line with the snapshot (the physical count) with one adjustment
+  const postAdjustment = (row) => {
+    recordMutation.mutate([{
+      product_id: row.productId,
+      warehouse_code: adjustmentDepot,
+      movement_type: 'adjustment',
+      movement_date: today(),
+      quantity_liters: Math.round((row.snapshotStock - row.ledgerStock) * 100) / 100,
+      reference_type: 'manual',
+      notes: 'Count variance vs stock snapshot',
+    }]);
+  };
+
+  const submitMovement = (e) => {
+    e.preventDefault();
+    const quantity = parseFloat(form.quantity);
+    if (!form.productId || !quantity) return;
+    const movement = (movementType, warehouseCode, signed, counterparty) => ({
+      product_id: form.productId,
+      warehouse_code: warehouseCode || null,
+      movement_type: movementType,
+      movement_date: form.movementDate,
+      quantity_liters: signed,
+      reference_type: 'manual',
+      counterparty: counterparty || null,
+      notes: form.notes || null,
+    });
+    let movements;
+    if (form.movementType === 'depot_transfer') {
+      if (!form.warehouseCode || !form.toWarehouseCode || form.warehouseCode === form.toWarehouseCode) return;
+      movements = [
+        movement('transfer_out', form.warehouseCode, -Math.abs(quantity), form.toWarehouseCode),
+        movement('transfer_in', form.toWarehouseCode, Math.abs(quantity), form.warehouseCode),
+      ];
+    } else {
+      const signed = form.movementType === 'transfer_out' ? -Math.abs(quantity)
+        : form.movementType === 'adjustment' ? quantity
+          : Math.abs(quantity);
+      movements = [movement(form.movementType, form.warehouseCode || adjustmentDepot, signed, form.counterparty)];
+    }
+    recordMutation.mutate(movements, {
+      onSuccess: () => setForm({ ...form, quantity: '', counterparty: '', notes: '' }),
+    });
+  };
+
+  const exportReconciliation = () => {
+    downloadCSV(`stock-reconciliation-${today()}.csv`, filtered, RECONCILIATION_COLUMNS);
+  };
+
+  return (
+    <div>
+      <div className="mb-8">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Stock Ledger</h1>
+            <p className="text-gray-600">Receipts, sales issues, adjustments and transfers, reconciled against the stock snapshot</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setShowForm(!showForm)}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              <Plus className="w-4 h-4" />
+              {showForm ? 'Hide Form' : 'Record Movement'}
+            </button>
+            <button
+              onClick={exportReconciliation}
+              disabled={filtered.length === 0}
+              className="flex items-center gap-2 px-4 py-2 bg-primary text-white rounded-lg text-sm font-medium hover:bg-primary-dark transition-colors disabled:opacity-50"
+            >
+              <Download className="w-4 h-4" />
+              Export Reconciliation
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {ledgerError && (
+        <div className="mb-6 p-4 bg-yellow-50 border-l-4 border-yellow-500 rounded text-sm text-gray-700">
+          The stock ledger is unavailable ({ledgerError.message}). Run <code>setup-database.sql</code> to create it, then <code>npm run predict</code> to post sales and opening balances.
+        </div>
+      )}
+
+      {recordMutation.isError && (
+        <div className="mb-6 p-4 bg-yellow-50 border-l-4 border-yellow-500 rounded text-sm text-gray-700">
+          Could not record the movement: {recordMutation.error?.message}
+        </div>
+      )}
+
+      {showForm && (
+        <form onSubmit={submitMovement} className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h3 className="text-lg font-semibold mb-4">Record Movement</h3>
+          <div className="grid grid-cols-1 md:grid-cols-6 gap-3 items-end">
+            <div className="md:col-span-2">
+              <label className="block text-xs font-medium text-gray-500 mb-1">Product</label>
+              <select value={form.productId} onChange={(e) => setForm({ ...form, productId: e.target.value })} className={inputClass} required>
+                <option value="">Select product</option>
+                {productsData.map(p => <option key={p.id} value={p.id}>{p.product_name}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">Type</label>
+              <select value={form.movementType} onChange={(e) => setForm({ ...form, movementType: e.target.value })} className={inputClass}>
+                {MANUAL_TYPES.map(t => <option key={t} value={t}>{MOVEMENT_TYPES[t].label}</option>)}
+                {warehouses.length > 1 && <option value="depot_transfer">{DEPOT_TRANSFER.label}</option>}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">
+                Quantity (L){form.movementType === 'adjustment' && ', ± '}
+              </label>
+              <input type="number" step="0.01" value={form.quantity} onChange={(e) => setForm({ ...form, quantity: e.target.value })} className={inputClass} required />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">Date</label>
+              <input type="date" value={form.movementDate} onChange={(e) => setForm({ ...form, movementDate: e.target.value })} className={inputClass} required />
+            </div>
+            {warehouses.length > 0 && (
+              <div>
+                <label className="block text-xs font-medium text-gray-500 mb-1">{form.movementType === 'depot_transfer' ? 'From depot' : 'Depot'}</label>
+                <select value={form.warehouseCode} onChange={(e) => setForm({ ...form, warehouseCode: e.target.value })} className={inputClass} required={form.movementType === 'depot_transfer'}>
+                  <option value="">{form.movementType === 'depot_transfer' ? 'Select depot' : 'Main depot'}</option>
+                  {warehouses.map(w => <option key={w.warehouse_code} value={w.warehouse_code}>{w.warehouse_name}</option>)}
+                </select>
+              </div>
+            )}
+            {form.movementType === 'depot_transfer' ? (
+              <div>
+                <label className="block text-xs font-medium text-gray-500 mb-1">To depot</label>
+                <select value={form.toWarehouseCode} onChange={(e) => setForm({ ...form, toWarehouseCode: e.target.value })} className={inputClass} required>
+                  <option value="">Select depot</option>
+                  {warehouses.filter(w => w.warehouse_code !== form.warehouseCode).map(w => <option key={w.warehouse_code} value={w.warehouse_code}>{w.warehouse_name}</option>)}
+                </select>
+              </div>
+            ) : (
+              <div>
+                <label className="block text-xs font-medium text-gray-500 mb-1">
+                  {form.movementType.startsWith('transfer') ? 'From / to location' : 'Supplier / counterparty'}
+                </label>
+                <input type="text" value={form.counterparty} onChange={(e) => setForm({ ...form, counterparty: e.target.value })} className={inputClass} />
+              </div>
+            )}
+            <div className={warehouses.length > 0 ? 'md:col-span-4' : 'md:col-span-5'}>
+              <label className="block text-xs font-medium text-gray-500 mb-1">Note</label>
+              <input type="text" value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} className={inputClass} placeholder="Reason, document number…" />
+            </div>
+            <button
+              type="submit"
+              disabled={recordMutation.isLoading}
+              className="px-4 py-2 bg-primary text-white rounded-lg text-sm font-medium hover:bg-primary-dark transition-colors disabled:opacity-50"
+            >
+              Post Movement
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 mt-3">
+            Adjustments take the sign you enter (negative for write-offs and losses); transfers out are posted negative, transfers in and receipts positive.
+            {warehouses.length > 1 && ' A depot transfer posts both legs: out of the sending depot and into the receiving one.'}
+          </p>
+        </form>
+      )}
+
+      {/* KPI Cards */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-6">
+        <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-primary">
+          <div className="flex items-center justify-between mb-2">
+            <ClipboardList className="w-8 h-8 text-primary" />
+          </div>
+          <div className="text-sm text-gray-600 mb-1">Products on Ledger</div>
+          <div className="text-2xl font-bold">{kpis.onLedger} / {reconciliation.length}</div>
+          <div className="text-xs text-gray-500 mt-1">Stock derived from movements</div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-secondary">
+          <div className="flex items-center justify-between mb-2">
+            <DollarSign className="w-8 h-8 text-secondary" />
+          </div>
+          <div className="text-sm text-gray-600 mb-1">Ledger Stock at Cost</div>
+          <div className="text-2xl font-bold">{formatLargeNumber(kpis.ledgerValue)}</div>
+          <div className="text-xs text-gray-500 mt-1">Σ movements × cost price</div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-danger">
+          <div className="flex items-center justify-between mb-2">
+            <AlertTriangle className="w-8 h-8 text-danger" />
+          </div>
+          <div className="text-sm text-gray-600 mb-1">Variances</div>
+          <div className="text-2xl font-bold text-danger">{kpis.variances}</div>
+          <div className="text-xs text-gray-500 mt-1">
+            Beyond {RECONCILIATION_TOLERANCE.liters} L and {RECONCILIATION_TOLERANCE.pct}%
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 border-l-4 border-warning">
+          <div className="flex items-center justify-between mb-2">
+            <Scale className="w-8 h-8 text-warning" />
+          </div>
+          <div className="text-sm text-gray-600 mb-1">Net Variance at Cost</div>
+          <div className={`text-2xl font-bold ${kpis.varianceValue < 0 ? 'text-danger' : ''}`}>{formatLargeNumber(kpis.varianceValue)}</div>
+          <div className="text-xs text-gray-500 mt-1">{formatLargeNumber(kpis.grossVarianceValue)} gross (ledger − snapshot)</div>
+        </div>
+      </div>
+
+      {/* Reconciliation */}
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Reconciliation: Ledger vs Snapshot</h3>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          >
+            <option value="all">All products</option>
+            {Object.entries(STATUS_STYLES).map(([key, s]) => <option key={key} value={key}>{s.label}</option>)}
+          </select>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b bg-gray-50">
+                <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Product</th>
+                <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Ledger (L)</th>
+                <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Snapshot (L)</th>
+                <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Difference (L)</th>
+                <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Value</th>
+                <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Last Movement</th>
+                <th className="text-center py-3 px-4 text-sm font-semibold text-gray-700">Status</th>
+                <th className="text-center py-3 px-4 text-sm font-semibold text-gray-700"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {filtered.map(r => (
+                <tr key={r.productCode} className={`border-b ${r.status === 'variance' ? 'bg-red-50' : 'hover:bg-gray-50'}`}>
+                  <td className="py-3 px-4 text-sm font-medium">
+                    {r.productName}
+                    <span className="block text-xs text-gray-500">{r.productCode} · {r.movementCount} movements</span>
+                  </td>
+                  <td className="py-3 px-4 text-sm text-right font-mono">{r.ledgerStock !== null ? Math.round(r.ledgerStock).toLocaleString() : '—'}</td>
+                  <td className="py-3 px-4 text-sm text-right font-mono">{Math.round(r.snapshotStock).toLocaleString()}</td>
+                  <td className={`py-3 px-4 text-sm text-right font-mono ${r.status === 'variance' ? 'text-red-700 font-semibold' : 'text-gray-600'}`}>
+                    {r.difference !== null ? `${r.difference > 0 ? '+' : ''}${Math.round(r.difference).toLocaleString()}` : '—'}
+                    {r.status === 'variance' && <span className="block text-xs">{r.differencePct > 0 ? '+' : ''}{r.differencePct.toFixed(1)}%</span>}
+                  </td>
+                  <td className="py-3 px-4 text-sm text-right">{r.difference !== null ? formatCurrency(r.differenceValue) : '—'}</td>
+                  <td className="py-3 px-4 text-sm text-gray-600">{r.lastMovementDate || '—'}</td>
+                  <td className="py-3 px-4 text-center">
+                    <span className={`px-3 py-1 rounded-full text-xs font-semibold ${STATUS_STYLES[r.status].className}`}>{STATUS_STYLES[r.status].label}</span>
+                  </td>
+                  <td className="py-3 px-4 text-center">
+                    {r.status === 'variance' && (
+                      <button
+                        onClick={() => postAdjustment(r)}
+                        disabled={recordMutation.isLoading}
+                        className="px-3 py-1 border border-gray-300 text-gray-700 rounded-lg text-xs font-medium hover:bg-gray-100 transition-colors disabled:opacity-50 whitespace-nowrap"
+                      >
+                        Post adjustment
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="mt-4 p-4 bg-blue-50 border-l-4 border-blue-500 rounded">
+          <p className="text-sm text-gray-700">
+            <strong>AI Insight:</strong> Current stock is the sum of each product's movements. <code>npm run predict</code> posts a sales issue for
+            every transaction and a receipt for every received restock, and starts each product with an opening balance back-calculated from the
+            snapshot (so that opening balance also absorbs receipts from before the ledger existed). From then on the snapshot is an independent
+            count: a variance means stock moved without a matching movement, or the count is stale. "Post adjustment" books the difference so the
+            ledger agrees with the count.
+          </p>
+        </div>
+      </div>
+
+      {/* Recent movements */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Recent Movements</h3>
+          <select
+            value={typeFilter}
+            onChange={(e) => setTypeFilter(e.target.value)}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          >
+            <option value="">All types</option>
+            {Object.entries(MOVEMENT_TYPES).map(([key, t]) => <option key={key} value={key}>{t.label}</option>)}
+          </select>
+        </div>
+        {loadingMovements ? (
+          <p className="text-sm text-gray-500">Loading movements...</p>
+        ) : ledger && ledger.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b bg-gray-50">
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Date</th>
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Type</th>
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Product</th>
+                  {warehouses.length > 0 && <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Depot</th>}
+                  <th className="text-right py-3 px-4 text-sm font-semibold text-gray-700">Quantity (L)</th>
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Reference</th>
+                  <th className="text-left py-3 px-4 text-sm font-semibold text-gray-700">Entered By</th>
+                </tr>
+              </thead>
+              <tbody>
+                {ledger.map(m => {
+                  const type = MOVEMENT_TYPES[m.movement_type] || { label: m.movement_type, className: 'bg-gray-100 text-gray-800' };
+                  const qty = parseFloat(m.quantity_liters) || 0;
+                  return (
+                    <tr key={m.id} className="border-b hover:bg-gray-50">
+                      <td className="py-3 px-4 text-sm text-gray-600 whitespace-nowrap">{m.movement_date}</td>
+                      <td className="py-3 px-4 text-sm">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium ${type.className}`}>{type.label}</span>
+                      </td>
+                      <td className="py-3 px-4 text-sm">{m.product_name || m.product_id}</td>
+                      {warehouses.length > 0 && <td className="py-3 px-4 text-sm text-gray-600">{m.warehouse_code || '—'}</td>}
+                      <td className={`py-3 px-4 text-sm text-right font-mono ${qty < 0 ? 'text-red-700' : 'text-green-700'}`}>
+                        {qty > 0 ? '+' : ''}{Math.round(qty).toLocaleString()}
+                      </td>
+                      <td className="py-3 px-4 text-sm text-gray-600">
+                        {m.reference_type === 'transaction' ? m.reference_id : [m.counterparty, m.notes].filter(Boolean).join(' · ') || '—'}
+                      </td>
+                      <td className="py-3 px-4 text-sm text-gray-600">{m.created_by || 'System'}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">No movements recorded yet.</p>
+        )}
+      </div>
+    </div>
+  );
+}
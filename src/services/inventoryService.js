@@ -35,15 +35,16 @@ export const inventoryService = {
   },
 
   /**
-   * Get inventory movements for a product
+   * Get inventory movements for a product (products.id)
    */
-  async getMovements(productCode, limit = 50) {
+  async getMovements(productId, limit = 50) {
     try {
       const { data, error } = await supabase
         .from('inventory_movements')
         .select('*')
-        .eq('product_id', productCode)
+        .eq('product_id', productId)
         .order('movement_date', { ascending: false })
+        .order('created_at', { ascending: false })
         .limit(limit)
 
       if (error) throw error
@@ -54,6 +55,71 @@ export const inventoryService = {
     }
   },
 
+  /**
+   * Get the latest movements across all products, optionally of one type
+   */
+  async getLedger({ movementType = null, limit = 200 } = {}) {
+    try {
+      let query = supabase
+        .from('inventory_movements')
+        .select(`
+          *,
+          products(product_name, product_code, category)
+        `)
+        .order('movement_date', { ascending: false })
+        .order('created_at', { ascending: false })
+        .limit(limit)
+      if (movementType) query = query.eq('movement_type', movementType)
+
+      const { data, error } = await query
+      if (error) throw error
+      return data.map(m => ({
+        ...m,
+        product_name: m.products?.product_name || null,
+        product_code: m.products?.product_code || null,
+      }))
+    } catch (error) {
+      console.error('Error fetching inventory ledger:', error)
+      throw error
+    }
+  },
+
+  /**
+   * Get current stock per product derived from the movements ledger
+   */
+  async getStockLevels() {
+    try {
+      const { data, error } = await supabase
+        .from('inventory_stock_levels')
+        .select('*')
+
+      if (error) throw error
+      return data
+    } catch (error) {
+      console.error('Error fetching ledger stock levels:', error)
+      throw error
+    }
+  },
+
+  /**
+   * Post movements to the ledger (adjustments, transfers, receipts), recording who entered them
+   */
+  async recordMovements(movements) {
+    try {
+      const { data: { user } } = await supabase.auth.getUser()
+      const { data, error } = await supabase
+        .from('inventory_movements')
+        .insert(movements.map(m => ({ ...m, created_by: user?.email || null })))
+        .select()
+
+      if (error) throw error
+      return data
+    } catch (error) {
+      console.error('Error recording inventory movements:', error)
+      throw error
+    }
+  },
+
   /**
    * Get inventory by product code
    */
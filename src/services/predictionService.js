@@ -24,19 +24,34 @@ export const predictionService = {
 
   /**
    * Get ML demand predictions (transaction_predictions) for latest run
+   * @param {string} dimension - 'product', 'product_region' (dimension_key = region)
+   *   or 'customer_product' (dimension_key = customer id)
    */
-  async getDemandPredictions(runId) {
+  async getDemandPredictions(runId, dimension = 'product') {
     try {
-      const { data, error } = await supabase
-        .from('transaction_predictions')
-        .select(`
-          *,
-          products(product_name, product_code, category)
-        `)
-        .eq('prediction_run_id', runId)
-        .order('prediction_month', { ascending: true })
+      // Paged: regional and customer-level runs exceed Supabase's 1000-row default limit
+      let data = []
+      let page = 0
+      const pageSize = 1000
+      while (true) {
+        const { data: rows, error } = await supabase
+          .from('transaction_predictions')
+          .select(`
+            *,
+            products(product_name, product_code, category)
+          `)
+          .eq('prediction_run_id', runId)
+          .eq('dimension', dimension)
+          .order('prediction_month', { ascending: true })
+          .order('id', { ascending: true })
+          .range(page * pageSize, (page + 1) * pageSize - 1)
+
+        if (error) throw error
+        data = data.concat(rows)
+        if (rows.length < pageSize) break
+        page++
+      }
 
-      if (error) throw error
       return data.map(p => ({
         ...p,
         product_name: p.products?.product_name || null,
@@ -79,6 +94,185 @@ export const predictionService = {
     }
   },
 
+  /**
+   * Get a customer's risk score across all completed runs, oldest first
+   */
+  async getRiskScoreHistory(customerId) {
+    try {
+      const { data, error } = await supabase
+        .from('customer_risk_scores')
+        .select(`
+          risk_score,
+          risk_level,
+          risk_alert,
+          prediction_runs!inner(run_at, status)
+        `)
+        .eq('customer_id', customerId)
+        .eq('prediction_runs.status', 'completed')
+
+      if (error) throw error
+      return data
+        .map(r => ({
+          run_at: r.prediction_runs.run_at,
+          risk_score: parseFloat(r.risk_score) || 0,
+          risk_level: r.risk_level,
+          risk_alert: r.risk_alert,
+        }))
+        .sort((a, b) => a.run_at.localeCompare(b.run_at))
+    } catch (error) {
+      console.error('Error fetching risk score history:', error)
+      return []
+    }
+  },
+
+  /**
+   * Get invoice-level payment predictions (open invoices) for latest run
+   */
+  async getInvoicePaymentPredictions(runId) {
+    try {
+      const { data, error } = await supabase
+        .from('invoice_payment_predictions')
+        .select(`
+          *,
+          customers(customer_name, customer_code, region),
+          products(product_name, category)
+        `)
+        .eq('prediction_run_id', runId)
+        .order('outstanding_amount', { ascending: false })
+
+      if (error) throw error
+      return data.map(p => ({
+        ...p,
+        customer_name: p.customers?.customer_name || null,
+        customer_code: p.customers?.customer_code || null,
+        region: p.customers?.region || null,
+        product_name: p.products?.product_name || null,
+        category: p.products?.category || null,
+      }))
+    } catch (error) {
+      console.error('Error fetching invoice payment predictions:', error)
+      return []
+    }
+  },
+
+  /**
+   * Get ML customer value scores (RFM segment, churn probability, 12-month CLV) for latest run
+   */
+  async getCustomerValueScores(runId) {
+    try {
+      const { data, error } = await supabase
+        .from('customer_value_scores')
+        .select(`
+          *,
+          customers(customer_name, customer_code, region, customer_type, contact_person, phone)
+        `)
+        .eq('prediction_run_id', runId)
+        .order('churn_probability', { ascending: false })
+
+      if (error) throw error
+      return data.map(v => ({
+        ...v,
+        customer_name: v.customers?.customer_name || null,
+        customer_code: v.customers?.customer_code || null,
+        region: v.customers?.region || null,
+        customer_type: v.customers?.customer_type || null,
+        contact_person: v.customers?.contact_person || null,
+        phone: v.customers?.phone || null,
+      }))
+    } catch (error) {
+      console.error('Error fetching customer value scores:', error)
+      return []
+    }
+  },
+
+  /**
+   * Get ML cross-sell recommendations for latest run, highest expected uplift first
+   */
+  async getProductRecommendations(runId) {
+    try {
+      const { data, error } = await supabase
+        .from('product_recommendations')
+        .select(`
+          *,
+          customers(customer_name, customer_code, region),
+          products!product_id(product_name, product_code, category),
+          antecedent:products!antecedent_product_id(product_name)
+        `)
+        .eq('prediction_run_id', runId)
+        .order('expected_uplift', { ascending: false })
+
+      if (error) throw error
+      return data.map(r => ({
+        ...r,
+        customer_name: r.customers?.customer_name || null,
+        customer_code: r.customers?.customer_code || null,
+        region: r.customers?.region || null,
+        product_name: r.products?.product_name || null,
+        product_code: r.products?.product_code || null,
+        category: r.products?.category || null,
+        antecedent_product_name: r.antecedent?.product_name || null,
+      }))
+    } catch (error) {
+      console.error('Error fetching product recommendations:', error)
+      return []
+    }
+  },
+
+  /**
+   * Get ML price elasticities per product for latest run
+   */
+  async getPriceElasticities(runId) {
+    try {
+      const { data, error } = await supabase
+        .from('price_elasticities')
+        .select(`
+          *,
+          products(product_name, product_code)
+        `)
+        .eq('prediction_run_id', runId)
+        .order('baseline_monthly_revenue', { ascending: false })
+
+      if (error) throw error
+      return data.map(e => ({
+        ...e,
+        product_name: e.products?.product_name || null,
+        product_code: e.products?.product_code || null,
+      }))
+    } catch (error) {
+      console.error('Error fetching price elasticities:', error)
+      return []
+    }
+  },
+
+  /**
+   * Get anomalies flagged in the latest run, largest revenue impact first
+   */
+  async getAnomalies(runId) {
+    try {
+      const { data, error } = await supabase
+        .from('anomalies')
+        .select(`
+          *,
+          customers(customer_name, customer_code),
+          products(product_name, product_code)
+        `)
+        .eq('prediction_run_id', runId)
+        .order('impact_amount', { ascending: false })
+
+      if (error) throw error
+      return data.map(a => ({
+        ...a,
+        customer_name: a.customers?.customer_name || null,
+        customer_code: a.customers?.customer_code || null,
+        product_name: a.products?.product_name || null,
+        product_code: a.products?.product_code || null,
+      }))
+    } catch (error) {
+      console.error('Error fetching anomalies:', error)
+      return []
+    }
+  },
+
   /**
    * Get ML cash flow forecasts for latest run
    */
@@ -98,6 +292,44 @@ export const predictionService = {
     }
   },
 
+  /**
+   * Get the 13-week cash view (open invoices + new-sales collections) for latest run
+   */
+  async getWeeklyCashForecasts(runId) {
+    try {
+      const { data, error } = await supabase
+        .from('weekly_cash_forecasts')
+        .select('*')
+        .eq('prediction_run_id', runId)
+        .order('week_number', { ascending: true })
+
+      if (error) throw error
+      return data
+    } catch (error) {
+      console.error('Error fetching weekly cash forecasts:', error)
+      return []
+    }
+  },
+
+  /**
+   * Get reconciled revenue forecasts (product / category / region / total) for latest run
+   */
+  async getForecastHierarchy(runId) {
+    try {
+      const { data, error } = await supabase
+        .from('forecast_hierarchy')
+        .select('*')
+        .eq('prediction_run_id', runId)
+        .order('forecast_month', { ascending: true })
+
+      if (error) throw error
+      return data
+    } catch (error) {
+      console.error('Error fetching forecast hierarchy:', error)
+      return []
+    }
+  },
+
   /**
    * Get ML inventory forecasts for latest run
    */
@@ -124,4 +356,29 @@ export const predictionService = {
       return []
     }
   },
+
+  /**
+   * Get per-depot reorder points and stock status for a run
+   */
+  async getDepotInventoryForecasts(runId) {
+    try {
+      const { data, error } = await supabase
+        .from('depot_inventory_forecasts')
+        .select(`
+          *,
+          products(product_name, product_code)
+        `)
+        .eq('prediction_run_id', runId)
+
+      if (error) throw error
+      return data.map(d => ({
+        ...d,
+        product_name: d.products?.product_name || null,
+        product_code: d.products?.product_code || null,
+      }))
+    } catch (error) {
+      console.error('Error fetching depot inventory forecasts:', error)
+      return []
+    }
+  },
 }
@@ -0,0 +1,104 @@
+import { supabase } from '../lib/supabase'
+
+export const purchaseOrderService = {
+  /**
+   * Get draft, approved, rejected and received purchase orders with supplier and line details
+   */
+  async getAll() {
+    try {
+      const { data, error } = await supabase
+        .from('purchase_orders')
+        .select(`
+          *,
+          suppliers(supplier_name, supply_type),
+          purchase_order_lines(*, products(id, product_name, category))
+        `)
+        .in('status', ['draft', 'approved', 'rejected', 'received'])
+        .order('order_date', { ascending: false })
+        .order('total_value', { ascending: false })
+
+      if (error) throw error
+      return data.map(po => ({
+        ...po,
+        supplier_name: po.suppliers?.supplier_name || null,
+        supply_type: po.suppliers?.supply_type || null,
+        lines: (po.purchase_order_lines || []).map(line => ({
+          ...line,
+          product_id: line.products?.id || null,
+          product_name: line.products?.product_name || line.product_code,
+          category: line.products?.category || null,
+        })),
+      }))
+    } catch (error) {
+      console.error('Error fetching purchase orders:', error)
+      throw error
+    }
+  },
+
+  /**
+   * Approve or reject a draft purchase order, recording the reviewer
+   */
+  async review(id, status, note = null) {
+    try {
+      const { data: { user } } = await supabase.auth.getUser()
+      const { data, error } = await supabase
+        .from('purchase_orders')
+        .update({
+          status,
+          review_note: note,
+          reviewed_by: user?.email || null,
+          reviewed_at: new Date().toISOString(),
+        })
+        .eq('id', id)
+        .eq('status', 'draft')
+        .select()
+
+      if (error) throw error
+      if (!data || data.length === 0) throw new Error('Purchase order is no longer a draft')
+      return data[0]
+    } catch (error) {
+      console.error('Error reviewing purchase order:', error)
+      throw error
+    }
+  },
+
+  /**
+   * Mark an approved purchase order received: post a receipt to the stock ledger per line,
+   * into the order's delivery depot
+   */
+  async receive(po, receivedDate) {
+    try {
+      const { data: { user } } = await supabase.auth.getUser()
+      const receipts = po.lines.filter(line => line.product_id).map(line => ({
+        product_id: line.product_id,
+        warehouse_code: po.warehouse_code || null,
+        movement_type: 'receipt',
+        movement_date: receivedDate,
+        quantity_liters: parseFloat(line.quantity_liters) || 0,
+        reference_type: 'purchase_order_line',
+        reference_id: line.id,
+        counterparty: po.supplier_code,
+        notes: `Received on ${po.po_number}`,
+        created_by: user?.email || null,
+      }))
+      const { error: ledgerError } = await supabase
+        .from('inventory_movements')
+        .upsert(receipts, { onConflict: 'reference_type,reference_id,movement_type', ignoreDuplicates: true })
+      if (ledgerError) throw ledgerError
+
+      const { data, error } = await supabase
+        .from('purchase_orders')
+        .update({ status: 'received' })
+        .eq('id', po.id)
+        .eq('status', 'approved')
+        .select()
+
+      if (error) throw error
+      if (!data || data.length === 0) throw new Error('Purchase order is not approved')
+      return data[0]
+    } catch (error) {
+      console.error('Error receiving purchase order:', error)
+      throw error
+    }
+  },
+}
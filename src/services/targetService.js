@@ -0,0 +1,22 @@
+import { supabase } from '../lib/supabase'
+
+export const targetService = {
+  /**
+   * Get all monthly sales targets
+   */
+  async getAll() {
+    try {
+      const { data, error } = await supabase
+        .from('sales_targets')
+        .select('*')
+        .order('month', { ascending: true })
+        .order('salesperson', { ascending: true })
+
+      if (error) throw error
+      return data
+    } catch (error) {
+      console.error('Error fetching sales targets:', error)
+      throw error
+    }
+  },
+}
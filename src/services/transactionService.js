@@ -137,6 +137,7 @@ export const transactionService = {
           products(product_name, category)
         `)
         .eq('prediction_run_id', latestRun.prediction_run_id)
+        .eq('dimension', 'product')
         .order('predicted_date', { ascending: true })
 
       if (error) throw error
@@ -0,0 +1,135 @@
+import { supabase } from '../lib/supabase'
+
+export const warehouseService = {
+  /**
+   * Get active depots, main depot first
+   */
+  async getAll() {
+    try {
+      const { data, error } = await supabase
+        .from('warehouses')
+        .select('*')
+        .eq('is_active', true)
+        .order('is_main', { ascending: false })
+        .order('warehouse_code', { ascending: true })
+
+      if (error) throw error
+      return data
+    } catch (error) {
+      console.error('Error fetching warehouses:', error)
+      throw error
+    }
+  },
+
+  /**
+   * Get current stock per product and depot derived from the movements ledger
+   */
+  async getDepotStockLevels() {
+    try {
+      const { data, error } = await supabase
+        .from('depot_stock_levels')
+        .select('*')
+
+      if (error) throw error
+      return data
+    } catch (error) {
+      console.error('Error fetching depot stock levels:', error)
+      throw error
+    }
+  },
+
+  /**
+   * Get suggested, accepted and dismissed stock transfers with product details
+   */
+  async getTransferSuggestions() {
+    try {
+      const { data, error } = await supabase
+        .from('stock_transfer_suggestions')
+        .select(`
+          *,
+          products(product_name, product_code, category)
+        `)
+        .in('status', ['suggested', 'accepted', 'dismissed'])
+        .order('created_at', { ascending: false })
+        .order('transfer_value', { ascending: false })
+
+      if (error) throw error
+      return data.map(t => ({
+        ...t,
+        product_name: t.products?.product_name || null,
+        product_code: t.products?.product_code || null,
+      }))
+    } catch (error) {
+      console.error('Error fetching transfer suggestions:', error)
+      throw error
+    }
+  },
+
+  /**
+   * Accept a suggested transfer: post it to the stock ledger as a transfer out of the
+   * sending depot and a transfer into the receiving depot, then mark it accepted
+   */
+  async acceptTransfer(transfer, transferDate) {
+    try {
+      const { data: { user } } = await supabase.auth.getUser()
+      const quantity = parseFloat(transfer.quantity_liters) || 0
+      const leg = (warehouseCode, counterparty, movementType, signedQuantity) => ({
+        product_id: transfer.product_id,
+        warehouse_code: warehouseCode,
+        movement_type: movementType,
+        movement_date: transferDate,
+        quantity_liters: signedQuantity,
+        reference_type: 'stock_transfer',
+        reference_id: transfer.id,
+        counterparty,
+        notes: 'Suggested depot transfer',
+        created_by: user?.email || null,
+      })
+      const { error: ledgerError } = await supabase
+        .from('inventory_movements')
+        .upsert([
+          leg(transfer.from_warehouse_code, transfer.to_warehouse_code, 'transfer_out', -quantity),
+          leg(transfer.to_warehouse_code, transfer.from_warehouse_code, 'transfer_in', quantity),
+        ], { onConflict: 'reference_type,reference_id,movement_type', ignoreDuplicates: true })
+      if (ledgerError) throw ledgerError
+
+      return await this.review(transfer.id, 'accepted', user)
+    } catch (error) {
+      console.error('Error accepting transfer:', error)
+      throw error
+    }
+  },
+
+  /**
+   * Dismiss a suggested transfer
+   */
+  async dismissTransfer(id) {
+    try {
+      const { data: { user } } = await supabase.auth.getUser()
+      return await this.review(id, 'dismissed', user)
+    } catch (error) {
+      console.error('Error dismissing transfer:', error)
+      throw error
+    }
+  },
+
+  /**
+   * Set the status of a suggested transfer, recording the reviewer
+   */
+  async review(id, status, user) {
+    const { data, error } = await supabase
+      .from('stock_transfer_suggestions')
+      .update({
+        status,
+        reviewed_by: user?.email || null,
+        reviewed_at: new Date().toISOString(),
+      })
+      .eq('id', id)
+      .eq('status', 'suggested')
+      .select()
+
+    if (error) throw error
+    if (!data || data.length === 0) throw new Error('Transfer is no longer a suggestion')
+    return data[0]
+  },
+}
@@ -0,0 +1,171 @@
+// Salesperson commission on collected revenue (not invoiced revenue).
+// Each collection earns commission at the rate of the salesperson's target-achievement slab for the
+// month it was collected, scaled by the product category's multiplier. Invoices still unpaid more
+// than `clawbackDays` past due reverse the commission already paid on them.
+// Fully paid invoices are credited in the month of payment_received_date; partial payments carry no
+// received date, so the collected part is credited in the month payment was due (or the latest
+// date in the data, if earlier).
+import { salespersonKey, buildTargetActuals } from './salesTargets';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_COMMISSION_RULES = {
+  // Rate by the month's target achievement %: the highest slab whose minAchievement is reached
+  slabs: [
+    { minAchievement: 0, ratePct: 1 },
+    { minAchievement: 80, ratePct: 2 },
+    { minAchievement: 100, ratePct: 3 },
+    { minAchievement: 120, ratePct: 4 },
+  ],
+  // Rate for months with no target set
+  noTargetRatePct: 2,
+  clawbackDays: 90,
+  categoryMultipliers: {
+    'Engine Oil': 1,
+    'Industrial Lubricants': 1.2,
+    'Grease': 1,
+    'Specialty Oils': 1.5,
+  },
+};
+
+// Slab for an achievement %, or null when there is no target
+export const slabFor = (rules, achievementPct) => {
+  if (achievementPct === null || achievementPct === undefined) return null;
+  return [...rules.slabs]
+    .sort((a, b) => b.minAchievement - a.minAchievement)
+    .find(s => achievementPct >= s.minAchievement) || null;
+};
+
+// Target achievement % per salesperson key|month, across all of the month's target regions
+const achievementByMonth = (targets, transactions) => {
+  const totals = {};
+  buildTargetActuals(targets, transactions).forEach(r => {
+    if (r.actual === null) return;
+    const key = `${r.salespersonKey}|${r.month}`;
+    if (!totals[key]) totals[key] = { target: 0, actual: 0 };
+    totals[key].target += r.target;
+    totals[key].actual += r.actual;
+  });
+  return Object.fromEntries(Object.entries(totals)
+    .filter(([, t]) => t.target > 0)
+    .map(([key, t]) => [key, t.actual / t.target * 100]));
+};
+
+const addDays = (date, days) => new Date(new Date(`${date.substring(0, 10)}T00:00:00Z`).getTime() + days * DAY_MS)
+  .toISOString().substring(0, 10);
+
+// Commission credits and clawbacks, one entry per invoice event
+export const buildCommissionLedger = (transactions, products, targets, rules = DEFAULT_COMMISSION_RULES) => {
+  if (transactions.length === 0) return [];
+  // Latest date the data knows about: payments are recorded after the last invoice
+  const asOf = transactions
+    .flatMap(t => [t.transaction_date, t.payment_received_date].filter(Boolean))
+    .map(d => d.substring(0, 10)).sort().pop();
+  const categoryByCode = Object.fromEntries(products.map(p => [p.product_code, p.category]));
+  const achievement = achievementByMonth(targets, transactions);
+
+  const rateFor = (salesperson, month) => {
+    const achievementPct = achievement[`${salespersonKey(salesperson)}|${month}`] ?? null;
+    const slab = slabFor(rules, achievementPct);
+    return { achievementPct, ratePct: slab ? slab.ratePct : rules.noTargetRatePct };
+  };
+
+  const entries = [];
+  transactions.forEach(t => {
+    const total = parseFloat(t.total_amount) || 0;
+    const outstanding = parseFloat(t.outstanding_amount) || 0;
+    const collected = Math.max(0, total - outstanding);
+    if (collected <= 0) return;
+
+    const salesperson = t.salesperson || 'Unassigned';
+    const category = categoryByCode[t.product_code] || t.products?.category || 'Unknown';
+    const multiplier = rules.categoryMultipliers[category] ?? 1;
+    const creditDate = t.payment_received_date
+      || [t.payment_due_date || t.transaction_date, asOf].sort()[0];
+    const month = creditDate.substring(0, 7);
+    const { achievementPct, ratePct } = rateFor(salesperson, month);
+    const commission = collected * ratePct / 100 * multiplier;
+    const base = {
+      salesperson,
+      invoiceNumber: t.invoice_number,
+      transactionCode: t.transaction_code,
+      customerName: t.customer_name || t.customer_code,
+      productName: t.product_name || t.product_code,
+      category,
+      invoiceDate: t.transaction_date,
+      invoiceAmount: total,
+      multiplier,
+    };
+
+    entries.push({
+      ...base,
+      type: 'credit',
+      date: creditDate,
+      month,
+      amount: collected,
+      achievementPct,
+      ratePct,
+      commission,
+      note: t.payment_received_date ? 'Paid in full' : 'Partial payment',
+    });
+
+    // Clawback once the remaining balance is more than clawbackDays past due
+    if (outstanding > 0 && t.payment_due_date) {
+      const clawbackDate = addDays(t.payment_due_date, rules.clawbackDays + 1);
+      if (clawbackDate <= asOf) {
+        entries.push({
+          ...base,
+          type: 'clawback',
+          date: clawbackDate,
+          month: clawbackDate.substring(0, 7),
+          amount: -collected,
+          achievementPct,
+          ratePct,
+          commission: -commission,
+          note: `${Math.round(outstanding).toLocaleString('en-IN')} unpaid over ${rules.clawbackDays} days past due`,
+        });
+      }
+    }
+  });
+
+  return entries.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Monthly statement per salesperson: collections, gross commission, clawbacks and net payable
+export const commissionStatements = (ledger) => {
+  const statements = {};
+  ledger.forEach(e => {
+    const key = `${e.salesperson}|${e.month}`;
+    if (!statements[key]) {
+      statements[key] = {
+        key,
+        salesperson: e.salesperson,
+        month: e.month,
+        collected: 0,
+        grossCommission: 0,
+        clawback: 0,
+        credits: 0,
+        clawbacks: 0,
+        achievementPct: null,
+        ratePct: null,
+        entries: [],
+      };
+    }
+    const s = statements[key];
+    if (e.type === 'credit') {
+      s.collected += e.amount;
+      s.grossCommission += e.commission;
+      s.credits += 1;
+      s.achievementPct = e.achievementPct;
+      s.ratePct = e.ratePct;
+    } else {
+      s.clawback += e.commission;
+      s.clawbacks += 1;
+    }
+    s.entries.push(e);
+  });
+
+  return Object.values(statements)
+    .map(s => ({ ...s, netCommission: s.grossCommission + s.clawback }))
+    .sort((a, b) => b.month.localeCompare(a.month) || b.netCommission - a.netCommission);
+};
@@ -125,10 +125,45 @@ export const getTopCustomersWithRisk = (transactions, customers, limit = 10) =>
     .slice(0, limit);
 };
 
+// Cash flow forecast for the first forecast month: the first row of monthly forecasts or, for
+// weekly forecasts, the first calendar month the weeks fully cover (the month holding most of the
+// first week's days when the horizon is shorter), each week's flows pro-rated by its days in it
+export const nextMonthCashFlow = (cashFlowForecasts) => {
+  if (!cashFlowForecasts || cashFlowForecasts.length === 0) return null;
+  const first = cashFlowForecasts[0];
+  if (first.granularity !== 'weekly') return first;
+
+  const dayMs = 24 * 60 * 60 * 1000;
+  const weekStart = (cf) => new Date(`${cf.forecast_month.substring(0, 10)}T00:00:00Z`).getTime();
+  const start = weekStart(first);
+  const end = weekStart(cashFlowForecasts[cashFlowForecasts.length - 1]) + 7 * dayMs;
+  const monthBounds = (time, offset) => {
+    const d = new Date(time);
+    return [Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + offset, 1), Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + offset + 1, 1)];
+  };
+  let [monthStart, monthEnd] = monthBounds(start, new Date(start).getUTCDate() === 1 ? 0 : 1);
+  if (monthEnd > end) [monthStart, monthEnd] = monthBounds(start + 3 * dayMs, 0);
+
+  const shares = cashFlowForecasts.map(cf => {
+    const from = weekStart(cf);
+    return Math.max(0, Math.min(from + 7 * dayMs, monthEnd) - Math.max(from, monthStart)) / (7 * dayMs);
+  });
+  const sum = (key) => cashFlowForecasts.reduce((total, cf, i) => total + (parseFloat(cf[key]) || 0) * shares[i], 0);
+  return {
+    ...cashFlowForecasts[shares.findIndex(share => share > 0)],
+    forecast_month: new Date(monthStart).toISOString().substring(0, 10),
+    predicted_revenue: sum('predicted_revenue'),
+    most_likely_inflow: sum('most_likely_inflow'),
+    best_case_inflow: sum('best_case_inflow'),
+    worst_case_inflow: sum('worst_case_inflow'),
+    expected_delay: sum('expected_delay')
+  };
+};
+
 // Generate AI insights — uses real ML prediction data when available
 export const generateAIInsights = (transactions, customers, mlData = {}) => {
   const insights = [];
-  const { riskScores, demandPredictions, cashFlowForecasts, inventoryForecasts } = mlData;
+  const { riskScores, demandPredictions, cashFlowForecasts, inventoryForecasts, anomalies } = mlData;
 
   // 1. Risk insight — from ML risk scores
   if (riskScores && riskScores.length > 0) {
@@ -152,6 +187,23 @@ export const generateAIInsights = (transactions, customers, mlData = {}) => {
         message: `AI Risk Model: All ${riskScores.length} customers are low-risk. Payment health is strong.`
       });
     }
+
+    // 1b. Early warning — customers newly risky since the previous prediction run
+    const newlyRisky = riskScores
+      .filter(r => r.risk_alert === 'level_up' || r.risk_alert === 'jump')
+      .sort((a, b) => (parseFloat(b.risk_score_change) || 0) - (parseFloat(a.risk_score_change) || 0));
+    if (newlyRisky.length > 0) {
+      const names = newlyRisky.slice(0, 3).map(r => {
+        const name = r.customer_name || r.customer_code || r.customer_id;
+        return r.risk_alert === 'level_up'
+          ? `${name} (${r.previous_risk_level} → ${r.risk_level})`
+          : `${name} (+${(parseFloat(r.risk_score_change) || 0).toFixed(0)} pts)`;
+      }).join(', ');
+      insights.push({
+        type: 'warning',
+        message: `Early Warning: ${newlyRisky.length} customer${newlyRisky.length === 1 ? '' : 's'} newly risky since the last AI run — ${names}${newlyRisky.length > 3 ? ` and ${newlyRisky.length - 3} more` : ''}. Review credit terms before the next order.`
+      });
+    }
   } else {
     // Fallback
     const highRiskCustomers = getTopCustomersWithRisk(transactions, customers, 100).filter(c => c.riskScore > 60);
@@ -235,7 +287,7 @@ export const generateAIInsights = (transactions, customers, mlData = {}) => {
 
   // 3. Cash flow insight — from ML cash flow forecasts
   if (cashFlowForecasts && cashFlowForecasts.length > 0) {
-    const nextCF = cashFlowForecasts[0];
+    const nextCF = nextMonthCashFlow(cashFlowForecasts);
     const collectionRate = (parseFloat(nextCF.collection_rate) * 100).toFixed(1);
     const bestCase = parseFloat(nextCF.best_case_inflow) || 0;
     const worstCase = parseFloat(nextCF.worst_case_inflow) || 0;
@@ -283,6 +335,20 @@ export const generateAIInsights = (transactions, customers, mlData = {}) => {
     insights.push({ type: 'info', message: 'Run AI predictions to get inventory optimization insights.' });
   }
 
+  // 5. Anomaly insight — top anomalies by revenue impact
+  if (anomalies && anomalies.length > 0) {
+    const top = [...anomalies]
+      .sort((a, b) => (parseFloat(b.impact_amount) || 0) - (parseFloat(a.impact_amount) || 0))
+      .slice(0, 3)
+      .map(a => a.description)
+      .join('; ');
+    const highSeverity = anomalies.filter(a => a.severity === 'high').length;
+    insights.push({
+      type: 'warning',
+      message: `AI Anomaly Detection: ${anomalies.length} unusual sales pattern${anomalies.length === 1 ? '' : 's'} flagged (${highSeverity} high severity). Largest: ${top}.`
+    });
+  }
+
   return insights;
 };
 
@@ -298,3 +364,53 @@ export const getDateRangeLabel = (startDate, endDate) => {
 export const formatPercentage = (value, decimals = 1) => {
   return value.toFixed(decimals) + '%';
 };
+
+// Simulate a price change with constant-elasticity demand: volume × (1 + Δprice)^elasticity
+// items: [{ price, unitCost, volume, elasticity }] per product, volume per month
+export const simulatePriceChange = (items, priceChangePct) => {
+  const factor = 1 + priceChangePct / 100;
+  const rows = items.map(item => {
+    const newPrice = item.price * factor;
+    const newVolume = factor > 0 ? item.volume * Math.pow(factor, item.elasticity) : 0;
+    return {
+      ...item,
+      newPrice,
+      newVolume,
+      revenue: item.price * item.volume,
+      newRevenue: newPrice * newVolume,
+      margin: (item.price - item.unitCost) * item.volume,
+      newMargin: (newPrice - item.unitCost) * newVolume,
+    };
+  });
+  const sum = (key) => rows.reduce((s, r) => s + r[key], 0);
+  return {
+    rows,
+    baseline: { volume: sum('volume'), revenue: sum('revenue'), margin: sum('margin') },
+    projected: { volume: sum('newVolume'), revenue: sum('newRevenue'), margin: sum('newMargin') },
+  };
+};
+
+// Build CSV text; columns: [{ label, value: (row) => any }]
+export const toCSV = (rows, columns) => {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [
+    columns.map(c => escape(c.label)).join(','),
+    ...rows.map(row => columns.map(c => escape(c.value(row))).join(',')),
+  ].join('\n');
+};
+
+// Download rows as a CSV file in the browser
+export const downloadCSV = (filename, rows, columns) => {
+  const blob = new Blob([toCSV(rows, columns)], { type: 'text/csv;charset=utf-8;' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,35 @@
+// Depot helpers: which depot serves a sales region, and labels for per-depot stock status.
+// Mirrors the pipeline (ml/models/depot-inventory.js): a depot serves the region it is in, and
+// regions without a depot are served by the main depot, where supplier deliveries are received.
+
+export const DEPOT_STATUS = {
+  at_risk: { label: 'At risk', className: 'bg-red-100 text-red-800' },
+  healthy: { label: 'Healthy', className: 'bg-green-100 text-green-800' },
+  overstocked: { label: 'Overstocked', className: 'bg-yellow-100 text-yellow-800' },
+};
+
+export const TRANSFER_STATUS_STYLES = {
+  suggested: 'bg-yellow-100 text-yellow-800',
+  accepted: 'bg-green-100 text-green-800',
+  dismissed: 'bg-gray-100 text-gray-700',
+};
+
+// The main depot: flagged is_main, else the first depot by code
+export const mainDepot = (warehouses) =>
+  warehouses.find(w => w.is_main) || [...warehouses].sort((a, b) => a.warehouse_code.localeCompare(b.warehouse_code))[0] || null;
+
+// Function mapping a region to the code of the depot serving it
+export const depotForRegion = (warehouses) => {
+  const main = mainDepot(warehouses);
+  const byRegion = {};
+  warehouses.filter(w => w.region).forEach(w => {
+    if (!byRegion[w.region] || w.is_main) byRegion[w.region] = w.warehouse_code;
+  });
+  return (region) => byRegion[region] || main?.warehouse_code || null;
+};
+
+// Display name of a depot code
+export const depotName = (warehouses, code) => {
+  const depot = warehouses.find(w => w.warehouse_code === code);
+  return depot ? depot.warehouse_name : code || 'Unassigned';
+};
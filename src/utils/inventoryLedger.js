@@ -0,0 +1,52 @@
+// Stock ledger helpers: movement labels and reconciliation of ledger stock against the inventory snapshot.
+// Ledger stock = sum of signed movements (inventory_stock_levels view); the snapshot is
+// inventory.current_stock_liters, i.e. the last physical count or system import.
+
+export const MOVEMENT_TYPES = {
+  opening: { label: 'Opening balance', className: 'bg-gray-100 text-gray-800' },
+  receipt: { label: 'Receipt', className: 'bg-green-100 text-green-800' },
+  sale: { label: 'Sales issue', className: 'bg-blue-100 text-blue-800' },
+  adjustment: { label: 'Adjustment', className: 'bg-yellow-100 text-yellow-800' },
+  transfer_in: { label: 'Transfer in', className: 'bg-teal-100 text-teal-800' },
+  transfer_out: { label: 'Transfer out', className: 'bg-orange-100 text-orange-800' },
+};
+
+// A difference is flagged when it exceeds both limits, so rounding and tiny counts are not reported
+export const RECONCILIATION_TOLERANCE = { liters: 10, pct: 0.5 };
+
+// One row per product: ledger stock vs snapshot, with status 'matched' | 'variance' | 'no_ledger'
+export const reconcileStock = (products, inventory, stockLevels, tolerance = RECONCILIATION_TOLERANCE) => {
+  // Depot snapshot rows are summed per product
+  const snapshotByCode = {};
+  inventory.forEach(inv => {
+    snapshotByCode[inv.product_code] = (snapshotByCode[inv.product_code] || 0) + (parseFloat(inv.current_stock_liters) || 0);
+  });
+  const ledgerById = Object.fromEntries(stockLevels.map(l => [l.product_id, l]));
+
+  return products.map(product => {
+    const ledger = ledgerById[product.id];
+    const snapshotStock = snapshotByCode[product.product_code] || 0;
+    const ledgerStock = ledger ? parseFloat(ledger.ledger_stock_liters) || 0 : null;
+    const difference = ledgerStock === null ? null : ledgerStock - snapshotStock;
+    const differencePct = difference === null ? null
+      : snapshotStock !== 0 ? difference / snapshotStock * 100 : (difference === 0 ? 0 : 100);
+    const isVariance = difference !== null &&
+      Math.abs(difference) > tolerance.liters && Math.abs(differencePct) > tolerance.pct;
+    const unitCost = parseFloat(product.cost_price) || 0;
+
+    return {
+      productId: product.id,
+      productCode: product.product_code,
+      productName: product.product_name,
+      category: product.category,
+      snapshotStock,
+      ledgerStock,
+      difference,
+      differencePct,
+      differenceValue: difference === null ? 0 : difference * unitCost,
+      movementCount: ledger ? ledger.movement_count : 0,
+      lastMovementDate: ledger ? ledger.last_movement_date : null,
+      status: ledgerStock === null ? 'no_ledger' : isVariance ? 'variance' : 'matched',
+    };
+  }).sort((a, b) => Math.abs(b.differenceValue) - Math.abs(a.differenceValue));
+};
@@ -0,0 +1,150 @@
+// Margin analytics: gross margin per transaction line, grouped by any combination of
+// product, customer, region and salesperson, with below-cost flags and month-over-month erosion.
+// Cost is the product's cost_price × liters; revenue is the invoiced total_amount.
+
+// Dimensions a margin breakdown can be grouped by
+export const MARGIN_DIMENSIONS = {
+  product: { label: 'Product', key: (line) => line.productCode, name: (line) => line.productName },
+  customer: { label: 'Customer', key: (line) => line.customerCode, name: (line) => line.customerName },
+  region: { label: 'Region', key: (line) => line.region, name: (line) => line.region },
+  salesperson: { label: 'Salesperson', key: (line) => line.salesperson, name: (line) => line.salesperson },
+};
+
+// Per-transaction revenue, cost and margin
+export const buildMarginLines = (transactions, products, customers) => {
+  const productMap = {};
+  products.forEach(p => { productMap[p.product_code] = p; });
+  const customerMap = {};
+  customers.forEach(c => { customerMap[c.customer_code] = c; });
+
+  return transactions.map(t => {
+    const product = productMap[t.product_code] || t.products || {};
+    const customer = customerMap[t.customer_code] || t.customers || {};
+    const quantity = parseFloat(t.quantity_liters) || 0;
+    const unitPrice = parseFloat(t.unit_price) || 0;
+    const unitCost = parseFloat(product.cost_price) || 0;
+    const revenue = parseFloat(t.total_amount) || 0;
+    const cost = unitCost * quantity;
+    const margin = revenue - cost;
+
+    return {
+      transactionCode: t.transaction_code,
+      invoiceNumber: t.invoice_number,
+      date: t.transaction_date,
+      month: t.transaction_date.substring(0, 7),
+      productCode: t.product_code || 'Unknown',
+      productName: product.product_name || t.product_code || 'Unknown',
+      category: product.category || 'Unknown',
+      customerCode: t.customer_code || 'Unknown',
+      customerName: customer.customer_name || t.customer_name || t.customer_code || 'Unknown',
+      region: t.region || customer.region || 'Unknown',
+      salesperson: t.salesperson || 'Unassigned',
+      quantity,
+      unitPrice,
+      unitCost,
+      listPrice: parseFloat(product.selling_price) || 0,
+      revenue,
+      cost,
+      margin,
+      marginPct: revenue > 0 ? margin / revenue * 100 : 0,
+      belowCost: unitCost > 0 && unitPrice < unitCost,
+    };
+  });
+};
+
+// Totals for a set of lines
+const summarizeLines = (lines) => {
+  const revenue = lines.reduce((s, l) => s + l.revenue, 0);
+  const cost = lines.reduce((s, l) => s + l.cost, 0);
+  const belowCost = lines.filter(l => l.belowCost);
+  return {
+    revenue,
+    cost,
+    margin: revenue - cost,
+    marginPct: revenue > 0 ? (revenue - cost) / revenue * 100 : 0,
+    quantity: lines.reduce((s, l) => s + l.quantity, 0),
+    transactions: lines.length,
+    belowCostCount: belowCost.length,
+    belowCostLoss: belowCost.reduce((s, l) => s + Math.max(0, -l.margin), 0),
+  };
+};
+
+export const marginSummary = (lines) => summarizeLines(lines);
+
+// Lines grouped by a combination of MARGIN_DIMENSIONS keys
+const groupLines = (lines, dimensions) => {
+  const groups = {};
+  lines.forEach(line => {
+    const key = dimensions.map(d => MARGIN_DIMENSIONS[d].key(line)).join('|');
+    if (!groups[key]) {
+      groups[key] = {
+        key,
+        labels: Object.fromEntries(dimensions.map(d => [d, MARGIN_DIMENSIONS[d].name(line)])),
+        lines: [],
+      };
+    }
+    groups[key].lines.push(line);
+  });
+  return Object.values(groups);
+};
+
+// Margin by a combination of dimensions, e.g. ['region', 'salesperson']
+export const marginBy = (lines, dimensions) => groupLines(lines, dimensions)
+  .map(({ key, labels, lines: members }) => ({ key, labels, ...summarizeLines(members) }))
+  .sort((a, b) => b.margin - a.margin);
+
+// Monthly margin with the change in margin % points vs the previous month
+export const marginTrend = (lines) => {
+  const months = {};
+  lines.forEach(line => {
+    if (!months[line.month]) months[line.month] = [];
+    months[line.month].push(line);
+  });
+
+  let previous = null;
+  return Object.keys(months).sort().map(month => {
+    const summary = summarizeLines(months[month]);
+    const row = {
+      month,
+      ...summary,
+      marginPctChange: previous !== null ? summary.marginPct - previous : null,
+    };
+    previous = summary.marginPct;
+    return row;
+  });
+};
+
+// Groups whose margin % in the latest month fell by at least `threshold` points
+// below their average over the previous `months` months
+export const marginErosion = (lines, dimensions, { months = 3, threshold = 1 } = {}) => {
+  const allMonths = [...new Set(lines.map(l => l.month))].sort();
+  if (allMonths.length < 2) return [];
+  const latest = allMonths[allMonths.length - 1];
+  const trailing = allMonths.slice(-1 - months, -1);
+
+  return groupLines(lines, dimensions)
+    .map(group => {
+      const current = summarizeLines(group.lines.filter(l => l.month === latest));
+      const before = summarizeLines(group.lines.filter(l => trailing.includes(l.month)));
+      if (current.revenue <= 0 || before.revenue <= 0) return null;
+      return {
+        key: group.key,
+        labels: group.labels,
+        latestMonth: latest,
+        trailingMonths: trailing,
+        currentMarginPct: current.marginPct,
+        trailingMarginPct: before.marginPct,
+        change: current.marginPct - before.marginPct,
+        currentRevenue: current.revenue,
+        // Margin lost in the latest month compared with earning the trailing margin %
+        marginImpact: current.revenue * (current.marginPct - before.marginPct) / 100,
+      };
+    })
+    .filter(g => g && g.change <= -threshold)
+    .sort((a, b) => a.marginImpact - b.marginImpact);
+};
+
+// Sales priced below unit cost, largest loss first
+export const belowCostSales = (lines) => lines
+  .filter(l => l.belowCost)
+  .sort((a, b) => a.margin - b.margin);
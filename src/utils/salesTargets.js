@@ -0,0 +1,212 @@
+// Salesperson target tracking: monthly target vs actual per salesperson and region, and a
+// projected month-end achievement for the open month from the month-to-date run rate blended
+// with the regional demand forecast.
+// Targets name salespeople in full ("Amit Patel"); transactions use the short form ("Amit P."),
+// so both are matched on first name + last initial.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SHARE_MONTHS = 3; // trailing months used for a salesperson's share of regional revenue
+
+// "Amit Patel" / "Amit P." → "amit p"
+export const salespersonKey = (name) => {
+  const parts = (name || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return '';
+  if (parts.length === 1) return parts[0];
+  return `${parts[0]} ${parts[parts.length - 1].charAt(0)}`;
+};
+
+const daysInMonth = (month) => {
+  const [year, mon] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, mon, 0)).getUTCDate();
+};
+
+const shiftMonth = (month, offset) => {
+  const [year, mon] = month.split('-').map(Number);
+  const date = new Date(Date.UTC(year, mon - 1 + offset, 1));
+  return date.toISOString().substring(0, 7);
+};
+
+// Revenue per salesperson key|region|month, plus the salesperson keys and months transactions cover
+const indexTransactions = (transactions) => {
+  const revenue = {};
+  const salespeople = new Set();
+  const months = new Set();
+  transactions.forEach(t => {
+    const key = salespersonKey(t.salesperson);
+    const month = t.transaction_date.substring(0, 7);
+    const cell = `${key}|${t.region || 'Unknown'}|${month}`;
+    revenue[cell] = (revenue[cell] || 0) + (parseFloat(t.total_amount) || 0);
+    if (key) salespeople.add(key);
+    months.add(month);
+  });
+  return { revenue, salespeople, months };
+};
+
+// One row per target: actual from transactions where the salesperson and month are covered,
+// otherwise the figure reported alongside the target
+export const buildTargetActuals = (targets, transactions) => {
+  const { revenue, salespeople, months } = indexTransactions(transactions);
+
+  return targets.map(t => {
+    const month = t.month.substring(0, 7);
+    const key = salespersonKey(t.salesperson);
+    const target = parseFloat(t.target) || 0;
+    const tracked = salespeople.has(key) && months.has(month);
+    const reported = t.reported_sales === null || t.reported_sales === undefined ? null : parseFloat(t.reported_sales);
+    const actual = tracked ? revenue[`${key}|${t.region}|${month}`] || 0 : reported;
+
+    return {
+      salesperson: t.salesperson,
+      salespersonKey: key,
+      region: t.region,
+      month,
+      target,
+      actual,
+      source: tracked ? 'transactions' : reported !== null ? 'reported' : 'none',
+      achievementPct: actual !== null && target > 0 ? actual / target * 100 : null,
+      gap: actual !== null ? actual - target : null,
+    };
+  });
+};
+
+// Target vs actual for one month grouped by 'salesperson', 'region' or 'salesperson_region'
+export const targetsBy = (rows, month, groupBy = 'salesperson') => {
+  const groups = {};
+  rows.filter(r => r.month === month).forEach(r => {
+    const key = groupBy === 'salesperson' ? r.salesperson
+      : groupBy === 'region' ? r.region
+        : `${r.salesperson}|${r.region}`;
+    if (!groups[key]) {
+      groups[key] = {
+        key,
+        salesperson: groupBy === 'region' ? null : r.salesperson,
+        region: groupBy === 'salesperson' ? null : r.region,
+        target: 0,
+        actual: 0,
+        sources: new Set(),
+      };
+    }
+    const g = groups[key];
+    g.target += r.target;
+    g.actual += r.actual || 0;
+    g.sources.add(r.source);
+  });
+
+  return Object.values(groups)
+    .map(g => ({
+      ...g,
+      sources: [...g.sources],
+      achievementPct: g.target > 0 ? g.actual / g.target * 100 : null,
+      gap: g.actual - g.target,
+    }))
+    .sort((a, b) => (b.achievementPct ?? -1) - (a.achievementPct ?? -1));
+};
+
+// Achievement over all target months from `fromMonth` on, per salesperson key (for the leaderboard)
+export const achievementBySalesperson = (rows, { fromMonth = '', region = null } = {}) => {
+  const totals = {};
+  rows
+    .filter(r => r.month >= fromMonth && r.actual !== null && (!region || r.region === region))
+    .forEach(r => {
+      if (!totals[r.salespersonKey]) totals[r.salespersonKey] = { target: 0, actual: 0 };
+      totals[r.salespersonKey].target += r.target;
+      totals[r.salespersonKey].actual += r.actual;
+    });
+  return Object.fromEntries(Object.entries(totals)
+    .map(([key, t]) => [key, t.target > 0 ? t.actual / t.target * 100 : null]));
+};
+
+// Projected month-end sales vs target for the open month.
+// The open month is the one containing the day after the latest transaction; days elapsed are the
+// days already covered by transactions. Remaining days are filled at a blend of the month-to-date
+// daily run rate (weight = share of the month elapsed) and the salesperson's share of the regional
+// demand forecast (predicted_revenue of product × region forecasts; trailing average when the
+// forecast does not cover the month). Months without targets carry each salesperson's latest target.
+export const projectMonthEnd = (targets, transactions, regionalForecasts = []) => {
+  if (transactions.length === 0 || targets.length === 0) return null;
+
+  const asOf = transactions.map(t => t.transaction_date.substring(0, 10)).sort().pop();
+  const nextDay = new Date(new Date(`${asOf}T00:00:00Z`).getTime() + DAY_MS).toISOString().substring(0, 10);
+  const month = nextDay.substring(0, 7);
+  const totalDays = daysInMonth(month);
+  const elapsed = asOf.substring(0, 7) === month ? parseInt(asOf.substring(8, 10), 10) : 0;
+  const remaining = totalDays - elapsed;
+  const runRateWeight = elapsed / totalDays;
+
+  // Targets for the month, else each salesperson's latest target
+  let monthTargets = targets.filter(t => t.month.substring(0, 7) === month);
+  let carriedFrom = null;
+  if (monthTargets.length === 0) {
+    const latest = {};
+    targets.forEach(t => {
+      const current = latest[t.salesperson];
+      if (!current || t.month > current.month) latest[t.salesperson] = t;
+    });
+    monthTargets = Object.values(latest);
+    carriedFrom = monthTargets.reduce((m, t) => (t.month > m ? t.month : m), '').substring(0, 7);
+  }
+
+  const { revenue, salespeople } = indexTransactions(transactions);
+
+  // Salesperson share of each region's revenue over the trailing full months
+  const shareMonths = Array.from({ length: SHARE_MONTHS }, (_, i) => shiftMonth(month, -1 - i));
+  const regionTotals = {};
+  const salespersonRegion = {};
+  transactions.forEach(t => {
+    const txMonth = t.transaction_date.substring(0, 7);
+    if (!shareMonths.includes(txMonth)) return;
+    const amount = parseFloat(t.total_amount) || 0;
+    const region = t.region || 'Unknown';
+    const cell = `${salespersonKey(t.salesperson)}|${region}`;
+    regionTotals[region] = (regionTotals[region] || 0) + amount;
+    salespersonRegion[cell] = (salespersonRegion[cell] || 0) + amount;
+  });
+
+  const forecastByRegion = {};
+  regionalForecasts
+    .filter(p => p.prediction_month && p.prediction_month.substring(0, 7) === month)
+    .forEach(p => {
+      forecastByRegion[p.dimension_key] = (forecastByRegion[p.dimension_key] || 0) + (parseFloat(p.predicted_revenue) || 0);
+    });
+
+  const rows = monthTargets.map(t => {
+    const key = salespersonKey(t.salesperson);
+    const target = parseFloat(t.target) || 0;
+    const base = {
+      salesperson: t.salesperson,
+      region: t.region,
+      target,
+      carriedFrom: carriedFrom ? t.month.substring(0, 7) : null,
+    };
+    if (!salespeople.has(key)) {
+      return { ...base, tracked: false, mtd: null, projected: null, projectedAchievementPct: null };
+    }
+
+    const mtd = revenue[`${key}|${t.region}|${month}`] || 0;
+    const share = regionTotals[t.region] > 0 ? (salespersonRegion[`${key}|${t.region}`] || 0) / regionTotals[t.region] : 0;
+    const hasForecast = forecastByRegion[t.region] !== undefined;
+    const forecastMonth = hasForecast
+      ? forecastByRegion[t.region] * share
+      : (salespersonRegion[`${key}|${t.region}`] || 0) / SHARE_MONTHS;
+    const forecastDaily = forecastMonth / totalDays;
+    const runRateDaily = elapsed > 0 ? mtd / elapsed : null;
+    const remainingDaily = runRateDaily !== null
+      ? runRateWeight * runRateDaily + (1 - runRateWeight) * forecastDaily
+      : forecastDaily;
+    const projected = mtd + remainingDaily * remaining;
+
+    return {
+      ...base,
+      tracked: true,
+      mtd,
+      regionShare: share,
+      runRateProjection: runRateDaily !== null ? runRateDaily * totalDays : null,
+      forecastProjection: forecastMonth,
+      forecastSource: hasForecast ? 'forecast' : 'trailing average',
+      projected,
+      projectedAchievementPct: target > 0 ? projected / target * 100 : null,
+    };
+  }).sort((a, b) => (b.projectedAchievementPct ?? -1) - (a.projectedAchievementPct ?? -1));
+
+  return { month, asOf, totalDays, elapsed, runRateWeight, carriedFrom, rows };
+};